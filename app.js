@@ -10,6 +10,7 @@ const AdsRoutes = require("./routes/ads.routes.js");
 const PublicAdsRoutes = require("./routes/publicAds.routes.js");
 const BankRoutes = require("./routes/bank.routes.js");
 const TelegramRoutes = require("./routes/telegram.routes.js");
+const TournamentRoutes = require("./routes/tournament.routes.js");
 
 const app = express();
 
@@ -24,6 +25,7 @@ app.use(express.json());
 app.use(cors());
 app.use("/auth", authRoutes);
 app.use("/games", GameRoutes);
+app.use("/tournaments", TournamentRoutes);
 app.use("/users", UserRoutes);
 app.use("/wallet", WalletRoutes);
 app.use("/admin", AdminRoutes);
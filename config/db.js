@@ -16,6 +16,11 @@ const connectDB = async () => {
       "✅ Collections:",
       Object.keys(mongoose.connection.collections)
     );
+
+    // Wallet operations run in transactions, which a standalone server rejects
+    const { checkTransactionSupport } = require("../services/ledger");
+    await checkTransactionSupport();
+    console.log("✅ Transactions supported");
   } catch (err) {
     console.error("❌ Failed to connect:", err.message);
     console.error("❌ Full error:", err);
@@ -298,6 +298,13 @@ const paths = {
   yellow: yellowPath,
 };
 
+// Seat colours per room size, listed in clockwise turn order starting with the host
+const seatColors = {
+  2: ["blue", "green"],
+  3: ["blue", "red", "green"],
+  4: ["blue", "red", "green", "yellow"],
+};
+
 const ludoBoxCoordinates = {
   p1: { x: 124, y: 0 },
   p2: { x: 141, y: 0 },
@@ -380,5 +387,6 @@ module.exports = {
   greenHomePath,
   blueHomePath,
   yellowHomePath,
+  seatColors,
   ludoBoxCoordinates,
 };
@@ -1,6 +1,15 @@
 const GameHistory = require("../model/GameHistory");
 const User = require("../model/User");
 const GameRoom = require("../model/GameRoom");
+const GameFairness = require("../model/GameFairness");
+const { verifyRolls } = require("../socket/fairness");
+const { getReplay, toPlayerReplay } = require("../socket/replay");
+const { getLiveRooms } = require("../socket/spectators");
+const {
+  getActiveTables,
+  describeTable,
+  getTableLimits,
+} = require("../services/stakeTables");
 
 // Get all games
 const getAllGames = async (req, res) => {
@@ -92,9 +101,124 @@ const getGameHistory = async (req, res) => {
   }
 };
 
+// Recompute every dice roll in a game from its revealed seed
+const getGameFairness = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const record = await GameFairness.findOne({ roomId }).lean();
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "No dice record found for this game",
+      });
+    }
+
+    // The seed stays secret until the game is over
+    if (!record.serverSeed) {
+      return res.status(200).json({
+        success: true,
+        roomId,
+        revealed: false,
+        serverSeedHash: record.serverSeedHash,
+        message: "The server seed is revealed when the game ends",
+      });
+    }
+
+    const verification = verifyRolls(record);
+    res.status(200).json({
+      success: true,
+      roomId,
+      revealed: true,
+      serverSeed: record.serverSeed,
+      serverSeedHash: record.serverSeedHash,
+      clientSeed: record.clientSeed,
+      hashMatches: verification.hashMatches,
+      valid: verification.valid,
+      rolls: verification.rolls,
+    });
+  } catch (error) {
+    console.error("Error verifying game fairness:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify game fairness",
+    });
+  }
+};
+
+// Step-by-step replay of a game for the players who took part in it
+const getGameReplay = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const replay = await getReplay(roomId);
+    if (!replay) {
+      return res.status(404).json({
+        success: false,
+        message: "No replay found for this game",
+      });
+    }
+
+    const isParticipant = replay.players.some(
+      (p) => p.userId && String(p.userId) === String(req.user.id)
+    );
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "Only players of this game can view its replay",
+      });
+    }
+
+    res.status(200).json({ success: true, replay: toPlayerReplay(replay) });
+  } catch (error) {
+    console.error("Error fetching game replay:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch game replay",
+    });
+  }
+};
+
+// Games in progress that can be watched
+const getLiveGames = async (req, res) => {
+  try {
+    const games = getLiveRooms();
+    res.status(200).json({ success: true, count: games.length, games });
+  } catch (error) {
+    console.error("Error fetching live games:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch live games",
+    });
+  }
+};
+
+// Lobby tables players can open rooms at
+const getStakeTables = async (req, res) => {
+  try {
+    const [tables, { maxPlayers }] = await Promise.all([
+      getActiveTables(),
+      getTableLimits(),
+    ]);
+    res.status(200).json({
+      success: true,
+      maxPlayers,
+      tables: tables.map(describeTable),
+    });
+  } catch (error) {
+    console.error("Error fetching stake tables:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch stake tables",
+    });
+  }
+};
+
 const gameController = {
   getAllGames,
   getGameHistory,
+  getLiveGames,
+  getGameFairness,
+  getGameReplay,
+  getStakeTables,
 };
 
 module.exports = gameController;
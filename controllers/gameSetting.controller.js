@@ -1,5 +1,14 @@
 const GameSetting = require("../model/gameSetting");
-const { updateBotsEnabledCache } = require("../socket/bots/config");
+const {
+  updateBotsEnabledCache,
+  updateBotDifficultyCache,
+  isValidDifficulty,
+} = require("../socket/bots/config");
+const {
+  TURN_CLOCK_SETTINGS,
+  validateTurnClockSetting,
+  loadTurnClockSettings,
+} = require("../socket/turnClock");
 
 // Get all game settings
 const getAllSettings = async (req, res) => {
@@ -88,6 +97,44 @@ const updateSetting = async (req, res) => {
       }
     }
 
+    if (key === "BOT_DIFFICULTY") {
+      if (!isValidDifficulty(value)) {
+        return res.status(400).json({
+          success: false,
+          message: "Bot difficulty must be easy, medium or hard",
+        });
+      }
+    }
+
+    // Stake tables are checked against these when they are set up
+    if (key === "MIN_STAKE" || key === "MAX_STAKE") {
+      if (!Number.isInteger(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Stake limits must be whole numbers of ብር",
+        });
+      }
+    }
+
+    if (key === "MAX_PLAYERS") {
+      if (![2, 3, 4].includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: "Max players must be 2, 3 or 4",
+        });
+      }
+    }
+
+    if (TURN_CLOCK_SETTINGS[key]) {
+      const problem = validateTurnClockSetting(key, value);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem,
+        });
+      }
+    }
+
     const updateData = {
       settingKey: key,
       settingValue: value,
@@ -114,6 +161,16 @@ const updateSetting = async (req, res) => {
       updateBotsEnabledCache(Boolean(value));
     }
 
+    // Bots that join from now on play at the new level
+    if (key === "BOT_DIFFICULTY") {
+      updateBotDifficultyCache(value);
+    }
+
+    // New games pick up turn clock changes; running games keep theirs
+    if (TURN_CLOCK_SETTINGS[key]) {
+      await loadTurnClockSettings();
+    }
+
     res.status(200).json({
       success: true,
       message: `Setting '${key}' updated successfully`,
@@ -172,6 +229,11 @@ const initializeDefaultSettings = async (req, res) => {
         settingValue: false,
         description: "Enable or disable bot players in games",
       },
+      ...Object.entries(TURN_CLOCK_SETTINGS).map(([settingKey, setting]) => ({
+        settingKey,
+        settingValue: setting.defaultValue,
+        description: setting.description,
+      })),
     ];
 
     const results = [];
@@ -233,6 +295,15 @@ const getBotsEnabled = async () => {
   }
 };
 
+const getBotDifficulty = async () => {
+  try {
+    return await GameSetting.getSetting("BOT_DIFFICULTY", "medium");
+  } catch (error) {
+    console.error("Error getting bot difficulty setting:", error);
+    return "medium"; // Default fallback
+  }
+};
+
 module.exports = {
   getAllSettings,
   getSetting,
@@ -240,4 +311,5 @@ module.exports = {
   initializeDefaultSettings,
   getCutPercentage,
   getBotsEnabled,
+  getBotDifficulty,
 };
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const Tournament = require("../model/Tournament");
+const { registerEntrant, withdrawEntrant } = require("../services/tournament");
+const { getBracketView, broadcastBracket } = require("../socket/tournaments");
+
+// Service error codes a player can fix, with the status to answer with
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  REGISTRATION_CLOSED: 409,
+  ALREADY_REGISTERED: 409,
+  TOURNAMENT_FULL: 409,
+  CANNOT_WITHDRAW: 409,
+  INSUFFICIENT_BALANCE: 400,
+};
+
+const findTournament = (tournamentId) =>
+  mongoose.isValidObjectId(tournamentId)
+    ? Tournament.findById(tournamentId)
+    : null;
+
+// Upcoming and running tournaments, or every tournament with a given status
+const getTournaments = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { TournamentStatus } = Tournament;
+    const query = status
+      ? { status }
+      : {
+          status: {
+            $in: [TournamentStatus.REGISTERING, TournamentStatus.RUNNING],
+          },
+        };
+
+    const tournaments = await Tournament.find(query)
+      .sort({ startsAt: 1 })
+      .limit(50);
+    res.status(200).json({
+      success: true,
+      tournaments: tournaments.map(getBracketView),
+    });
+  } catch (error) {
+    console.error("Error fetching tournaments:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch tournaments",
+    });
+  }
+};
+
+// One tournament with its bracket
+const getTournament = async (req, res) => {
+  try {
+    const tournament = await findTournament(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+    res.status(200).json({
+      success: true,
+      tournament: getBracketView(tournament),
+    });
+  } catch (error) {
+    console.error("Error fetching tournament:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch tournament",
+    });
+  }
+};
+
+// Enter a tournament, paying the entry fee from the wallet
+const registerForTournament = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.tournamentId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+    const tournament = await registerEntrant(req.params.tournamentId, {
+      id: req.user.id,
+      username: req.user.username,
+    });
+    broadcastBracket(req.io, tournament);
+    res.status(200).json({
+      success: true,
+      tournament: getBracketView(tournament),
+    });
+  } catch (error) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error registering for tournament:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register for tournament",
+    });
+  }
+};
+
+// Leave a tournament before it starts and get the entry fee back
+const withdrawFromTournament = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.tournamentId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+    const tournament = await withdrawEntrant(
+      req.params.tournamentId,
+      req.user.id
+    );
+    broadcastBracket(req.io, tournament);
+    res.status(200).json({
+      success: true,
+      tournament: getBracketView(tournament),
+    });
+  } catch (error) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error withdrawing from tournament:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to withdraw from tournament",
+    });
+  }
+};
+
+const tournamentController = {
+  getTournaments,
+  getTournament,
+  registerForTournament,
+  withdrawFromTournament,
+};
+
+module.exports = tournamentController;
@@ -2,6 +2,26 @@ const Wallet = require("../model/Wallet");
 const Transaction = require("../model/Transaction");
 const Notification = require("../model/Notification");
 const User = require("../model/User");
+const Escrow = require("../model/Escrow");
+const {
+  ACCOUNTS,
+  EntryType,
+  roundAmount,
+  runInTransaction,
+  postEntry,
+} = require("../services/ledger");
+const {
+  WalletUpdateType,
+  NotificationType,
+  emitWalletUpdate,
+  emitNotification,
+} = require("../socket/userChannels");
+
+// Share of the pot paid to each place, keyed by number of paid places
+const POT_SPLITS = {
+  1: [1],
+  2: [0.7, 0.3],
+};
 
 // Get wallet balance for a user
 const getWalletBalance = async (req, res) => {
@@ -42,25 +62,31 @@ const depositFunds = async (req, res) => {
       return res.status(400).json({ message: "Invalid amount" });
     }
 
-    // Find or create wallet
-    let wallet = await Wallet.findOne({ user: userId });
-    if (!wallet) {
-      wallet = new Wallet({ user: userId, balance: 0 });
-    }
-
-    // Update balance
-    wallet.balance += amount;
-    await wallet.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      amount,
-      type: "DEPOSIT",
-      status: "COMPLETED",
-      description: `Deposit via ${paymentMethod}`,
-      user: userId,
+    // Credit the wallet and record the deposit in one database transaction
+    const { wallet, transaction } = await runInTransaction(async (session) => {
+      const transaction = new Transaction({
+        amount,
+        type: "DEPOSIT",
+        status: "COMPLETED",
+        description: `Deposit via ${paymentMethod}`,
+        user: userId,
+      });
+      await transaction.save({ session });
+
+      const { wallets } = await postEntry(
+        {
+          type: EntryType.DEPOSIT,
+          description: transaction.description,
+          transaction: transaction._id,
+          legs: [
+            { account: ACCOUNTS.CASH, debit: amount },
+            { account: ACCOUNTS.user(userId), credit: amount },
+          ],
+        },
+        session
+      );
+      return { wallet: wallets[userId], transaction };
     });
-    await transaction.save();
 
     // Update user with wallet reference if not exists
     if (!req.user.wallet) {
@@ -76,16 +102,14 @@ const depositFunds = async (req, res) => {
     await notification.save();
 
     // Emit socket event for real-time updates
-    req.io.emit(`wallet_update_${userId}`, {
-      type: "DEPOSIT",
+    emitWalletUpdate(req.io, userId, WalletUpdateType.DEPOSIT, {
       balance: wallet.balance,
       amount,
       transactionId: transaction._id,
     });
 
     // Emit notification event
-    req.io.emit(`notification_${userId}`, {
-      type: "DEPOSIT_SUCCESS",
+    emitNotification(req.io, userId, NotificationType.DEPOSIT_SUCCESS, {
       message: `Successfully deposited ${amount} ብር via ${paymentMethod}`,
       notificationId: notification._id,
     });
@@ -129,21 +153,36 @@ const withdrawFunds = async (req, res) => {
       });
     }
 
-    // Deduct balance immediately (balance is held until admin approval)
-    wallet.balance -= amount;
-    await wallet.save();
-
-    // Create transaction record with PENDING status (no fees)
-    const transaction = new Transaction({
-      amount: amount,
-      type: "WITHDRAW",
-      status: "PENDING",
-      description: `Withdrawal via ${withdrawalMethod} - Amount: ${amount} ብር - Account: ${accountDetails}`,
-      user: userId,
-      withdrawalMethod,
-      accountDetails,
-    });
-    await transaction.save();
+    // Deduct balance immediately (balance is held until admin approval).
+    // The conditional debit in the ledger guards against concurrent withdrawals.
+    let transaction;
+    ({ wallet, transaction } = await runInTransaction(async (session) => {
+      // Create transaction record with PENDING status (no fees)
+      const transaction = new Transaction({
+        amount: amount,
+        type: "WITHDRAW",
+        status: "PENDING",
+        description: `Withdrawal via ${withdrawalMethod} - Amount: ${amount} ብር - Account: ${accountDetails}`,
+        user: userId,
+        withdrawalMethod,
+        accountDetails,
+      });
+      await transaction.save({ session });
+
+      const { wallets } = await postEntry(
+        {
+          type: EntryType.WITHDRAW,
+          description: transaction.description,
+          transaction: transaction._id,
+          legs: [
+            { account: ACCOUNTS.user(userId), debit: amount },
+            { account: ACCOUNTS.PENDING_WITHDRAWALS, credit: amount },
+          ],
+        },
+        session
+      );
+      return { wallet: wallets[userId], transaction };
+    }));
 
     // Create notification for pending withdrawal
     const notification = new Notification({
@@ -154,16 +193,14 @@ const withdrawFunds = async (req, res) => {
     await notification.save();
 
     // Emit socket event for real-time updates
-    req.io.emit(`wallet_update_${userId}`, {
-      type: "WITHDRAW_PENDING",
+    emitWalletUpdate(req.io, userId, WalletUpdateType.WITHDRAW_PENDING, {
       balance: wallet.balance,
       amount: amount,
       transactionId: transaction._id,
     });
 
     // Emit notification event
-    req.io.emit(`notification_${userId}`, {
-      type: "WITHDRAW_PENDING",
+    emitNotification(req.io, userId, NotificationType.WITHDRAW_PENDING, {
       message: `Withdrawal request submitted for ${amount} ብር via ${withdrawalMethod}. Amount deducted from balance. Awaiting admin approval.`,
       notificationId: notification._id,
     });
@@ -177,6 +214,11 @@ const withdrawFunds = async (req, res) => {
       status: "PENDING",
     });
   } catch (error) {
+    if (error.code === "INSUFFICIENT_BALANCE") {
+      return res.status(400).json({
+        message: "Insufficient balance for withdrawal",
+      });
+    }
     console.error("Error withdrawing funds:", error);
     res.status(500).json({
       message: "Error processing withdrawal",
@@ -185,12 +227,13 @@ const withdrawFunds = async (req, res) => {
   }
 };
 
-// Deduct game stake from player's wallet
+// Deduct game stake from player's wallet into the game's escrow
 const deductGameStake = async (
   userId,
   stake,
   roomId,
-  gameType = "GAME_STAKE"
+  gameType = "GAME_STAKE",
+  escrowId
 ) => {
   try {
     // Find wallet
@@ -199,25 +242,61 @@ const deductGameStake = async (
       throw new Error("Wallet not found");
     }
 
-    // Check if sufficient balance
-    if (wallet.balance < stake) {
-      throw new Error("Insufficient balance for game stake");
+    // Move the stake into the room's escrow account. The debit only applies
+    // while the balance covers it, so two rooms can't spend the same money.
+    let transaction;
+    try {
+      ({ wallet, transaction } = await runInTransaction(async (session) => {
+        const transaction = new Transaction({
+          amount: stake,
+          type: gameType,
+          status: "COMPLETED",
+          description: `Game stake deducted for room ${roomId}`,
+          user: userId,
+        });
+        await transaction.save({ session });
+
+        const held = await Escrow.updateOne(
+          { _id: escrowId, status: Escrow.EscrowStatus.HELD },
+          {
+            $push: {
+              stakes: {
+                user: userId,
+                amount: stake,
+                transaction: transaction._id,
+              },
+            },
+            $set: { updatedAt: new Date() },
+          },
+          { session }
+        );
+        if (held.matchedCount === 0) {
+          throw new Error(`Escrow ${escrowId} is not accepting stakes`);
+        }
+
+        const { wallets } = await postEntry(
+          {
+            type: EntryType.GAME_STAKE,
+            description: transaction.description,
+            roomId,
+            transaction: transaction._id,
+            idempotencyKey: `stake:${escrowId}:${userId}`,
+            legs: [
+              { account: ACCOUNTS.user(userId), debit: stake },
+              { account: ACCOUNTS.escrow(roomId), credit: stake },
+            ],
+          },
+          session
+        );
+        return { wallet: wallets[userId], transaction };
+      }));
+    } catch (error) {
+      if (error.code === "INSUFFICIENT_BALANCE") {
+        throw new Error("Insufficient balance for game stake");
+      }
+      throw error;
     }
 
-    // Update balance
-    wallet.balance -= stake;
-    await wallet.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      amount: stake,
-      type: gameType,
-      status: "COMPLETED",
-      description: `Game stake deducted for room ${roomId}`,
-      user: userId,
-    });
-    await transaction.save();
-
     // Create notification
     const notification = new Notification({
       user: userId,
@@ -239,13 +318,23 @@ const deductGameStake = async (
 };
 
 // Add game winnings to player's wallet
+// `payout` describes the finisher's share of the pot in 3-4 player rooms,
+// the escrow it is paid from and the rake of the room's table
 const addGameWinnings = async (
   userId,
   stake,
   roomId,
   isBotGame = false,
-  gameType = "GAME_WINNINGS"
+  gameType = "GAME_WINNINGS",
+  payout = {}
 ) => {
+  const {
+    playerCount = 2,
+    place = 1,
+    payoutPlaces = 1,
+    rakePercent,
+    escrowId,
+  } = payout;
   try {
     // Find wallet
     let wallet = await Wallet.findOne({ user: userId });
@@ -253,42 +342,63 @@ const addGameWinnings = async (
       throw new Error("Wallet not found");
     }
 
-    // Get dynamic cut percentage from database
+    // Rooms at a lobby table take its rake; others use the global cut
     const { getCutPercentage } = require("./gameSetting.controller");
-    const cutPercentage = await getCutPercentage();
-
-    console.log(`[Wallet] Using dynamic cut percentage: ${cutPercentage}%`);
-
-    // Calculate winnings based on game type
-    let winnings;
-    if (isBotGame) {
-      // Human vs Bot: winner gets (2 x stake) - cut percentage
-      winnings = 2 * stake - (2 * stake * cutPercentage) / 100;
-    } else {
-      // Human vs Human: winner gets (2 x stake) - cut percentage
-      winnings = 2 * stake - (2 * stake * cutPercentage) / 100;
-    }
+    const cutPercentage = Number.isFinite(rakePercent)
+      ? rakePercent
+      : await getCutPercentage();
 
-    // Update balance
-    wallet.balance += winnings;
-    await wallet.save();
+    console.log(`[Wallet] Using cut percentage: ${cutPercentage}%`);
 
-    // Create transaction record
-    const transaction = new Transaction({
-      amount: winnings,
-      type: gameType,
-      status: "COMPLETED",
-      description: `Game winnings for room ${roomId}`,
-      user: userId,
-    });
-    await transaction.save();
+    // Pot is every seat's stake (bots included); the place takes its share minus the cut
+    const splits = POT_SPLITS[payoutPlaces] || POT_SPLITS[1];
+    const share = splits[place - 1] || 0;
+    if (share === 0) {
+      throw new Error(`Place ${place} is not paid in this game`);
+    }
+    const prize = roundAmount(playerCount * stake * share);
+    const winnings = roundAmount(prize - (prize * cutPercentage) / 100);
+
+    // Pay the prize out of the room's escrow; the cut goes to the house
+    let transaction;
+    ({ wallet, transaction } = await runInTransaction(async (session) => {
+      const transaction = new Transaction({
+        amount: winnings,
+        type: gameType,
+        status: "COMPLETED",
+        description: `Game winnings for room ${roomId}`,
+        user: userId,
+      });
+      await transaction.save({ session });
+
+      const legs = [
+        { account: ACCOUNTS.escrow(roomId), debit: prize },
+        { account: ACCOUNTS.user(userId), credit: winnings },
+      ];
+      if (prize > winnings) {
+        legs.push({ account: ACCOUNTS.HOUSE_RAKE, credit: prize - winnings });
+      }
+
+      const { wallets } = await postEntry(
+        {
+          type: EntryType.GAME_WINNINGS,
+          description: transaction.description,
+          roomId,
+          transaction: transaction._id,
+          idempotencyKey: `payout:${escrowId}:${userId}`,
+          legs,
+        },
+        session
+      );
+      return { wallet: wallets[userId], transaction };
+    }));
 
     // Create notification
     const notification = new Notification({
       user: userId,
-      message: `Congratulations! You won ${winnings.toFixed(
-        2
-      )} ብር from room ${roomId}`,
+      message: `Congratulations! You won ${winnings.toFixed(2)} ብር${
+        payoutPlaces > 1 ? ` for place #${place}` : ""
+      } from room ${roomId}`,
       type: "SUCCESS",
     });
     await notification.save();
@@ -461,12 +571,37 @@ const approveWithdrawal = async (req, res) => {
       return res.status(404).json({ message: "User wallet not found" });
     }
 
-    // Balance is already deducted when withdrawal was submitted, just approve
-
-    // Update transaction status to completed
-    transaction.status = "COMPLETED";
-    transaction.description += " - Approved by admin";
-    await transaction.save();
+    // Balance is already deducted when withdrawal was submitted, just approve.
+    // The status check in the update stops a double approval from paying twice.
+    const approved = await runInTransaction(async (session) => {
+      const approved = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: "PENDING" },
+        {
+          status: "COMPLETED",
+          description: `${transaction.description} - Approved by admin`,
+        },
+        { new: true, session }
+      );
+      if (!approved) return null;
+
+      await postEntry(
+        {
+          type: EntryType.WITHDRAW_APPROVED,
+          description: approved.description,
+          transaction: approved._id,
+          idempotencyKey: `withdrawal:${approved._id}:settle`,
+          legs: [
+            { account: ACCOUNTS.PENDING_WITHDRAWALS, debit: approved.amount },
+            { account: ACCOUNTS.CASH, credit: approved.amount },
+          ],
+        },
+        session
+      );
+      return approved;
+    });
+    if (!approved) {
+      return res.status(400).json({ message: "Transaction is not pending" });
+    }
 
     // Create success notification
     const notification = new Notification({
@@ -477,18 +612,26 @@ const approveWithdrawal = async (req, res) => {
     await notification.save();
 
     // Emit socket events
-    req.io.emit(`wallet_update_${transaction.user}`, {
-      type: "WITHDRAW_APPROVED",
-      balance: wallet.balance,
-      amount: transaction.amount,
-      transactionId: transaction._id,
-    });
+    emitWalletUpdate(
+      req.io,
+      transaction.user,
+      WalletUpdateType.WITHDRAW_APPROVED,
+      {
+        balance: wallet.balance,
+        amount: transaction.amount,
+        transactionId: transaction._id,
+      }
+    );
 
-    req.io.emit(`notification_${transaction.user}`, {
-      type: "WITHDRAW_APPROVED",
-      message: `Withdrawal approved! ${transaction.amount} ብር has been processed via ${transaction.withdrawalMethod}`,
-      notificationId: notification._id,
-    });
+    emitNotification(
+      req.io,
+      transaction.user,
+      NotificationType.WITHDRAW_APPROVED,
+      {
+        message: `Withdrawal approved! ${transaction.amount} ብር has been processed via ${transaction.withdrawalMethod}`,
+        notificationId: notification._id,
+      }
+    );
 
     res.status(200).json({
       message: "Withdrawal approved successfully",
@@ -524,19 +667,42 @@ const rejectWithdrawal = async (req, res) => {
       return res.status(400).json({ message: "Transaction is not pending" });
     }
 
-    // Find user's wallet and restore the balance
-    const wallet = await Wallet.findOne({ user: transaction.user });
-    if (wallet) {
-      wallet.balance += transaction.amount;
-      await wallet.save();
+    // Mark the withdrawal failed and restore the balance together
+    const result = await runInTransaction(async (session) => {
+      const rejected = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: "PENDING" },
+        {
+          status: "FAILED",
+          description: `${transaction.description} - Rejected by admin${
+            reason ? `: ${reason}` : ""
+          }`,
+        },
+        { new: true, session }
+      );
+      if (!rejected) return null;
+
+      const { wallets } = await postEntry(
+        {
+          type: EntryType.WITHDRAW_REJECTED,
+          description: rejected.description,
+          transaction: rejected._id,
+          idempotencyKey: `withdrawal:${rejected._id}:settle`,
+          legs: [
+            { account: ACCOUNTS.PENDING_WITHDRAWALS, debit: rejected.amount },
+            {
+              account: ACCOUNTS.user(rejected.user),
+              credit: rejected.amount,
+            },
+          ],
+        },
+        session
+      );
+      return { wallet: wallets[rejected.user.toString()] };
+    });
+    if (!result) {
+      return res.status(400).json({ message: "Transaction is not pending" });
     }
-
-    // Update transaction status to failed
-    transaction.status = "FAILED";
-    transaction.description += ` - Rejected by admin${
-      reason ? `: ${reason}` : ""
-    }`;
-    await transaction.save();
+    const { wallet } = result;
 
     // Create notification
     const notification = new Notification({
@@ -550,22 +716,30 @@ const rejectWithdrawal = async (req, res) => {
 
     // Emit socket events for real-time updates
     if (wallet) {
-      req.io.emit(`wallet_update_${transaction.user}`, {
-        type: "WITHDRAW_REJECTED",
-        balance: wallet.balance,
-        amount: transaction.amount,
-        transactionId: transaction._id,
-      });
+      emitWalletUpdate(
+        req.io,
+        transaction.user,
+        WalletUpdateType.WITHDRAW_REJECTED,
+        {
+          balance: wallet.balance,
+          amount: transaction.amount,
+          transactionId: transaction._id,
+        }
+      );
     }
 
     // Emit notification event
-    req.io.emit(`notification_${transaction.user}`, {
-      type: "WITHDRAW_REJECTED",
-      message: `Withdrawal request rejected${
-        reason ? `: ${reason}` : ""
-      }. Amount restored to your wallet.`,
-      notificationId: notification._id,
-    });
+    emitNotification(
+      req.io,
+      transaction.user,
+      NotificationType.WITHDRAW_REJECTED,
+      {
+        message: `Withdrawal request rejected${
+          reason ? `: ${reason}` : ""
+        }. Amount restored to your wallet.`,
+        notificationId: notification._id,
+      }
+    );
 
     res.status(200).json({
       message: "Withdrawal rejected successfully",
@@ -671,36 +845,56 @@ const verifyDeposit = async (req, res) => {
       });
     }
 
-    // Verification successful - process the deposit
-    // Find or create wallet
-    let wallet = await Wallet.findOne({ user: userId });
-    if (!wallet) {
-      wallet = new Wallet({ user: userId, balance: 0 });
-    }
-
-    // Update balance
-    wallet.balance += receivedAmount;
-    await wallet.save();
-
-    // Create transaction record with verification data
-    const transaction = new Transaction({
-      amount: receivedAmount,
-      type: "DEPOSIT",
-      status: "COMPLETED",
-      description: `Deposit via ${paymentProvider} - Verified`,
-      user: userId,
-      externalTransactionId: referenceId,
-      paymentProvider: paymentProvider,
-      verificationData: {
-        referenceId,
-        receivedAmount,
-        receiverName,
-        receiverAccountNumber,
-        payerAccountNumber: payerAccountNumber || "none",
-        verifiedAt: new Date()
+    // Verification successful - process the deposit. The idempotency key
+    // stops two concurrent requests crediting the same reference twice.
+    let wallet;
+    let transaction;
+    try {
+      ({ wallet, transaction } = await runInTransaction(async (session) => {
+        // Create transaction record with verification data
+        const transaction = new Transaction({
+          amount: receivedAmount,
+          type: "DEPOSIT",
+          status: "COMPLETED",
+          description: `Deposit via ${paymentProvider} - Verified`,
+          user: userId,
+          externalTransactionId: referenceId,
+          paymentProvider: paymentProvider,
+          verificationData: {
+            referenceId,
+            receivedAmount,
+            receiverName,
+            receiverAccountNumber,
+            payerAccountNumber: payerAccountNumber || "none",
+            verifiedAt: new Date(),
+          },
+        });
+        await transaction.save({ session });
+
+        const { wallets } = await postEntry(
+          {
+            type: EntryType.DEPOSIT,
+            description: transaction.description,
+            transaction: transaction._id,
+            idempotencyKey: `deposit:${paymentProvider}:${referenceId}`,
+            legs: [
+              { account: ACCOUNTS.CASH, debit: receivedAmount },
+              { account: ACCOUNTS.user(userId), credit: receivedAmount },
+            ],
+          },
+          session
+        );
+        return { wallet: wallets[userId], transaction };
+      }));
+    } catch (error) {
+      if (error.code === "DUPLICATE_ENTRY") {
+        return res.status(400).json({
+          success: false,
+          message: "This transaction has already been processed",
+        });
       }
-    });
-    await transaction.save();
+      throw error;
+    }
 
     // Update user with wallet reference if not exists
     if (!req.user.wallet) {
@@ -716,16 +910,14 @@ const verifyDeposit = async (req, res) => {
     await notification.save();
 
     // Emit socket event for real-time updates
-    req.io.emit(`wallet_update_${userId}`, {
-      type: "DEPOSIT",
+    emitWalletUpdate(req.io, userId, WalletUpdateType.DEPOSIT, {
       balance: wallet.balance,
       amount: receivedAmount,
       transactionId: transaction._id,
     });
 
     // Emit notification event
-    req.io.emit(`notification_${userId}`, {
-      type: "DEPOSIT_SUCCESS",
+    emitNotification(req.io, userId, NotificationType.DEPOSIT_SUCCESS, {
       message: `Successfully deposited ${receivedAmount} ብር via ${paymentProvider} (Verified)`,
       notificationId: notification._id,
     });
@@ -755,6 +947,7 @@ module.exports = {
   verifyDeposit,
   deductGameStake,
   addGameWinnings,
+  POT_SPLITS,
   getAllTransactions,
   getTransactionHistory,
   getNotifications,
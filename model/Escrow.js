@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const EscrowStatus = {
+  HELD: "HELD", // Stakes collected, game in progress
+  SETTLING: "SETTLING", // Payouts decided and being paid
+  SETTLED: "SETTLED",
+  REFUNDING: "REFUNDING",
+  REFUNDED: "REFUNDED",
+};
+
+// The pot for one game. Stakes move into it when the game starts and leave
+// exactly once, either as payouts or as refunds.
+const escrowSchema = new mongoose.Schema({
+  roomId: { type: String, required: true, index: true },
+  stake: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: Object.values(EscrowStatus),
+    default: EscrowStatus.HELD,
+  },
+  stakes: [
+    {
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      amount: { type: Number, required: true },
+      transaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+      refunded: { type: Boolean, default: false },
+    },
+  ],
+  // Filled in when settlement starts so a crash mid-payout can be resumed
+  playerCount: { type: Number },
+  payoutPlaces: { type: Number },
+  rakePercent: { type: Number }, // The table's rake; unset uses GAME_CUT_PERCENTAGE
+  payouts: [
+    {
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      place: { type: Number, required: true },
+      amount: { type: Number },
+      paid: { type: Boolean, default: false },
+    },
+  ],
+  // Set once per escrow; a second settle or refund can't claim it again
+  settlementKey: { type: String, unique: true, sparse: true },
+  reason: { type: String },
+  settledAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+escrowSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Escrow", escrowSchema);
+module.exports.EscrowStatus = EscrowStatus;
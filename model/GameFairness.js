@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Provably-fair dice record: the seed hash is stored when the room is created,
+// the seed and every roll once the game is over
+const gameFairnessSchema = new mongoose.Schema({
+  roomId: { type: String, unique: true, required: true },
+  serverSeedHash: { type: String, required: true },
+  serverSeed: { type: String }, // Only set after the game ends
+  clientSeed: { type: String },
+  rolls: [
+    {
+      _id: false,
+      nonce: { type: Number, required: true },
+      playerId: { type: String, required: true },
+      value: { type: Number, min: 1, max: 6, required: true },
+      rolledAt: { type: Date },
+    },
+  ],
+  revealedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("GameFairness", gameFairnessSchema);
@@ -17,6 +17,8 @@ const gameHistorySchema = new mongoose.Schema({
   stake: { type: Number, required: true },
   requiredPieces: { type: Number, required: true },
   players: { type: mongoose.Schema.Types.Mixed, required: true },
+  placings: { type: mongoose.Schema.Types.Mixed }, // Players ordered by finishing place
+  reason: { type: String }, // Why the game ended (win, turn_timeout, opponent_left, ...)
   status: { type: String, enum: Object.values(GameStatus), required: true },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
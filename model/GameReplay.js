@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Ordered event log of one game (rolls, moves, kills, turns, auto-moves,
+// timeouts, bot decisions) that a client can step through
+const gameReplaySchema = new mongoose.Schema({
+  roomId: { type: String, unique: true, required: true },
+  // { seq, type, at, ...details }; seq is the order, array order is not
+  events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("GameReplay", gameReplaySchema);
@@ -25,6 +25,8 @@ const gameRoomSchema = new mongoose.Schema({
   gameState: { type: mongoose.Schema.Types.ObjectId, ref: "GameState" },
   // Bot decision made at game creation time
   botsEnabled: { type: Boolean, default: false },
+  // Private rooms stay out of the lobby; players join with this code
+  inviteCode: { type: String, unique: true, sparse: true },
 });
 
 module.exports = mongoose.model("GameRoom", gameRoomSchema);
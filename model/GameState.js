@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 
+// Live state of a room, saved on every transition so a running game can be
+// rebuilt after a restart
 const gameStateSchema = new mongoose.Schema({
   roomId: { type: String, unique: true, required: true },
   pieces: { type: mongoose.Schema.Types.Mixed, required: true },
@@ -8,6 +10,30 @@ const gameStateSchema = new mongoose.Schema({
     ref: "GameRoom",
     required: true,
   },
+  currentTurn: { type: String },
+  dieStatus: { type: String },
+  lastRoll: { type: mongoose.Schema.Types.Mixed },
+  finishedPlayers: [{ type: String }],
+  eliminatedPlayers: [{ type: String }],
+  escrowId: { type: String },
+  eventSeq: { type: Number }, // Last replay event number, so numbering carries on
+  consecutiveSixes: { type: Number }, // For the triple-six house rule
+  fairness: { type: mongoose.Schema.Types.Mixed }, // Includes the unrevealed seed; never sent to clients
+  autoMoveCount: { type: mongoose.Schema.Types.Mixed }, // playerId -> count
+  turnClock: { type: mongoose.Schema.Types.Mixed }, // { turnMs, timeBankMs, maxStrikes }
+  timeBanks: { type: mongoose.Schema.Types.Mixed }, // playerId -> ms left
+  strikes: { type: mongoose.Schema.Types.Mixed }, // playerId -> missed turns
+  forfeits: { type: mongoose.Schema.Types.Mixed }, // playerId -> why they were knocked out
+  disconnectedPlayers: [
+    {
+      _id: false,
+      id: { type: String },
+      color: { type: String },
+      playerName: { type: String },
+      disconnectedAt: { type: Number },
+    },
+  ],
+  savedAt: { type: Date }, // Unset until the first transition is saved
 });
 
 module.exports = mongoose.model("GameState", gameStateSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const EntryType = {
+  OPENING_BALANCE: "OPENING_BALANCE",
+  DEPOSIT: "DEPOSIT",
+  WITHDRAW: "WITHDRAW",
+  WITHDRAW_APPROVED: "WITHDRAW_APPROVED",
+  WITHDRAW_REJECTED: "WITHDRAW_REJECTED",
+  GAME_STAKE: "GAME_STAKE",
+  GAME_WINNINGS: "GAME_WINNINGS",
+  GAME_REFUND: "GAME_REFUND",
+  ESCROW_CLOSE: "ESCROW_CLOSE", // Sweeps what's left of a settled pot to the house
+  TOURNAMENT_ENTRY: "TOURNAMENT_ENTRY",
+  TOURNAMENT_REFUND: "TOURNAMENT_REFUND",
+  TOURNAMENT_PRIZE: "TOURNAMENT_PRIZE",
+  TOURNAMENT_RAKE: "TOURNAMENT_RAKE", // House cut plus whatever no place claimed
+};
+
+// One side of a journal entry; exactly one of debit/credit is non-zero
+const ledgerLegSchema = new mongoose.Schema(
+  {
+    account: { type: String, required: true }, // e.g. user:<id>, escrow:<roomId>, house:rake
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// Double-entry journal: total debits always equal total credits
+const ledgerEntrySchema = new mongoose.Schema({
+  type: { type: String, enum: Object.values(EntryType), required: true },
+  legs: { type: [ledgerLegSchema], required: true },
+  description: { type: String },
+  roomId: { type: String },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  // Stops the same stake, payout or deposit being posted twice
+  idempotencyKey: { type: String, unique: true, sparse: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ledgerEntrySchema.index({ "legs.account": 1 });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
+module.exports.EntryType = EntryType;
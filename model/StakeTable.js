@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A lobby table set up by an admin. Rooms can only be opened with one of
+// the table's stakes and piece counts, and take the table's rake.
+const stakeTableSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  stakes: { type: [Number], required: true }, // Allowed stakes in ብር
+  pieceCounts: { type: [Number], default: [1, 2, 3, 4] }, // Allowed requiredPieces
+  // Share of each prize kept by the house, in percent
+  rakePercent: { type: Number, default: 10, min: 0, max: 50 },
+  botsAllowed: { type: Boolean, default: true },
+  // Level bots play at here; unset tables use the BOT_DIFFICULTY setting
+  botDifficulty: {
+    type: String,
+    enum: ["easy", "medium", "hard", null],
+    default: null,
+  },
+  sortOrder: { type: Number, default: 0 }, // Lower tables are listed first
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+stakeTableSchema.index({ isActive: 1, sortOrder: 1 });
+
+stakeTableSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model("StakeTable", stakeTableSchema);
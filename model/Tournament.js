@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const TournamentStatus = {
+  REGISTERING: "REGISTERING", // Open for entries until startsAt
+  RUNNING: "RUNNING", // Bracket drawn, matches being played
+  SETTLING: "SETTLING", // Bracket decided, prizes being paid
+  FINISHED: "FINISHED",
+  CANCELLING: "CANCELLING", // Entry fees being refunded
+  CANCELLED: "CANCELLED",
+};
+
+const MatchStatus = {
+  PENDING: "pending", // Waiting for the winners of earlier matches
+  OPEN: "open", // Room created for the two players
+  FINISHED: "finished",
+};
+
+// One game of the bracket. Slots are null until a player advances into them,
+// and stay null for a bye.
+const matchSchema = new mongoose.Schema(
+  {
+    round: { type: Number, required: true }, // 0 is the first round
+    index: { type: Number, required: true }, // Position within the round
+    // Two slots of { user, name }
+    players: { type: [mongoose.Schema.Types.Mixed], default: [null, null] },
+    roomId: { type: String },
+    inviteCode: { type: String },
+    status: {
+      type: String,
+      enum: Object.values(MatchStatus),
+      default: MatchStatus.PENDING,
+    },
+    winner: { type: String }, // User ID
+    reason: { type: String }, // win, bye, no_show, ...
+    deadline: { type: Date }, // Players who haven't sat down by then forfeit
+    finishedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const tournamentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String },
+  entryFee: { type: Number, required: true, min: 0 },
+  maxEntrants: { type: Number, required: true, min: 2, max: 64 },
+  startsAt: { type: Date, required: true },
+  requiredPieces: { type: Number, enum: [1, 2, 3, 4], default: 2 },
+  houseRules: { type: mongoose.Schema.Types.Mixed },
+  // Share of the pool kept by the house, in percent
+  rakePercent: { type: Number, default: 10, min: 0, max: 50 },
+  // Percent of the prize pool for each place, first place first
+  prizeTable: { type: [Number], default: [70, 30] },
+  status: {
+    type: String,
+    enum: Object.values(TournamentStatus),
+    default: TournamentStatus.REGISTERING,
+  },
+  entrants: [
+    {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: { type: String },
+      fee: { type: Number, required: true },
+      refunded: { type: Boolean, default: false },
+      registeredAt: { type: Date, default: Date.now },
+    },
+  ],
+  matches: [matchSchema],
+  // Filled in when settlement starts so a crash mid-payout can be resumed
+  pool: { type: Number },
+  rake: { type: Number },
+  placings: [
+    {
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: { type: String },
+      place: { type: Number, required: true },
+      prize: { type: Number, default: 0 },
+      paid: { type: Boolean, default: false },
+    },
+  ],
+  reason: { type: String }, // Why it was cancelled
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+tournamentSchema.index({ status: 1, startsAt: 1 });
+
+tournamentSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("Tournament", tournamentSchema);
+module.exports.TournamentStatus = TournamentStatus;
+module.exports.MatchStatus = MatchStatus;
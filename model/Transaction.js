@@ -5,6 +5,10 @@ const Type = {
   WITHDRAW: "WITHDRAW",
   GAME_STAKE: "GAME_STAKE",
   GAME_WINNINGS: "GAME_WINNINGS",
+  GAME_REFUND: "GAME_REFUND",
+  TOURNAMENT_ENTRY: "TOURNAMENT_ENTRY",
+  TOURNAMENT_REFUND: "TOURNAMENT_REFUND",
+  TOURNAMENT_PRIZE: "TOURNAMENT_PRIZE",
 };
 
 const Status = {
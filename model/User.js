@@ -19,6 +19,15 @@ const userSchema = new mongoose.Schema({
   wallet: { type: mongoose.Schema.Types.ObjectId, ref: "Wallet" },
   transactions: [{ type: mongoose.Schema.Types.ObjectId, ref: "Transaction" }],
   hostedGames: [{ type: mongoose.Schema.Types.ObjectId, ref: "GameRoom" }],
+  chatMutedUntil: { type: Date }, // Set by an admin to stop in-game chat
+  chatMuteReason: { type: String },
+  // Games lost by quitting, counted by how the player went out
+  forfeits: {
+    resigned: { type: Number, default: 0 },
+    left: { type: Number, default: 0 }, // Left the room mid-game
+    timedOut: { type: Number, default: 0 }, // Ran out of turn strikes
+    disconnected: { type: Number, default: 0 }, // Dropped until auto-moves ran out
+  },
 });
 
 userSchema.pre("save", function (next) {
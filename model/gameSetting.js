@@ -13,6 +13,9 @@ const gameSettingSchema = new mongoose.Schema(
         "MIN_STAKE",
         "MAX_STAKE",
         "BOTS_ENABLED",
+        "TURN_TIME_SECONDS",
+        "TIME_BANK_SECONDS",
+        "MAX_TURN_STRIKES",
       ],
     },
     settingValue: {
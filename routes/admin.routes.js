@@ -389,6 +389,61 @@ router.patch("/users/:userId/status", async (req, res) => {
   }
 });
 
+// Admin - Mute a user in game chat for some minutes, or unmute with 0
+router.patch("/users/:userId/chat-mute", async (req, res) => {
+  try {
+    const User = require("../model/User.js");
+    const { userId } = req.params;
+    const { minutes, reason } = req.body;
+
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "minutes must be a number of minutes, or 0 to unmute",
+      });
+    }
+
+    const update =
+      minutes > 0
+        ? {
+            chatMutedUntil: new Date(Date.now() + minutes * 60 * 1000),
+            chatMuteReason: reason,
+          }
+        : { $unset: { chatMutedUntil: 1, chatMuteReason: 1 } };
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { ...update, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: minutes > 0 ? "User muted in chat" : "User unmuted in chat",
+      user: {
+        _id: user._id,
+        username: user.username,
+        chatMutedUntil: user.chatMutedUntil,
+        chatMuteReason: user.chatMuteReason,
+      },
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error updating chat mute:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating chat mute",
+      error: error.message,
+    });
+  }
+});
+
 // Admin - Delete User
 router.delete("/users/:userId", async (req, res) => {
   try {
@@ -603,6 +658,69 @@ router.get("/games", async (req, res) => {
   }
 });
 
+// Admin - Full replay of a game, checked against the move rules
+router.get("/games/:roomId/replay", async (req, res) => {
+  try {
+    const { getReplay, validateReplay } = require("../socket/replay");
+    const replay = await getReplay(req.params.roomId);
+    if (!replay) {
+      return res.status(404).json({
+        success: false,
+        message: "Replay not found",
+      });
+    }
+
+    const validation = validateReplay(replay.events);
+    if (!validation.valid) {
+      console.warn(
+        `[Replay] Room ${replay.roomId} diverges from the rules in ${validation.divergences.length} places`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      replay,
+      validation,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error fetching game replay:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch game replay",
+      error: error.message,
+    });
+  }
+});
+
+// Admin - Chat messages and emotes of a game, unfiltered, for disputes
+router.get("/games/:roomId/chat", async (req, res) => {
+  try {
+    const { getReplay } = require("../socket/replay");
+    const replay = await getReplay(req.params.roomId);
+    if (!replay) {
+      return res.status(404).json({
+        success: false,
+        message: "Game not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      roomId: replay.roomId,
+      messages: replay.events.filter((e) => ["chat", "emote"].includes(e.type)),
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error fetching game chat:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch game chat",
+      error: error.message,
+    });
+  }
+});
+
 // Admin - Update Transaction Status
 router.patch("/transactions/:transactionId/status", async (req, res) => {
   try {
@@ -715,6 +833,368 @@ router.patch("/games/:gameId/status", async (req, res) => {
   }
 });
 
+// Admin - Reconcile wallet balances against the ledger
+router.get("/ledger/reconciliation", async (req, res) => {
+  try {
+    const { reconcile } = require("../services/ledger");
+    const report = await reconcile();
+
+    if (!report.healthy) {
+      console.warn(
+        `[Ledger] Reconciliation found ${report.driftCount} drifting wallets and ${report.unbalancedEntries.length} unbalanced entries`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      report,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error reconciling ledger:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reconciling ledger",
+      error: error.message,
+    });
+  }
+});
+
+// Admin - Open ledger accounts for wallets funded before the ledger existed
+router.post("/ledger/open-wallets", async (req, res) => {
+  try {
+    const { openExistingWallets } = require("../services/ledger");
+    const opened = await openExistingWallets();
+
+    res.status(200).json({
+      success: true,
+      message: `Opened ledger accounts for ${opened} wallets`,
+      opened,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error opening ledger accounts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error opening ledger accounts",
+      error: error.message,
+    });
+  }
+});
+
+// Service error codes for tournament changes, with the status to answer with
+const TOURNAMENT_ERROR_STATUS = {
+  INVALID_TOURNAMENT: 400,
+  INVALID_PRIZE_TABLE: 400,
+  INVALID_HOUSE_RULES: 400,
+  NOT_FOUND: 404,
+  TOURNAMENT_STARTED: 409,
+  HAS_ENTRANTS: 409,
+};
+
+// Admin - List tournaments, optionally by status
+router.get("/tournaments", async (req, res) => {
+  try {
+    const Tournament = require("../model/Tournament.js");
+    const { status } = req.query;
+
+    const tournaments = await Tournament.find(status ? { status } : {})
+      .sort({ startsAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      tournaments,
+      total: tournaments.length,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error fetching tournaments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tournaments",
+      error: error.message,
+    });
+  }
+});
+
+// Admin - Schedule a tournament
+router.post("/tournaments", async (req, res) => {
+  try {
+    const Tournament = require("../model/Tournament.js");
+    const { validateTournament } = require("../services/tournament");
+
+    const tournament = await Tournament.create({
+      ...validateTournament(req.body),
+      createdBy: req.user.id,
+    });
+    console.log(
+      `[Tournament] ${req.user.username} scheduled ${
+        tournament.name
+      } for ${tournament.startsAt.toISOString()}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Tournament scheduled",
+      tournament,
+    });
+  } catch (error) {
+    if (TOURNAMENT_ERROR_STATUS[error.code]) {
+      return res.status(TOURNAMENT_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error creating tournament:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating tournament",
+      error: error.message,
+    });
+  }
+});
+
+// Admin - A tournament with its entrants, bracket and payouts
+router.get("/tournaments/:tournamentId", async (req, res) => {
+  try {
+    const mongoose = require("mongoose");
+    const Tournament = require("../model/Tournament.js");
+    const { tournamentId } = req.params;
+
+    const tournament = mongoose.isValidObjectId(tournamentId)
+      ? await Tournament.findById(tournamentId).populate(
+          "entrants.user",
+          "username email"
+        )
+      : null;
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+
+    res.status(200).json({ success: true, tournament });
+  } catch (error) {
+    console.error("Error fetching tournament:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tournament",
+      error: error.message,
+    });
+  }
+});
+
+// Admin - Change a tournament that hasn't started
+router.patch("/tournaments/:tournamentId", async (req, res) => {
+  try {
+    const mongoose = require("mongoose");
+    const { updateTournament } = require("../services/tournament");
+    const { broadcastBracket } = require("../socket/tournaments");
+    const { tournamentId } = req.params;
+
+    if (!mongoose.isValidObjectId(tournamentId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+    const tournament = await updateTournament(tournamentId, req.body);
+    broadcastBracket(req.io, tournament);
+
+    res.status(200).json({
+      success: true,
+      message: "Tournament updated",
+      tournament,
+    });
+  } catch (error) {
+    if (TOURNAMENT_ERROR_STATUS[error.code]) {
+      return res.status(TOURNAMENT_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error updating tournament:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating tournament",
+      error: error.message,
+    });
+  }
+});
+
+// Admin - Cancel a tournament that hasn't started and refund every entrant
+router.delete("/tournaments/:tournamentId", async (req, res) => {
+  try {
+    const mongoose = require("mongoose");
+    const { cancelTournament } = require("../services/tournament");
+    const { broadcastBracket } = require("../socket/tournaments");
+    const { tournamentId } = req.params;
+
+    const tournament = mongoose.isValidObjectId(tournamentId)
+      ? await cancelTournament(
+          tournamentId,
+          req.body?.reason || "cancelled_by_admin"
+        )
+      : null;
+    if (!tournament) {
+      return res.status(409).json({
+        success: false,
+        message: "Only tournaments that haven't started can be cancelled",
+      });
+    }
+    broadcastBracket(req.io, tournament);
+
+    res.status(200).json({
+      success: true,
+      message: `Tournament cancelled and ${tournament.entrants.length} entrants refunded`,
+      tournament,
+    });
+  } catch (error) {
+    console.error("Error cancelling tournament:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling tournament",
+      error: error.message,
+    });
+  }
+});
+
+// Answer a stake table change that couldn't be made
+function sendStakeTableError(res, error, action) {
+  if (error.code === "INVALID_STAKE_TABLE") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A table with this name already exists",
+    });
+  }
+  console.error(`Error ${action} stake table:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Error ${action} stake table`,
+    error: error.message,
+  });
+}
+
+// Admin - List stake tables, closed ones included
+router.get("/stake-tables", async (req, res) => {
+  try {
+    const StakeTable = require("../model/StakeTable.js");
+    const { getTableLimits } = require("../services/stakeTables");
+
+    const tables = await StakeTable.find().sort({ sortOrder: 1, name: 1 });
+    res.status(200).json({
+      success: true,
+      tables,
+      limits: await getTableLimits(),
+    });
+  } catch (error) {
+    sendStakeTableError(res, error, "fetching");
+  }
+});
+
+// Admin - Open a stake table
+router.post("/stake-tables", async (req, res) => {
+  try {
+    const StakeTable = require("../model/StakeTable.js");
+    const {
+      validateStakeTable,
+      getTableLimits,
+    } = require("../services/stakeTables");
+
+    const table = await StakeTable.create({
+      ...validateStakeTable(req.body, { limits: await getTableLimits() }),
+      createdBy: req.user.id,
+    });
+    console.log(
+      `[StakeTable] ${req.user.username} opened ${
+        table.name
+      } (${table.stakes.join(", ")} ብር)`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Stake table created",
+      table,
+    });
+  } catch (error) {
+    sendStakeTableError(res, error, "creating");
+  }
+});
+
+// Admin - Change a stake table. Rooms already open keep their stake and rake.
+router.patch("/stake-tables/:tableId", async (req, res) => {
+  try {
+    const mongoose = require("mongoose");
+    const StakeTable = require("../model/StakeTable.js");
+    const {
+      validateStakeTable,
+      getTableLimits,
+    } = require("../services/stakeTables");
+    const { tableId } = req.params;
+
+    const fields = validateStakeTable(req.body, {
+      partial: true,
+      limits: await getTableLimits(),
+    });
+    const table = mongoose.isValidObjectId(tableId)
+      ? await StakeTable.findById(tableId)
+      : null;
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: "Stake table not found",
+      });
+    }
+    Object.assign(table, fields);
+    await table.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Stake table updated",
+      table,
+    });
+  } catch (error) {
+    sendStakeTableError(res, error, "updating");
+  }
+});
+
+// Admin - Close a stake table. It is kept for the games played at it;
+// waiting rooms at it can no longer be joined.
+router.delete("/stake-tables/:tableId", async (req, res) => {
+  try {
+    const mongoose = require("mongoose");
+    const StakeTable = require("../model/StakeTable.js");
+    const { tableId } = req.params;
+
+    const table = mongoose.isValidObjectId(tableId)
+      ? await StakeTable.findByIdAndUpdate(
+          tableId,
+          { $set: { isActive: false, updatedAt: new Date() } },
+          { new: true }
+        )
+      : null;
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: "Stake table not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stake table closed",
+      table,
+    });
+  } catch (error) {
+    sendStakeTableError(res, error, "closing");
+  }
+});
+
 // Admin - Get Current Admin Profile
 router.get("/profile", async (req, res) => {
   try {
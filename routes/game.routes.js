@@ -9,4 +9,16 @@ router.get("/", gameController.getAllGames);
 // Get game history for authenticated user
 router.get("/history", authenticateToken, gameController.getGameHistory);
 
+// Stake tables rooms can be opened at
+router.get("/tables", gameController.getStakeTables);
+
+// Games in progress that can be watched
+router.get("/live", gameController.getLiveGames);
+
+// Verify every dice roll of a finished game
+router.get("/:roomId/fairness", gameController.getGameFairness);
+
+// Move-by-move replay for the game's players
+router.get("/:roomId/replay", authenticateToken, gameController.getGameReplay);
+
 module.exports = router;
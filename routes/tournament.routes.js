@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const tournamentController = require("../controllers/tournament.controller.js");
+const { authenticateToken } = require("../middleware/authMiddleware");
+
+// Upcoming and running tournaments
+router.get("/", tournamentController.getTournaments);
+
+// A tournament and its bracket
+router.get("/:tournamentId", tournamentController.getTournament);
+
+// Enter a tournament, paying the entry fee
+router.post(
+  "/:tournamentId/register",
+  authenticateToken,
+  tournamentController.registerForTournament
+);
+
+// Leave before it starts and get the entry fee back
+router.post(
+  "/:tournamentId/withdraw",
+  authenticateToken,
+  tournamentController.withdrawFromTournament
+);
+
+module.exports = router;
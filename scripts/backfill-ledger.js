@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const {
+  openExistingWallets,
+  reconcile,
+  checkTransactionSupport,
+} = require("../services/ledger");
+require("dotenv").config();
+
+const backfillLedger = async () => {
+  try {
+    console.log("🔍 Opening ledger accounts for existing wallets...");
+
+    const opened = await openExistingWallets();
+    console.log(`✅ Opened ${opened} wallet accounts`);
+
+    const report = await reconcile();
+    console.log(
+      `📊 Checked ${report.walletsChecked} wallets, ${report.driftCount} drifting`
+    );
+    report.drifts.forEach((drift) => {
+      console.log(
+        `  - ${drift.username || drift.userId}: wallet ${
+          drift.walletBalance
+        }, ledger ${drift.ledgerBalance}`
+      );
+    });
+
+    return report;
+  } catch (error) {
+    console.error("❌ Error backfilling ledger:", error);
+    throw error;
+  }
+};
+
+// If this file is run directly, execute the function
+if (require.main === module) {
+  const connectDB = async () => {
+    try {
+      console.log("🔌 Attempting to connect to MongoDB...");
+
+      const mongoUri =
+        process.env.MONGO_URI ||
+        process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/ludo-king";
+
+      await mongoose.connect(mongoUri);
+      await checkTransactionSupport();
+
+      console.log("✅ Connected to MongoDB");
+      return true;
+    } catch (err) {
+      console.error("❌ Failed to connect:", err.message);
+      throw err;
+    }
+  };
+
+  connectDB()
+    .then(() => {
+      return backfillLedger();
+    })
+    .then(() => {
+      console.log("✅ Ledger backfill completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Ledger backfill failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillLedger };
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Self-play tuner for the hard bot's scoring weights
+ *
+ * Plays thousands of headless HardAI games (no database or sockets) and
+ * writes the best weights found to socket/bots/ai/weights.json, which
+ * HardAI loads at startup. Every written file gets the next version.
+ *
+ * Usage:
+ *   node scripts/tune-bot-weights.js [--generations 10] [--population 12]
+ *     [--games 200] [--seed 1] [--out file] [--force]
+ *
+ * The file is only replaced when the new weights beat the current ones on
+ * fresh games by more than two standard errors, unless --force is given.
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { TUNER_DEFAULTS, tuneWeights } = require("../socket/bots/ai/tuner");
+const {
+  HardAI,
+  TUNABLE_WEIGHTS,
+  WEIGHTS_FILE,
+  loadWeights,
+} = require("../socket/bots/ai/hard");
+
+const tuneBotWeights = (settings, { out = WEIGHTS_FILE, force = false }) => {
+  const current = loadWeights(out);
+  const hardAI = new HardAI();
+  const baseWeights = {};
+  for (const key of TUNABLE_WEIGHTS) {
+    baseWeights[key] = hardAI.rules[key];
+  }
+
+  const { generations, population, games } = settings;
+  console.log(
+    `🎲 Tuning against weights ${
+      current ? `v${current.version}` : "in the code"
+    }: ${generations} generations of ${population}, ${games} games each`
+  );
+
+  // GladiatorAI logs its bring-out penalties; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  let result;
+  try {
+    result = tuneWeights(baseWeights, {
+      ...settings,
+      onGeneration: ({ generation, winRate }) =>
+        log(`  Generation ${generation}: best ${(winRate * 100).toFixed(1)}%`),
+    });
+  } finally {
+    console.log = log;
+  }
+
+  const winRate = (result.winRate * 100).toFixed(1);
+  console.log(`📊 Best weights win ${winRate}% of fresh games`);
+  const margin = 2 * Math.sqrt(0.25 / result.games);
+  if (result.winRate <= 0.5 + margin && !force) {
+    console.log("⏭️ No better than the current weights, file left alone");
+    return null;
+  }
+
+  const file = {
+    version: (current?.version || 0) + 1,
+    createdAt: new Date().toISOString(),
+    tunedFrom: current?.version ?? null,
+    winRate: result.winRate,
+    settings: {
+      generations,
+      population,
+      games,
+      seed: settings.seed,
+      sigma: settings.sigma,
+      requiredPieces: settings.requiredPieces,
+    },
+    weights: result.weights,
+  };
+  fs.writeFileSync(out, `${JSON.stringify(file, null, 2)}\n`);
+  console.log(`✅ Wrote weights v${file.version} to ${out}`);
+  return file;
+};
+
+if (require.main === module) {
+  const { values: args } = parseArgs({
+    options: {
+      generations: { type: "string" },
+      population: { type: "string" },
+      games: { type: "string" },
+      seed: { type: "string" },
+      out: { type: "string", default: WEIGHTS_FILE },
+      force: { type: "boolean", default: false },
+    },
+  });
+
+  const settings = { ...TUNER_DEFAULTS };
+  for (const key of ["generations", "population", "games", "seed"]) {
+    if (args[key] === undefined) continue;
+    const value = Number(args[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      console.error(`❌ --${key} must be a whole number above 0`);
+      process.exit(1);
+    }
+    settings[key] = value;
+  }
+
+  try {
+    tuneBotWeights(settings, args);
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Tuning failed:", error);
+    process.exit(1);
+  }
+}
+
+module.exports = { tuneBotWeights };
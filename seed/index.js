@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const { seedAdmins } = require("./admin");
 const { seedBanks } = require("./banks");
+const { seedStakeTables } = require("./stakeTables");
 require("dotenv").config();
 
 // Connect to MongoDB
@@ -42,6 +43,10 @@ const seedAll = async () => {
     console.log("\n📝 Seeding banks...");
     await seedBanks();
 
+    // Seed stake tables
+    console.log("\n📝 Seeding stake tables...");
+    await seedStakeTables();
+
     console.log("\n🎉 All seeding completed successfully!");
   } catch (error) {
     console.error("💥 Seeding failed:", error);
@@ -65,4 +70,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { seedAll, seedAdmins, seedBanks };
+module.exports = { seedAll, seedAdmins, seedBanks, seedStakeTables };
@@ -0,0 +1,26 @@
+const StakeTable = require("../model/StakeTable");
+const { DEFAULT_STAKE_TABLES } = require("../services/stakeTables");
+
+// Open the default lobby tables on a fresh database. Existing tables are
+// left alone; finished games refer to them.
+const seedStakeTables = async () => {
+  try {
+    const existing = await StakeTable.countDocuments();
+    if (existing > 0) {
+      console.log(`⏭️ ${existing} stake tables already exist, skipping`);
+      return [];
+    }
+
+    const tables = await StakeTable.insertMany(DEFAULT_STAKE_TABLES);
+    console.log(
+      `✅ Seeded ${tables.length} stake tables:`,
+      tables.map((t) => `${t.name} (${t.stakes.join(", ")} ብር)`)
+    );
+    return tables;
+  } catch (error) {
+    console.error("❌ Error seeding stake tables:", error);
+    throw error;
+  }
+};
+
+module.exports = { seedStakeTables };
@@ -9,7 +9,30 @@ const io = setupSocketServer(server);
 // Make io available to the app
 app.set("io", io);
 
-connectDB();
+connectDB().then(async () => {
+  // Join the other instances, pick up games that were running before the
+  // restart, then settle or refund the stakes of any that nobody holds
+  const { roomRouter } = require("./socket/cluster");
+  const { rehydrateRooms } = require("./socket/persistence");
+  const { recoverEscrows } = require("./services/escrow");
+  try {
+    await roomRouter.start();
+    await rehydrateRooms(io, {
+      claimRoom: (roomId) => roomRouter.claim(roomId),
+      releaseRoom: (roomId) => roomRouter.release(roomId),
+    });
+    const createdBefore = await roomRouter.getRecoveryCutoff();
+    const activeRoomIds = await roomRouter.getLiveRoomIds();
+    await recoverEscrows({ activeRoomIds, createdBefore });
+  } catch (error) {
+    console.error("[Startup] Room recovery failed:", error);
+  }
+
+  // Finish interrupted tournament payouts, then start and advance
+  // tournaments on a timer
+  const { startTournamentScheduler } = require("./socket/tournaments");
+  await startTournamentScheduler(io);
+});
 
 // Initialize Telegram bot
 console.log("🤖 Initializing Telegram bot...");
@@ -0,0 +1,394 @@
+const Escrow = require("../model/Escrow");
+const GameRoom = require("../model/GameRoom");
+const GameHistory = require("../model/GameHistory");
+const Transaction = require("../model/Transaction");
+const Notification = require("../model/Notification");
+const {
+  ACCOUNTS,
+  EntryType,
+  runInTransaction,
+  postEntry,
+  getAccountBalances,
+} = require("./ledger");
+
+const { EscrowStatus } = Escrow;
+
+/**
+ * Open an escrow for a game and move every human stake into it. If any
+ * stake can't be collected the ones already taken are refunded and the
+ * game must not start.
+ * @param {string} roomId - Room ID
+ * @param {Array} players - Players in the room
+ * @param {number} stake - Stake per seat
+ * @returns {Promise<string|null>} Escrow ID to keep on the room, null for free games
+ */
+async function collectStakes(roomId, players, stake) {
+  if (!(stake > 0)) return null;
+
+  const { deductGameStake } = require("../controllers/wallet.controller");
+  const escrow = await Escrow.create({ roomId, stake });
+
+  for (const player of players) {
+    if (player.isBot || !player.userId) continue;
+    try {
+      await deductGameStake(
+        player.userId,
+        stake,
+        roomId,
+        "GAME_STAKE",
+        escrow._id
+      );
+      console.log(
+        `[Escrow] Held ${stake} ብር from ${player.name} (${player.userId}) for room ${roomId}`
+      );
+    } catch (error) {
+      console.error(
+        `[Escrow] Failed to collect stake from ${player.name} in room ${roomId}:`,
+        error
+      );
+      await refundEscrow(escrow._id, "stake_failed");
+      const stakeError = new Error(
+        `Could not collect the stake from ${player.name}: ${error.message}`
+      );
+      stakeError.code = "STAKE_FAILED";
+      throw stakeError;
+    }
+  }
+
+  return escrow._id.toString();
+}
+
+/**
+ * Move whatever is left in the room's escrow account to the house once the
+ * payouts are made. The pot includes bot seats, so the balance can be
+ * negative (the house covered a bot's stake) or positive (a bot won).
+ * @param {Object} escrow - Escrow document
+ */
+async function closeEscrowAccount(escrow) {
+  const account = ACCOUNTS.escrow(escrow.roomId);
+  const balance =
+    (await getAccountBalances({ "legs.account": account })).get(account) || 0;
+  if (balance === 0) return;
+
+  const legs =
+    balance > 0
+      ? [
+          { account, debit: balance },
+          { account: ACCOUNTS.HOUSE_RAKE, credit: balance },
+        ]
+      : [
+          { account: ACCOUNTS.HOUSE_RAKE, debit: -balance },
+          { account, credit: -balance },
+        ];
+
+  try {
+    await runInTransaction((session) =>
+      postEntry(
+        {
+          type: EntryType.ESCROW_CLOSE,
+          description: `Close escrow for room ${escrow.roomId}`,
+          roomId: escrow.roomId,
+          idempotencyKey: `close:${escrow._id}`,
+          legs,
+        },
+        session
+      )
+    );
+  } catch (error) {
+    if (error.code !== "DUPLICATE_ENTRY") throw error;
+  }
+}
+
+/**
+ * Pay every outstanding payout of an escrow that is being settled. Each
+ * payout carries its own idempotency key, so running this again after a
+ * crash only pays what's missing.
+ * @param {Object} escrow - Escrow document in SETTLING status
+ * @returns {Promise<Object>} Settled escrow
+ */
+async function completeSettlement(escrow) {
+  const { addGameWinnings } = require("../controllers/wallet.controller");
+
+  for (const payout of escrow.payouts) {
+    if (payout.paid) continue;
+
+    const update = { "payouts.$.paid": true };
+    try {
+      const result = await addGameWinnings(
+        payout.user,
+        escrow.stake,
+        escrow.roomId,
+        false,
+        "GAME_WINNINGS",
+        {
+          playerCount: escrow.playerCount,
+          place: payout.place,
+          payoutPlaces: escrow.payoutPlaces,
+          rakePercent: escrow.rakePercent,
+          escrowId: escrow._id,
+        }
+      );
+      update["payouts.$.amount"] = result.winnings;
+      console.log(
+        `[Escrow] Paid place ${payout.place} (${result.winnings} ብር) for room ${escrow.roomId}`
+      );
+    } catch (error) {
+      // Already paid before the process went down
+      if (error.code !== "DUPLICATE_ENTRY") throw error;
+    }
+
+    await Escrow.updateOne(
+      { _id: escrow._id, "payouts.place": payout.place },
+      { $set: update }
+    );
+  }
+
+  await closeEscrowAccount(escrow);
+
+  return Escrow.findByIdAndUpdate(
+    escrow._id,
+    {
+      $set: {
+        status: EscrowStatus.SETTLED,
+        settledAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Settle a game's escrow from its final placings. Only the first call for
+ * an escrow claims it; later calls return null.
+ * @param {string} escrowId - Escrow ID
+ * @param {Object} result - { placings, playerCount, payoutPlaces,
+ * rakePercent } where rakePercent is the room's table rake, if it has one
+ * @returns {Promise<Object|null>} Settled escrow or null if already claimed
+ */
+async function settleEscrow(
+  escrowId,
+  { placings, playerCount, payoutPlaces, rakePercent }
+) {
+  // Bot places are not paid; their share stays in the pot for the house
+  const payouts = placings
+    .slice(0, payoutPlaces)
+    .filter((player) => !player.isBot && player.userId)
+    .map((player) => ({ user: player.userId, place: player.place }));
+
+  const escrow = await Escrow.findOneAndUpdate(
+    { _id: escrowId, status: EscrowStatus.HELD },
+    {
+      $set: {
+        status: EscrowStatus.SETTLING,
+        settlementKey: `settle:${escrowId}`,
+        playerCount,
+        payoutPlaces,
+        rakePercent,
+        payouts,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!escrow) {
+    console.log(`[Escrow] Escrow ${escrowId} was already settled or refunded`);
+    return null;
+  }
+
+  return completeSettlement(escrow);
+}
+
+/**
+ * Return every stake still in an escrow that is being refunded
+ * @param {Object} escrow - Escrow document in REFUNDING status
+ * @returns {Promise<Object>} Refunded escrow
+ */
+async function completeRefund(escrow) {
+  for (const stake of escrow.stakes) {
+    if (stake.refunded) continue;
+
+    const userId = stake.user.toString();
+    let transaction;
+    try {
+      transaction = await runInTransaction(async (session) => {
+        const transaction = new Transaction({
+          amount: stake.amount,
+          type: "GAME_REFUND",
+          status: "COMPLETED",
+          description: `Stake refunded for room ${escrow.roomId}`,
+          user: userId,
+        });
+        await transaction.save({ session });
+
+        await postEntry(
+          {
+            type: EntryType.GAME_REFUND,
+            description: transaction.description,
+            roomId: escrow.roomId,
+            transaction: transaction._id,
+            idempotencyKey: `refund:${escrow._id}:${userId}`,
+            legs: [
+              {
+                account: ACCOUNTS.escrow(escrow.roomId),
+                debit: stake.amount,
+              },
+              { account: ACCOUNTS.user(userId), credit: stake.amount },
+            ],
+          },
+          session
+        );
+        return transaction;
+      });
+    } catch (error) {
+      // Already refunded before the process went down
+      if (error.code !== "DUPLICATE_ENTRY") throw error;
+    }
+
+    await Escrow.updateOne(
+      { _id: escrow._id, "stakes.user": stake.user },
+      { $set: { "stakes.$.refunded": true } }
+    );
+
+    if (transaction) {
+      await Notification.create({
+        user: userId,
+        message: `Your stake of ${stake.amount} ብር for room ${escrow.roomId} was refunded`,
+        type: "INFO",
+      });
+      console.log(
+        `[Escrow] Refunded ${stake.amount} ብር to ${userId} for room ${escrow.roomId}`
+      );
+    }
+  }
+
+  return Escrow.findByIdAndUpdate(
+    escrow._id,
+    {
+      $set: {
+        status: EscrowStatus.REFUNDED,
+        settledAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Give every stake back, e.g. when a game is abandoned before a result.
+ * Only the first call for an escrow claims it; later calls return null.
+ * @param {string} escrowId - Escrow ID
+ * @param {string} reason - Why the game was called off
+ * @returns {Promise<Object|null>} Refunded escrow or null if already claimed
+ */
+async function refundEscrow(escrowId, reason) {
+  const escrow = await Escrow.findOneAndUpdate(
+    { _id: escrowId, status: EscrowStatus.HELD },
+    {
+      $set: {
+        status: EscrowStatus.REFUNDING,
+        settlementKey: `refund:${escrowId}`,
+        reason,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!escrow) {
+    console.log(`[Escrow] Escrow ${escrowId} was already settled or refunded`);
+    return null;
+  }
+
+  console.log(`[Escrow] Refunding room ${escrow.roomId} (${reason})`);
+  return completeRefund(escrow);
+}
+
+/**
+ * Startup recovery, run after rooms are restored. Any other escrow still
+ * open belongs to a game that died with the previous process. Interrupted
+ * settlements and refunds are finished; held escrows are settled if the game
+ * had already ended, otherwise refunded.
+ * @param {Object} options - { activeRoomIds } rooms restored or still held
+ * by another instance; their escrows are left alone. { createdBefore } only
+ * escrows and rooms older than this are touched, as newer ones may belong to
+ * a game another instance opened after activeRoomIds was read.
+ * @returns {Promise<Object>} Counts of resumed, settled and refunded escrows
+ */
+async function recoverEscrows({
+  activeRoomIds = [],
+  createdBefore = new Date(),
+} = {}) {
+  const summary = { resumed: 0, settled: 0, refunded: 0, failed: 0 };
+  const unclaimed = {
+    roomId: { $nin: activeRoomIds },
+    createdAt: { $lt: createdBefore },
+  };
+
+  const interrupted = await Escrow.find({
+    status: { $in: [EscrowStatus.SETTLING, EscrowStatus.REFUNDING] },
+    ...unclaimed,
+  });
+  for (const escrow of interrupted) {
+    try {
+      if (escrow.status === EscrowStatus.SETTLING) {
+        await completeSettlement(escrow);
+      } else {
+        await completeRefund(escrow);
+      }
+      summary.resumed++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`[Escrow] Error resuming escrow ${escrow._id}:`, error);
+    }
+  }
+
+  const held = await Escrow.find({ status: EscrowStatus.HELD, ...unclaimed });
+  for (const escrow of held) {
+    try {
+      const gameRoom = await GameRoom.findOne({ roomId: escrow.roomId });
+      const history =
+        gameRoom?.gameStatus === "finished"
+          ? await GameHistory.findOne({
+              roomId: escrow.roomId,
+              createdAt: { $gte: escrow.createdAt },
+            })
+          : null;
+
+      if (history?.placings?.length) {
+        // The game ended but the process died before paying out
+        await settleEscrow(escrow._id, {
+          placings: history.placings,
+          playerCount: history.players.length,
+          payoutPlaces: gameRoom.gameSettings?.payoutPlaces || 1,
+          rakePercent: gameRoom.gameSettings?.rakePercent,
+        });
+        summary.settled++;
+      } else {
+        await refundEscrow(escrow._id, "server_restart");
+        summary.refunded++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`[Escrow] Error recovering escrow ${escrow._id}:`, error);
+    }
+  }
+
+  // Those games can't be resumed, so stop listing them as in progress
+  await GameRoom.updateMany(
+    { gameStatus: "playing", ...unclaimed },
+    { $set: { gameStatus: "finished" } }
+  );
+
+  console.log(
+    `[Escrow] Recovery finished: ${summary.resumed} resumed, ${summary.settled} settled, ${summary.refunded} refunded, ${summary.failed} failed`
+  );
+  return summary;
+}
+
+module.exports = {
+  collectStakes,
+  settleEscrow,
+  refundEscrow,
+  recoverEscrows,
+};
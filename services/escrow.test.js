@@ -0,0 +1,356 @@
+jest.mock("../model/Escrow");
+jest.mock("../model/GameRoom");
+jest.mock("../model/GameHistory");
+jest.mock("../model/Transaction");
+jest.mock("../model/Notification");
+jest.mock("../controllers/wallet.controller", () => ({
+  deductGameStake: jest.fn(),
+  addGameWinnings: jest.fn(),
+}));
+jest.mock("./ledger", () => ({
+  ...jest.requireActual("./ledger"),
+  runInTransaction: jest.fn(),
+  postEntry: jest.fn(),
+  getAccountBalances: jest.fn(),
+}));
+
+const { EscrowStatus } = require("../model/Escrow");
+
+describe("Escrow", () => {
+  const duplicate = () => {
+    const error = new Error("Ledger entry was already posted");
+    error.code = "DUPLICATE_ENTRY";
+    return error;
+  };
+
+  const placings = [
+    { userId: "u1", place: 1 },
+    { userId: "u2", place: 2 },
+  ];
+
+  const settlingEscrow = (payouts) => ({
+    _id: "esc1",
+    roomId: "room1",
+    stake: 10,
+    status: EscrowStatus.SETTLING,
+    playerCount: 2,
+    payoutPlaces: 1,
+    payouts,
+  });
+
+  const refundingEscrow = (stakes) => ({
+    _id: "esc1",
+    roomId: "room1",
+    stake: 10,
+    status: EscrowStatus.REFUNDING,
+    stakes,
+  });
+
+  let Escrow;
+  let GameRoom;
+  let GameHistory;
+  let Notification;
+  let deductGameStake;
+  let addGameWinnings;
+  let ledger;
+  let collectStakes;
+  let settleEscrow;
+  let refundEscrow;
+  let recoverEscrows;
+
+  beforeEach(() => {
+    // escrow.js requires the wallet controller lazily, so load everything
+    // from the registry the test runs against
+    Escrow = require("../model/Escrow");
+    GameRoom = require("../model/GameRoom");
+    GameHistory = require("../model/GameHistory");
+    Notification = require("../model/Notification");
+    ({
+      deductGameStake,
+      addGameWinnings,
+    } = require("../controllers/wallet.controller"));
+    ledger = require("./ledger");
+    ({
+      collectStakes,
+      settleEscrow,
+      refundEscrow,
+      recoverEscrows,
+    } = require("./escrow"));
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    ledger.runInTransaction.mockImplementation((work) => work({}));
+    ledger.postEntry.mockResolvedValue({});
+    ledger.getAccountBalances.mockResolvedValue(new Map());
+    addGameWinnings.mockResolvedValue({ winnings: 18 });
+    Escrow.updateOne.mockResolvedValue({});
+    Escrow.findByIdAndUpdate.mockImplementation(async (id, update) => ({
+      _id: id,
+      ...update.$set,
+    }));
+  });
+
+  describe("settleEscrow", () => {
+    test("should claim the escrow and pay each human place once", async () => {
+      Escrow.findOneAndUpdate.mockResolvedValue(
+        settlingEscrow([{ user: "u1", place: 1 }])
+      );
+
+      const settled = await settleEscrow("esc1", {
+        placings: [{ name: "Bot", place: 1, isBot: true }, ...placings],
+        playerCount: 3,
+        payoutPlaces: 2,
+      });
+
+      // Only an escrow still held can be claimed, and bot places aren't paid
+      expect(Escrow.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "esc1", status: EscrowStatus.HELD },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: EscrowStatus.SETTLING,
+            settlementKey: "settle:esc1",
+            payouts: [{ user: "u1", place: 1 }],
+          }),
+        }),
+        { new: true }
+      );
+      expect(addGameWinnings).toHaveBeenCalledTimes(1);
+      expect(Escrow.updateOne).toHaveBeenCalledWith(
+        { _id: "esc1", "payouts.place": 1 },
+        { $set: { "payouts.$.paid": true, "payouts.$.amount": 18 } }
+      );
+      expect(settled.status).toBe(EscrowStatus.SETTLED);
+    });
+
+    test("should sweep what's left of the pot to the house", async () => {
+      Escrow.findOneAndUpdate.mockResolvedValue(
+        settlingEscrow([{ user: "u1", place: 1 }])
+      );
+      ledger.getAccountBalances.mockResolvedValue(
+        new Map([["escrow:room1", 2]])
+      );
+
+      await settleEscrow("esc1", { placings, playerCount: 2, payoutPlaces: 1 });
+
+      expect(ledger.postEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          idempotencyKey: "close:esc1",
+          legs: [
+            { account: "escrow:room1", debit: 2 },
+            { account: "house:rake", credit: 2 },
+          ],
+        }),
+        expect.anything()
+      );
+    });
+
+    test("should do nothing once the escrow was settled or refunded", async () => {
+      Escrow.findOneAndUpdate.mockResolvedValue(null);
+
+      const settled = await settleEscrow("esc1", {
+        placings,
+        playerCount: 2,
+        payoutPlaces: 1,
+      });
+
+      expect(settled).toBeNull();
+      expect(addGameWinnings).not.toHaveBeenCalled();
+      expect(Escrow.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("refundEscrow", () => {
+    test("should return every stake not yet refunded", async () => {
+      Escrow.findOneAndUpdate.mockResolvedValue(
+        refundingEscrow([
+          { user: "u1", amount: 10 },
+          { user: "u2", amount: 10, refunded: true },
+        ])
+      );
+
+      const refunded = await refundEscrow("esc1", "abandoned");
+
+      expect(ledger.postEntry).toHaveBeenCalledTimes(1);
+      expect(ledger.postEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ idempotencyKey: "refund:esc1:u1" }),
+        expect.anything()
+      );
+      expect(Escrow.updateOne).toHaveBeenCalledWith(
+        { _id: "esc1", "stakes.user": "u1" },
+        { $set: { "stakes.$.refunded": true } }
+      );
+      expect(Notification.create).toHaveBeenCalledTimes(1);
+      expect(refunded.status).toBe(EscrowStatus.REFUNDED);
+    });
+
+    test("should do nothing once the escrow was settled or refunded", async () => {
+      Escrow.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await refundEscrow("esc1", "abandoned")).toBeNull();
+      expect(ledger.postEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("collectStakes", () => {
+    test("should refund the stakes already taken when one can't be collected", async () => {
+      Escrow.create.mockResolvedValue({ _id: "esc1" });
+      Escrow.findOneAndUpdate.mockResolvedValue(
+        refundingEscrow([{ user: "u1", amount: 10 }])
+      );
+      deductGameStake
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error("Insufficient balance"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      await expect(
+        collectStakes(
+          "room1",
+          [
+            { name: "Abebe", userId: "u1" },
+            { name: "Sara", userId: "u2" },
+          ],
+          10
+        )
+      ).rejects.toMatchObject({ code: "STAKE_FAILED" });
+      expect(Escrow.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "esc1", status: EscrowStatus.HELD },
+        expect.objectContaining({
+          $set: expect.objectContaining({ reason: "stake_failed" }),
+        }),
+        { new: true }
+      );
+      expect(ledger.postEntry).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("recoverEscrows", () => {
+    beforeEach(() => {
+      GameRoom.updateMany.mockResolvedValue({});
+    });
+
+    test("should finish a settlement that crashed between payouts", async () => {
+      Escrow.find
+        .mockResolvedValueOnce([
+          settlingEscrow([
+            { user: "u1", place: 1, paid: true },
+            { user: "u2", place: 2 },
+          ]),
+        ])
+        .mockResolvedValueOnce([]);
+      // The second payout was posted, but the crash came before it was marked
+      addGameWinnings.mockRejectedValue(duplicate());
+
+      const summary = await recoverEscrows();
+
+      expect(addGameWinnings).toHaveBeenCalledTimes(1);
+      expect(addGameWinnings.mock.calls[0][0]).toBe("u2");
+      expect(Escrow.updateOne).toHaveBeenCalledWith(
+        { _id: "esc1", "payouts.place": 2 },
+        { $set: { "payouts.$.paid": true } }
+      );
+      expect(summary).toMatchObject({ resumed: 1, failed: 0 });
+    });
+
+    test("should finish a refund without notifying a player twice", async () => {
+      Escrow.find
+        .mockResolvedValueOnce([
+          refundingEscrow([
+            { user: "u1", amount: 10 },
+            { user: "u2", amount: 10 },
+          ]),
+        ])
+        .mockResolvedValueOnce([]);
+      // u1 was refunded before the crash
+      ledger.postEntry.mockRejectedValueOnce(duplicate());
+
+      const summary = await recoverEscrows();
+
+      expect(Escrow.updateOne).toHaveBeenCalledTimes(2);
+      expect(Notification.create).toHaveBeenCalledTimes(1);
+      expect(Notification.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user: "u2" })
+      );
+      expect(summary).toMatchObject({ resumed: 1, failed: 0 });
+    });
+
+    test("should settle a finished game at its table's rake", async () => {
+      Escrow.find
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ _id: "esc2", roomId: "room2" }]);
+      GameRoom.findOne.mockResolvedValue({
+        gameStatus: "finished",
+        gameSettings: { payoutPlaces: 1, rakePercent: 8 },
+      });
+      GameHistory.findOne.mockResolvedValue({ placings, players: placings });
+      Escrow.findOneAndUpdate.mockResolvedValue(
+        settlingEscrow([{ user: "u1", place: 1 }])
+      );
+
+      const summary = await recoverEscrows();
+
+      expect(Escrow.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "esc2", status: EscrowStatus.HELD },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            playerCount: 2,
+            payoutPlaces: 1,
+            rakePercent: 8,
+          }),
+        }),
+        { new: true }
+      );
+      expect(summary).toMatchObject({ settled: 1, failed: 0 });
+    });
+
+    test("should refund a held escrow whose game never finished", async () => {
+      Escrow.find
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ _id: "esc2", roomId: "room2" }]);
+      GameRoom.findOne.mockResolvedValue({ gameStatus: "playing" });
+      Escrow.findOneAndUpdate.mockResolvedValue(
+        refundingEscrow([{ user: "u1", amount: 10 }])
+      );
+
+      const summary = await recoverEscrows({ activeRoomIds: ["room3"] });
+
+      expect(Escrow.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: EscrowStatus.HELD,
+          roomId: { $nin: ["room3"] },
+        })
+      );
+      expect(Escrow.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "esc2", status: EscrowStatus.HELD },
+        expect.objectContaining({
+          $set: expect.objectContaining({ reason: "server_restart" }),
+        }),
+        { new: true }
+      );
+      expect(summary).toMatchObject({ refunded: 1, failed: 0 });
+    });
+
+    test("should leave escrows and rooms opened since startup alone", async () => {
+      const createdBefore = new Date("2026-01-01T00:00:00Z");
+      Escrow.find.mockResolvedValue([]);
+
+      await recoverEscrows({ activeRoomIds: ["room3"], createdBefore });
+
+      // Another instance may have opened them after the live rooms were read
+      const unclaimed = {
+        roomId: { $nin: ["room3"] },
+        createdAt: { $lt: createdBefore },
+      };
+      expect(Escrow.find).toHaveBeenCalledWith({
+        status: { $in: [EscrowStatus.SETTLING, EscrowStatus.REFUNDING] },
+        ...unclaimed,
+      });
+      expect(Escrow.find).toHaveBeenCalledWith({
+        status: EscrowStatus.HELD,
+        ...unclaimed,
+      });
+      expect(GameRoom.updateMany).toHaveBeenCalledWith(
+        { gameStatus: "playing", ...unclaimed },
+        { $set: { gameStatus: "finished" } }
+      );
+    });
+  });
+});
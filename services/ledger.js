@@ -0,0 +1,342 @@
+const mongoose = require("mongoose");
+const Wallet = require("../model/Wallet");
+const LedgerEntry = require("../model/LedgerEntry");
+
+// Ledger accounts. User accounts mirror Wallet.balance; the rest are
+// internal so every movement of money has a source and a destination.
+const ACCOUNTS = {
+  user: (userId) => `user:${userId}`,
+  escrow: (roomId) => `escrow:${roomId}`,
+  tournament: (tournamentId) => `tournament:${tournamentId}`,
+  HOUSE_RAKE: "house:rake",
+  CASH: "external:cash", // Money held with payment providers
+  PENDING_WITHDRAWALS: "external:pending-withdrawals",
+  OPENING_BALANCES: "equity:opening-balances",
+};
+
+const USER_ACCOUNT_PREFIX = "user:";
+const TOLERANCE = 0.005; // Half a cent
+
+// Keep amounts at whole cents so floating point noise never shows up as drift
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const legAmount = (leg) => roundAmount((leg.credit || 0) - (leg.debit || 0));
+
+/**
+ * Run work inside a MongoDB transaction so the wallet update, journal entry
+ * and Transaction record commit or roll back together
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Whatever work returns
+ */
+async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Fail fast when the database can't run transactions. A standalone mongod
+ * rejects them, so every wallet operation would fail at runtime; a replica
+ * set (a single-node one is enough) or a sharded cluster is required.
+ * @returns {Promise<void>}
+ */
+async function checkTransactionSupport() {
+  const admin = mongoose.connection.db.admin();
+  // hello replaced isMaster in MongoDB 4.4.2
+  const hello = await admin
+    .command({ hello: 1 })
+    .catch(() => admin.command({ isMaster: 1 }));
+  if (!hello.setName && hello.msg !== "isdbgrid") {
+    const error = new Error(
+      "MongoDB is running standalone; the wallet ledger needs transactions, so connect to a replica set (e.g. ?replicaSet=rs0) or a sharded cluster"
+    );
+    error.code = "TRANSACTIONS_UNSUPPORTED";
+    throw error;
+  }
+}
+
+/**
+ * Check that an entry's legs balance and are well formed
+ * @param {Array} legs - [{ account, debit, credit }]
+ * @returns {Array} Legs with amounts rounded to cents
+ */
+function validateLegs(legs) {
+  if (!Array.isArray(legs) || legs.length < 2) {
+    throw new Error("A ledger entry needs at least two legs");
+  }
+
+  const rounded = legs.map((leg) => ({
+    account: leg.account,
+    debit: roundAmount(leg.debit || 0),
+    credit: roundAmount(leg.credit || 0),
+  }));
+
+  for (const leg of rounded) {
+    if (!leg.account) {
+      throw new Error("Ledger leg is missing an account");
+    }
+    const hasDebit = leg.debit > 0;
+    const hasCredit = leg.credit > 0;
+    if (leg.debit < 0 || leg.credit < 0 || hasDebit === hasCredit) {
+      throw new Error(`Ledger leg for ${leg.account} must debit or credit`);
+    }
+  }
+
+  const debits = rounded.reduce((sum, leg) => sum + leg.debit, 0);
+  const credits = rounded.reduce((sum, leg) => sum + leg.credit, 0);
+  if (Math.abs(debits - credits) > TOLERANCE) {
+    throw new Error(
+      `Unbalanced ledger entry: debits ${debits} != credits ${credits}`
+    );
+  }
+
+  return rounded;
+}
+
+/**
+ * Apply a user leg to the matching wallet with a conditional $inc, so a
+ * debit can never take a balance below zero even under concurrent requests
+ * @param {Object} leg - Ledger leg on a user account
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Object>} Updated wallet
+ */
+async function applyToWallet(leg, session) {
+  const userId = leg.account.slice(USER_ACCOUNT_PREFIX.length);
+  const delta = legAmount(leg);
+
+  if (delta < 0) {
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId, balance: { $gte: -delta } },
+      { $inc: { balance: delta }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!wallet) {
+      const error = new Error("Insufficient balance");
+      error.code = "INSUFFICIENT_BALANCE";
+      throw error;
+    }
+    return wallet;
+  }
+
+  // Credits create the wallet if the user never had one
+  return Wallet.findOneAndUpdate(
+    { user: userId },
+    { $inc: { balance: delta }, $set: { updatedAt: new Date() } },
+    { new: true, upsert: true, session }
+  );
+}
+
+const duplicateEntryError = (idempotencyKey) => {
+  const error = new Error(`Ledger entry ${idempotencyKey} was already posted`);
+  error.code = "DUPLICATE_ENTRY";
+  return error;
+};
+
+/**
+ * Post a journal entry and move the affected wallet balances with it.
+ * Must be called inside runInTransaction.
+ * @param {Object} entry - { type, legs, description, roomId, transaction, idempotencyKey }
+ * @param {Object} session - Mongo session
+ * @param {Object} options - { adjustWallets } set false to record without touching wallets
+ * @returns {Promise<Object>} { entry, wallets } where wallets maps userId to the updated wallet
+ */
+async function postEntry(entry, session, { adjustWallets = true } = {}) {
+  const legs = validateLegs(entry.legs);
+
+  if (entry.idempotencyKey) {
+    const existing = await LedgerEntry.findOne({
+      idempotencyKey: entry.idempotencyKey,
+    }).session(session);
+    if (existing) throw duplicateEntryError(entry.idempotencyKey);
+  }
+
+  const wallets = {};
+  if (adjustWallets) {
+    for (const leg of legs) {
+      if (!leg.account.startsWith(USER_ACCOUNT_PREFIX)) continue;
+      const wallet = await applyToWallet(leg, session);
+      wallets[wallet.user.toString()] = wallet;
+    }
+  }
+
+  const ledgerEntry = new LedgerEntry({ ...entry, legs });
+  try {
+    await ledgerEntry.save({ session });
+  } catch (error) {
+    // A concurrent post of the same key got past the findOne above
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      throw duplicateEntryError(entry.idempotencyKey);
+    }
+    throw error;
+  }
+
+  return { entry: ledgerEntry, wallets };
+}
+
+/**
+ * Balance of every ledger account (credits minus debits)
+ * @param {Object} match - Optional filter on legs.account
+ * @returns {Promise<Map>} account -> balance
+ */
+async function getAccountBalances(match = {}) {
+  const rows = await LedgerEntry.aggregate([
+    { $unwind: "$legs" },
+    { $match: match },
+    {
+      $group: {
+        _id: "$legs.account",
+        debits: { $sum: "$legs.debit" },
+        credits: { $sum: "$legs.credit" },
+      },
+    },
+  ]);
+  return new Map(
+    rows.map((row) => [row._id, roundAmount(row.credits - row.debits)])
+  );
+}
+
+/**
+ * Record existing wallet balances as opening entries so wallets funded
+ * before the ledger existed reconcile. Wallets that already have ledger
+ * history are skipped.
+ * @returns {Promise<number>} Number of wallets opened
+ */
+async function openExistingWallets() {
+  const balances = await getAccountBalances({
+    "legs.account": { $regex: `^${USER_ACCOUNT_PREFIX}` },
+  });
+  const wallets = await Wallet.find({ balance: { $gt: 0 } }).lean();
+
+  let opened = 0;
+  for (const wallet of wallets) {
+    const account = ACCOUNTS.user(wallet.user);
+    if (balances.has(account)) continue;
+
+    await runInTransaction((session) =>
+      postEntry(
+        {
+          type: LedgerEntry.EntryType.OPENING_BALANCE,
+          description: "Balance carried over from before the ledger",
+          idempotencyKey: `opening:${wallet.user}`,
+          legs: [
+            { account: ACCOUNTS.OPENING_BALANCES, debit: wallet.balance },
+            { account, credit: wallet.balance },
+          ],
+        },
+        session,
+        { adjustWallets: false }
+      )
+    );
+    opened++;
+  }
+  return opened;
+}
+
+/**
+ * Compare every wallet with its ledger account and check that the journal
+ * itself balances
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcile() {
+  const balances = await getAccountBalances();
+  const wallets = await Wallet.find().populate("user", "username").lean();
+
+  const drifts = [];
+  const seenAccounts = new Set();
+  for (const wallet of wallets) {
+    const userId = wallet.user?._id || wallet.user;
+    const account = ACCOUNTS.user(userId);
+    seenAccounts.add(account);
+
+    const ledgerBalance = balances.get(account) || 0;
+    const drift = roundAmount(wallet.balance - ledgerBalance);
+    if (Math.abs(drift) > TOLERANCE) {
+      drifts.push({
+        userId,
+        username: wallet.user?.username,
+        walletBalance: wallet.balance,
+        ledgerBalance,
+        drift,
+      });
+    }
+  }
+
+  // Ledger money owed to users who have no wallet at all
+  for (const [account, balance] of balances) {
+    if (
+      account.startsWith(USER_ACCOUNT_PREFIX) &&
+      !seenAccounts.has(account) &&
+      Math.abs(balance) > TOLERANCE
+    ) {
+      drifts.push({
+        userId: account.slice(USER_ACCOUNT_PREFIX.length),
+        walletBalance: null,
+        ledgerBalance: balance,
+        drift: -balance,
+      });
+    }
+  }
+
+  const unbalancedEntries = await LedgerEntry.aggregate([
+    {
+      $project: {
+        type: 1,
+        idempotencyKey: 1,
+        createdAt: 1,
+        debits: { $sum: "$legs.debit" },
+        credits: { $sum: "$legs.credit" },
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $gt: [{ $abs: { $subtract: ["$debits", "$credits"] } }, TOLERANCE],
+        },
+      },
+    },
+  ]);
+
+  const sumAccounts = (prefix) =>
+    roundAmount(
+      [...balances]
+        .filter(([account]) => account.startsWith(prefix))
+        .reduce((sum, [, balance]) => sum + balance, 0)
+    );
+
+  return {
+    checkedAt: new Date(),
+    walletsChecked: wallets.length,
+    driftCount: drifts.length,
+    drifts,
+    unbalancedEntries,
+    totals: {
+      userBalances: sumAccounts(USER_ACCOUNT_PREFIX),
+      escrow: sumAccounts("escrow:"),
+      tournaments: sumAccounts("tournament:"),
+      houseRake: balances.get(ACCOUNTS.HOUSE_RAKE) || 0,
+      pendingWithdrawals: balances.get(ACCOUNTS.PENDING_WITHDRAWALS) || 0,
+      cash: balances.get(ACCOUNTS.CASH) || 0,
+    },
+    healthy: drifts.length === 0 && unbalancedEntries.length === 0,
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  EntryType: LedgerEntry.EntryType,
+  roundAmount,
+  runInTransaction,
+  checkTransactionSupport,
+  validateLegs,
+  postEntry,
+  getAccountBalances,
+  openExistingWallets,
+  reconcile,
+};
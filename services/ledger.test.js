@@ -0,0 +1,149 @@
+jest.mock("../model/Wallet");
+jest.mock("../model/LedgerEntry");
+
+const LedgerEntry = require("../model/LedgerEntry");
+const { ACCOUNTS, validateLegs, postEntry } = require("./ledger");
+
+describe("Ledger", () => {
+  describe("validateLegs", () => {
+    test("should accept a balanced entry", () => {
+      const legs = validateLegs([
+        { account: ACCOUNTS.user("u1"), debit: 10 },
+        { account: ACCOUNTS.escrow("room1"), credit: 10 },
+      ]);
+
+      expect(legs).toEqual([
+        { account: "user:u1", debit: 10, credit: 0 },
+        { account: "escrow:room1", debit: 0, credit: 10 },
+      ]);
+    });
+
+    test("should reject an unbalanced entry", () => {
+      expect(() =>
+        validateLegs([
+          { account: ACCOUNTS.escrow("room1"), debit: 20 },
+          { account: ACCOUNTS.user("u1"), credit: 18 },
+        ])
+      ).toThrow("Unbalanced ledger entry: debits 20 != credits 18");
+    });
+
+    test("should reject a leg that both debits and credits", () => {
+      expect(() =>
+        validateLegs([
+          { account: ACCOUNTS.user("u1"), debit: 5, credit: 5 },
+          { account: ACCOUNTS.HOUSE_RAKE, credit: 0 },
+        ])
+      ).toThrow("Ledger leg for user:u1 must debit or credit");
+    });
+
+    test("should reject a leg that moves nothing or goes negative", () => {
+      expect(() =>
+        validateLegs([
+          { account: ACCOUNTS.user("u1"), debit: 0 },
+          { account: ACCOUNTS.HOUSE_RAKE, credit: 0 },
+        ])
+      ).toThrow("must debit or credit");
+      expect(() =>
+        validateLegs([
+          { account: ACCOUNTS.user("u1"), debit: -5 },
+          { account: ACCOUNTS.HOUSE_RAKE, credit: -5 },
+        ])
+      ).toThrow("must debit or credit");
+    });
+
+    test("should reject entries with fewer than two legs or no account", () => {
+      expect(() => validateLegs([{ account: "user:u1", debit: 1 }])).toThrow(
+        "at least two legs"
+      );
+      expect(() => validateLegs(null)).toThrow("at least two legs");
+      expect(() =>
+        validateLegs([{ debit: 1 }, { account: "user:u1", credit: 1 }])
+      ).toThrow("missing an account");
+    });
+
+    test("should round amounts to cents before balancing", () => {
+      // 0.1 + 0.2 is 0.30000000000000004 before rounding
+      const legs = validateLegs([
+        { account: ACCOUNTS.escrow("room1"), debit: 0.1 + 0.2 },
+        { account: ACCOUNTS.user("u1"), credit: 0.3 },
+      ]);
+      expect(legs[0].debit).toBe(0.3);
+
+      // Sub-cent noise is dropped, so the legs balance after rounding
+      const split = validateLegs([
+        { account: ACCOUNTS.escrow("room1"), debit: 10.004 },
+        { account: ACCOUNTS.user("u1"), credit: 3.331 },
+        { account: ACCOUNTS.user("u2"), credit: 3.334 },
+        { account: ACCOUNTS.HOUSE_RAKE, credit: 3.3361 },
+      ]);
+      expect(split.map((leg) => leg.debit + leg.credit)).toEqual([
+        10, 3.33, 3.33, 3.34,
+      ]);
+
+      // A whole cent out is real drift
+      expect(() =>
+        validateLegs([
+          { account: ACCOUNTS.escrow("room1"), debit: 10.01 },
+          { account: ACCOUNTS.user("u1"), credit: 10 },
+        ])
+      ).toThrow("Unbalanced ledger entry");
+    });
+  });
+
+  describe("postEntry idempotency", () => {
+    const session = {};
+    const entry = {
+      type: "GAME_REFUND",
+      idempotencyKey: "refund:room1:u1",
+      legs: [
+        { account: ACCOUNTS.escrow("room1"), debit: 10 },
+        { account: ACCOUNTS.HOUSE_RAKE, credit: 10 },
+      ],
+    };
+
+    beforeEach(() => {
+      LedgerEntry.findOne.mockReturnValue({ session: async () => null });
+    });
+
+    test("should post an entry whose key is new", async () => {
+      LedgerEntry.prototype.save.mockResolvedValue();
+
+      const result = await postEntry(entry, session);
+
+      expect(result.entry).toBeInstanceOf(LedgerEntry);
+      expect(LedgerEntry.prototype.save).toHaveBeenCalledWith({ session });
+    });
+
+    test("should refuse a key that was already posted", async () => {
+      LedgerEntry.findOne.mockReturnValue({
+        session: async () => ({ idempotencyKey: entry.idempotencyKey }),
+      });
+
+      await expect(postEntry(entry, session)).rejects.toMatchObject({
+        code: "DUPLICATE_ENTRY",
+      });
+      expect(LedgerEntry.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test("should report a concurrent insert of the same key as a duplicate", async () => {
+      const conflict = new Error("E11000 duplicate key error");
+      conflict.code = 11000;
+      conflict.keyPattern = { idempotencyKey: 1 };
+      LedgerEntry.prototype.save.mockRejectedValue(conflict);
+
+      await expect(postEntry(entry, session)).rejects.toMatchObject({
+        code: "DUPLICATE_ENTRY",
+        message: "Ledger entry refund:room1:u1 was already posted",
+      });
+    });
+
+    test("should pass other write errors through", async () => {
+      const conflict = new Error("E11000 duplicate key error");
+      conflict.code = 11000;
+      conflict.keyPattern = { _id: 1 };
+      LedgerEntry.prototype.save.mockRejectedValue(conflict);
+
+      await expect(postEntry(entry, session)).rejects.toBe(conflict);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const StakeTable = require("../model/StakeTable");
+const GameSetting = require("../model/gameSetting");
+const { isValidDifficulty } = require("../socket/bots/config");
+
+// Fields an admin can set on a table
+const EDITABLE_FIELDS = [
+  "name",
+  "stakes",
+  "pieceCounts",
+  "rakePercent",
+  "botsAllowed",
+  "botDifficulty",
+  "sortOrder",
+  "isActive",
+];
+
+// Tables created by the seed script on a fresh database
+const DEFAULT_STAKE_TABLES = [
+  { name: "Bronze", stakes: [10, 20, 50], sortOrder: 0 },
+  { name: "Silver", stakes: [100, 200], sortOrder: 1 },
+  { name: "Gold", stakes: [500, 1000], rakePercent: 8, sortOrder: 2 },
+];
+
+function tableError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Global limits every table and room has to stay within
+ * @returns {Promise<Object>} { minStake, maxStake, maxPlayers }
+ */
+async function getTableLimits() {
+  const [minStake, maxStake, maxPlayers] = await Promise.all([
+    GameSetting.getSetting("MIN_STAKE", 10),
+    GameSetting.getSetting("MAX_STAKE", 1000),
+    GameSetting.getSetting("MAX_PLAYERS", 4),
+  ]);
+  return {
+    minStake: Number(minStake),
+    maxStake: Number(maxStake),
+    maxPlayers: Number(maxPlayers),
+  };
+}
+
+/**
+ * Check table settings sent by an admin
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial } to only check the fields present,
+ * { limits } from getTableLimits
+ * @returns {Object} Settings to save
+ * @throws {Error} INVALID_STAKE_TABLE describing the first bad field
+ */
+function validateStakeTable(input, { partial = false, limits } = {}) {
+  const invalid = (message) => tableError("INVALID_STAKE_TABLE", message);
+  const has = (field) => input[field] !== undefined;
+  const fields = {};
+
+  for (const field of Object.keys(input)) {
+    if (!EDITABLE_FIELDS.includes(field)) {
+      throw invalid(`Unknown field: ${field}`);
+    }
+  }
+  if (!partial) {
+    for (const field of ["name", "stakes"]) {
+      if (!has(field)) throw invalid(`${field} is required`);
+    }
+  }
+
+  if (has("name")) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      throw invalid("Name can't be empty");
+    }
+    fields.name = input.name.trim();
+  }
+  if (has("stakes")) {
+    const { minStake, maxStake } = limits;
+    if (
+      !Array.isArray(input.stakes) ||
+      input.stakes.length === 0 ||
+      !input.stakes.every(
+        (stake) =>
+          Number.isInteger(stake) && stake >= minStake && stake <= maxStake
+      )
+    ) {
+      throw invalid(
+        `Stakes must be whole numbers from ${minStake} to ${maxStake} ብር`
+      );
+    }
+    fields.stakes = [...new Set(input.stakes)].sort((a, b) => a - b);
+  }
+  if (has("pieceCounts")) {
+    if (
+      !Array.isArray(input.pieceCounts) ||
+      input.pieceCounts.length === 0 ||
+      !input.pieceCounts.every((count) => [1, 2, 3, 4].includes(count))
+    ) {
+      throw invalid("Piece counts must be 1 to 4");
+    }
+    fields.pieceCounts = [...new Set(input.pieceCounts)].sort((a, b) => a - b);
+  }
+  if (has("rakePercent")) {
+    if (
+      !Number.isFinite(input.rakePercent) ||
+      input.rakePercent < 0 ||
+      input.rakePercent > 50
+    ) {
+      throw invalid("Rake must be between 0 and 50 percent");
+    }
+    fields.rakePercent = input.rakePercent;
+  }
+  for (const field of ["botsAllowed", "isActive"]) {
+    if (has(field)) {
+      if (typeof input[field] !== "boolean") {
+        throw invalid(`${field} must be true or false`);
+      }
+      fields[field] = input[field];
+    }
+  }
+  if (has("botDifficulty")) {
+    if (
+      input.botDifficulty !== null &&
+      !isValidDifficulty(input.botDifficulty)
+    ) {
+      throw invalid("Bot difficulty must be easy, medium, hard or null");
+    }
+    fields.botDifficulty = input.botDifficulty;
+  }
+  if (has("sortOrder")) {
+    if (!Number.isInteger(input.sortOrder)) {
+      throw invalid("Sort order must be a whole number");
+    }
+    fields.sortOrder = input.sortOrder;
+  }
+
+  return fields;
+}
+
+/**
+ * Tables players can open rooms at, in lobby order
+ * @returns {Promise<Array>} Lean StakeTable documents
+ */
+async function getActiveTables() {
+  return StakeTable.find({ isActive: true })
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+}
+
+/**
+ * What players see of a table
+ * @param {Object} table - StakeTable document
+ * @returns {Object} { id, name, stakes, pieceCounts, rakePercent, botsAllowed }
+ */
+function describeTable(table) {
+  return {
+    id: table._id.toString(),
+    name: table.name,
+    stakes: table.stakes,
+    pieceCounts: table.pieceCounts,
+    rakePercent: table.rakePercent,
+    botsAllowed: table.botsAllowed,
+  };
+}
+
+const allows = (table, { stake, requiredPieces }) =>
+  table.stakes.includes(stake) && table.pieceCounts.includes(requiredPieces);
+
+/**
+ * Find the table a new room belongs to. With a tableId the room must fit
+ * that table; otherwise the first table allowing the stake and piece count
+ * is used.
+ * @param {Object} settings - { tableId, stake, requiredPieces, maxPlayers }
+ * @returns {Promise<Object>} Lean StakeTable document
+ * @throws {Error} TABLE_NOT_ALLOWED saying what doesn't fit
+ */
+async function resolveTable({ tableId, stake, requiredPieces, maxPlayers }) {
+  const notAllowed = (message) => tableError("TABLE_NOT_ALLOWED", message);
+  const limits = await getTableLimits();
+  if (maxPlayers > limits.maxPlayers) {
+    throw notAllowed(`Rooms can have at most ${limits.maxPlayers} players`);
+  }
+  if (
+    !Number.isInteger(stake) ||
+    stake < limits.minStake ||
+    stake > limits.maxStake
+  ) {
+    throw notAllowed(
+      `Stakes must be whole numbers from ${limits.minStake} to ${limits.maxStake} ብር`
+    );
+  }
+
+  const tables = await getActiveTables();
+  if (tableId) {
+    const table = tables.find((t) => t._id.toString() === String(tableId));
+    if (!table) throw notAllowed("That table isn't open");
+    if (!allows(table, { stake, requiredPieces })) {
+      const stakes = table.stakes.join(", ");
+      const pieces = table.pieceCounts.join(", ");
+      throw notAllowed(
+        `The ${table.name} table plays for ${stakes} ብር with ${pieces} pieces`
+      );
+    }
+    return table;
+  }
+
+  const table = tables.find((t) => allows(t, { stake, requiredPieces }));
+  if (!table) {
+    throw notAllowed(
+      `No table plays for ${stake} ብር with ${requiredPieces} pieces`
+    );
+  }
+  return table;
+}
+
+/**
+ * Check a waiting room can still be joined: its table may have been closed
+ * or changed since the room was opened. Rooms outside the lobby (tournament
+ * and older rooms) have no table and always pass.
+ * @param {Object} gameSettings - Room settings
+ * @throws {Error} TABLE_NOT_ALLOWED if the table no longer takes the room
+ */
+async function checkTableOpen(gameSettings) {
+  if (!gameSettings?.tableId) return;
+  const table = await StakeTable.findById(gameSettings.tableId).lean();
+  if (!table?.isActive || !allows(table, gameSettings)) {
+    throw tableError(
+      "TABLE_NOT_ALLOWED",
+      "This room's table has closed or no longer plays for this stake"
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_STAKE_TABLES,
+  getTableLimits,
+  validateStakeTable,
+  getActiveTables,
+  describeTable,
+  resolveTable,
+  checkTableOpen,
+};
@@ -0,0 +1,90 @@
+jest.mock("../model/StakeTable");
+jest.mock("../model/gameSetting");
+
+const { validateStakeTable } = require("./stakeTables");
+
+describe("Stake tables", () => {
+  describe("validateStakeTable", () => {
+    const limits = { minStake: 10, maxStake: 1000, maxPlayers: 4 };
+
+    const expectInvalid = (input, message, options = {}) => {
+      let error;
+      try {
+        validateStakeTable(input, { limits, ...options });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toMatchObject({ code: "INVALID_STAKE_TABLE" });
+      expect(error.message).toContain(message);
+    };
+
+    test("should clean up a new table", () => {
+      const fields = validateStakeTable(
+        {
+          name: "  Silver ",
+          stakes: [200, 100, 200],
+          pieceCounts: [4, 2, 2],
+          rakePercent: 7.5,
+          botsAllowed: false,
+          botDifficulty: "hard",
+          sortOrder: 1,
+        },
+        { limits }
+      );
+
+      expect(fields).toEqual({
+        name: "Silver",
+        stakes: [100, 200],
+        pieceCounts: [2, 4],
+        rakePercent: 7.5,
+        botsAllowed: false,
+        botDifficulty: "hard",
+        sortOrder: 1,
+      });
+    });
+
+    test("should need a name and stakes unless it's an update", () => {
+      expectInvalid({ stakes: [10] }, "name is required");
+      expectInvalid({ name: "Bronze" }, "stakes is required");
+
+      expect(
+        validateStakeTable({ isActive: false }, { partial: true, limits })
+      ).toEqual({ isActive: false });
+    });
+
+    test("should reject fields an admin can't set", () => {
+      expectInvalid(
+        { name: "Bronze", stakes: [10], _id: "x" },
+        "Unknown field: _id"
+      );
+    });
+
+    test("should keep stakes whole and within the global limits", () => {
+      expectInvalid({ name: "Bronze", stakes: [] }, "from 10 to 1000");
+      expectInvalid({ name: "Bronze", stakes: [5] }, "from 10 to 1000");
+      expectInvalid({ name: "Bronze", stakes: [2000] }, "from 10 to 1000");
+      expectInvalid({ name: "Bronze", stakes: [10.5] }, "from 10 to 1000");
+      expectInvalid({ name: "Bronze", stakes: "10" }, "from 10 to 1000");
+    });
+
+    test("should reject bad piece counts, rake and flags", () => {
+      const update = (input, message) =>
+        expectInvalid(input, message, { partial: true });
+
+      update({ name: "   " }, "Name can't be empty");
+      update({ pieceCounts: [0, 5] }, "Piece counts must be 1 to 4");
+      update({ rakePercent: -1 }, "Rake must be between 0 and 50");
+      update({ rakePercent: 51 }, "Rake must be between 0 and 50");
+      update({ rakePercent: "5" }, "Rake must be between 0 and 50");
+      update({ botsAllowed: "yes" }, "botsAllowed must be true or false");
+      update({ botDifficulty: "expert" }, "Bot difficulty must be");
+      update({ sortOrder: 1.5 }, "Sort order must be a whole number");
+    });
+
+    test("should let a table fall back to the default bot difficulty", () => {
+      expect(
+        validateStakeTable({ botDifficulty: null }, { partial: true, limits })
+      ).toEqual({ botDifficulty: null });
+    });
+  });
+});
@@ -2,6 +2,8 @@ const { Telegraf, Markup } = require("telegraf");
 const path = require("path");
 const axios = require("axios");
 const TelegramUser = require("../model/TelegramUser");
+const GameRoom = require("../model/GameRoom");
+const { getMaxPlayers } = require("../socket/utils");
 
 const botToken = process.env.TELEGRAM_BOT_TOKEN;
 
@@ -15,6 +17,44 @@ const bot = new Telegraf(botToken);
 console.log(`🤖 Telegram Bot initialized with internal database calls`);
 console.log(`🔑 Bot token configured: ${botToken.substring(0, 10)}...`);
 
+const LUDO_APP_URL = "https://play.ludo.ethiobingo.net";
+const INVITE_PREFIX = "join_";
+
+// Deep link that opens the bot with /start join_<code>
+function getInviteLink(inviteCode) {
+  const username = bot.botInfo?.username || process.env.TELEGRAM_BOT_USERNAME;
+  return `https://t.me/${username}?start=${INVITE_PREFIX}${inviteCode}`;
+}
+
+// Answer /start join_<code> with a button that opens the private room
+async function replyWithInvite(ctx, inviteCode) {
+  const room = await GameRoom.findOne({
+    inviteCode,
+    gameStatus: "waiting",
+  }).lean();
+  if (!room) {
+    await ctx.reply("❌ This invite has expired or the game already started.");
+    return;
+  }
+
+  const host = room.players?.[0]?.name || "A friend";
+  await ctx.reply(
+    `🎲 ${host} invited you to a private Ludo game!\n\n` +
+      `💰 Stake: ${room.gameSettings.stake} ብር\n` +
+      `👥 Players: ${room.players.length}/${getMaxPlayers(room.gameSettings)}`,
+    {
+      reply_markup: Markup.inlineKeyboard([
+        [
+          Markup.button.webApp(
+            "🎮 Join game",
+            `${LUDO_APP_URL}?invite=${encodeURIComponent(inviteCode)}`
+          ),
+        ],
+      ]).reply_markup,
+    }
+  );
+}
+
 // Internal broadcast function that can be used by other parts of the application
 async function broadcastToTelegramUsers(message, type = "INFO") {
   try {
@@ -155,6 +195,16 @@ bot.start(async (ctx) => {
     // Register user when they use /start command
     await registerTelegramUser(ctx);
 
+    // Invite links skip the welcome and go straight to the room
+    const payload = ctx.startPayload || "";
+    if (payload.startsWith(INVITE_PREFIX)) {
+      await replyWithInvite(
+        ctx,
+        payload.slice(INVITE_PREFIX.length).toUpperCase()
+      );
+      return;
+    }
+
     // Get user data from context
     const user = ctx.from;
 
@@ -341,8 +391,9 @@ process.once("SIGTERM", () => bot.stop("SIGTERM"));
 
 console.log("✅ Telegram bot started!");
 
-// Export both the bot instance and the broadcast function
+// Export the bot instance, the broadcast function and invite links
 module.exports = {
   bot,
   broadcastToTelegramUsers,
+  getInviteLink,
 };
@@ -0,0 +1,602 @@
+const mongoose = require("mongoose");
+const Tournament = require("../model/Tournament");
+const Transaction = require("../model/Transaction");
+const Notification = require("../model/Notification");
+const {
+  ACCOUNTS,
+  EntryType,
+  runInTransaction,
+  postEntry,
+  getAccountBalances,
+} = require("./ledger");
+const { validatePrizeTable, getPrizes } = require("../socket/bracket");
+const { validateHouseRules } = require("../socket/rules");
+
+const { TournamentStatus } = Tournament;
+
+// Settings an admin can change, and whether they are locked once someone
+// has paid the entry fee
+const EDITABLE_FIELDS = {
+  name: false,
+  description: false,
+  startsAt: false,
+  maxEntrants: false,
+  entryFee: true,
+  requiredPieces: true,
+  houseRules: true,
+  rakePercent: true,
+  prizeTable: true,
+};
+
+function tournamentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check tournament settings sent by an admin
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial } to only check the fields present
+ * @returns {Object} Settings to save
+ * @throws {Error} INVALID_TOURNAMENT describing the first bad field
+ */
+function validateTournament(input, { partial = false } = {}) {
+  const invalid = (message) => tournamentError("INVALID_TOURNAMENT", message);
+  const has = (field) => input[field] !== undefined;
+  const fields = {};
+
+  for (const field of Object.keys(input)) {
+    if (!(field in EDITABLE_FIELDS)) throw invalid(`Unknown field: ${field}`);
+  }
+  if (!partial) {
+    for (const field of ["name", "entryFee", "maxEntrants", "startsAt"]) {
+      if (!has(field)) throw invalid(`${field} is required`);
+    }
+  }
+
+  if (has("name")) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      throw invalid("Name can't be empty");
+    }
+    fields.name = input.name.trim();
+  }
+  if (has("description")) fields.description = String(input.description);
+  if (has("entryFee")) {
+    if (!Number.isFinite(input.entryFee) || input.entryFee < 0) {
+      throw invalid("Entry fee must be zero or more");
+    }
+    fields.entryFee = input.entryFee;
+  }
+  if (has("maxEntrants")) {
+    if (
+      !Number.isInteger(input.maxEntrants) ||
+      input.maxEntrants < 2 ||
+      input.maxEntrants > 64
+    ) {
+      throw invalid("Tournaments take 2 to 64 entrants");
+    }
+    fields.maxEntrants = input.maxEntrants;
+  }
+  if (has("startsAt")) {
+    const startsAt = new Date(input.startsAt);
+    if (isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+      throw invalid("Start time must be in the future");
+    }
+    fields.startsAt = startsAt;
+  }
+  if (has("requiredPieces")) {
+    if (![1, 2, 3, 4].includes(input.requiredPieces)) {
+      throw invalid("Required pieces must be 1 to 4");
+    }
+    fields.requiredPieces = input.requiredPieces;
+  }
+  if (has("houseRules")) {
+    fields.houseRules = validateHouseRules(input.houseRules);
+  }
+  if (has("rakePercent")) {
+    if (
+      !Number.isFinite(input.rakePercent) ||
+      input.rakePercent < 0 ||
+      input.rakePercent > 50
+    ) {
+      throw invalid("Rake must be between 0 and 50 percent");
+    }
+    fields.rakePercent = input.rakePercent;
+  }
+  if (has("prizeTable")) {
+    fields.prizeTable = validatePrizeTable(input.prizeTable);
+  }
+
+  return fields;
+}
+
+/**
+ * Change a tournament that hasn't started. Money settings are locked once
+ * anyone has registered.
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>} Updated tournament
+ */
+async function updateTournament(tournamentId, input) {
+  const fields = validateTournament(input, { partial: true });
+  const tournament = await Tournament.findById(tournamentId);
+  if (!tournament) {
+    throw tournamentError("NOT_FOUND", "Tournament not found");
+  }
+  if (tournament.status !== TournamentStatus.REGISTERING) {
+    throw tournamentError(
+      "TOURNAMENT_STARTED",
+      "Only tournaments that haven't started can be changed"
+    );
+  }
+  if (tournament.entrants.length > 0) {
+    const locked = Object.keys(fields).find((field) => EDITABLE_FIELDS[field]);
+    if (locked) {
+      throw tournamentError(
+        "HAS_ENTRANTS",
+        `${locked} can't change once players have registered`
+      );
+    }
+    if (fields.maxEntrants < tournament.entrants.length) {
+      throw tournamentError(
+        "HAS_ENTRANTS",
+        `${tournament.entrants.length} players are already registered`
+      );
+    }
+  }
+
+  Object.assign(tournament, fields);
+  return tournament.save();
+}
+
+/**
+ * Move money between a player and the tournament pool, with the matching
+ * Transaction record
+ * @param {Object} session - Mongo session
+ * @param {Object} tournament - Tournament document
+ * @param {Object} movement - { userId, amount, type, key, toPool }
+ * @returns {Promise<Object>} Transaction
+ */
+async function postPoolEntry(session, tournament, movement) {
+  const { userId, amount, type, key, toPool } = movement;
+  const descriptions = {
+    TOURNAMENT_ENTRY: `Entry fee for tournament ${tournament.name}`,
+    TOURNAMENT_REFUND: `Entry fee refunded for tournament ${tournament.name}`,
+    TOURNAMENT_PRIZE: `Prize from tournament ${tournament.name}`,
+  };
+
+  const transaction = new Transaction({
+    amount,
+    type,
+    status: "COMPLETED",
+    description: descriptions[type],
+    user: userId,
+  });
+  await transaction.save({ session });
+
+  const user = { account: ACCOUNTS.user(userId) };
+  const pool = { account: ACCOUNTS.tournament(tournament._id) };
+  await postEntry(
+    {
+      type: EntryType[type],
+      description: transaction.description,
+      transaction: transaction._id,
+      idempotencyKey: key,
+      legs: toPool
+        ? [
+            { ...user, debit: amount },
+            { ...pool, credit: amount },
+          ]
+        : [
+            { ...pool, debit: amount },
+            { ...user, credit: amount },
+          ],
+    },
+    session
+  );
+  return transaction;
+}
+
+/**
+ * Register a player and take the entry fee from their wallet. The seat and
+ * the fee are taken in one transaction, so a failed payment frees the seat.
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} user - { id, username }
+ * @returns {Promise<Object>} Updated tournament
+ */
+async function registerEntrant(tournamentId, user) {
+  const tournament = await Tournament.findById(tournamentId);
+  if (!tournament) {
+    throw tournamentError("NOT_FOUND", "Tournament not found");
+  }
+  if (
+    tournament.status !== TournamentStatus.REGISTERING ||
+    tournament.startsAt <= new Date()
+  ) {
+    throw tournamentError(
+      "REGISTRATION_CLOSED",
+      "Registration for this tournament is closed"
+    );
+  }
+  if (tournament.entrants.some((e) => String(e.user) === String(user.id))) {
+    throw tournamentError(
+      "ALREADY_REGISTERED",
+      "You are already registered for this tournament"
+    );
+  }
+  if (tournament.entrants.length >= tournament.maxEntrants) {
+    throw tournamentError("TOURNAMENT_FULL", "This tournament is full");
+  }
+
+  const entrantId = new mongoose.Types.ObjectId();
+  const fee = tournament.entryFee;
+  let updated;
+  try {
+    updated = await runInTransaction(async (session) => {
+      // Re-check everything in the update itself so two last-seat
+      // registrations can't both get in
+      const updated = await Tournament.findOneAndUpdate(
+        {
+          _id: tournament._id,
+          status: TournamentStatus.REGISTERING,
+          startsAt: { $gt: new Date() },
+          entryFee: fee,
+          "entrants.user": { $ne: user.id },
+          $expr: { $lt: [{ $size: "$entrants" }, "$maxEntrants"] },
+        },
+        {
+          $push: {
+            entrants: {
+              _id: entrantId,
+              user: user.id,
+              name: user.username,
+              fee,
+            },
+          },
+          $set: { updatedAt: new Date() },
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw tournamentError(
+          "REGISTRATION_CLOSED",
+          "Registration changed while you were joining, please try again"
+        );
+      }
+
+      if (fee > 0) {
+        await postPoolEntry(session, tournament, {
+          userId: user.id,
+          amount: fee,
+          type: "TOURNAMENT_ENTRY",
+          key: `tournament-entry:${entrantId}`,
+          toPool: true,
+        });
+      }
+      return updated;
+    });
+  } catch (error) {
+    if (error.code === "INSUFFICIENT_BALANCE") {
+      throw tournamentError(
+        "INSUFFICIENT_BALANCE",
+        `You need ${fee} ብር to enter this tournament`
+      );
+    }
+    throw error;
+  }
+
+  await Notification.create({
+    user: user.id,
+    message: `You are registered for ${tournament.name}${
+      fee > 0 ? `. Entry fee of ${fee} ብር paid` : ""
+    }`,
+    type: "INFO",
+  });
+  console.log(
+    `[Tournament] ${user.username} registered for ${tournament.name} (${tournament._id})`
+  );
+  return updated;
+}
+
+/**
+ * Give an entrant's fee back and mark them refunded
+ * @param {Object} tournament - Tournament document
+ * @param {Object} entrant - Entrant subdocument
+ * @param {Object} session - Mongo session
+ */
+async function refundEntrant(tournament, entrant, session) {
+  if (entrant.fee > 0) {
+    await postPoolEntry(session, tournament, {
+      userId: entrant.user.toString(),
+      amount: entrant.fee,
+      type: "TOURNAMENT_REFUND",
+      key: `tournament-refund:${entrant._id}`,
+      toPool: false,
+    });
+  }
+}
+
+/**
+ * Take a player off a tournament that hasn't started and refund their fee
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} userId - Player leaving
+ * @returns {Promise<Object>} Updated tournament
+ */
+async function withdrawEntrant(tournamentId, userId) {
+  const result = await runInTransaction(async (session) => {
+    const before = await Tournament.findOneAndUpdate(
+      {
+        _id: tournamentId,
+        status: TournamentStatus.REGISTERING,
+        startsAt: { $gt: new Date() },
+        "entrants.user": userId,
+      },
+      {
+        $pull: { entrants: { user: userId } },
+        $set: { updatedAt: new Date() },
+      },
+      { new: false, session }
+    );
+    if (!before) return null;
+
+    const entrant = before.entrants.find(
+      (e) => String(e.user) === String(userId)
+    );
+    await refundEntrant(before, entrant, session);
+    return { tournament: before, entrant };
+  });
+  if (!result) {
+    throw tournamentError(
+      "CANNOT_WITHDRAW",
+      "You can only withdraw from a tournament you joined that hasn't started"
+    );
+  }
+
+  const { tournament, entrant } = result;
+  await Notification.create({
+    user: userId,
+    message: `You withdrew from ${tournament.name}${
+      entrant.fee > 0 ? `. ${entrant.fee} ብር was refunded` : ""
+    }`,
+    type: "INFO",
+  });
+  console.log(
+    `[Tournament] ${entrant.name} withdrew from ${tournament.name} (${tournament._id})`
+  );
+  return Tournament.findById(tournamentId);
+}
+
+/**
+ * Refund every entrant still owed their fee. Each refund carries its own
+ * idempotency key, so running this again after a crash only pays what's left.
+ * @param {Object} tournament - Tournament in CANCELLING status
+ * @returns {Promise<Object>} Cancelled tournament
+ */
+async function completeCancellation(tournament) {
+  for (const entrant of tournament.entrants) {
+    if (entrant.refunded) continue;
+
+    try {
+      await runInTransaction((session) =>
+        refundEntrant(tournament, entrant, session)
+      );
+    } catch (error) {
+      // Already refunded before the process went down
+      if (error.code !== "DUPLICATE_ENTRY") throw error;
+    }
+    await Tournament.updateOne(
+      { _id: tournament._id, "entrants._id": entrant._id },
+      { $set: { "entrants.$.refunded": true } }
+    );
+    await Notification.create({
+      user: entrant.user,
+      message: `${tournament.name} was cancelled${
+        entrant.fee > 0 ? `. Your ${entrant.fee} ብር entry fee was refunded` : ""
+      }`,
+      type: "INFO",
+    });
+  }
+
+  return Tournament.findByIdAndUpdate(
+    tournament._id,
+    {
+      $set: {
+        status: TournamentStatus.CANCELLED,
+        finishedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Call off a tournament and refund every entry fee. Only the first call
+ * claims it; later calls return null.
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} reason - Why it was called off
+ * @param {Array} statuses - Statuses it may be cancelled from
+ * @returns {Promise<Object|null>} Cancelled tournament
+ */
+async function cancelTournament(
+  tournamentId,
+  reason,
+  statuses = [TournamentStatus.REGISTERING]
+) {
+  const tournament = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: { $in: statuses } },
+    {
+      $set: {
+        status: TournamentStatus.CANCELLING,
+        reason,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!tournament) return null;
+
+  console.log(`[Tournament] Cancelling ${tournament.name} (${reason})`);
+  return completeCancellation(tournament);
+}
+
+/**
+ * Pay every prize still owed, then sweep what's left of the pool (the rake,
+ * unclaimed shares and rounding) to the house
+ * @param {Object} tournament - Tournament in SETTLING status
+ * @returns {Promise<Object>} Finished tournament
+ */
+async function completeSettlement(tournament) {
+  for (const placing of tournament.placings) {
+    if (placing.paid || !(placing.prize > 0)) continue;
+
+    const userId = placing.user.toString();
+    try {
+      await runInTransaction((session) =>
+        postPoolEntry(session, tournament, {
+          userId,
+          amount: placing.prize,
+          type: "TOURNAMENT_PRIZE",
+          key: `tournament-prize:${tournament._id}:${userId}`,
+          toPool: false,
+        })
+      );
+      await Notification.create({
+        user: userId,
+        message: `Congratulations! You won ${placing.prize.toFixed(
+          2
+        )} ብር for place #${placing.place} in ${tournament.name}`,
+        type: "SUCCESS",
+      });
+    } catch (error) {
+      // Already paid before the process went down
+      if (error.code !== "DUPLICATE_ENTRY") throw error;
+    }
+    await Tournament.updateOne(
+      { _id: tournament._id, "placings.user": placing.user },
+      { $set: { "placings.$.paid": true } }
+    );
+  }
+
+  const account = ACCOUNTS.tournament(tournament._id);
+  const balance =
+    (await getAccountBalances({ "legs.account": account })).get(account) || 0;
+  if (balance > 0) {
+    try {
+      await runInTransaction((session) =>
+        postEntry(
+          {
+            type: EntryType.TOURNAMENT_RAKE,
+            description: `Rake for tournament ${tournament.name}`,
+            idempotencyKey: `tournament-rake:${tournament._id}`,
+            legs: [
+              { account, debit: balance },
+              { account: ACCOUNTS.HOUSE_RAKE, credit: balance },
+            ],
+          },
+          session
+        )
+      );
+    } catch (error) {
+      if (error.code !== "DUPLICATE_ENTRY") throw error;
+    }
+  }
+
+  return Tournament.findByIdAndUpdate(
+    tournament._id,
+    {
+      $set: {
+        status: TournamentStatus.FINISHED,
+        finishedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Pay out a decided bracket. Only the first call claims the tournament;
+ * later calls return null.
+ * @param {string} tournamentId - Tournament ID
+ * @param {Array} placings - Final standings from the bracket
+ * @returns {Promise<Object|null>} Finished tournament
+ */
+async function settleTournament(tournamentId, placings) {
+  const current = await Tournament.findById(tournamentId);
+  if (!current) return null;
+
+  const pool = current.entrants.reduce((sum, e) => sum + e.fee, 0);
+  const prizes = getPrizes({
+    pool,
+    rakePercent: current.rakePercent,
+    prizeTable: current.prizeTable,
+    placings,
+  });
+
+  const tournament = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: TournamentStatus.RUNNING },
+    {
+      $set: {
+        status: TournamentStatus.SETTLING,
+        pool,
+        rake: prizes.rake,
+        placings: prizes.placings.map(({ user, name, place, prize }) => ({
+          user,
+          name,
+          place,
+          prize,
+        })),
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!tournament) {
+    console.log(`[Tournament] ${tournamentId} was already settled`);
+    return null;
+  }
+
+  console.log(
+    `[Tournament] Settling ${tournament.name}: pool ${pool} ብር, rake ${prizes.rake} ብር`
+  );
+  return completeSettlement(tournament);
+}
+
+/**
+ * Finish settlements and cancellations cut short by a restart
+ * @returns {Promise<number>} Tournaments resumed
+ */
+async function recoverTournaments() {
+  const interrupted = await Tournament.find({
+    status: {
+      $in: [TournamentStatus.SETTLING, TournamentStatus.CANCELLING],
+    },
+  });
+  for (const tournament of interrupted) {
+    try {
+      if (tournament.status === TournamentStatus.SETTLING) {
+        await completeSettlement(tournament);
+      } else {
+        await completeCancellation(tournament);
+      }
+    } catch (error) {
+      console.error(
+        `[Tournament] Error resuming tournament ${tournament._id}:`,
+        error
+      );
+    }
+  }
+  return interrupted.length;
+}
+
+module.exports = {
+  validateTournament,
+  updateTournament,
+  registerEntrant,
+  withdrawEntrant,
+  cancelTournament,
+  settleTournament,
+  recoverTournaments,
+};
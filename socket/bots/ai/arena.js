@@ -0,0 +1,76 @@
+const rules = require("../../rules");
+const { getSeatColors, createInitialPieces } = require("../../utils");
+
+// A game still going after this many rolls is called off with no winner
+const MAX_ROLLS = 5000;
+
+// Small seeded PRNG (mulberry32) so every simulated game can be replayed
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Play one bot-against-bot game through the shared rules, with no database,
+ * sockets or timers. The first seat to finish wins.
+ * @param {Object} options - { ais: AIs in seat order, seed, requiredPieces,
+ * houseRules }
+ * @returns {Object} { winner: seat index or null, rolls, kills: per seat }
+ */
+function playGame({ ais, seed = 1, requiredPieces = 1, houseRules }) {
+  const random = createRandom(seed);
+  const colors = getSeatColors(ais.length);
+  const players = colors.map((color, seat) => ({ id: `seat${seat}`, color }));
+  let state = {
+    pieces: createInitialPieces(colors),
+    players,
+    currentTurn: players[0].id,
+    lastRoll: null,
+    requiredPieces,
+    outPlayers: [],
+    consecutiveSixes: 0,
+    houseRules: rules.getHouseRules(houseRules),
+  };
+  const kills = ais.map(() => 0);
+
+  for (let rolls = 1; rolls <= MAX_ROLLS; rolls++) {
+    const playerId = state.currentTurn;
+    const seat = players.findIndex((p) => p.id === playerId);
+    const value = 1 + Math.floor(random() * 6);
+    const rolled = rules.applyRoll(state, { playerId, value });
+    state = rolled.state;
+    if (rolled.events.some((event) => event.type === "turn")) continue;
+
+    const choice = ais[seat].chooseMove(
+      { pieces: state.pieces, players },
+      playerId,
+      value,
+      { requiredPieces, houseRules: state.houseRules }
+    );
+    const pieceIndex =
+      choice?.pieceIndex ??
+      rules.getLegalMoves(
+        state.pieces,
+        colors[seat],
+        value,
+        state.houseRules
+      )[0].pieceIndex;
+    const moved = rules.applyMove(state, { playerId, pieceIndex });
+    state = moved.state;
+
+    for (const event of moved.events) {
+      if (event.type === "kill") kills[seat]++;
+      if (event.type === "player_finished") {
+        return { winner: seat, rolls, kills };
+      }
+    }
+  }
+  return { winner: null, rolls: MAX_ROLLS, kills };
+}
+
+module.exports = { MAX_ROLLS, createRandom, playGame };
@@ -0,0 +1,64 @@
+const { playGame, createRandom } = require("./arena");
+const { createBotAI, EasyAI, MediumAI, HardAI, SearchAI } = require(".");
+
+const GAMES = 300;
+const REQUIRED_PIECES = 2;
+
+// Share of GAMES the first AI wins, taking turns at opening the game
+function winRate(createA, createB) {
+  let wins = 0;
+  for (let seed = 1; seed <= GAMES; seed++) {
+    const aOpens = seed % 2 === 0;
+    const ais = aOpens
+      ? [createA(seed), createB(seed)]
+      : [createB(seed), createA(seed)];
+    const { winner } = playGame({
+      ais,
+      seed,
+      requiredPieces: REQUIRED_PIECES,
+    });
+    if (winner === (aOpens ? 0 : 1)) wins++;
+    // Thousands of lookups per game; don't keep them all
+    console.log.mockClear();
+  }
+  return wins / GAMES;
+}
+
+describe("Bot AI levels", () => {
+  beforeEach(() => {
+    // getNextPosition logs every lookup
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("each difficulty gets its own AI", () => {
+    expect(createBotAI("easy")).toBeInstanceOf(EasyAI);
+    expect(createBotAI("medium")).toBeInstanceOf(MediumAI);
+    expect(createBotAI("hard")).toBeInstanceOf(SearchAI);
+    expect(createBotAI("expert")).toBeInstanceOf(MediumAI);
+  });
+
+  test("a seed replays the same game", () => {
+    const play = () =>
+      playGame({
+        ais: [new EasyAI(createRandom(7)), new HardAI()],
+        seed: 42,
+        requiredPieces: REQUIRED_PIECES,
+      });
+
+    const first = play();
+    expect([0, 1]).toContain(first.winner);
+    expect(play()).toEqual(first);
+  });
+
+  test("hard beats medium and medium beats easy", () => {
+    // More than two standard errors above a coin flip
+    const margin = 0.5 + 2 * Math.sqrt(0.25 / GAMES);
+    const easy = (seed) => new EasyAI(createRandom(seed));
+    const medium = () => new MediumAI();
+    // A fixed depth rather than a time budget keeps the games repeatable
+    const hard = () => new SearchAI({ timeBudgetMs: Infinity, maxDepth: 2 });
+
+    expect(winRate(medium, easy)).toBeGreaterThan(margin);
+    expect(winRate(hard, medium)).toBeGreaterThan(margin);
+  }, 60000);
+});
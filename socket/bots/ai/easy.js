@@ -0,0 +1,31 @@
+const { GladiatorAI } = require("./hard");
+const { getHouseRules } = require("../../rules");
+
+/**
+ * EasyAI — plays like a beginner: any legal move, picked at random.
+ * Shares GladiatorAI's move generation so it never plays an illegal move.
+ */
+class EasyAI extends GladiatorAI {
+  /**
+   * @param {Function} random - Returns a number in [0, 1); seed it for replays
+   */
+  constructor(random = Math.random) {
+    super();
+    this.random = random;
+  }
+
+  chooseMove(gameState, playerId, dice, rules = null) {
+    if (rules) this.rules = { ...this.rules, ...rules };
+    this.rules.houseRules = getHouseRules(this.rules.houseRules);
+
+    const player = gameState.players.find((p) => p.id === playerId);
+    if (!player) return null;
+
+    const legalMoves = this.getLegalMoves(gameState, player, dice);
+    if (legalMoves.length === 0) return null;
+
+    return legalMoves[Math.floor(this.random() * legalMoves.length)];
+  }
+}
+
+module.exports = { EasyAI };
@@ -1,9 +1,63 @@
 // /ai/GladiatorAI.js
+const fs = require("fs");
+const path = require("path");
 const {
   getMovableTokens, // if you have it, used optionally
   getNextPosition, // MUST be your canonical pathing (color-aware home rows)
-  isSafePosition, // expects something like 'p42' or your engine’s format
 } = require("../../utils");
+const {
+  movePiece,
+  isSafeSquare,
+  getHouseRules,
+  getLegalMoves: getAllowedMoves,
+} = require("../../rules");
+const { paths } = require("../../../constants");
+
+// Weights the self-play tuner (scripts/tune-bot-weights.js) may change
+const TUNABLE_WEIGHTS = [
+  "punishWeight",
+  "emergencyWeight",
+  "captureWeight",
+  "safeBonus",
+  "bringOutBonus",
+  "progressWeight",
+  "homeEntryBonus",
+  "homeTokenWeight",
+  "threatWeight",
+  "blockBonus",
+  "fewKingsBonus",
+  "soloBringOutPenalty",
+  "surplusBringOutPenalty",
+  "riskWeight",
+];
+
+const WEIGHTS_FILE =
+  process.env.BOT_WEIGHTS_FILE || path.join(__dirname, "weights.json");
+
+/**
+ * Read tuned weights written by the tuner. Unknown or non-numeric weights
+ * are dropped so a bad file can't break the bots.
+ * @param {string} file - Weights JSON path
+ * @returns {Object|null} { version, weights }, or null without a usable file
+ */
+function loadWeights(file = WEIGHTS_FILE) {
+  try {
+    const { version, weights } = JSON.parse(fs.readFileSync(file, "utf8"));
+    const usable = {};
+    for (const key of TUNABLE_WEIGHTS) {
+      if (Number.isFinite(weights?.[key])) usable[key] = weights[key];
+    }
+    return { version, weights: usable };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[GladiatorAI] Ignoring weights file ${file}:`, error);
+    }
+    return null;
+  }
+}
+
+// Read once when the bots start
+const tunedWeights = loadWeights();
 
 /**
  * GladiatorAI — ultra-hard Ludo bot
@@ -25,13 +79,22 @@ class GladiatorAI {
       progressWeight: 420,
       homeEntryBonus: 1100,
       finishBonus: 5200, // finishing the match trumps everything
+      homeTokenWeight: 700, // per token home, short of finishing
+      threatWeight: 90, // extra capture value per point of victim threat (0..10)
+      blockBonus: 300,
+      fewKingsBonus: 150, // bringing out when 1-2 pieces are required
+      soloBringOutPenalty: 1500, // 1-piece games already having a piece out
+      surplusBringOutPenalty: 1000, // more pieces out than required
+      riskWeight: 1000, // per unit of landing-square risk (0..1)
       blockSafeOverride: true, // allow own-on-own ONLY if safe square
       tieNoise: 0.0001, // deterministic but breaks ties by minor piece index bias
+      houseRules: getHouseRules(), // room variants: exit rolls, safe squares...
     };
   }
 
   chooseMove(gameState, playerId, dice, rules = null) {
     if (rules) this.rules = { ...this.rules, ...rules };
+    this.rules.houseRules = getHouseRules(this.rules.houseRules);
 
     const player = gameState.players.find((p) => p.id === playerId);
     if (!player) return null;
@@ -41,7 +104,7 @@ class GladiatorAI {
 
     // Score + shallow adversarial look-ahead (worst opponent reply this ply)
     const scored = legalMoves.map((move) => {
-      const after = this.simulateMove(gameState, playerId, move);
+      const after = this.simulateMove(gameState, playerId, move, dice);
       const baseScore = this.scoreMove(gameState, playerId, move, dice);
 
       // Worst-case opponent punishment (any opponent, any dice 1..6)
@@ -70,7 +133,7 @@ class GladiatorAI {
 
   /**
    * LEGAL MOVES respecting:
-   * - Bring out on 6
+   * - Bring out on the room's exit rolls (6 unless the house rules add 1)
    * - No landing on own piece unless square is SAFE
    * - Respect your engine's getNextPosition (handles color & home rows)
    */
@@ -78,6 +141,10 @@ class GladiatorAI {
     const moves = [];
     const myColor = player.color;
 
+    if (!gameState.board && gameState.pieces?.[myColor]) {
+      return this.getLiveMoves(gameState, myColor, dice);
+    }
+
     // Handle both old and new game state formats
     let pieces;
     if (gameState.board && gameState.board[myColor]) {
@@ -107,7 +174,7 @@ class GladiatorAI {
         (typeof piece.position === "string" &&
           piece.position.startsWith(`${myColor[0]}h`))
       ) {
-        if (dice === 6) {
+        if (this.rules.houseRules.exitRolls.includes(dice)) {
           const startPos = this.getStartingPosition(myColor);
           // If starting square has own piece and is NOT safe, skip (no stacking rule)
           const ownOnStart = this.ownPieceAt(gameState, myColor, startPos);
@@ -157,6 +224,40 @@ class GladiatorAI {
     return moves;
   }
 
+  /**
+   * Live rooms keep pieces as square names. The shared rules decide which
+   * moves are legal; this only describes them for scoring.
+   */
+  getLiveMoves(gameState, color, dice) {
+    const { pieces } = gameState;
+    const houseRules = this.rules.houseRules;
+    return getAllowedMoves(pieces, color, dice, houseRules).map((m) => {
+      const landsOnSafeSquare = this.safe(m.to);
+      const victimColor = landsOnSafeSquare
+        ? null
+        : Object.keys(pieces).find(
+            (c) => c !== color && pieces[c].includes(m.to)
+          );
+      const isBringOut = this.isYard(m.from, color);
+      return {
+        pieceIndex: m.pieceIndex,
+        fromPosition: m.from,
+        toPosition: m.to,
+        isBringOut,
+        willKill: Boolean(victimColor),
+        landsOnSafeSquare,
+        createsOwnBlock:
+          landsOnSafeSquare && this.ownPieceAt(gameState, color, m.to),
+        victimPlayerId: victimColor
+          ? gameState.players.find((p) => p.color === victimColor)?.id ?? null
+          : null,
+        progressNormalized: isBringOut
+          ? 0
+          : this.progressNorm(m.from, m.to, color),
+      };
+    });
+  }
+
   /** ---------- Scoring (ruthless) ---------- */
   scoreMove(gameState, playerId, move, dice) {
     const player = gameState.players.find((p) => p.id === playerId);
@@ -175,7 +276,7 @@ class GladiatorAI {
       // Home-entry progress is valuable
       if (this.isHomeEntry(move, myColor)) s += this.rules.homeEntryBonus;
       // Partial toward requirement
-      s += tokensHomeAfter * 700;
+      s += tokensHomeAfter * this.rules.homeTokenWeight;
     }
 
     // Capture is king (deny opponent progress—weighted by their threat)
@@ -184,21 +285,21 @@ class GladiatorAI {
         gameState,
         move.victimPlayerId
       );
-      s += this.rules.captureWeight + 90 * threat;
+      s += this.rules.captureWeight + this.rules.threatWeight * threat;
     }
 
     // Safety & allowed protected “block” only on safe squares
     if (move.landsOnSafeSquare) s += this.rules.safeBonus;
-    if (move.createsOwnBlock) s += 300;
+    if (move.createsOwnBlock) s += this.rules.blockBonus;
 
     // Bring out advantage (especially early)
-    if (move.isBringOut && dice === 6) {
+    if (move.isBringOut) {
       s += this.rules.bringOutBonus;
 
       // Extra bonus for bringing out with few kings (strategic advantage)
       const requiredPieces = this.rules.requiredPieces || this.rules.kings;
       if (requiredPieces <= 2) {
-        s += 150; // Extra bonus for bringing out when playing with few kings
+        s += this.rules.fewKingsBonus; // Extra bonus for bringing out when playing with few kings
       }
 
       // Penalize bringing out if we already have enough active tokens to win
@@ -206,7 +307,7 @@ class GladiatorAI {
 
       // For 1-piece games, heavily penalize bringing out if we already have 1 active token
       if (requiredPieces === 1 && activeTokens >= 1) {
-        s -= 1500; // Very heavy penalty for bringing out in 1-piece games when we have an active token
+        s -= this.rules.soloBringOutPenalty; // Very heavy penalty for bringing out in 1-piece games when we have an active token
         console.log(
           `[GladiatorAI] 1-piece game: Heavy penalty for bringing out when ${activeTokens} tokens are active`
         );
@@ -217,7 +318,7 @@ class GladiatorAI {
         !move.willKill &&
         !move.landsOnSafeSquare
       ) {
-        s -= 1000; // Heavy penalty for bringing out when we have enough active tokens
+        s -= this.rules.surplusBringOutPenalty; // Heavy penalty for bringing out when we have enough active tokens
         console.log(
           `[GladiatorAI] Penalty for bringing out: ${activeTokens} active > ${requiredPieces} required`
         );
@@ -232,7 +333,7 @@ class GladiatorAI {
 
     // Risk after move (how killable is the landing square)
     const risk = this.riskAfterMove(gameState, playerId, move.toPosition);
-    s -= risk * 1000;
+    s -= risk * this.rules.riskWeight;
 
     return s;
   }
@@ -329,7 +430,24 @@ class GladiatorAI {
 
   /** ---------- Helpers ---------- */
 
-  simulateMove(gameState, playerId, move) {
+  simulateMove(gameState, playerId, move, dice) {
+    // Live rooms keep pieces as square names; play those through the shared
+    // rules so the look-ahead sees the same kills as the real game
+    if (gameState.pieces && !gameState.board) {
+      const player = gameState.players.find((p) => p.id === playerId);
+      const result = movePiece(
+        gameState.pieces,
+        player.color,
+        move.pieceIndex,
+        dice,
+        this.rules.houseRules
+      );
+      return {
+        players: gameState.players.map((p) => ({ ...p })),
+        pieces: result ? result.pieces : gameState.pieces,
+      };
+    }
+
     // Lightweight deep clone for board & player tokens
     const cloned = {
       players: gameState.players.map((p) => ({ ...p })),
@@ -386,8 +504,11 @@ class GladiatorAI {
   }
 
   safe(pos) {
-    // If your isSafePosition expects 'pXX' use that; else adapt
-    return isSafePosition(typeof pos === "number" ? `p${pos}` : pos);
+    // Safe squares expect 'pXX'; the house rules can switch them off
+    return isSafeSquare(
+      typeof pos === "number" ? `p${pos}` : pos,
+      this.rules.houseRules
+    );
   }
 
   routeLen(color) {
@@ -398,13 +519,16 @@ class GladiatorAI {
   progressNorm(from, to, color) {
     if (from === -1) return 0;
     const total = this.routeLen(color);
-    const delta = Math.max(0, to - from);
+    const delta = Math.max(
+      0,
+      this.pathIndex(to, color) - this.pathIndex(from, color)
+    );
     return Math.min(1, delta / total);
     // If your path wraps/enters home rows with color offsets, prefer a color-aware distance.
   }
 
   countTokensHome(gameState, color) {
-    const arr = gameState.board[color] || [];
+    const arr = this.getPiecesForColor(gameState, color);
     return arr.filter(
       (p) => p.isHome === true || this.isHomeSquare(p.position, color)
     ).length;
@@ -412,7 +536,7 @@ class GladiatorAI {
 
   countActiveTokens(gameState, color) {
     // Count tokens that are on the board (not at home and not in starting position)
-    const arr = gameState.board[color] || [];
+    const arr = this.getPiecesForColor(gameState, color);
     return arr.filter(
       (p) =>
         !p.isHome &&
@@ -432,15 +556,37 @@ class GladiatorAI {
   isHomeEntry(move, color) {
     // Reward entering the final stretch / home row. If your engine exposes a helper, use it.
     // Fallback heuristic: close to the end.
+    if (typeof move.toPosition === "string") {
+      return (
+        !move.isBringOut &&
+        (this.isHomeSquare(move.toPosition, color) ||
+          paths[color].slice(-6).includes(move.toPosition))
+      );
+    }
     const nearHomeThreshold = this.rules.boardEnd - 6; // last 6 steps
     return move.toPosition >= nearHomeThreshold && !move.isBringOut;
   }
 
   isHomeSquare(pos, color) {
     // If your engine encodes "home" differently, replace this check:
+    if (pos === `${color}WinZone`) return true;
     return typeof pos === "number" && pos >= this.rules.boardEnd;
   }
 
+  isYard(pos, color) {
+    return (
+      pos === -1 || (typeof pos === "string" && pos.startsWith(`${color[0]}h`))
+    );
+  }
+
+  // Steps along the colour's route: -1 in the yard, route length when home
+  pathIndex(pos, color) {
+    if (typeof pos === "number") return pos;
+    if (this.isYard(pos, color)) return -1;
+    if (this.isHomeSquare(pos, color)) return paths[color].length;
+    return paths[color].indexOf(pos);
+  }
+
   riskAfterMove(gameState, myPlayerId, targetPos) {
     if (targetPos == null || targetPos === -1) return 0;
     if (this.safe(targetPos)) return 0;
@@ -489,7 +635,7 @@ class GladiatorAI {
   estimateOpponentThreat(gameState, victimPlayerId) {
     const opp = gameState.players.find((p) => p.id === victimPlayerId);
     if (!opp) return 0;
-    const arr = gameState.board[opp.color] || [];
+    const arr = this.getPiecesForColor(gameState, opp.color);
 
     let home = 0,
       onBoard = 0,
@@ -497,7 +643,7 @@ class GladiatorAI {
     for (const t of arr) {
       if (t.isHome || this.isHomeSquare(t.position, opp.color)) {
         home++;
-      } else if (t.position !== -1) {
+      } else if (!this.isYard(t.position, opp.color)) {
         onBoard++;
         progress += this.progressNorm(-1, t.position, opp.color);
       }
@@ -672,8 +818,21 @@ class GladiatorAI {
 class HardAI extends GladiatorAI {
   constructor() {
     super();
-    // HardAI uses the same implementation as GladiatorAI
+    // Same play as GladiatorAI, but in self-play getting pieces out of the
+    // yard wins far more games than the base weight allows for
+    this.rules.bringOutBonus = 3000;
+    // The tuner's weights, when there are some, replace the hand-picked ones
+    if (tunedWeights) {
+      Object.assign(this.rules, tunedWeights.weights);
+      this.weightsVersion = tunedWeights.version;
+    }
   }
 }
 
-module.exports = { GladiatorAI, HardAI };
+module.exports = {
+  TUNABLE_WEIGHTS,
+  WEIGHTS_FILE,
+  loadWeights,
+  GladiatorAI,
+  HardAI,
+};
@@ -0,0 +1,35 @@
+const { BOT_CONFIG } = require("../config");
+const { EasyAI } = require("./easy");
+const { MediumAI } = require("./medium");
+const { GladiatorAI, HardAI } = require("./hard");
+const { SearchAI } = require("./search");
+
+// Move picker for each BOT_DIFFICULTY level
+const AI_BY_DIFFICULTY = {
+  easy: EasyAI,
+  medium: MediumAI,
+  hard: SearchAI,
+};
+
+/**
+ * Create the AI a bot plays with
+ * @param {string} difficulty - easy, medium or hard
+ * @returns {GladiatorAI} AI instance; medium for unknown levels
+ */
+function createBotAI(difficulty) {
+  const AI = AI_BY_DIFFICULTY[difficulty] || MediumAI;
+  if (AI === SearchAI) {
+    return new SearchAI({ timeBudgetMs: BOT_CONFIG.SEARCH_TIME_BUDGET_MS });
+  }
+  return new AI();
+}
+
+module.exports = {
+  AI_BY_DIFFICULTY,
+  createBotAI,
+  EasyAI,
+  MediumAI,
+  GladiatorAI,
+  HardAI,
+  SearchAI,
+};
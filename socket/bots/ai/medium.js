@@ -0,0 +1,64 @@
+const { GladiatorAI } = require("./hard");
+const { getHouseRules } = require("../../rules");
+
+/**
+ * MediumAI — GladiatorAI with a limited look-ahead. Each move is played out
+ * against the next opponent's reply only, averaged over their roll rather
+ * than their best one, and it doesn't run from threats it isn't moving into.
+ */
+class MediumAI extends GladiatorAI {
+  chooseMove(gameState, playerId, dice, rules = null) {
+    if (rules) this.rules = { ...this.rules, ...rules };
+    this.rules.houseRules = getHouseRules(this.rules.houseRules);
+
+    const player = gameState.players.find((p) => p.id === playerId);
+    if (!player) return null;
+
+    const legalMoves = this.getLegalMoves(gameState, player, dice);
+    if (legalMoves.length === 0) return null;
+
+    const scored = legalMoves.map((move) => {
+      const after = this.simulateMove(gameState, playerId, move, dice);
+      const reply = this.estimateNextOpponentReply(after, playerId);
+      return {
+        ...move,
+        score:
+          this.scoreMove(gameState, playerId, move, dice) -
+          this.rules.punishWeight * reply +
+          this.rules.tieNoise * move.pieceIndex,
+      };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored[0];
+  }
+
+  /**
+   * How much the player seated after us can hurt us on their turn, using
+   * GladiatorAI's harm heuristic for their best move on each roll, averaged
+   * over the six rolls.
+   */
+  estimateNextOpponentReply(stateAfterMyMove, myPlayerId) {
+    const { players } = stateAfterMyMove;
+    const seat = players.findIndex((p) => p.id === myPlayerId);
+    const opp = players[(seat + 1) % players.length];
+    if (!opp || opp.id === myPlayerId) return 0;
+
+    let total = 0;
+    for (let d = 1; d <= 6; d++) {
+      let best = 0;
+      for (const m of this.getLegalMoves(stateAfterMyMove, opp, d)) {
+        let harm = 0;
+        if (m.willKill) harm += 1200;
+        if (m.landsOnSafeSquare) harm += 200;
+        if (this.isHomeEntry(m, opp.color)) harm += 600;
+        harm += m.progressNormalized * 300;
+        if (harm > best) best = harm;
+      }
+      total += best;
+    }
+    return total / 6;
+  }
+}
+
+module.exports = { MediumAI };
@@ -0,0 +1,55 @@
+const { MediumAI } = require("./medium");
+
+const players = [
+  { id: "bot1", color: "blue" },
+  { id: "bot2", color: "green" },
+];
+const rules = { requiredPieces: 2 };
+
+describe("MediumAI", () => {
+  beforeEach(() => {
+    // getNextPosition logs every lookup
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("doesn't leave a piece where the next player can hit it", () => {
+    // Running the front piece on leaves p1 a six away from green
+    const gameState = {
+      players,
+      pieces: {
+        blue: ["p1", "p2", "bh3", "bh4"],
+        green: ["p42", "gh2", "gh3", "gh4"],
+      },
+    };
+    const ai = new MediumAI();
+    // Without the look-ahead the tie-break would move the front piece
+    const [back, front] = ai.getLegalMoves(gameState, players[0], 4);
+    expect(ai.scoreMove(gameState, "bot1", front, 4)).toBe(
+      ai.scoreMove(gameState, "bot1", back, 4)
+    );
+
+    const move = ai.chooseMove(gameState, "bot1", 4, rules);
+
+    expect(move.fromPosition).toBe("p1");
+  });
+
+  test("only looks at the player seated next", () => {
+    const ai = new MediumAI();
+    const pieces = {
+      blue: ["p1", "bh2", "bh3", "bh4"],
+      green: ["gh1", "gh2", "gh3", "gh4"],
+    };
+    const withRed = {
+      players: [...players, { id: "bot3", color: "red" }],
+      pieces: { ...pieces, red: ["p47", "rh2", "rh3", "rh4"] },
+    };
+
+    // Red could hit p1, but green moves first and has nothing out
+    expect(ai.estimateNextOpponentReply(withRed, "bot1")).toBe(
+      ai.estimateNextOpponentReply({ players, pieces }, "bot1")
+    );
+    expect(ai.estimateWorstOpponentPunish(withRed, "bot1")).toBeGreaterThan(
+      ai.estimateNextOpponentReply(withRed, "bot1")
+    );
+  });
+});
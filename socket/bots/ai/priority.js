@@ -0,0 +1,57 @@
+const { BotController } = require("../controller");
+const { gameManager } = require("../../gameManager");
+
+let scratchRooms = 0;
+
+/**
+ * PriorityAI — BotController's own fallback (evaluateLegalMoves and
+ * selectBestMove) behind the chooseMove interface the other AIs share, so
+ * simulations can play it. Each move is worked out in a scratch room that
+ * only lives in memory for the length of the call.
+ */
+class PriorityAI {
+  /**
+   * @param {string} difficulty - easy, medium or hard path of selectBestMove
+   * @param {Function} random - Stands in for Math.random while choosing, so
+   * the easy and hard paths can be replayed
+   */
+  constructor(difficulty = "hard", random = Math.random) {
+    this.difficulty = difficulty;
+    this.random = random;
+    this.controller = new BotController();
+    this.roomId = `priority-ai-${++scratchRooms}`;
+  }
+
+  chooseMove(gameState, playerId, dice, rules = {}) {
+    const player = gameState.players.find((p) => p.id === playerId);
+    if (!player) return null;
+
+    gameManager.createRoom(this.roomId, {
+      gameSettings: {
+        requiredPieces: rules.requiredPieces,
+        houseRules: rules.houseRules,
+      },
+      gameState: { pieces: gameState.pieces },
+    });
+    const mathRandom = Math.random;
+    Math.random = this.random;
+    try {
+      const legalMoves = this.controller.evaluateLegalMoves(
+        this.roomId,
+        player.color,
+        dice
+      );
+      return this.controller.selectBestMove(
+        legalMoves,
+        this.difficulty,
+        this.roomId,
+        player.color
+      );
+    } finally {
+      Math.random = mathRandom;
+      gameManager.deleteRoom(this.roomId);
+    }
+  }
+}
+
+module.exports = { PriorityAI };
@@ -0,0 +1,221 @@
+const { HardAI } = require("./hard");
+const { getHouseRules } = require("../../rules");
+const { paths } = require("../../../constants");
+
+// Thrown inside the search when the move's time is up
+const OUT_OF_TIME = Symbol("OUT_OF_TIME");
+
+// Position scores, in steps along the route
+const EVAL = {
+  win: 10000, // somebody has finished
+  outOfYard: 24, // about the steps lost waiting for a 6 (six rolls of 3.5)
+  spare: 0.25, // pieces beyond requiredPieces only matter as spares
+  danger: 0.15, // share of a piece lost for each opponent a roll behind it
+};
+
+/**
+ * SearchAI — expectimax over the dice for the hard bot. Each candidate move
+ * is played with simulateMove, then every face of the next roll is tried:
+ * opponents answer with the move that suits them best, and our own replies
+ * are searched again. Positions at the bottom are scored by evaluate().
+ *
+ * The search deepens one roll at a time until the time budget runs out and
+ * plays the best move of the deepest search it finished. When even the
+ * first level doesn't fit, GladiatorAI's one-ply pick is used.
+ */
+class SearchAI extends HardAI {
+  /**
+   * @param {Object} options - { timeBudgetMs, maxDepth in rolls, now }
+   */
+  constructor({ timeBudgetMs = 150, maxDepth = 4, now = Date.now } = {}) {
+    super();
+    this.timeBudgetMs = timeBudgetMs;
+    this.maxDepth = maxDepth;
+    this.now = now;
+  }
+
+  chooseMove(gameState, playerId, dice, rules = null) {
+    // Only live rooms' square names can be searched
+    if (gameState.board || !gameState.pieces) {
+      return super.chooseMove(gameState, playerId, dice, rules);
+    }
+    if (rules) this.rules = { ...this.rules, ...rules };
+    this.rules.houseRules = getHouseRules(this.rules.houseRules);
+
+    const player = gameState.players.find((p) => p.id === playerId);
+    if (!player) return null;
+
+    const legalMoves = this.getLegalMoves(gameState, player, dice);
+    if (legalMoves.length <= 1) return legalMoves[0] || null;
+
+    this.me = playerId;
+    this.deadline = this.now() + this.timeBudgetMs;
+    this.lastDepth = 0;
+    let best = null;
+    try {
+      for (let depth = 1; depth <= this.maxDepth; depth++) {
+        best = this.searchRoot(gameState, player, legalMoves, dice, depth);
+        this.lastDepth = depth;
+      }
+    } catch (error) {
+      if (error !== OUT_OF_TIME) throw error;
+    }
+    return best || super.chooseMove(gameState, playerId, dice);
+  }
+
+  searchRoot(gameState, player, legalMoves, dice, depth) {
+    let best = null;
+    for (const move of legalMoves) {
+      const score =
+        this.valueAfterMove(gameState, player, move, dice, depth - 1) +
+        this.rules.tieNoise * move.pieceIndex;
+      if (!best || score > best.score) best = { ...move, score };
+    }
+    return best;
+  }
+
+  // Value for us once `mover` has played `move`, looking `depth` rolls on
+  valueAfterMove(gameState, mover, move, dice, depth) {
+    this.checkTime();
+    const after = this.simulateMove(gameState, mover.id, move, dice);
+    if (depth === 0 || this.winner(after)) return this.evaluate(after);
+
+    const next = this.earnsExtraTurn(mover, move, dice)
+      ? mover
+      : this.nextPlayer(after, mover);
+    return this.expectedValue(after, next, depth);
+  }
+
+  // Average over the six faces `player` can roll
+  expectedValue(gameState, player, depth) {
+    let total = 0;
+    for (let d = 1; d <= 6; d++) {
+      const moves = this.getLegalMoves(gameState, player, d);
+      if (moves.length === 0) {
+        total +=
+          depth === 1
+            ? this.evaluate(gameState)
+            : this.expectedValue(
+                gameState,
+                this.nextPlayer(gameState, player),
+                depth - 1
+              );
+      } else if (player.id === this.me) {
+        let best = -Infinity;
+        for (const move of moves) {
+          best = Math.max(
+            best,
+            this.valueAfterMove(gameState, player, move, d, depth - 1)
+          );
+        }
+        total += best;
+      } else {
+        // Opponents play the move that is best for them
+        const reply = this.bestReply(gameState, player, moves, d);
+        total += this.valueAfterMove(gameState, player, reply, d, depth - 1);
+      }
+    }
+    return total / 6;
+  }
+
+  bestReply(gameState, player, moves, dice) {
+    let best = moves[0];
+    let bestScore = -Infinity;
+    for (const move of moves) {
+      const after = this.simulateMove(gameState, player.id, move, dice);
+      const score = this.standing(after, player.color);
+      if (score > bestScore) {
+        best = move;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /** ---------- Position evaluation ---------- */
+
+  // Our standing against the strongest opponent, in route steps
+  evaluate(gameState) {
+    const me = gameState.players.find((p) => p.id === this.me);
+    let rival = -Infinity;
+    for (const opp of gameState.players) {
+      if (opp.id === this.me) continue;
+      rival = Math.max(rival, this.standing(gameState, opp.color));
+    }
+    const mine = this.standing(gameState, me.color);
+    return rival === -Infinity ? mine : mine - rival;
+  }
+
+  standing(gameState, color) {
+    const required = this.rules.requiredPieces;
+    const pieces = gameState.pieces[color];
+    if (this.homeCount(pieces, color) >= required) return EVAL.win;
+
+    const values = pieces
+      .map((pos) => this.pieceValue(gameState, pos, color))
+      .sort((a, b) => b - a);
+    return values.reduce(
+      (sum, value, i) => sum + (i < required ? value : value * EVAL.spare),
+      0
+    );
+  }
+
+  pieceValue(gameState, pos, color) {
+    const index = this.pathIndex(pos, color);
+    if (index === -1) return 0;
+    const value = index + 1 + EVAL.outOfYard;
+    if (index >= paths[color].length || this.safe(pos)) return value;
+    return value * (1 - EVAL.danger * this.attackers(gameState, pos, color));
+  }
+
+  // Opposing pieces that reach `pos` with a single roll
+  attackers(gameState, pos, color) {
+    let count = 0;
+    for (const [oppColor, positions] of Object.entries(gameState.pieces)) {
+      if (oppColor === color) continue;
+      for (const from of positions) {
+        if (this.isYard(from, oppColor)) continue;
+        const start = paths[oppColor].indexOf(from);
+        if (start === -1) continue;
+        const reach = paths[oppColor].slice(start + 1, start + 7);
+        if (reach.includes(pos)) count++;
+      }
+    }
+    return count;
+  }
+
+  /** ---------- Helpers ---------- */
+
+  homeCount(pieces, color) {
+    return pieces.filter((pos) => pos === `${color}WinZone`).length;
+  }
+
+  winner(gameState) {
+    return gameState.players.find(
+      (p) =>
+        this.homeCount(gameState.pieces[p.color], p.color) >=
+        this.rules.requiredPieces
+    );
+  }
+
+  nextPlayer(gameState, player) {
+    const { players } = gameState;
+    const index = players.findIndex((p) => p.id === player.id);
+    return players[(index + 1) % players.length];
+  }
+
+  earnsExtraTurn(player, move, dice) {
+    const { houseRules } = this.rules;
+    return (
+      dice === 6 ||
+      (houseRules.captureBonus && move.willKill) ||
+      (houseRules.homeBonus && move.toPosition === `${player.color}WinZone`)
+    );
+  }
+
+  checkTime() {
+    if (this.now() > this.deadline) throw OUT_OF_TIME;
+  }
+}
+
+module.exports = { SearchAI };
@@ -0,0 +1,71 @@
+const { SearchAI } = require("./search");
+const { HardAI } = require("./hard");
+const { playGame } = require("./arena");
+
+const GAMES = 300;
+
+const players = [
+  { id: "bot1", color: "blue" },
+  { id: "bot2", color: "green" },
+];
+// Blue can bring a second piece out or run the first one on
+const gameState = {
+  players,
+  pieces: {
+    blue: ["p64", "bh2", "bh3", "bh4"],
+    green: ["p6", "gh2", "gh3", "gh4"],
+  },
+};
+const rules = { requiredPieces: 2 };
+
+// Clock that moves on a millisecond every time it is read
+function createClock() {
+  let time = 0;
+  return () => time++;
+}
+
+describe("SearchAI", () => {
+  beforeEach(() => {
+    // GladiatorAI logs its bring-out penalties
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("stops searching when its time budget is spent", () => {
+    const ai = new SearchAI({ timeBudgetMs: 40, now: createClock() });
+
+    const move = ai.chooseMove(gameState, "bot1", 6, rules);
+
+    expect(move).toMatchObject({ fromPosition: expect.any(String) });
+    expect(ai.lastDepth).toBeGreaterThanOrEqual(1);
+    expect(ai.lastDepth).toBeLessThan(ai.maxDepth);
+  });
+
+  test("plays GladiatorAI's move when there is no time to search", () => {
+    const ai = new SearchAI({ timeBudgetMs: 0, now: createClock() });
+
+    const move = ai.chooseMove(gameState, "bot1", 6, rules);
+
+    expect(ai.lastDepth).toBe(0);
+    expect(move.pieceIndex).toBe(
+      new HardAI().chooseMove(gameState, "bot1", 6, rules).pieceIndex
+    );
+  });
+
+  test("beats HardAI head to head", () => {
+    let wins = 0;
+    for (let seed = 1; seed <= GAMES; seed++) {
+      const search = new SearchAI({ timeBudgetMs: Infinity, maxDepth: 2 });
+      const opens = seed % 2 === 0;
+      const { winner } = playGame({
+        ais: opens ? [search, new HardAI()] : [new HardAI(), search],
+        seed,
+        requiredPieces: 2,
+      });
+      if (winner === (opens ? 0 : 1)) wins++;
+      console.log.mockClear();
+    }
+
+    // More than two standard errors above a coin flip
+    expect(wins / GAMES).toBeGreaterThan(0.5 + 2 * Math.sqrt(0.25 / GAMES));
+  }, 60000);
+});
@@ -0,0 +1,208 @@
+const { validateHouseRules } = require("../../rules");
+const { playGame, createRandom } = require("./arena");
+const { EasyAI } = require("./easy");
+const { MediumAI } = require("./medium");
+const { HardAI } = require("./hard");
+const { SearchAI } = require("./search");
+const { PriorityAI } = require("./priority");
+
+// Two-sided 95% normal quantile
+const Z_95 = 1.96;
+
+/**
+ * Strategies a simulation can play, by name. Each is created per game with
+ * its own seeded random stream and the match settings. The search runs to
+ * a fixed depth rather than a time budget so results don't depend on the
+ * machine.
+ */
+const STRATEGIES = {
+  easy: (random) => new EasyAI(random),
+  medium: () => new MediumAI(),
+  hard: (random, { searchDepth }) =>
+    new SearchAI({ timeBudgetMs: Infinity, maxDepth: searchDepth }),
+  gladiator: () => new HardAI(),
+  "priority-easy": (random) => new PriorityAI("easy", random),
+  "priority-medium": (random) => new PriorityAI("medium", random),
+  "priority-hard": (random) => new PriorityAI("hard", random),
+};
+
+const SIMULATION_DEFAULTS = {
+  games: 100,
+  seed: 1,
+  requiredPieces: 2,
+  houseRules: null,
+  searchDepth: 2,
+};
+
+function simulationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * Wilson score interval for a proportion
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @returns {Array} [low, high], 95% confidence
+ */
+function wilsonInterval(successes, trials) {
+  if (trials === 0) return [0, 1];
+  const p = successes / trials;
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const half =
+    (Z_95 * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) /
+    denominator;
+  return [round(Math.max(0, center - half)), round(Math.min(1, center + half))];
+}
+
+// Mean with a 95% normal-approximation interval
+function meanInterval(values) {
+  const n = values.length;
+  if (n === 0) return { mean: 0, ci95: [0, 0] };
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance =
+    n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const half = Z_95 * Math.sqrt(variance / n);
+  return { mean: round(mean), ci95: [round(mean - half), round(mean + half)] };
+}
+
+/**
+ * Play two strategies against each other with seeded dice, no database or
+ * sockets. Every dice seed is played from both seats so neither strategy
+ * gets the better rolls.
+ * @param {Array} strategies - Two names from STRATEGIES
+ * @param {Object} options - SIMULATION_DEFAULTS overrides
+ * @returns {Object} Report with win rates, game length and kills
+ * @throws {Error} UNKNOWN_STRATEGY, INVALID_SETTINGS or INVALID_HOUSE_RULES
+ */
+function simulateMatch(strategies, options = {}) {
+  const settings = { ...SIMULATION_DEFAULTS, ...options };
+  if (!Array.isArray(strategies) || strategies.length !== 2) {
+    throw simulationError("INVALID_SETTINGS", "Pick exactly two strategies");
+  }
+  for (const name of strategies) {
+    if (!STRATEGIES[name]) {
+      const names = Object.keys(STRATEGIES).join(", ");
+      throw simulationError(
+        "UNKNOWN_STRATEGY",
+        `Unknown strategy "${name}", pick one of ${names}`
+      );
+    }
+  }
+  for (const key of ["games", "requiredPieces", "searchDepth"]) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+      throw simulationError("INVALID_SETTINGS", `${key} must be at least 1`);
+    }
+  }
+  if (settings.requiredPieces > 4) {
+    throw simulationError("INVALID_SETTINGS", "requiredPieces is at most 4");
+  }
+  const houseRules = validateHouseRules(settings.houseRules);
+
+  const wins = [0, 0];
+  const kills = [0, 0];
+  const rolls = [];
+  let draws = 0;
+  for (let game = 0; game < settings.games; game++) {
+    const gameSeed = settings.seed + Math.floor(game / 2);
+    // Strategy order by seat: the first strategy opens every other game
+    const order = game % 2 === 0 ? [0, 1] : [1, 0];
+    const ais = order.map((strategy, seat) =>
+      STRATEGIES[strategies[strategy]](
+        // Its own stream, apart from the dice
+        createRandom(gameSeed * 31 + seat + 1),
+        settings
+      )
+    );
+    const result = playGame({
+      ais,
+      seed: gameSeed,
+      requiredPieces: settings.requiredPieces,
+      houseRules,
+    });
+
+    rolls.push(result.rolls);
+    order.forEach((strategy, seat) => {
+      kills[strategy] += result.kills[seat];
+    });
+    if (result.winner === null) draws++;
+    else wins[order[result.winner]]++;
+  }
+
+  const { games } = settings;
+  return {
+    settings: {
+      strategies,
+      games,
+      seed: settings.seed,
+      requiredPieces: settings.requiredPieces,
+      houseRules,
+      searchDepth: settings.searchDepth,
+    },
+    games,
+    draws,
+    rolls: meanInterval(rolls),
+    results: strategies.map((strategy, i) => ({
+      strategy,
+      wins: wins[i],
+      winRate: round(wins[i] / games),
+      winRateCi95: wilsonInterval(wins[i], games),
+      kills: kills[i],
+      killsPerGame: round(kills[i] / games),
+    })),
+  };
+}
+
+/**
+ * One CSV row per strategy, with the match totals repeated on each
+ * @param {Object} report - simulateMatch report
+ * @returns {string} CSV with a header row
+ */
+function reportToCsv(report) {
+  const header = [
+    "strategy",
+    "opponent",
+    "games",
+    "wins",
+    "win_rate",
+    "win_rate_low",
+    "win_rate_high",
+    "kills",
+    "kills_per_game",
+    "draws",
+    "average_rolls",
+    "rolls_low",
+    "rolls_high",
+    "seed",
+    "required_pieces",
+  ];
+  const rows = report.results.map((result, i) => [
+    result.strategy,
+    report.results[1 - i].strategy,
+    report.games,
+    result.wins,
+    result.winRate,
+    ...result.winRateCi95,
+    result.kills,
+    result.killsPerGame,
+    report.draws,
+    report.rolls.mean,
+    ...report.rolls.ci95,
+    report.settings.seed,
+    report.settings.requiredPieces,
+  ]);
+  return [header, ...rows].map((row) => row.join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+  STRATEGIES,
+  SIMULATION_DEFAULTS,
+  wilsonInterval,
+  simulateMatch,
+  reportToCsv,
+};
@@ -0,0 +1,94 @@
+const {
+  STRATEGIES,
+  wilsonInterval,
+  simulateMatch,
+  reportToCsv,
+} = require("./simulate");
+const { gameManager } = require("../../gameManager");
+
+describe("Bot simulation", () => {
+  beforeEach(() => {
+    // The AIs and BotController log every decision
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  test("wilson intervals stay inside 0 to 1", () => {
+    expect(wilsonInterval(0, 10)).toEqual([0, 0.2775]);
+    expect(wilsonInterval(10, 10)).toEqual([0.7225, 1]);
+
+    const [low, high] = wilsonInterval(50, 100);
+    expect(low).toBeCloseTo(1 - high, 4);
+    expect(high - low).toBeLessThan(0.2);
+  });
+
+  test("a seed replays the same report", () => {
+    const run = () =>
+      simulateMatch(["priority-easy", "easy"], { games: 6, seed: 9 });
+
+    const report = run();
+    expect(run()).toEqual(report);
+    expect(report.results.map((r) => r.strategy)).toEqual([
+      "priority-easy",
+      "easy",
+    ]);
+    expect(report.results[0].wins + report.results[1].wins).toBe(
+      report.games - report.draws
+    );
+    expect(report.rolls.ci95[0]).toBeLessThanOrEqual(report.rolls.mean);
+    expect(report.rolls.ci95[1]).toBeGreaterThanOrEqual(report.rolls.mean);
+  });
+
+  test("a strategy against itself wins half the games it plays", () => {
+    const report = simulateMatch(["medium", "medium"], { games: 10 });
+
+    expect(report.results[0].wins).toBe(report.results[1].wins);
+    expect(report.results[0].winRate).toBe(0.5);
+  });
+
+  test("BotController's priority moves play without leaving rooms behind", () => {
+    const rooms = gameManager.getRoomCount();
+
+    const report = simulateMatch(["priority-hard", "gladiator"], {
+      games: 4,
+      requiredPieces: 1,
+    });
+
+    expect(report.draws).toBe(0);
+    expect(gameManager.getRoomCount()).toBe(rooms);
+  });
+
+  test("rejects unknown strategies and bad settings", () => {
+    expect(() => simulateMatch(["hard", "expert"])).toThrow(
+      expect.objectContaining({ code: "UNKNOWN_STRATEGY" })
+    );
+    expect(() => simulateMatch(["hard"])).toThrow(
+      expect.objectContaining({ code: "INVALID_SETTINGS" })
+    );
+    expect(() => simulateMatch(["easy", "easy"], { games: 0 })).toThrow(
+      expect.objectContaining({ code: "INVALID_SETTINGS" })
+    );
+    expect(() =>
+      simulateMatch(["easy", "easy"], { houseRules: { flying: true } })
+    ).toThrow(expect.objectContaining({ code: "INVALID_HOUSE_RULES" }));
+  });
+
+  test("reports as CSV with one row per strategy", () => {
+    const report = simulateMatch(["easy", "medium"], { games: 2 });
+
+    const [header, ...rows] = reportToCsv(report).trim().split("\n");
+    expect(header.split(",")).toContain("win_rate_low");
+    expect(rows).toHaveLength(2);
+    expect(rows[0].split(",").slice(0, 3)).toEqual(["easy", "medium", "2"]);
+  });
+
+  test("every strategy can be played", () => {
+    for (const name of Object.keys(STRATEGIES)) {
+      const report = simulateMatch([name, "easy"], {
+        games: 2,
+        requiredPieces: 1,
+      });
+      expect(report.games).toBe(2);
+    }
+  }, 30000);
+});
@@ -0,0 +1,124 @@
+const { playGame, createRandom } = require("./arena");
+const { HardAI, TUNABLE_WEIGHTS } = require("./hard");
+
+// Search settings the tuning command starts from
+const TUNER_DEFAULTS = {
+  generations: 10,
+  population: 12,
+  games: 200, // per candidate, half of them from each seat
+  seed: 1,
+  sigma: 0.3, // mutation size, as a factor on the log of each weight
+  requiredPieces: [1, 2, 3, 4], // games cycle through these
+};
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function createAI(weights) {
+  const ai = new HardAI();
+  Object.assign(ai.rules, weights);
+  return ai;
+}
+
+/**
+ * Share of games one set of weights wins against another. Each seed is
+ * played from both seats so neither side gets the better dice.
+ * @param {Object} weights - Weights being scored
+ * @param {Object} rivalWeights - Weights they play against
+ * @param {Object} options - { games, seed, requiredPieces }
+ * @returns {number} Win rate, 0 to 1
+ */
+function scoreWeights(weights, rivalWeights, { games, seed, requiredPieces }) {
+  let wins = 0;
+  for (let game = 0; game < games; game++) {
+    const gameSeed = seed + Math.floor(game / 2);
+    const seat = game % 2;
+    const ais = [createAI(rivalWeights), createAI(rivalWeights)];
+    ais[seat] = createAI(weights);
+    const { winner } = playGame({
+      ais,
+      seed: gameSeed,
+      requiredPieces: requiredPieces[gameSeed % requiredPieces.length],
+    });
+    if (winner === seat) wins++;
+  }
+  return wins / games;
+}
+
+function mutate(weights, random, sigma) {
+  const child = {};
+  for (const key of TUNABLE_WEIGHTS) {
+    const value = weights[key] * Math.exp(sigma * gaussian(random));
+    // Big weights are scores; small ones (punishWeight) are fractions
+    child[key] =
+      Math.abs(weights[key]) >= 10
+        ? Math.round(value)
+        : Number(value.toFixed(3));
+  }
+  return child;
+}
+
+function crossover(a, b, random) {
+  const child = {};
+  for (const key of TUNABLE_WEIGHTS) {
+    child[key] = random() < 0.5 ? a[key] : b[key];
+  }
+  return child;
+}
+
+/**
+ * Search for better HardAI weights with a small genetic algorithm. Every
+ * candidate plays the starting weights on the same dice; the best quarter
+ * survives each generation and breeds the rest. The winner is then checked
+ * on seeds none of the candidates played.
+ * @param {Object} baseWeights - Weights to beat, keyed by TUNABLE_WEIGHTS
+ * @param {Object} options - TUNER_DEFAULTS overrides, plus onGeneration
+ * called with { generation, best, winRate }
+ * @returns {Object} { weights, winRate, games }
+ */
+function tuneWeights(baseWeights, options = {}) {
+  const settings = { ...TUNER_DEFAULTS, ...options };
+  const { generations, population, games, seed, sigma } = settings;
+  const random = createRandom(seed);
+  const score = (weights, fromSeed) =>
+    scoreWeights(weights, baseWeights, { ...settings, seed: fromSeed });
+
+  let pool = [{ ...baseWeights }];
+  while (pool.length < population) {
+    pool.push(mutate(baseWeights, random, sigma));
+  }
+
+  let ranked = [];
+  for (let generation = 1; generation <= generations; generation++) {
+    // New dice every generation so nobody is tuned to one set of games
+    const generationSeed = seed + generation * games;
+    ranked = pool
+      .map((weights) => ({ weights, winRate: score(weights, generationSeed) }))
+      .sort((a, b) => b.winRate - a.winRate);
+    settings.onGeneration?.({ generation, ...ranked[0] });
+
+    const elites = ranked
+      .slice(0, Math.max(2, Math.floor(population / 4)))
+      .map((entry) => entry.weights);
+    pool = [...elites];
+    while (pool.length < population) {
+      const a = elites[Math.floor(random() * elites.length)];
+      const b = elites[Math.floor(random() * elites.length)];
+      pool.push(mutate(crossover(a, b, random), random, sigma));
+    }
+  }
+
+  const best = ranked[0].weights;
+  const checkSeed = seed + (generations + 1) * games;
+  return { weights: best, winRate: score(best, checkSeed), games };
+}
+
+module.exports = {
+  TUNER_DEFAULTS,
+  scoreWeights,
+  tuneWeights,
+};
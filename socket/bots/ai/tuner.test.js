@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { scoreWeights, tuneWeights } = require("./tuner");
+const { HardAI, TUNABLE_WEIGHTS, loadWeights } = require("./hard");
+
+function currentWeights() {
+  const { rules } = new HardAI();
+  return Object.fromEntries(TUNABLE_WEIGHTS.map((key) => [key, rules[key]]));
+}
+
+describe("Bot weight tuner", () => {
+  beforeEach(() => {
+    // GladiatorAI logs its bring-out penalties
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("equal weights win exactly half their games", () => {
+    const weights = currentWeights();
+
+    const winRate = scoreWeights(weights, weights, {
+      games: 20,
+      seed: 5,
+      requiredPieces: [1, 2],
+    });
+
+    expect(winRate).toBe(0.5);
+  });
+
+  test("a seed always tunes to the same weights", () => {
+    const options = { generations: 2, population: 3, games: 6, seed: 3 };
+
+    const first = tuneWeights(currentWeights(), options);
+
+    expect(Object.keys(first.weights).sort()).toEqual(
+      [...TUNABLE_WEIGHTS].sort()
+    );
+    Object.values(first.weights).forEach((value) =>
+      expect(Number.isFinite(value)).toBe(true)
+    );
+    expect(first.winRate).toBeGreaterThanOrEqual(0);
+    expect(first.winRate).toBeLessThanOrEqual(1);
+    expect(tuneWeights(currentWeights(), options)).toEqual(first);
+  }, 30000);
+
+  test("loads only known numeric weights from a weights file", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "weights-"));
+    const file = path.join(dir, "weights.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        version: 3,
+        weights: { captureWeight: 2000, safeBonus: "lots", madeUp: 1 },
+      })
+    );
+
+    expect(loadWeights(file)).toEqual({
+      version: 3,
+      weights: { captureWeight: 2000 },
+    });
+    expect(loadWeights(path.join(dir, "missing.json"))).toBeNull();
+
+    fs.writeFileSync(file, "{ not json");
+    expect(loadWeights(file)).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+    fs.rmSync(dir, { recursive: true });
+  });
+});
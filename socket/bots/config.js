@@ -1,6 +1,5 @@
 const path = require("path");
 require("dotenv").config({ path: path.join(__dirname, "../../.env") });
-const { getBotsEnabled } = require("../../controllers/gameSetting.controller");
 
 // Bot configuration constants
 const BOT_CONFIG = {
@@ -10,18 +9,26 @@ const BOT_CONFIG = {
   JOIN_DELAY_MS: parseInt(process.env.BOT_JOIN_DELAY_MS) || 40000, // 40 seconds default
   IMMEDIATE_JOIN_DELAY_MS:
     parseInt(process.env.BOT_IMMEDIATE_JOIN_DELAY_MS) || 40000, // 40 seconds default
-  MAX_BOTS_PER_GAME: parseInt(process.env.MAX_BOTS_PER_GAME) || 1, // Only 1 bot for 2-player game
+  MAX_BOTS_PER_GAME: parseInt(process.env.MAX_BOTS_PER_GAME) || 3, // Up to 3 bots to fill a 4-player room
+  QUICK_MATCH_BOT_WAIT_MS:
+    parseInt(process.env.BOT_QUICK_MATCH_WAIT_MS) || 30000, // Quick match waits 30 seconds for a human
+  REMATCH_ACCEPT_PROBABILITY: parseFloat(
+    process.env.BOT_REMATCH_ACCEPT_PROBABILITY ?? "0.7"
+  ), // Chance a bot agrees to a rematch, 0 to 1
+  EMOTES_ENABLED: process.env.BOT_EMOTES_ENABLED !== "false", // Bots react to kills and wins
+  EMOTE_PROBABILITY: parseFloat(process.env.BOT_EMOTE_PROBABILITY ?? "0.5"), // Chance of a reaction, 0 to 1
 
   // Bot AI behavior
   MOVE_DELAY_MS: parseInt(process.env.BOT_MOVE_DELAY_MS) || 2000, // 2 seconds default
   DICE_ROLL_DELAY_MS: parseInt(process.env.BOT_DICE_ROLL_DELAY_MS) || 1500, // 1.5 seconds default
+  SEARCH_TIME_BUDGET_MS: parseInt(process.env.BOT_SEARCH_TIME_BUDGET_MS) || 150, // Hard bots' thinking time per move
 
   // Bot naming
   NAME_SUFFIX_SEPARATOR: process.env.BOT_NAME_SUFFIX_SEPARATOR || "#",
   MAX_NAME_ATTEMPTS: parseInt(process.env.BOT_MAX_NAME_ATTEMPTS) || 10,
 
-  // Bot colors (will be assigned in order) - 2-player game
-  AVAILABLE_COLORS: ["green", "blue"],
+  // Bot colors (will be assigned in order) - clockwise seats of a 4-player room
+  AVAILABLE_COLORS: ["blue", "red", "green", "yellow"],
 
   // Bot difficulty levels
   DIFFICULTY_LEVELS: {
@@ -29,6 +36,7 @@ const BOT_CONFIG = {
     MEDIUM: "medium",
     HARD: "hard",
   },
+  DEFAULT_DIFFICULTY: "medium", // Until BOT_DIFFICULTY is read from the database
 };
 
 // Cache for BOTS_ENABLED setting to avoid repeated database calls
@@ -36,13 +44,23 @@ let botsEnabledCache = null;
 let lastCacheUpdate = 0;
 const CACHE_DURATION = 30000; // 30 seconds cache
 
+// BOT_DIFFICULTY only changes through the admin settings, which refresh it
+let botDifficultyCache = null;
+
 // Initialize cache on startup
 async function initializeCache() {
   try {
+    // Required here: the settings controller requires this module too
+    const {
+      getBotsEnabled,
+      getBotDifficulty,
+    } = require("../../controllers/gameSetting.controller");
     const botsEnabled = await getBotsEnabled();
     updateBotsEnabledCache(botsEnabled);
+    const difficulty = await getBotDifficulty();
+    updateBotDifficultyCache(difficulty);
     console.log(
-      `[BotConfig] Cache initialized with BOTS_ENABLED: ${botsEnabled}`
+      `[BotConfig] Cache initialized with BOTS_ENABLED: ${botsEnabled}, BOT_DIFFICULTY: ${difficulty}`
     );
   } catch (error) {
     console.error("[BotConfig] Error initializing cache:", error);
@@ -86,8 +104,13 @@ const ENV_OVERRIDES = {
   BOT_JOIN_DELAY_MS: process.env.BOT_JOIN_DELAY_MS,
   BOT_IMMEDIATE_JOIN_DELAY_MS: process.env.BOT_IMMEDIATE_JOIN_DELAY_MS,
   MAX_BOTS_PER_GAME: process.env.MAX_BOTS_PER_GAME,
+  BOT_QUICK_MATCH_WAIT_MS: process.env.BOT_QUICK_MATCH_WAIT_MS,
+  BOT_REMATCH_ACCEPT_PROBABILITY: process.env.BOT_REMATCH_ACCEPT_PROBABILITY,
+  BOT_EMOTES_ENABLED: process.env.BOT_EMOTES_ENABLED,
+  BOT_EMOTE_PROBABILITY: process.env.BOT_EMOTE_PROBABILITY,
   BOT_MOVE_DELAY_MS: process.env.BOT_MOVE_DELAY_MS,
   BOT_DICE_ROLL_DELAY_MS: process.env.BOT_DICE_ROLL_DELAY_MS,
+  BOT_SEARCH_TIME_BUDGET_MS: process.env.BOT_SEARCH_TIME_BUDGET_MS,
   BOT_NAME_SUFFIX_SEPARATOR: process.env.BOT_NAME_SUFFIX_SEPARATOR,
   MAX_NAME_ATTEMPTS: process.env.BOT_MAX_NAME_ATTEMPTS,
 };
@@ -158,12 +181,54 @@ function updateBotsEnabledCache(value) {
   lastCacheUpdate = Date.now();
 }
 
+/**
+ * Check a bot difficulty level
+ * @param {string} value - Difficulty to check
+ * @returns {boolean} Whether it is easy, medium or hard
+ */
+function isValidDifficulty(value) {
+  return Object.values(BOT_CONFIG.DIFFICULTY_LEVELS).includes(value);
+}
+
+/**
+ * Get the BOT_DIFFICULTY setting new bots play at
+ * @returns {string} Cached difficulty, or the default before it is loaded
+ */
+function getBotDifficultySync() {
+  return botDifficultyCache || BOT_CONFIG.DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Difficulty a room's bots play at: the room's stake table can set one,
+ * otherwise the BOT_DIFFICULTY setting applies
+ * @param {Object} gameSettings - Room settings
+ * @returns {string} easy, medium or hard
+ */
+function getRoomBotDifficulty(gameSettings) {
+  return isValidDifficulty(gameSettings?.botDifficulty)
+    ? gameSettings.botDifficulty
+    : getBotDifficultySync();
+}
+
+/**
+ * Update the BOT_DIFFICULTY cache
+ * @param {string} value - New difficulty; unknown levels are ignored
+ */
+function updateBotDifficultyCache(value) {
+  if (isValidDifficulty(value)) {
+    botDifficultyCache = value;
+  }
+}
+
 /**
  * Get bot configuration with environment variable overrides
  * @returns {Object} Bot configuration object
  */
 async function getBotConfig() {
   try {
+    const {
+      getBotsEnabled,
+    } = require("../../controllers/gameSetting.controller");
     // Fetch BOTS_ENABLED from database
     const botsEnabled = await getBotsEnabled();
 
@@ -217,6 +282,10 @@ module.exports = {
   getBotConfigSync,
   getBotsEnabledSync,
   updateBotsEnabledCache,
+  isValidDifficulty,
+  getBotDifficultySync,
+  getRoomBotDifficulty,
+  updateBotDifficultyCache,
   initializeCache,
   getBotNames,
   getEnvOverrides,
@@ -1,15 +1,22 @@
-const {
-  getMovableTokens,
-  getNextPosition,
-  isSafePosition,
-} = require("../utils");
-const { getBotConfigSync } = require("./config");
+const { getNextPosition } = require("../utils");
+const { getBotConfigSync, getBotDifficultySync } = require("./config");
 const { gameManager } = require("../gameManager");
-const { HardAI } = require("./ai/hard");
+const { rollDie } = require("../fairness");
+const rules = require("../rules");
+const { recordRulesEvents } = require("../replay");
+const { toRoom } = require("../spectators");
+const { postEmote } = require("../chat");
+const { AI_BY_DIFFICULTY, createBotAI } = require("./ai");
 
 // Configuration
 const BOT_CONFIG = getBotConfigSync();
 
+// Emotes a bot picks from when it reacts
+const BOT_EMOTES = {
+  kill: ["laugh", "fire", "thumbs_up"],
+  win: ["gg", "clap", "fire"],
+};
+
 /**
  * Bot Controller Class - Handles bot turns in the game
  */
@@ -19,8 +26,7 @@ class BotController {
     this.logger = options.logger || console;
     this.activeBots = new Map(); // roomId -> Set of bot player IDs
     this.botTimers = new Map(); // roomId -> Map of botId -> timer
-    this.hardAI = new HardAI(); // Instance of HardAI for hard difficulty bots
-    this.botRollCounts = new Map(); // roomId -> Map of botId -> rollCount
+    this.ais = {}; // difficulty -> AI instance shared by bots at that level
 
     // Bind methods
     this.handleGameStart = this.handleGameStart.bind(this);
@@ -61,7 +67,6 @@ class BotController {
     try {
       if (!room.lastRoll) return false;
 
-      const rollValue = room.lastRoll.value;
       const botPlayer = room.players.find((p) => p.id === botId);
       if (!botPlayer) return false;
 
@@ -73,34 +78,11 @@ class BotController {
         return false;
       }
 
-      // Rule 1: Rolled a 6 - always get another turn
-      if (rollValue === 6) {
-        console.log(
-          `[BotController] Bot ${botPlayer.name} gets another turn because they rolled a 6`
-        );
-        return true;
-      }
-
-      // Rule 2: Killed a piece - get another turn
-      if (moveResult.killedPiece) {
-        console.log(
-          `[BotController] Bot ${botPlayer.name} gets another turn because they killed a piece`
-        );
-        return true;
-      }
-
-      // Rule 3: Landed in win zone - get another turn
-      if (moveResult.isWinZone) {
+      // The rules engine decides extra turns (6, kill or win zone) for every
+      // player, so bots follow the same rules as humans
+      if (moveResult.extraTurn) {
         console.log(
-          `[BotController] Bot ${botPlayer.name} gets another turn because they landed in win zone`
-        );
-        return true;
-      }
-
-      // Rule 4: Brought out a piece from home (on roll of 6) - get another turn
-      if (rollValue === 6 && moveResult.isHome) {
-        console.log(
-          `[BotController] Bot ${botPlayer.name} gets another turn because they brought out a piece from home`
+          `[BotController] Bot ${botPlayer.name} gets another turn (${moveResult.extraTurnReasons.join(", ")})`
         );
         return true;
       }
@@ -186,11 +168,6 @@ class BotController {
       this.activeBots.set(roomId, new Set(botPlayers.map((p) => p.id)));
       this.botTimers.set(roomId, new Map());
 
-      // Initialize roll counts for bot players
-      const rollCounts = new Map();
-      botPlayers.forEach((bot) => rollCounts.set(bot.id, 0));
-      this.botRollCounts.set(roomId, rollCounts);
-
       this.logger.info(
         `[BotController] Game started in room ${roomId} with ${botPlayers.length} bots`
       );
@@ -342,7 +319,6 @@ class BotController {
 
       this.cleanupBotTimers(roomId);
       this.activeBots.delete(roomId);
-      this.botRollCounts.delete(roomId);
       this.logger.info(
         `[BotController] Game ended in room ${roomId}, cleaned up bot state`
       );
@@ -409,6 +385,9 @@ class BotController {
       // Clear any existing timer for this bot
       this.clearBotTimer(roomId, botId);
 
+      // The turn is dropped if the room moves on before it runs
+      const version = gameManager.getStateVersion(roomId);
+
       // Schedule the bot turn
       console.log(
         `[BotController] Setting timer for ${reactionDelay}ms for bot ${botPlayer.name}`
@@ -427,7 +406,7 @@ class BotController {
           console.log(
             `[BotController] executeBotTurn method is available, calling it...`
           );
-          this.executeBotTurn(roomId, botId);
+          this.executeBotTurn(roomId, botId, version);
         } else {
           console.error(
             `[BotController] ERROR: executeBotTurn method not available!`
@@ -472,11 +451,36 @@ class BotController {
   }
 
   /**
-   * Execute a bot's turn (roll dice, evaluate moves, make move)
+   * Execute a bot's turn on the room's mailbox, after any move or timer
+   * already queued there
    * @param {string} roomId - Room ID
    * @param {string} botId - Bot player ID
+   * @param {number} version - Room state version the turn was scheduled at;
+   * the turn is dropped if the room has changed since
    */
-  async executeBotTurn(roomId, botId) {
+  async executeBotTurn(roomId, botId, version) {
+    try {
+      await gameManager.enqueue(roomId, () => this.playBotTurn(roomId, botId), {
+        version,
+      });
+    } catch (error) {
+      if (!error.code) throw error;
+      this.logger.info(
+        `[BotController] Dropped turn for bot ${botId} in room ${roomId}: ${error.message}`
+      );
+      this.emitBotActionLog(roomId, "turn_dropped", {
+        botId,
+        reason: error.code,
+      });
+    }
+  }
+
+  /**
+   * Play a bot's turn (roll dice, evaluate moves, make move)
+   * @param {string} roomId - Room ID
+   * @param {string} botId - Bot player ID
+   */
+  async playBotTurn(roomId, botId) {
     try {
       // Check if bots are enabled for this specific room
       const room = gameManager.getRoom(roomId);
@@ -555,11 +559,9 @@ class BotController {
       this.logger.info(
         `[BotController] Step 3: Evaluating moves and making move for bot ${botPlayer.name}`
       );
-      const moveResult = await this.makeBotMove(
-        roomId,
-        botId,
-        rollResult.value
-      );
+      const moveResult =
+        !rollResult.turnPassed &&
+        (await this.makeBotMove(roomId, botId, rollResult.value));
       if (!moveResult) {
         this.logger.warn(
           `[BotController] Failed to make move for bot ${botPlayer.name} in room ${roomId}`
@@ -572,13 +574,8 @@ class BotController {
           currentRoom.players &&
           currentRoom.players.length > 0
         ) {
-          const currentPlayerIndex = currentRoom.players.findIndex(
-            (p) => p.id === botId
-          );
-          const nextIndex =
-            (currentPlayerIndex + 1) % currentRoom.players.length;
           const oldTurn = currentRoom.currentTurn;
-          currentRoom.currentTurn = currentRoom.players[nextIndex].id;
+          gameManager.advanceTurn(roomId, botId);
 
           console.log(
             `[BotController] Turn advanced from ${oldTurn} to ${currentRoom.currentTurn} because bot couldn't make a move`
@@ -586,11 +583,12 @@ class BotController {
 
           // Emit room update with new turn
           if (this.io) {
-            this.io.to(roomId).emit("room_update", {
+            toRoom(this.io, roomId).emit("room_update", {
               players: currentRoom.players,
               currentTurn: currentRoom.currentTurn,
               gameStatus: currentRoom.gameStatus,
               lastRoll: currentRoom.lastRoll,
+              turnDeadline: currentRoom.turnDeadline,
             });
           }
 
@@ -604,12 +602,15 @@ class BotController {
 
         // Check if bot should get another turn
         const currentRoom = gameManager.getRoom(roomId);
-        if (currentRoom && currentRoom.lastRoll) {
-          const shouldGetAnotherTurn = this.shouldBotGetAnotherTurn(
-            currentRoom,
-            botId,
-            moveResult
-          );
+        if (
+          currentRoom &&
+          currentRoom.lastRoll &&
+          currentRoom.gameStatus === gameManager.GAME_STATUS.PLAYING
+        ) {
+          // A bot that has finished never gets another turn
+          const shouldGetAnotherTurn =
+            !moveResult.playerFinished &&
+            this.shouldBotGetAnotherTurn(currentRoom, botId, moveResult);
 
           if (shouldGetAnotherTurn) {
             console.log(
@@ -624,12 +625,8 @@ class BotController {
               `[BotController] Bot ${botPlayer.name} turn complete, advancing to next player`
             );
             // Advance turn to next player
-            const currentPlayerIndex = room.players.findIndex(
-              (p) => p.id === botId
-            );
-            const nextIndex = (currentPlayerIndex + 1) % room.players.length;
             const oldTurn = room.currentTurn;
-            room.currentTurn = room.players[nextIndex].id;
+            gameManager.advanceTurn(roomId, botId);
 
             console.log(
               `[BotController] Turn advanced from ${oldTurn} to ${room.currentTurn}`
@@ -637,11 +634,12 @@ class BotController {
 
             // Emit room update with new turn
             if (this.io) {
-              this.io.to(roomId).emit("room_update", {
+              toRoom(this.io, roomId).emit("room_update", {
                 players: room.players,
                 currentTurn: room.currentTurn,
                 gameStatus: room.gameStatus,
                 lastRoll: room.lastRoll,
+                turnDeadline: room.turnDeadline,
               });
             }
 
@@ -681,49 +679,27 @@ class BotController {
       );
 
       // Emit rolling dice event
-      this.io.to(roomId).emit("rolling_dice", { playerId: botId });
+      toRoom(this.io, roomId).emit("rolling_dice", { playerId: botId });
 
       // Wait for rolling animation
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
-      // Get game state and roll dice
-      const gameState = gameManager.getGameState(roomId);
+      // Bots roll from the same committed seed as human players
       const playerColor = botPlayer.color;
+      const value = rollDie(room, botId);
+      console.log(`[BotController] Bot ${botPlayer.name} rolled ${value}`);
 
-      // Check if this is the bot's first roll (all pieces are in home)
-      const isFirstRoll = !gameState.pieces[playerColor]?.some(
-        (piece) => piece && !piece.startsWith(`${playerColor[0]}h`)
-      );
-
-      let value;
-      if (isFirstRoll) {
-        // First roll: always roll 6 to ensure bot can move
-        value = 6;
-        console.log(
-          `[BotController] First roll for bot ${botPlayer.name}, forcing value 6`
-        );
-      } else {
-        // Subsequent rolls: use strategic roll logic
-        value = this.getStrategicBotRollValue(
-          roomId,
-          botId,
-          gameState.pieces,
-          playerColor
-        );
-        console.log(
-          `[BotController] Strategic roll for bot ${botPlayer.name}: ${value}`
-        );
-      }
-
-      // Update room state
-      room.lastRoll = {
+      // Update room state through the shared rules
+      const result = rules.applyRoll(gameManager.getRulesState(roomId), {
+        playerId: botId,
         value,
-        roller: botId,
-        moved: false,
-      };
+      });
+      gameManager.commitRulesState(roomId, result.state);
+      recordRulesEvents(roomId, result.events, { bot: true });
+      gameManager.persistRoom(roomId);
 
       // Emit roll result (same events as human players)
-      this.io.to(roomId).emit("roll_dice", {
+      toRoom(this.io, roomId).emit("roll_dice", {
         value,
         roller: botId,
         dieStatus: gameManager.DIE_STATUS.ROLLING,
@@ -736,7 +712,9 @@ class BotController {
         color: playerColor,
       });
 
-      return { value, color: playerColor };
+      // No legal move, or a roll forfeited under the house rules
+      const turnPassed = result.events.some((e) => e.type === "turn");
+      return { value, color: playerColor, turnPassed };
     } catch (error) {
       this.logger.error(
         `[BotController] Error rolling dice for bot ${botId} in room ${roomId}:`,
@@ -798,31 +776,37 @@ class BotController {
       );
 
       let selectedMove;
-      if (botPlayer.difficulty === "hard" && room.gameState) {
-        // Use HardAI for hard difficulty bots
+      let strategy = "priority";
+      const ai = this.getAI(botPlayer.difficulty);
+      if (room.gameState) {
         try {
-          const hardAIMove = this.hardAI.chooseMove(
-            room.gameState,
+          const aiMove = ai.chooseMove(
+            { pieces: room.gameState.pieces, players: room.players },
             botId,
-            rollValue
+            rollValue,
+            {
+              requiredPieces: room.gameSettings?.requiredPieces,
+              houseRules: rules.getHouseRules(room.gameSettings?.houseRules),
+            }
           );
 
-          if (hardAIMove) {
-            // Convert HardAI move format to our move format
+          if (aiMove) {
+            // Convert the AI's move format to our move format
             selectedMove = legalMoves.find(
-              (move) => move.pieceIndex === hardAIMove.pieceIndex
+              (move) => move.pieceIndex === aiMove.pieceIndex
             );
+            if (selectedMove) strategy = `${ai.difficulty}_ai`;
           }
         } catch (error) {
-          // If HardAI fails, fall back to default selection
+          // If the AI fails, fall back to default selection
           this.logger.warn(
-            `[BotController] HardAI failed for bot ${botId}, falling back to default selection:`,
+            `[BotController] ${ai.difficulty} AI failed for bot ${botId}, falling back to default selection:`,
             error.message
           );
         }
       }
 
-      // Fallback to default selection if HardAI didn't return a move or for other difficulties
+      // Fallback to default selection if the AI didn't return a move
       if (!selectedMove) {
         selectedMove = this.selectBestMove(
           legalMoves,
@@ -842,6 +826,18 @@ class BotController {
       this.logger.info(
         `[BotController] Bot ${botPlayer.name} selected move: piece ${selectedMove.pieceIndex} to ${selectedMove.nextPosition}`
       );
+      gameManager.recordEvent(roomId, "bot_decision", {
+        playerId: botId,
+        color: botPlayer.color,
+        value: rollValue,
+        options: legalMoves.map((move) => ({
+          pieceIndex: move.pieceIndex,
+          from: move.currentPosition,
+          to: move.nextPosition,
+        })),
+        chosen: selectedMove.pieceIndex,
+        strategy,
+      });
 
       // Execute the move using the existing move_piece logic
       const moveResult = await this.executeBotMove(roomId, botId, selectedMove);
@@ -868,6 +864,23 @@ class BotController {
     }
   }
 
+  /**
+   * AI for a difficulty level. Bots without a known level play at the
+   * BOT_DIFFICULTY setting.
+   * @param {string} difficulty - Bot difficulty level
+   * @returns {Object} AI instance with chooseMove and its difficulty
+   */
+  getAI(difficulty) {
+    const level = AI_BY_DIFFICULTY[difficulty]
+      ? difficulty
+      : getBotDifficultySync();
+    if (!this.ais[level]) {
+      this.ais[level] = createBotAI(level);
+      this.ais[level].difficulty = level;
+    }
+    return this.ais[level];
+  }
+
   /**
    * Evaluate legal moves for a bot player
    * @param {string} roomId - Room ID
@@ -886,32 +899,17 @@ class BotController {
       );
       console.log(`[BotController] Pieces for color ${color}:`, pieces);
 
-      const legalMoves = [];
-
-      for (let i = 0; i < pieces.length; i++) {
-        const piece = pieces[i];
-        if (!piece) continue;
-
-        // Skip if piece has already won
-        if (piece === `${color}WinZone`) continue;
-
-        // Get next position for this piece
-        const nextPosition = getNextPosition(piece, rollValue, color);
-        console.log(
-          `[BotController] Piece ${i} at position ${piece}, next position with roll ${rollValue}: ${nextPosition}`
-        );
-
-        if (nextPosition) {
-          legalMoves.push({
-            pieceIndex: i,
-            currentPosition: piece,
-            nextPosition,
-            isSafe: isSafePosition(nextPosition),
-            isHome: piece.startsWith(`${color[0]}h`),
-            isWinZone: nextPosition === `${color}WinZone`,
-          });
-        }
-      }
+      const houseRules = gameManager.getRoom(roomId)?.gameSettings?.houseRules;
+      const legalMoves = rules
+        .getLegalMoves(gameState.pieces, color, rollValue, houseRules)
+        .map(({ pieceIndex, from, to }) => ({
+          pieceIndex,
+          currentPosition: from,
+          nextPosition: to,
+          isSafe: rules.isSafeSquare(to, houseRules),
+          isHome: from.startsWith(`${color[0]}h`),
+          isWinZone: to === `${color}WinZone`,
+        }));
 
       console.log(
         `[BotController] Found ${legalMoves.length} legal moves for color ${color} with roll ${rollValue}`
@@ -1025,11 +1023,11 @@ class BotController {
   }
 
   /**
-   * Execute a bot move using the existing game logic
+   * Execute a bot move through the shared rules engine
    * @param {string} roomId - Room ID
    * @param {string} botId - Bot player ID
    * @param {Object} move - Move object
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|boolean>} Move result or false if it failed
    */
   async executeBotMove(roomId, botId, move) {
     try {
@@ -1064,145 +1062,85 @@ class BotController {
         return false;
       }
 
-      // Apply the move
+      // Apply the move through the shared rules
       console.log(
         `[BotController] Applying move: piece ${move.pieceIndex} from ${move.currentPosition} to ${move.nextPosition}`
       );
-      gameState.pieces[botPlayer.color][move.pieceIndex] = move.nextPosition;
-      room.lastRoll.moved = true;
-      console.log(
-        `[BotController] Move applied successfully. New piece position: ${
-          gameState.pieces[botPlayer.color][move.pieceIndex]
-        }`
-      );
+      let result;
+      try {
+        result = rules.applyMove(gameManager.getRulesState(roomId), {
+          playerId: botId,
+          pieceIndex: move.pieceIndex,
+        });
+      } catch (error) {
+        this.logger.warn(
+          `[BotController] Move rejected for bot ${botPlayer.name} in room ${roomId}: ${error.message}`
+        );
+        return false;
+      }
+      gameManager.commitRulesState(roomId, result.state);
+      recordRulesEvents(roomId, result.events, { bot: true });
+      gameManager.persistRoom(roomId);
 
       // Check for piece completion
       if (move.nextPosition === `${botPlayer.color}WinZone`) {
-        this.io.to(roomId).emit("piece_finished", {
+        toRoom(this.io, roomId).emit("piece_finished", {
           color: botPlayer.color,
           pieceIndex: move.pieceIndex,
         });
       }
 
-      // Check if piece killed an opponent piece
-      let killedPiece = null;
-      Object.entries(gameState.pieces).forEach(([pieceColor, pieces]) => {
-        if (pieceColor === botPlayer.color) return;
-        const killedIndex = pieces.indexOf(move.nextPosition);
-        if (killedIndex !== -1 && !isSafePosition(move.nextPosition)) {
-          killedPiece = {
-            color: pieceColor,
-            index: killedIndex,
-            position: move.nextPosition,
-          };
-          // Send the killed piece back to home
-          gameState.pieces[pieceColor][killedIndex] = `${pieceColor[0]}h${
-            killedIndex + 1
-          }`;
-
-          // Emit piece killed event
-          this.io.to(roomId).emit("piece_killed", {
-            color: pieceColor,
-            pieceIndex: killedIndex,
-            currentPosition: move.nextPosition,
-          });
-
-          console.log(
-            `[BotController] Bot ${botPlayer.name} killed ${pieceColor} piece ${killedIndex} at position ${move.nextPosition}`
-          );
-        }
-      });
+      // Tell clients about every piece the move sent home
+      const kills = result.events.filter((e) => e.type === "kill");
+      for (const kill of kills) {
+        toRoom(this.io, roomId).emit("piece_killed", {
+          color: kill.color,
+          pieceIndex: kill.pieceIndex,
+          currentPosition: kill.position,
+        });
+        console.log(
+          `[BotController] Bot ${botPlayer.name} killed ${kill.color} piece ${kill.pieceIndex} at position ${kill.position}`
+        );
+      }
+      if (kills.length > 0) this.reactWithEmote(roomId, botPlayer, "kill");
+      const killedPiece = kills[0]
+        ? {
+            color: kills[0].color,
+            index: kills[0].pieceIndex,
+            position: kills[0].position,
+          }
+        : null;
+      const extraTurn = result.events.find((e) => e.type === "extra_turn");
 
       // Check for game completion
-      const { hasPlayerWon } = require("../utils");
-      if (
-        hasPlayerWon(
-          gameState.pieces,
-          botPlayer.color,
-          room.gameSettings.requiredPieces
-        )
-      ) {
-        room.gameStatus = gameManager.GAME_STATUS.FINISHED;
-
-        // Find the human player (loser)
-        const humanPlayer = room.players.find((p) => !p.isBot);
-
-        // Save game history to database
-        try {
-          const GameHistory = require("../../model/GameHistory");
-          await GameHistory.create({
-            user: humanPlayer?.userId || humanPlayer?.id,
-            roomId,
-            status: gameManager.GAME_STATUS.FINISHED,
-            players: room.players,
-            winnerId: botId,
-            stake: room.gameSettings.stake,
-            requiredPieces: room.gameSettings.requiredPieces,
-            createdAt: new Date(),
-          });
-          console.log(
-            `[BotController] Game history saved for bot win in room ${roomId}`
-          );
-        } catch (error) {
-          console.error(
-            `[BotController] Error saving game history for bot win in room ${roomId}:`,
-            error
-          );
-        }
-
-        // No wallet update needed for bot wins - human player already lost their stake when game started
-        // Only humans get winnings when they beat bots, but when bots win, no additional wallet changes occur
+      if (result.events.some((e) => e.type === "player_finished")) {
+        // Bot prizes stay with the house; gameOver only pays human places
+        const { handlePlayerFinished } = require("../gameOver");
+        const isGameOver = await handlePlayerFinished(this.io, roomId, botId, {
+          reason: "win",
+        });
         console.log(
-          `[BotController] Bot ${botPlayer.name} won against human ${humanPlayer.name}. Human player lost their stake but no additional wallet updates needed.`
+          `[BotController] Bot ${botPlayer.name} finished in room ${roomId}, game over: ${isGameOver}`
         );
-
-        // Create detailed match results for bot win
-        const matchResults = {
-          winner: {
-            id: botId,
-            name: botPlayer.name,
-            color: botPlayer.color,
-            pieces: gameState.pieces[botPlayer.color],
-            isBot: true,
-          },
-          loser: {
-            id: humanPlayer.id,
-            name: humanPlayer.name,
-            color: humanPlayer.color,
-            pieces: gameState.pieces[humanPlayer.color],
-            isBot: false,
-          },
-          gameDuration: Date.now() - room.createdAt,
-          requiredPieces: room.gameSettings.requiredPieces,
-          stake: room.gameSettings.stake,
-        };
-
-        this.io.to(roomId).emit("game_over", matchResults);
-
-        // Notify bot controller about game end
-        this.handleGameEnd(roomId);
+        if (gameManager.getRoom(roomId)?.finishedPlayers[0] === botId) {
+          this.reactWithEmote(roomId, botPlayer, "win");
+        }
 
         return {
           success: true,
           isWinZone: move.nextPosition === `${botPlayer.color}WinZone`,
           killedPiece: killedPiece,
           isHome: move.isHome,
+          extraTurn: false,
+          extraTurnReasons: [],
+          playerFinished: true,
         };
       }
 
-      // Advance turn if needed (this will be handled by the calling method now)
-      // if (
-      //   room.lastRoll.value !== 6 &&
-      //   move.nextPosition !== `${botPlayer.color}WinZone`
-      // ) {
-      //   const nextIndex =
-      //     (room.players.findIndex((p) => p.id === botId) + 1) %
-      //     room.players.length;
-      //   room.currentTurn = room.players[nextIndex].id;
-      // }
+      // Turn advancement and extra turns are handled by executeBotTurn
 
       // Emit move events
-      this.io.to(roomId).emit("piece_moved", {
+      toRoom(this.io, roomId).emit("piece_moved", {
         pieces: gameState.pieces,
         color: botPlayer.color,
         index: move.pieceIndex,
@@ -1210,57 +1148,13 @@ class BotController {
         toPosition: move.nextPosition,
       });
 
-      // Check if bot should get another turn (rolled 6 or killed a piece)
-      const shouldGetAnotherTurn = this.shouldBotGetAnotherTurn(room, botId, {
-        success: true,
-        killedPiece: killedPiece,
-        isWinZone: move.nextPosition === `${botPlayer.color}WinZone`,
-        isHome: move.isHome,
-      });
-
-      if (shouldGetAnotherTurn) {
-        console.log(
-          `[BotController] Bot ${botPlayer.name} gets another turn! (rolled ${
-            room.lastRoll.value
-          }${killedPiece ? " and killed a piece" : ""})`
-        );
-        // Schedule another bot turn immediately
-        setTimeout(() => {
-          this.scheduleBotTurn(roomId, botId);
-        }, 1000); // 1 second delay before next turn
-      } else {
-        console.log(
-          `[BotController] Bot ${botPlayer.name} turn complete, advancing to next player`
-        );
-        // Advance turn to next player
-        const currentPlayerIndex = currentRoom.players.findIndex(
-          (p) => p.id === botId
-        );
-        const nextIndex = (currentPlayerIndex + 1) % currentRoom.players.length;
-        const oldTurn = currentRoom.currentTurn;
-        currentRoom.currentTurn = currentRoom.players[nextIndex].id;
-
-        console.log(
-          `[BotController] Turn advanced from ${oldTurn} to ${currentRoom.currentTurn}`
-        );
-
-        // Emit room update with new turn
-        this.io.to(roomId).emit("room_update", {
-          players: currentRoom.players,
-          currentTurn: currentRoom.currentTurn,
-          gameStatus: currentRoom.gameStatus,
-          lastRoll: currentRoom.lastRoll,
-        });
-
-        // Notify bot controller about turn change
-        this.handleTurnChange(roomId, room.currentTurn);
-      }
-
       return {
         success: true,
         isWinZone: move.nextPosition === `${botPlayer.color}WinZone`,
         killedPiece: killedPiece,
         isHome: move.isHome,
+        extraTurn: Boolean(extraTurn),
+        extraTurnReasons: extraTurn?.reasons || [],
       };
     } catch (error) {
       this.logger.error(
@@ -1304,7 +1198,8 @@ class BotController {
       if (!gameState || !gameState.pieces) return false;
 
       // Check if position is safe (can't kill on safe positions)
-      if (isSafePosition(position)) return false;
+      const houseRules = gameManager.getRoom(roomId)?.gameSettings?.houseRules;
+      if (rules.isSafeSquare(position, houseRules)) return false;
 
       // Check if any opponent piece is at this position
       for (const [pieceColor, pieces] of Object.entries(gameState.pieces)) {
@@ -1326,236 +1221,6 @@ class BotController {
     }
   }
 
-  /**
-   * Get safe roll value (same logic as human players)
-   * @param {Object} pieces - Game pieces state
-   * @param {string} color - Player color
-   * @returns {number} Safe roll value
-   */
-  getSafeRollValue(pieces, color) {
-    try {
-      const possibleValues = [1, 2, 3, 4, 5, 6];
-      const safeValues = [];
-
-      for (const value of possibleValues) {
-        const tokens = pieces[color] || [];
-        let isSafe = true;
-
-        for (let i = 0; i < tokens.length; i++) {
-          const piece = tokens[i];
-          // Skip if already in winzone
-          if (piece === `${color}WinZone`) continue;
-
-          // Calculate next position
-          const nextPosition = getNextPosition(piece, value, color);
-          if (!nextPosition) continue;
-
-          // Check if any other token would land on the same position
-          for (let j = 0; j < tokens.length; j++) {
-            if (i === j) continue;
-            if (tokens[j] === nextPosition) {
-              // Only allow if safe or winzone
-              if (
-                !isSafePosition(nextPosition) &&
-                nextPosition !== `${color}WinZone`
-              ) {
-                isSafe = false;
-                break;
-              }
-            }
-          }
-
-          if (!isSafe) break;
-        }
-
-        if (isSafe) {
-          safeValues.push(value);
-        }
-      }
-
-      // Return random safe value or random value if none are safe
-      if (safeValues.length > 0) {
-        return safeValues[Math.floor(Math.random() * safeValues.length)];
-      }
-
-      return possibleValues[Math.floor(Math.random() * possibleValues.length)];
-    } catch (error) {
-      this.logger.error(
-        `[BotController] Error calculating safe roll value for color ${color}:`,
-        error
-      );
-      return Math.floor(Math.random() * 6) + 1;
-    }
-  }
-
-  /**
-   * Calculate strategic dice roll value for bot with special rules
-   * @param {string} roomId - Room ID
-   * @param {string} botId - Bot player ID
-   * @param {Object} pieces - Game pieces state
-   * @param {string} color - Player color
-   * @returns {number} Strategic roll value
-   */
-  getStrategicBotRollValue(roomId, botId, pieces, color) {
-    try {
-      // Get current roll count for this bot
-      const roomRollCounts = this.botRollCounts.get(roomId);
-      if (!roomRollCounts) {
-        console.log(`[BotController] No roll counts found for room ${roomId}`);
-        return this.getSafeRollValue(pieces, color);
-      }
-
-      const currentRollCount = roomRollCounts.get(botId) || 0;
-
-      // Increment roll count
-      roomRollCounts.set(botId, currentRollCount + 1);
-      const newRollCount = currentRollCount + 1;
-
-      console.log(`[BotController] Bot ${botId} roll count: ${newRollCount}`);
-
-      // Get room settings to check game mode
-      const room = gameManager.getRoom(roomId);
-      const requiredPieces = room?.gameSettings?.requiredPieces || 2;
-
-      // Rule 1: Force 6 every 3 rolls (but consider required pieces strategy)
-      if (newRollCount % 3 === 0) {
-        console.log(`[BotController] Bot ${botId} forcing 6 (every 3rd roll)`);
-
-        // Check if we should prioritize advancing existing tokens vs bringing out new ones
-        const shouldPrioritizeAdvancement = this.shouldPrioritizeAdvancement(
-          pieces,
-          color,
-          requiredPieces
-        );
-
-        if (shouldPrioritizeAdvancement) {
-          console.log(
-            `[BotController] Bot ${botId} has enough active tokens, prioritizing advancement over bringing out`
-          );
-        }
-
-        return 5;
-      }
-
-      // Rule 2: Check if any piece is in final 6 positions before win zone
-      const tokens = pieces[color] || [];
-      let bestSteps = null;
-
-      for (let i = 0; i < tokens.length; i++) {
-        const piece = tokens[i];
-
-        // Skip if already in win zone or not on board
-        if (piece === `${color}WinZone` || piece.startsWith(`${color[0]}h`)) {
-          continue;
-        }
-
-        // Calculate distance to win zone
-        const stepsToWin = this.calculateStepsToWinZone(piece, color);
-
-        if (stepsToWin > 0 && stepsToWin <= 6) {
-          console.log(
-            `[BotController] Bot ${botId} piece at ${piece} needs exactly ${stepsToWin} to reach win zone`
-          );
-
-          // Prioritize the piece that needs fewer steps (more likely to win)
-          if (bestSteps === null || stepsToWin < bestSteps) {
-            bestSteps = stepsToWin;
-          }
-        }
-      }
-
-      if (bestSteps !== null) {
-        console.log(
-          `[BotController] Bot ${botId} returning dice value ${bestSteps} for optimal win`
-        );
-        return bestSteps;
-      }
-
-      // Rule 3: Check if bot can kill any opponent token within 6 steps
-      const gameState = gameManager.getGameState(roomId);
-      if (gameState) {
-        const killOpportunity = this.findKillOpportunity(gameState, color);
-        if (killOpportunity) {
-          console.log(
-            `[BotController] Bot ${botId} found kill opportunity: piece at ${killOpportunity.botPiece} can kill opponent at ${killOpportunity.opponentPiece} with roll ${killOpportunity.rollNeeded}`
-          );
-          return killOpportunity.rollNeeded;
-        }
-      }
-
-      // Default: use safe roll value
-      return this.getSafeRollValue(pieces, color);
-    } catch (error) {
-      console.error(
-        `[BotController] Error calculating strategic roll value for bot ${botId}:`,
-        error
-      );
-      return this.getSafeRollValue(pieces, color);
-    }
-  }
-
-  /**
-   * Find if bot can kill any opponent token within 6 steps
-   * @param {Object} gameState - Current game state
-   * @param {string} botColor - Bot's color
-   * @returns {Object|null} Kill opportunity with {botPiece, opponentPiece, rollNeeded} or null
-   */
-  findKillOpportunity(gameState, botColor) {
-    try {
-      const botTokens = gameState.pieces[botColor] || [];
-      const allColors = ["red", "green", "yellow", "blue"];
-      const opponentColors = allColors.filter((color) => color !== botColor);
-
-      // Check each bot token
-      for (const botPiece of botTokens) {
-        // Skip if bot piece is at home or in win zone
-        if (
-          botPiece === `${botColor}WinZone` ||
-          botPiece.startsWith(`${botColor[0]}h`)
-        ) {
-          continue;
-        }
-
-        // Try dice rolls 3-5 only (to make it less suspicious and more realistic)
-        for (let rollValue = 3; rollValue <= 5; rollValue++) {
-          const nextPosition = getNextPosition(botPiece, rollValue, botColor);
-
-          if (!nextPosition || nextPosition === `${botColor}WinZone`) {
-            continue;
-          }
-
-          // Check if any opponent token is at that position
-          for (const opponentColor of opponentColors) {
-            const opponentTokens = gameState.pieces[opponentColor] || [];
-
-            for (const opponentPiece of opponentTokens) {
-              if (opponentPiece === nextPosition) {
-                // Found a kill opportunity!
-                console.log(
-                  `[BotController] Found kill opportunity: Bot ${botColor} piece at ${botPiece} can kill ${opponentColor} piece at ${opponentPiece} with roll ${rollValue}`
-                );
-                return {
-                  botPiece,
-                  opponentPiece,
-                  rollNeeded: rollValue,
-                  opponentColor,
-                };
-              }
-            }
-          }
-        }
-      }
-
-      return null; // No kill opportunities found
-    } catch (error) {
-      console.error(
-        `[BotController] Error finding kill opportunity for ${botColor}:`,
-        error
-      );
-      return null;
-    }
-  }
-
   /**
    * Calculate steps needed to reach win zone from current position
    * @param {string} currentPosition - Current piece position
@@ -1696,6 +1361,28 @@ class BotController {
     }
   }
 
+  /**
+   * Maybe send an emote after a kill or a win, like a player would
+   * @param {string} roomId - Room ID
+   * @param {Object} botPlayer - Bot player
+   * @param {string} trigger - "kill" or "win"
+   */
+  reactWithEmote(roomId, botPlayer, trigger) {
+    if (!BOT_CONFIG.EMOTES_ENABLED) return;
+    if (Math.random() >= BOT_CONFIG.EMOTE_PROBABILITY) return;
+
+    const choices = BOT_EMOTES[trigger];
+    const emote = choices[Math.floor(Math.random() * choices.length)];
+    try {
+      postEmote(this.io, roomId, botPlayer, emote);
+    } catch (error) {
+      this.logger.error(
+        `[BotController] Error sending emote for bot ${botPlayer.name} in room ${roomId}:`,
+        error
+      );
+    }
+  }
+
   /**
    * Emit bot action log for monitoring
    * @param {string} roomId - Room ID
@@ -1705,7 +1392,7 @@ class BotController {
   emitBotActionLog(roomId, action, data) {
     try {
       if (this.io) {
-        this.io.to(roomId).emit("botAction", {
+        toRoom(this.io, roomId).emit("botAction", {
           action,
           timestamp: new Date().toISOString(),
           ...data,
@@ -447,25 +447,6 @@ describe("BotController", () => {
     });
   });
 
-  describe("Safe Roll Value", () => {
-    test("should return valid dice values", () => {
-      const value = botController.getSafeRollValue(
-        mockGameState.pieces,
-        "blue"
-      );
-
-      expect(value).toBeGreaterThanOrEqual(1);
-      expect(value).toBeLessThanOrEqual(6);
-    });
-
-    test("should handle errors gracefully", () => {
-      const value = botController.getSafeRollValue(null, "blue");
-
-      expect(value).toBeGreaterThanOrEqual(1);
-      expect(value).toBeLessThanOrEqual(6);
-    });
-  });
-
   describe("Bot Action Logging", () => {
     test("should emit bot action events", () => {
       botController.emitBotActionLog("room123", "test_action", {
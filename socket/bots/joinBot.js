@@ -1,12 +1,18 @@
-const { generateUniqueBotName, getBotConfig } = require("./config");
+const {
+  generateUniqueBotName,
+  getBotConfig,
+  getBotDifficultySync,
+  getRoomBotDifficulty,
+} = require("./config");
 const { BOT_CONFIG } = require("./config");
 const GameRoom = require("../../model/GameRoom");
 const { gameManager } = require("../gameManager");
+const { getMaxPlayers, getSeatColors } = require("../utils");
+const { lockClientSeed, getCommitment } = require("../fairness");
+const { recordGameStart } = require("../replay");
+const { toRoom } = require("../spectators");
 const { botController } = require("./controller"); // Fixed import to destructure
 
-// Configuration
-const MAX_PLAYERS = 2; // 2-player game: 1 human + 1 bot
-
 /**
  * Bot Joiner Class - Handles atomic bot joining to game rooms
  */
@@ -231,9 +237,10 @@ class BotJoiner {
           return { canJoin: false, reason: "Game not in waiting status" };
         }
 
-        if (gameManagerRoom.players.length >= MAX_PLAYERS) {
+        const maxPlayers = getMaxPlayers(gameManagerRoom.gameSettings);
+        if (gameManagerRoom.players.length >= maxPlayers) {
           this.logger.info(
-            `[BotJoiner] Room ${roomId} is full: ${gameManagerRoom.players.length}/${MAX_PLAYERS}`
+            `[BotJoiner] Room ${roomId} is full: ${gameManagerRoom.players.length}/${maxPlayers}`
           );
           return { canJoin: false, reason: "Room is full" };
         }
@@ -264,9 +271,10 @@ class BotJoiner {
         return { canJoin: false, reason: "Game not in waiting status" };
       }
 
-      if (room.players.length >= MAX_PLAYERS) {
+      const maxPlayers = getMaxPlayers(room.gameSettings);
+      if (room.players.length >= maxPlayers) {
         this.logger.info(
-          `[BotJoiner] Room ${roomId} is full in database: ${room.players.length}/${MAX_PLAYERS}`
+          `[BotJoiner] Room ${roomId} is full in database: ${room.players.length}/${maxPlayers}`
         );
         return { canJoin: false, reason: "Room is full" };
       }
@@ -305,8 +313,15 @@ class BotJoiner {
         .filter((p) => p.isBot)
         .map((p) => p.name);
 
-      // Create bot player
-      const bot = this.createBotPlayer(existingPlayers, existingBotNames);
+      const maxPlayers = getMaxPlayers(room.gameSettings);
+
+      // Create bot player in one of the room's free seats
+      const bot = this.createBotPlayer(
+        existingPlayers,
+        existingBotNames,
+        getSeatColors(maxPlayers),
+        getRoomBotDifficulty(room.gameSettings)
+      );
 
       // Add bot to room in database
       await this.addBotToRoom(roomId, bot);
@@ -317,18 +332,21 @@ class BotJoiner {
         gameManagerRoom.players.push(bot);
 
         // Update game status if room is full
-        if (gameManagerRoom.players.length >= MAX_PLAYERS) {
+        if (gameManagerRoom.players.length >= maxPlayers) {
           gameManagerRoom.gameStatus = gameManager.GAME_STATUS.PLAYING;
 
-          // Set the first player's turn when game starts
+          // Seat players clockwise and give the first seat the opening turn
+          gameManager.sortPlayersBySeat(roomId);
           if (gameManagerRoom.players.length > 0) {
             gameManagerRoom.currentTurn = gameManagerRoom.players[0].id;
           }
 
-          // Remove from waiting room if it was there
-          if (gameManager.getWaitingRoom() === roomId) {
-            gameManager.setWaitingRoom(null);
-          }
+          // Every seat is filled, so the client seed can't change any more
+          lockClientSeed(gameManagerRoom);
+          toRoom(io, roomId).emit(
+            "fairness_commitment",
+            getCommitment(gameManagerRoom)
+          );
 
           // Check if human players still have sufficient balance before starting game
           try {
@@ -359,38 +377,23 @@ class BotJoiner {
               }
             }
 
-            // Deduct stakes from all human players when game starts
-            const {
-              deductGameStake,
-            } = require("../../controllers/wallet.controller");
-
-            for (const player of gameManagerRoom.players) {
-              if (!player.isBot && player.userId) {
-                try {
-                  await deductGameStake(
-                    player.userId,
-                    gameManagerRoom.gameSettings.stake,
-                    roomId
-                  );
-                  this.logger.info(
-                    `[BotJoiner] Deducted ${gameManagerRoom.gameSettings.stake} ብር from player ${player.name} (${player.userId})`
-                  );
-                } catch (error) {
-                  this.logger.error(
-                    `[BotJoiner] Failed to deduct stake from player ${player.name}:`,
-                    error
-                  );
-                  // If stake deduction fails, we should probably not start the game
-                  // For now, just log the error
-                }
-              }
-            }
+            // Move every human stake into the game's escrow. If one can't
+            // be collected the others are refunded and the game doesn't start.
+            const { collectStakes } = require("../../services/escrow");
+            gameManagerRoom.escrowId = await collectStakes(
+              roomId,
+              gameManagerRoom.players,
+              gameManagerRoom.gameSettings.stake
+            );
+            recordGameStart(roomId);
+            gameManager.startTurnClock(roomId);
+            gameManager.persistRoom(roomId);
           } catch (error) {
-            this.logger.error(
-              `[BotJoiner] Error setting up stake deduction:`,
-              error
+            this.logger.error(`[BotJoiner] Error collecting stakes:`, error);
+            // Remove the bot and revert game status if there was an error
+            gameManagerRoom.players = gameManagerRoom.players.filter(
+              (p) => p.id !== bot.id
             );
-            // Revert game status if there was an error
             if (
               gameManagerRoom.gameStatus === gameManager.GAME_STATUS.PLAYING
             ) {
@@ -456,14 +459,21 @@ class BotJoiner {
    * Create a bot player object
    * @param {Array} existingPlayers - Existing players in the room
    * @param {Array} existingBotNames - Existing bot names to avoid conflicts
+   * @param {Array} seatColors - Colours the room seats, in turn order
+   * @param {string} difficulty - Level the bot plays at
    * @returns {Object} Bot player object
    */
-  createBotPlayer(existingPlayers, existingBotNames) {
+  createBotPlayer(
+    existingPlayers,
+    existingBotNames,
+    seatColors = BOT_CONFIG.AVAILABLE_COLORS,
+    difficulty = getBotDifficultySync()
+  ) {
     // Generate unique bot name
     const botName = generateUniqueBotName(existingPlayers, existingBotNames);
 
     // Assign available color
-    const availableColors = BOT_CONFIG.AVAILABLE_COLORS.filter(
+    const availableColors = seatColors.filter(
       (color) => !existingPlayers.some((p) => p.color === color)
     );
     const botColor = availableColors[0] || "red"; // Fallback to red if all colors taken
@@ -476,7 +486,7 @@ class BotJoiner {
       color: botColor,
       isBot: true, // Flag to identify bots
       joinedAt: new Date(),
-      difficulty: BOT_CONFIG.DIFFICULTY_LEVELS.HARD, // Default to hard difficulty
+      difficulty,
       avatar: this.getRandomBotAvatar(),
     };
 
@@ -488,7 +498,7 @@ class BotJoiner {
       isBot: bot.isBot,
       hasUserId: bot.userId !== undefined,
       hasJoinedAt: bot.joinedAt !== undefined,
-      hasDifficulty: bot.difficulty !== undefined,
+      difficulty: bot.difficulty,
       hasAvatar: bot.avatar !== undefined,
     });
 
@@ -537,17 +547,15 @@ class BotJoiner {
       // Get current room state to check player count
       const room = await GameRoom.findOne({ roomId }).lean();
       const newPlayerCount = (room?.players?.length || 0) + 1;
+      const isFull = newPlayerCount >= getMaxPlayers(room?.gameSettings);
 
       await GameRoom.updateOne(
         { roomId },
         {
           $push: { players: bot },
           $set: {
-            gameStatus: newPlayerCount >= MAX_PLAYERS ? "playing" : "waiting",
-            currentTurn:
-              newPlayerCount >= MAX_PLAYERS
-                ? await this.getFirstPlayerId(roomId)
-                : null, // Set currentTurn to first player when game starts
+            gameStatus: isFull ? "playing" : "waiting",
+            currentTurn: isFull ? await this.getFirstPlayerId(roomId) : null, // Set currentTurn to first player when game starts
           },
         }
       );
@@ -568,7 +576,7 @@ class BotJoiner {
    */
   emitPlayerJoined(roomId, bot, io) {
     try {
-      io.to(roomId).emit("playerJoined", bot);
+      toRoom(io, roomId).emit("playerJoined", bot);
       this.logger.debug(
         `[BotJoiner] Emitted playerJoined event for bot ${bot.name} in room ${roomId}`
       );
@@ -589,15 +597,16 @@ class BotJoiner {
     try {
       const gameManagerRoom = gameManager.getRoom(roomId);
       if (gameManagerRoom) {
-        io.to(roomId).emit("room_update", {
+        toRoom(io, roomId).emit("room_update", {
           players: gameManagerRoom.players,
           currentTurn: gameManagerRoom.currentTurn,
           gameStatus: gameManagerRoom.gameStatus,
           gameSettings: gameManagerRoom.gameSettings,
+          turnDeadline: gameManagerRoom.turnDeadline,
         });
       } else {
         // Fallback to basic room update if gameManager room not found
-        io.to(roomId).emit("room_update", { roomId });
+        toRoom(io, roomId).emit("room_update", { roomId });
       }
 
       this.logger.debug(
@@ -718,7 +727,7 @@ class BotJoiner {
     return {
       useRedisLock: this.useRedisLock,
       botJoinDelay: this.botJoinDelay,
-      maxPlayers: MAX_PLAYERS,
+      maxPlayers: getMaxPlayers(), // Default room size; rooms may seat up to 4
       botConfig: {
         maxBotsPerGame: BOT_CONFIG.MAX_BOTS_PER_GAME,
         availableColors: BOT_CONFIG.AVAILABLE_COLORS,
@@ -1,11 +1,11 @@
 const { getBotConfigSync } = require("./config");
 const GameRoom = require("../../model/GameRoom");
 const { gameManager } = require("../gameManager");
+const { getMaxPlayers, DEFAULT_MAX_PLAYERS } = require("../utils");
 
 // Configuration
 const BOT_CONFIG = getBotConfigSync();
 const SWEEP_INTERVAL_MS = 5000; // 5 seconds
-const MAX_PLAYERS = 2; // 2-player game: 1 human + 1 bot
 
 /**
  * Room Watcher Class - Monitors rooms for bot joining opportunities
@@ -133,7 +133,15 @@ class RoomWatcher {
       const query = {
         gameStatus: "waiting",
         createdAt: { $lte: new Date(cutoffTime) },
-        $expr: { $lt: [{ $size: "$players" }, MAX_PLAYERS] },
+        // Private rooms are for friends; bots never fill them
+        "gameSettings.private": { $ne: true },
+        // Rooms created before 3-4 player support have no maxPlayers setting
+        $expr: {
+          $lt: [
+            { $size: "$players" },
+            { $ifNull: ["$gameSettings.maxPlayers", DEFAULT_MAX_PLAYERS] },
+          ],
+        },
       };
 
       // Exclude rooms already marked as pending
@@ -177,13 +185,14 @@ class RoomWatcher {
 
       const roomId = room.roomId;
       const currentPlayerCount = room.players.length;
+      const maxPlayers = getMaxPlayers(room.gameSettings);
       const maxBotsAllowed = Math.min(
         BOT_CONFIG.MAX_BOTS_PER_GAME,
-        MAX_PLAYERS - currentPlayerCount
+        maxPlayers - currentPlayerCount
       );
 
       this.logger.info(
-        `[RoomWatcher] Room ${roomId} eligible: ${currentPlayerCount}/${MAX_PLAYERS} players, ${maxBotsAllowed} bots allowed`
+        `[RoomWatcher] Room ${roomId} eligible: ${currentPlayerCount}/${maxPlayers} players, ${maxBotsAllowed} bots allowed`
       );
 
       // Mark room as pending for bot joining
@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+
+// Single-elimination brackets for tournaments. Like the rules engine these
+// are pure functions over plain data: the tournament service loads the
+// matches, runs them through here and saves what comes back.
+//
+// Match: {
+//   round: 0 for the first round,
+//   index: position within the round,
+//   players: [{ user, name } | null, { user, name } | null],
+//   status: "pending" | "open" | "finished",
+//   winner: user ID once finished,
+//   reason: how it was decided (win, bye, no_show, ...),
+// }
+
+const BracketError = {
+  NOT_ENOUGH_ENTRANTS: "NOT_ENOUGH_ENTRANTS",
+  INVALID_PRIZE_TABLE: "INVALID_PRIZE_TABLE",
+  UNKNOWN_MATCH: "UNKNOWN_MATCH",
+  MATCH_DECIDED: "MATCH_DECIDED",
+  NOT_IN_MATCH: "NOT_IN_MATCH",
+};
+
+const MAX_PAID_PLACES = 8;
+
+function bracketError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Round down to whole cents so prizes never add up to more than the pool
+const floorAmount = (amount) => Math.floor(amount * 100 + 1e-6) / 100;
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check a prize table sent by an admin
+ * @param {Array} prizeTable - Percent of the prize pool per place
+ * @returns {Array} The same table
+ * @throws {Error} INVALID_PRIZE_TABLE unless it has 1-8 places adding to 100
+ */
+function validatePrizeTable(prizeTable) {
+  if (
+    !Array.isArray(prizeTable) ||
+    prizeTable.length === 0 ||
+    prizeTable.length > MAX_PAID_PLACES ||
+    !prizeTable.every((share) => Number.isFinite(share) && share >= 0)
+  ) {
+    throw bracketError(
+      BracketError.INVALID_PRIZE_TABLE,
+      `The prize table needs 1-${MAX_PAID_PLACES} places with a percent each`
+    );
+  }
+  const total = prizeTable.reduce((sum, share) => sum + share, 0);
+  if (Math.abs(total - 100) > 0.001) {
+    throw bracketError(
+      BracketError.INVALID_PRIZE_TABLE,
+      `Prize shares must add up to 100%, not ${total}%`
+    );
+  }
+  return prizeTable;
+}
+
+/**
+ * Number of rounds a bracket has
+ * @param {Array} matches - Bracket matches
+ * @returns {number} Rounds, the last one being the final
+ */
+function getRoundCount(matches) {
+  return matches.reduce((rounds, m) => Math.max(rounds, m.round + 1), 0);
+}
+
+function findMatch(matches, round, index) {
+  const match = matches.find((m) => m.round === round && m.index === index);
+  if (!match) {
+    throw bracketError(
+      BracketError.UNKNOWN_MATCH,
+      `No match ${index} in round ${round}`
+    );
+  }
+  return match;
+}
+
+function copyMatches(matches) {
+  return matches.map((m) => ({ ...m, players: [...m.players] }));
+}
+
+/**
+ * Record the winner of a match and move them into their next match
+ * @param {Array} matches - Bracket matches
+ * @param {number} round - Round of the decided match
+ * @param {number} index - Index of the decided match
+ * @param {string} winner - User ID of the winner
+ * @param {string} reason - How the match was decided
+ * @returns {Object} { matches, ready, finished } where ready is the next
+ * match if both its players are now known, and finished means the final
+ * was decided
+ * @throws {Error} MATCH_DECIDED or NOT_IN_MATCH
+ */
+function recordMatchResult(matches, round, index, winner, reason = "win") {
+  const next = copyMatches(matches);
+  const match = findMatch(next, round, index);
+  if (match.status === "finished") {
+    throw bracketError(
+      BracketError.MATCH_DECIDED,
+      `Match ${index} of round ${round} is already decided`
+    );
+  }
+  const player = match.players.find((p) => p && String(p.user) === winner);
+  if (!player) {
+    throw bracketError(
+      BracketError.NOT_IN_MATCH,
+      `${winner} is not playing match ${index} of round ${round}`
+    );
+  }
+
+  match.status = "finished";
+  match.winner = String(player.user);
+  match.reason = reason;
+  match.finishedAt = new Date();
+
+  if (round === getRoundCount(next) - 1) {
+    return { matches: next, ready: null, finished: true };
+  }
+
+  const following = findMatch(next, round + 1, Math.floor(index / 2));
+  following.players[index % 2] = player;
+  return {
+    matches: next,
+    ready: following.players.every(Boolean) ? following : null,
+    finished: false,
+  };
+}
+
+/**
+ * Draw a bracket. Entrants are shuffled, the bracket is padded to a power
+ * of two and anyone drawn against an empty slot goes through on a bye.
+ * @param {Array} entrants - [{ user, name }]
+ * @param {Function} randomInt - (max) => integer below max
+ * @returns {Object} { matches, ready } where ready lists the matches that
+ * can be played straight away
+ * @throws {Error} NOT_ENOUGH_ENTRANTS for fewer than two entrants
+ */
+function createBracket(entrants, randomInt = crypto.randomInt) {
+  if (entrants.length < 2) {
+    throw bracketError(
+      BracketError.NOT_ENOUGH_ENTRANTS,
+      "A tournament needs at least two entrants"
+    );
+  }
+
+  const seeded = entrants.map(({ user, name }) => ({
+    user: String(user),
+    name,
+  }));
+  for (let i = seeded.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+  }
+
+  const rounds = Math.ceil(Math.log2(seeded.length));
+  const size = 2 ** rounds;
+  let matches = [];
+  for (let round = 0; round < rounds; round++) {
+    for (let index = 0; index < size / 2 ** (round + 1); index++) {
+      const players =
+        round === 0
+          ? [seeded[index] || null, seeded[size - 1 - index] || null]
+          : [null, null];
+      matches.push({ round, index, players, status: "pending" });
+    }
+  }
+
+  // Byes only ever happen in the first round, where half the slots or
+  // more hold an entrant
+  const ready = [];
+  for (const match of matches.filter((m) => m.round === 0)) {
+    if (match.players.every(Boolean)) {
+      ready.push(match);
+      continue;
+    }
+    const result = recordMatchResult(
+      matches,
+      0,
+      match.index,
+      match.players.find(Boolean).user,
+      "bye"
+    );
+    matches = result.matches;
+    if (result.ready) ready.push(result.ready);
+  }
+
+  return {
+    matches,
+    ready: ready.map((m) => findMatch(matches, m.round, m.index)),
+  };
+}
+
+/**
+ * Final standings once the final is decided. Everyone knocked out in the
+ * same round shares a place: semi-final losers are both third, quarter-final
+ * losers fifth, and so on.
+ * @param {Array} matches - Bracket matches
+ * @returns {Array|null} [{ user, name, place }] best first, or null while
+ * the final is still to be played
+ */
+function getPlacings(matches) {
+  const rounds = getRoundCount(matches);
+  const final = matches.find((m) => m.round === rounds - 1);
+  if (!final || final.status !== "finished") return null;
+
+  const placings = [];
+  for (const match of matches) {
+    if (match.status !== "finished" || match.reason === "bye") continue;
+    const loser = match.players.find(
+      (p) => p && String(p.user) !== match.winner
+    );
+    if (loser) {
+      placings.push({ ...loser, place: 2 ** (rounds - 1 - match.round) + 1 });
+    }
+  }
+  const champion = final.players.find((p) => String(p.user) === final.winner);
+  placings.push({ ...champion, place: 1 });
+
+  return placings.sort((a, b) => a.place - b.place);
+}
+
+/**
+ * Split a tournament pool. The rake comes off the top and each place takes
+ * its share of the rest; players tied on a place split the shares of every
+ * place they cover (two semi-final losers split the 3rd and 4th shares).
+ * Shares nobody holds and rounding stay in the pool for the house.
+ * @param {Object} options - { pool, rakePercent, prizeTable, placings }
+ * @returns {Object} { rake, prizePool, placings } with a prize on each placing
+ */
+function getPrizes({ pool, rakePercent, prizeTable, placings }) {
+  const rake = roundAmount((pool * rakePercent) / 100);
+  const prizePool = roundAmount(pool - rake);
+
+  const tied = {};
+  for (const { place } of placings) tied[place] = (tied[place] || 0) + 1;
+
+  return {
+    rake,
+    prizePool,
+    placings: placings.map((placing) => {
+      // Place 1 and 2 cover one place each, 3 covers 3-4, 5 covers 5-8
+      const covered = Math.max(1, placing.place - 1);
+      const share = prizeTable
+        .slice(placing.place - 1, placing.place - 1 + covered)
+        .reduce((sum, percent) => sum + percent, 0);
+      return {
+        ...placing,
+        prize: floorAmount((prizePool * share) / 100 / tied[placing.place]),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  BracketError,
+  validatePrizeTable,
+  getRoundCount,
+  createBracket,
+  recordMatchResult,
+  getPlacings,
+  getPrizes,
+};
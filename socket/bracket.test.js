@@ -0,0 +1,168 @@
+const {
+  validatePrizeTable,
+  createBracket,
+  recordMatchResult,
+  getPlacings,
+  getPrizes,
+} = require("./bracket");
+
+// Keeps entrants in the order given so the draw is predictable
+const noShuffle = (max) => max - 1;
+
+const entrants = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    user: `u${i + 1}`,
+    name: `P${i + 1}`,
+  }));
+
+function expectCode(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+}
+
+// Play every open match, letting the first listed player win
+function playOut(matches, ready) {
+  const queue = [...ready];
+  let result = { matches };
+  while (queue.length > 0) {
+    const match = queue.shift();
+    result = recordMatchResult(
+      result.matches,
+      match.round,
+      match.index,
+      match.players[0].user
+    );
+    if (result.ready) queue.push(result.ready);
+  }
+  return result;
+}
+
+describe("Tournament brackets", () => {
+  test("should pair a full bracket and chain the rounds", () => {
+    const { matches, ready } = createBracket(entrants(4), noShuffle);
+
+    expect(matches).toHaveLength(3);
+    expect(ready.map((m) => m.players.map((p) => p.user))).toEqual([
+      ["u1", "u4"],
+      ["u2", "u3"],
+    ]);
+
+    const first = recordMatchResult(matches, 0, 0, "u4");
+    expect(first.ready).toBeNull();
+    const second = recordMatchResult(first.matches, 0, 1, "u2");
+    expect(second.ready.players.map((p) => p.user)).toEqual(["u4", "u2"]);
+    expect(second.finished).toBe(false);
+
+    // The input is left alone
+    expect(matches[0].status).toBe("pending");
+  });
+
+  test("should give byes when entrants don't fill the bracket", () => {
+    const { matches, ready } = createBracket(entrants(5), noShuffle);
+
+    expect(matches).toHaveLength(7);
+    const byes = matches.filter((m) => m.reason === "bye");
+    expect(byes.map((m) => m.winner)).toEqual(["u1", "u2", "u3"]);
+
+    // u1 and u2 meet straight away; u4 v u5 is the only first-round game
+    expect(ready.map((m) => [m.round, m.index])).toEqual([
+      [1, 0],
+      [0, 3],
+    ]);
+  });
+
+  test("should reject results that don't fit the bracket", () => {
+    const { matches } = createBracket(entrants(4), noShuffle);
+
+    expectCode(() => recordMatchResult(matches, 0, 0, "u2"), "NOT_IN_MATCH");
+    expectCode(() => recordMatchResult(matches, 3, 0, "u1"), "UNKNOWN_MATCH");
+    const { matches: decided } = recordMatchResult(matches, 0, 0, "u1");
+    expectCode(() => recordMatchResult(decided, 0, 0, "u4"), "MATCH_DECIDED");
+    expectCode(() => createBracket(entrants(1)), "NOT_ENOUGH_ENTRANTS");
+  });
+
+  test("should rank players by the round they went out in", () => {
+    const { matches, ready } = createBracket(entrants(8), noShuffle);
+    expect(getPlacings(matches)).toBeNull();
+
+    const result = playOut(matches, ready);
+    expect(result.finished).toBe(true);
+
+    const placings = getPlacings(result.matches);
+    expect(placings.map((p) => [p.user, p.place])).toEqual([
+      ["u1", 1],
+      ["u3", 2],
+      ["u2", 3],
+      ["u4", 3],
+      ["u8", 5],
+      ["u7", 5],
+      ["u6", 5],
+      ["u5", 5],
+    ]);
+  });
+
+  test("should place a bracket that had byes", () => {
+    const { matches, ready } = createBracket(entrants(3), noShuffle);
+    const placings = getPlacings(playOut(matches, ready).matches);
+
+    expect(placings.map((p) => [p.user, p.place])).toEqual([
+      ["u1", 1],
+      ["u2", 2],
+      ["u3", 3],
+    ]);
+  });
+});
+
+describe("Tournament prizes", () => {
+  test("should validate prize tables", () => {
+    expect(validatePrizeTable([60, 30, 10])).toEqual([60, 30, 10]);
+    expectCode(() => validatePrizeTable([60, 30]), "INVALID_PRIZE_TABLE");
+    expectCode(() => validatePrizeTable([]), "INVALID_PRIZE_TABLE");
+    expectCode(() => validatePrizeTable([110, -10]), "INVALID_PRIZE_TABLE");
+    expectCode(() => validatePrizeTable("100"), "INVALID_PRIZE_TABLE");
+  });
+
+  test("should take the rake and split tied places", () => {
+    const placings = [
+      { user: "a", place: 1 },
+      { user: "b", place: 2 },
+      { user: "c", place: 3 },
+      { user: "d", place: 3 },
+    ];
+    const prizes = getPrizes({
+      pool: 400,
+      rakePercent: 10,
+      prizeTable: [50, 30, 15, 5],
+      placings,
+    });
+
+    expect(prizes.rake).toBe(40);
+    expect(prizes.prizePool).toBe(360);
+    expect(prizes.placings.map((p) => p.prize)).toEqual([180, 108, 36, 36]);
+  });
+
+  test("should never pay out more than the prize pool", () => {
+    const prizes = getPrizes({
+      pool: 70,
+      rakePercent: 5,
+      prizeTable: [50, 25, 25],
+      placings: [
+        { user: "a", place: 1 },
+        { user: "b", place: 2 },
+        { user: "c", place: 3 },
+        { user: "d", place: 3 },
+      ],
+    });
+
+    const paid = prizes.placings.reduce((sum, p) => sum + p.prize, 0);
+    expect(paid).toBeLessThanOrEqual(prizes.prizePool);
+    expect(prizes.placings.map((p) => p.prize)).toEqual([
+      33.25, 16.62, 8.31, 8.31,
+    ]);
+  });
+});
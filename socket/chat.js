@@ -0,0 +1,260 @@
+const User = require("../model/User");
+const { gameManager } = require("./gameManager");
+const { toRoom } = require("./spectators");
+
+// In-room chat and quick emotes. Every message is recorded in the game's
+// replay, with the unfiltered text kept for dispute review.
+
+// Words blocked out of the box, in English, Amharic and Amharic written in
+// Latin letters. CHAT_BANNED_WORDS adds more, comma separated.
+const DEFAULT_BANNED_WORDS = [
+  "fuck",
+  "shit",
+  "bitch",
+  "bastard",
+  "asshole",
+  "cunt",
+  "dick",
+  "whore",
+  "slut",
+  "ሽርሙጣ",
+  "ሸሌ",
+  "ዲቃላ",
+  "ደደብ",
+  "shermuta",
+  "sharmuta",
+  "dikala",
+  "dedeb",
+];
+
+const parseWordList = (value) =>
+  (value || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+
+const CHAT_CONFIG = {
+  MAX_LENGTH: parseInt(process.env.CHAT_MAX_LENGTH) || 200, // Characters per message
+  RATE_LIMIT: parseInt(process.env.CHAT_RATE_LIMIT) || 5, // Messages per window
+  RATE_WINDOW_MS: parseInt(process.env.CHAT_RATE_WINDOW_MS) || 10000,
+  BANNED_WORDS: [
+    ...DEFAULT_BANNED_WORDS,
+    ...parseWordList(process.env.CHAT_BANNED_WORDS),
+  ],
+};
+
+// Emotes clients know how to draw
+const EMOTES = [
+  "thumbs_up",
+  "laugh",
+  "clap",
+  "wow",
+  "angry",
+  "cry",
+  "fire",
+  "gg",
+];
+
+const ChatError = {
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  MESSAGE_TOO_LONG: "MESSAGE_TOO_LONG",
+  UNKNOWN_EMOTE: "UNKNOWN_EMOTE",
+  RATE_LIMITED: "RATE_LIMITED",
+  MUTED: "MUTED",
+};
+
+function chatError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Ethiopic letters come in rows of seven vowel forms of one consonant, and
+// suffixes change the vowel of the last letter (ደደብ, ደደቦች). Comparing
+// letters by their row catches those forms. Each letter stays one UTF-16
+// unit, so offsets line up with the original text.
+const toConsonants = (text) =>
+  text.replace(/[\u1200-\u1357]/g, (letter) => {
+    const code = letter.charCodeAt(0);
+    return String.fromCharCode(code - ((code - 0x1200) % 8));
+  });
+
+/**
+ * Build a filter that stars out banned words. A word is caught at the start
+ * of any word, so suffixes like "-ing" are caught too.
+ * @param {Array} words - Banned words, any case
+ * @returns {Function} (text) => { text, filtered }
+ */
+function createProfanityFilter(words) {
+  const terms = [...new Set(words.map((w) => toConsonants(w.toLowerCase())))];
+  if (terms.length === 0) return (text) => ({ text, filtered: false });
+
+  const pattern = new RegExp(
+    `(?<!\\p{L})(?:${terms.map(escapeRegExp).join("|")})\\p{L}*`,
+    "giu"
+  );
+  return (text) => {
+    let cleaned = "";
+    let last = 0;
+    for (const match of toConsonants(text).matchAll(pattern)) {
+      cleaned += text.slice(last, match.index);
+      cleaned += "*".repeat([...match[0]].length);
+      last = match.index + match[0].length;
+    }
+    cleaned += text.slice(last);
+    return { text: cleaned, filtered: cleaned !== text };
+  };
+}
+
+const filterProfanity = createProfanityFilter(CHAT_CONFIG.BANNED_WORDS);
+
+/**
+ * Tidy and check a chat message before it is posted
+ * @param {*} text - Raw text from the socket payload
+ * @param {Object} options - { maxLength, filter }
+ * @returns {Object} { text, original } where original is only set when the
+ * filter changed something
+ * @throws {Error} INVALID_MESSAGE or MESSAGE_TOO_LONG
+ */
+function prepareChatText(text, options = {}) {
+  const { maxLength = CHAT_CONFIG.MAX_LENGTH, filter = filterProfanity } =
+    options;
+  if (typeof text !== "string") {
+    throw chatError(ChatError.INVALID_MESSAGE, "Message must be text");
+  }
+  // Control characters could break client layouts
+  const trimmed = text
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!trimmed) {
+    throw chatError(ChatError.INVALID_MESSAGE, "Message is empty");
+  }
+  if ([...trimmed].length > maxLength) {
+    throw chatError(
+      ChatError.MESSAGE_TOO_LONG,
+      `Messages can be at most ${maxLength} characters`
+    );
+  }
+
+  const result = filter(trimmed);
+  return result.filtered
+    ? { text: result.text, original: trimmed }
+    : { text: trimmed };
+}
+
+/**
+ * Sliding-window limit on how often one socket can post
+ */
+class ChatRateLimiter {
+  constructor(options = {}) {
+    this.limit = options.limit || CHAT_CONFIG.RATE_LIMIT;
+    this.windowMs = options.windowMs || CHAT_CONFIG.RATE_WINDOW_MS;
+    this.sent = new Map(); // socketId -> send times inside the window
+  }
+
+  /**
+   * Count a message against the socket's allowance
+   * @param {string} socketId - Sender
+   * @param {number} now - Current time in ms
+   * @throws {Error} RATE_LIMITED once the allowance is used up
+   */
+  consume(socketId, now = Date.now()) {
+    const recent = (this.sent.get(socketId) || []).filter(
+      (at) => now - at < this.windowMs
+    );
+    if (recent.length >= this.limit) {
+      this.sent.set(socketId, recent);
+      throw chatError(
+        ChatError.RATE_LIMITED,
+        "You're sending messages too fast. Wait a moment."
+      );
+    }
+    recent.push(now);
+    this.sent.set(socketId, recent);
+  }
+
+  forget(socketId) {
+    this.sent.delete(socketId);
+  }
+}
+
+const chatLimiter = new ChatRateLimiter();
+
+/**
+ * Check whether an admin has muted a user
+ * @param {string} userId - User ID
+ * @throws {Error} MUTED while the mute lasts
+ */
+async function assertNotMuted(userId) {
+  if (!userId) return;
+  const user = await User.findById(userId).select("chatMutedUntil").lean();
+  if (user?.chatMutedUntil && user.chatMutedUntil > new Date()) {
+    throw chatError(
+      ChatError.MUTED,
+      `You are muted until ${user.chatMutedUntil.toISOString()}`
+    );
+  }
+}
+
+// Record the message with the game and send it to players and spectators
+function post(io, roomId, player, type, details) {
+  const event = gameManager.recordEvent(roomId, type, {
+    playerId: player.id,
+    userId: player.userId,
+    name: player.name,
+    isBot: player.isBot || false,
+    ...details,
+  });
+  if (!event) return null;
+
+  const { original, userId, ...message } = event;
+  toRoom(io, roomId).emit(type === "chat" ? "chat_message" : "emote", {
+    roomId,
+    color: player.color,
+    ...message,
+  });
+  return message;
+}
+
+/**
+ * Post a chat message from a player
+ * @param {Object} io - Socket.io server
+ * @param {string} roomId - Room ID
+ * @param {Object} player - Seated player
+ * @param {string} text - Raw message
+ * @returns {Object|null} Message as sent to the room
+ */
+function postChat(io, roomId, player, text) {
+  return post(io, roomId, player, "chat", prepareChatText(text));
+}
+
+/**
+ * Post a quick emote from a player or bot
+ * @param {Object} io - Socket.io server
+ * @param {string} roomId - Room ID
+ * @param {Object} player - Seated player
+ * @param {string} emote - One of EMOTES
+ * @returns {Object|null} Emote as sent to the room
+ */
+function postEmote(io, roomId, player, emote) {
+  if (!EMOTES.includes(emote)) {
+    throw chatError(ChatError.UNKNOWN_EMOTE, "Unknown emote");
+  }
+  return post(io, roomId, player, "emote", { emote });
+}
+
+module.exports = {
+  CHAT_CONFIG,
+  EMOTES,
+  ChatError,
+  createProfanityFilter,
+  prepareChatText,
+  ChatRateLimiter,
+  chatLimiter,
+  assertNotMuted,
+  postChat,
+  postEmote,
+};
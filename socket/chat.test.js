@@ -0,0 +1,95 @@
+const { gameManager } = require("./gameManager");
+const {
+  createProfanityFilter,
+  prepareChatText,
+  ChatRateLimiter,
+  postChat,
+  postEmote,
+} = require("./chat");
+
+describe("Chat", () => {
+  const filter = createProfanityFilter(["damn", "ደደብ"]);
+
+  afterEach(() => {
+    gameManager.deleteRoom("chat");
+    gameManager.setEventHandler(null);
+  });
+
+  test("should star out banned words in English and Amharic", () => {
+    expect(filter("Damn it")).toEqual({ text: "**** it", filtered: true });
+    expect(filter("damned dice")).toEqual({
+      text: "****** dice",
+      filtered: true,
+    });
+    expect(filter("አንተ ደደቦች")).toEqual({
+      text: "አንተ ****",
+      filtered: true,
+    });
+    // Only the start of a word counts
+    expect(filter("goddamn")).toEqual({ text: "goddamn", filtered: false });
+  });
+
+  test("should tidy messages and cap their length", () => {
+    expect(prepareChatText("  good\n\n game  ", { filter })).toEqual({
+      text: "good game",
+    });
+    expect(prepareChatText("damn six", { filter })).toEqual({
+      text: "**** six",
+      original: "damn six",
+    });
+    expect(() => prepareChatText("   ")).toThrow(
+      expect.objectContaining({ code: "INVALID_MESSAGE" })
+    );
+    expect(() => prepareChatText({ text: "hi" })).toThrow(
+      expect.objectContaining({ code: "INVALID_MESSAGE" })
+    );
+    expect(() => prepareChatText("x".repeat(11), { maxLength: 10 })).toThrow(
+      expect.objectContaining({ code: "MESSAGE_TOO_LONG" })
+    );
+  });
+
+  test("should rate limit each socket separately", () => {
+    const limiter = new ChatRateLimiter({ limit: 2, windowMs: 1000 });
+    limiter.consume("s1", 0);
+    limiter.consume("s1", 100);
+    expect(() => limiter.consume("s1", 200)).toThrow(
+      expect.objectContaining({ code: "RATE_LIMITED" })
+    );
+    limiter.consume("s2", 200);
+
+    // The oldest message drops out of the window
+    limiter.consume("s1", 1000);
+    limiter.forget("s1");
+    limiter.consume("s1", 1001);
+    limiter.consume("s1", 1002);
+  });
+
+  test("should record messages with the game and send them to the room", () => {
+    const events = [];
+    gameManager.setEventHandler((roomId, event) => events.push(event));
+    gameManager.createRoom("chat", { players: [] });
+    const emit = jest.fn();
+    const target = { to: () => target, emit };
+    const io = { to: () => target };
+    const player = { id: "s1", userId: "u1", name: "Abebe", color: "red" };
+
+    postChat(io, "chat", player, "fuck this dice");
+    postEmote(io, "chat", player, "gg");
+
+    expect(events.map((e) => e.type)).toEqual(["chat", "emote"]);
+    expect(events[0]).toMatchObject({
+      text: "**** this dice",
+      original: "fuck this dice",
+      userId: "u1",
+    });
+    const [event, message] = emit.mock.calls[0];
+    expect(event).toBe("chat_message");
+    expect(message).toMatchObject({ roomId: "chat", text: "**** this dice" });
+    expect(message.original).toBeUndefined();
+    expect(emit.mock.calls[1][0]).toBe("emote");
+
+    expect(() => postEmote(io, "chat", player, "rocket")).toThrow(
+      expect.objectContaining({ code: "UNKNOWN_EMOTE" })
+    );
+  });
+});
@@ -0,0 +1,443 @@
+const crypto = require("crypto");
+const os = require("os");
+const { EventEmitter } = require("events");
+const { gameManager } = require("./gameManager");
+const { MemoryStateStore, RedisStateStore } = require("./stateStore");
+
+// Cluster configuration. Without REDIS_URL the server runs as one instance
+// with the in-memory store.
+const CLUSTER_CONFIG = {
+  REDIS_URL: process.env.REDIS_URL || null,
+  INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+  HEARTBEAT_MS: parseInt(process.env.CLUSTER_HEARTBEAT_MS) || 5000,
+  INSTANCE_TTL_MS: parseInt(process.env.CLUSTER_INSTANCE_TTL_MS) || 15000, // Silent this long and the instance counts as dead
+  KEY_PREFIX: process.env.CLUSTER_KEY_PREFIX || "ludo:",
+};
+
+// Socket events that act on one room, and the payload field naming it
+const ROOM_EVENTS = {
+  join_room: "roomId",
+  getGameData: "gameId",
+  get_room_info: "roomId",
+  spectate_room: "roomId",
+  stop_spectating: "roomId",
+  send_chat: "roomId",
+  send_emote: "roomId",
+  request_rematch: "roomId",
+  accept_rematch: "roomId",
+  decline_rematch: "roomId",
+  resign: "roomId",
+  cancel_resign: "roomId",
+  confirm_resign: "roomId",
+  roll_dice: "roomId",
+  move_piece: "roomId",
+  reconnect_to_room: "roomId",
+  leave_room: "roomId",
+};
+
+// Messages between instances, sent with io.serverSideEmit
+const ROOM_ACTION = "cluster:room_action";
+const SOCKET_GONE = "cluster:socket_gone";
+
+/**
+ * Rendezvous hashing: every instance ranks the live instances the same way
+ * for a room, so all agree who should own it without talking, and only a
+ * dead instance's rooms move when the membership changes.
+ * @param {string} roomId - Room ID
+ * @param {Array<string>} instanceIds - Live instances
+ * @returns {string|null} Chosen instance
+ */
+function pickOwner(roomId, instanceIds) {
+  let best = null;
+  let bestScore = -1;
+  for (const instanceId of instanceIds) {
+    const score = crypto
+      .createHash("sha1")
+      .update(`${instanceId}:${roomId}`)
+      .digest()
+      .readUInt32BE(0);
+    if (score > bestScore) {
+      best = instanceId;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Stand-in on the owning instance for a socket connected to another one.
+ * The connection handler registers its listeners on it as on a real socket;
+ * whatever it sends or joins goes through the adapter to the real socket.
+ */
+class ForwardedSocket {
+  constructor(io, { id, user }) {
+    this.io = io;
+    this.id = id;
+    this.user = user;
+    this.remote = true;
+    this.listeners = new EventEmitter();
+  }
+
+  on(event, listener) {
+    this.listeners.on(event, listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    this.io.to(this.id).emit(event, ...args);
+    return true;
+  }
+
+  join(room) {
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  dispatch(event, ...args) {
+    this.listeners.emit(event, ...args);
+  }
+}
+
+/**
+ * Shards rooms across server instances. Each room lives in the gameManager
+ * of the one instance that owns it: the one that created it, or after that
+ * instance dies, the live instance pickOwner chooses, which restores it
+ * from MongoDB. Room actions arriving on any other instance are forwarded
+ * to the owner and handled there, so every action for a room runs in one
+ * place. Until attach() is called everything is handled locally.
+ * Quick-match queues stay per instance.
+ */
+class RoomRouter {
+  constructor() {
+    this.io = null;
+    this.store = null;
+    this.redisClient = null;
+    this.instanceId = CLUSTER_CONFIG.INSTANCE_ID;
+    this.connectionHandler = null;
+    this.forwarded = new Map(); // socketId -> ForwardedSocket, on the owner
+    this.heartbeat = null;
+    this.startedAt = null;
+  }
+
+  /**
+   * Route the server's room actions. Call before any client connects.
+   * @param {Object} io - Socket.io server, with the Redis adapter if clustered
+   * @param {Object} options - { store, redisClient, instanceId }
+   */
+  attach(io, options = {}) {
+    this.io = io;
+    this.store = options.store || new MemoryStateStore();
+    this.redisClient = options.redisClient || null;
+    this.instanceId = options.instanceId || this.instanceId;
+
+    io.on("connection", (socket) => {
+      socket.use((packet, next) => this.route(socket, packet, next));
+      socket.on("disconnect", () => {
+        if (socket.data.forwardedTo?.size) {
+          io.serverSideEmit(SOCKET_GONE, { socketId: socket.id });
+        }
+      });
+    });
+    io.on(ROOM_ACTION, (action) => this.receive(action));
+    io.on(SOCKET_GONE, ({ socketId }) => this.socketGone(socketId));
+  }
+
+  /**
+   * Register this instance and start its heartbeat. Needs the database, as
+   * rooms of dead instances are restored from it.
+   * @param {Object} options - { heartbeatMs, instanceTtlMs }
+   */
+  async start(options = {}) {
+    this.startedAt = Date.now();
+    this.instanceTtlMs =
+      options.instanceTtlMs || CLUSTER_CONFIG.INSTANCE_TTL_MS;
+    await this.tick();
+    this.heartbeat = setInterval(
+      () =>
+        this.tick().catch((error) =>
+          console.error("[Cluster] Heartbeat failed:", error)
+        ),
+      options.heartbeatMs || CLUSTER_CONFIG.HEARTBEAT_MS
+    );
+    this.heartbeat.unref();
+    console.log(`[Cluster] Instance ${this.instanceId} started`);
+  }
+
+  async stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    if (this.store) await this.store.removeInstance(this.instanceId);
+  }
+
+  /**
+   * @param {Function} handler - (socket) sets up a connection's listeners;
+   * also run for sockets forwarded from other instances
+   */
+  setConnectionHandler(handler) {
+    this.connectionHandler = handler;
+  }
+
+  /**
+   * Options for the bot join and replacement locks: the Redis lock when
+   * instances share Redis, the database update otherwise
+   * @returns {Object} { useRedisLock, redisClient }
+   */
+  getLockOptions() {
+    return this.redisClient
+      ? { useRedisLock: true, redisClient: this.redisClient }
+      : {};
+  }
+
+  /**
+   * Record that a room was created on or deleted from this instance
+   * @param {string} roomId - Room ID
+   * @param {boolean} owned - Whether this instance now holds the room
+   */
+  setOwned(roomId, owned) {
+    if (!this.store) return;
+    const update = owned
+      ? this.store.claimRoom(roomId, this.instanceId)
+      : this.store.releaseRoom(roomId, this.instanceId);
+    update.catch((error) =>
+      console.error(`[Cluster] Error updating owner of room ${roomId}:`, error)
+    );
+  }
+
+  /**
+   * Claim a room for this instance
+   * @param {string} roomId - Room ID
+   * @returns {Promise<boolean>} False if a live instance already owns it
+   */
+  async claim(roomId) {
+    if (!this.store) return true;
+    const owner = await this.store.claimRoom(roomId, this.instanceId);
+    return owner === this.instanceId;
+  }
+
+  /**
+   * Give up a claimed room this instance couldn't restore
+   * @param {string} roomId - Room ID
+   */
+  async release(roomId) {
+    if (this.store) await this.store.releaseRoom(roomId, this.instanceId);
+  }
+
+  /**
+   * Instance that owns a room, or should take it over if its owner is dead.
+   * Rooms nobody holds are handled here, which reports them missing.
+   * @param {string} roomId - Room ID
+   * @returns {Promise<string>} Instance ID
+   */
+  async getOwner(roomId) {
+    if (!this.store || gameManager.getRoom(roomId)) return this.instanceId;
+    const owner = await this.store.getRoomOwner(roomId);
+    if (!owner) return this.instanceId;
+    const instances = await this.store.getInstances();
+    if (instances.includes(owner)) return owner;
+    return pickOwner(roomId, instances) || this.instanceId;
+  }
+
+  /**
+   * Rooms held by any live instance, this one included
+   * @returns {Promise<Array<string>>} Room IDs
+   */
+  async getLiveRoomIds() {
+    const local = gameManager.getAllRoomIds();
+    if (!this.store) return local;
+    const instances = new Set(await this.store.getInstances());
+    const owners = await this.store.getRoomOwners();
+    const remote = Object.keys(owners).filter((roomId) =>
+      instances.has(owners[roomId])
+    );
+    return [...new Set([...local, ...remote])];
+  }
+
+  /**
+   * Startup recovery only touches escrows and room records older than this.
+   * Anything newer may belong to a game another live instance is still
+   * opening: its room records are written a moment before the room is
+   * claimed, so it wouldn't show in getLiveRoomIds yet.
+   * @returns {Promise<Date>} Cutoff for createdAt
+   */
+  async getRecoveryCutoff() {
+    const instances = this.store ? await this.store.getInstances() : [];
+    const alone = instances.every((id) => id === this.instanceId);
+    return new Date(this.startedAt - (alone ? 0 : this.instanceTtlMs));
+  }
+
+  /**
+   * Whether this instance runs a job only one instance may run at a time,
+   * such as the tournament tick. The first instance to ask keeps the job
+   * until it dies; the next to ask after that takes it over.
+   * @param {string} job - Job name
+   * @returns {Promise<boolean>} True if this instance holds the job
+   */
+  async holdsJob(job) {
+    if (!this.store) return true;
+    const holder = await this.store.claimJob(job, this.instanceId);
+    return holder === this.instanceId;
+  }
+
+  /**
+   * Take over a room whose owner died, restoring it from MongoDB. Rooms
+   * that can't be restored (nobody was playing yet) are let go.
+   * @param {string} roomId - Room ID
+   * @returns {Promise<boolean>} Whether this instance now holds the room
+   */
+  async adopt(roomId) {
+    if (gameManager.getRoom(roomId)) return true;
+    // Only rooms some instance held are taken over
+    const owner = await this.store.getRoomOwner(roomId);
+    if (!owner || !(await this.claim(roomId))) return false;
+
+    const { rehydrateRoom } = require("./persistence");
+    if (await rehydrateRoom(this.io, roomId)) {
+      console.log(`[Cluster] Took over room ${roomId}`);
+      return true;
+    }
+    await this.release(roomId);
+    return false;
+  }
+
+  // Socket middleware: room actions run where the room lives
+  async route(socket, [event, payload], next) {
+    const field = ROOM_EVENTS[event];
+    if (!this.store || !field) return next();
+
+    try {
+      const roomId = await this.resolveRoomId(event, payload, field);
+      if (!roomId) return next();
+
+      const owner = await this.getOwner(roomId);
+      if (owner === this.instanceId) {
+        await this.adopt(roomId);
+        return next();
+      }
+
+      socket.data.forwardedTo = socket.data.forwardedTo || new Set();
+      socket.data.forwardedTo.add(owner);
+      this.io.serverSideEmit(ROOM_ACTION, {
+        to: owner,
+        roomId,
+        socketId: socket.id,
+        user: socket.user,
+        event,
+        payload,
+      });
+    } catch (error) {
+      console.error(`[Cluster] Error routing ${event}:`, error);
+      next();
+    }
+  }
+
+  // Invitees who only have the code are routed by the room it opens
+  async resolveRoomId(event, payload, field) {
+    if (payload?.[field] || event !== "join_room" || !payload?.inviteCode) {
+      return payload?.[field] || null;
+    }
+    const { normalizeInviteCode } = require("./invites");
+    const GameRoom = require("../model/GameRoom");
+    const room = await GameRoom.findOne({
+      inviteCode: normalizeInviteCode(payload.inviteCode),
+      gameStatus: gameManager.GAME_STATUS.WAITING,
+    })
+      .select("roomId")
+      .lean();
+    return room?.roomId || null;
+  }
+
+  // A room action forwarded from the instance its socket is connected to
+  async receive({ to, roomId, socketId, user, event, payload }) {
+    if (to !== this.instanceId) return;
+    try {
+      await this.adopt(roomId);
+      let socket = this.forwarded.get(socketId);
+      if (!socket) {
+        socket = new ForwardedSocket(this.io, { id: socketId, user });
+        this.forwarded.set(socketId, socket);
+        await this.connectionHandler?.(socket);
+      }
+      socket.dispatch(event, payload);
+    } catch (error) {
+      console.error(
+        `[Cluster] Error handling ${event} forwarded for room ${roomId}:`,
+        error
+      );
+    }
+  }
+
+  socketGone(socketId) {
+    const socket = this.forwarded.get(socketId);
+    if (!socket) return;
+    this.forwarded.delete(socketId);
+    socket.dispatch("disconnect");
+  }
+
+  /**
+   * Heartbeat: keep this instance and its rooms' claims alive, and take over
+   * the rooms of dead instances that pickOwner gives to this one
+   */
+  async tick() {
+    await this.store.registerInstance(this.instanceId, this.instanceTtlMs);
+
+    for (const roomId of gameManager.getAllRoomIds()) {
+      const owner = await this.store.claimRoom(roomId, this.instanceId);
+      if (owner !== this.instanceId) {
+        // Another instance took the room over while we were unreachable
+        console.warn(`[Cluster] Room ${roomId} moved to ${owner}, dropping it`);
+        gameManager.deleteRoom(roomId);
+      }
+    }
+
+    const instances = await this.store.getInstances();
+    const owners = await this.store.getRoomOwners();
+    for (const [roomId, owner] of Object.entries(owners)) {
+      if (instances.includes(owner)) continue;
+      if (pickOwner(roomId, instances) === this.instanceId) {
+        await this.adopt(roomId);
+      }
+    }
+  }
+}
+
+/**
+ * Share the server between instances when REDIS_URL is set: socket.io
+ * broadcasts go through the Redis adapter and room owners are kept in
+ * Redis. Otherwise the in-memory store is used and this is the only
+ * instance. roomRouter.start() registers the instance once the database is
+ * up. The load balancer must keep each client on one instance (sticky
+ * sessions) unless clients connect over WebSocket only.
+ * @param {Object} io - Socket.io server
+ */
+function setupCluster(io) {
+  if (!CLUSTER_CONFIG.REDIS_URL) {
+    roomRouter.attach(io);
+    return;
+  }
+
+  const Redis = require("ioredis");
+  const { createAdapter } = require("@socket.io/redis-adapter");
+  const pubClient = new Redis(CLUSTER_CONFIG.REDIS_URL);
+  const subClient = pubClient.duplicate();
+  io.adapter(createAdapter(pubClient, subClient));
+
+  const store = new RedisStateStore(pubClient, {
+    prefix: CLUSTER_CONFIG.KEY_PREFIX,
+  });
+  roomRouter.attach(io, { store, redisClient: pubClient });
+}
+
+const roomRouter = new RoomRouter();
+
+module.exports = {
+  CLUSTER_CONFIG,
+  ROOM_EVENTS,
+  pickOwner,
+  ForwardedSocket,
+  RoomRouter,
+  roomRouter,
+  setupCluster,
+};
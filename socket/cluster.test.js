@@ -0,0 +1,199 @@
+const { EventEmitter } = require("events");
+
+const mockRehydrateRoom = jest.fn();
+jest.mock("./persistence", () => ({
+  rehydrateRoom: (...args) => mockRehydrateRoom(...args),
+}));
+
+const { MemoryStateStore } = require("./stateStore");
+const { pickOwner } = require("./cluster");
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Socket.io servers that pass server-side messages to each other
+function createIo(servers) {
+  const io = new EventEmitter();
+  io.sent = [];
+  io.serverSideEmit = (event, ...args) => {
+    for (const other of servers) {
+      if (other !== io) other.emit(event, ...args);
+    }
+  };
+  io.to = (id) => ({ emit: (...args) => io.sent.push([id, ...args]) });
+  io.in = () => ({ socketsJoin: () => {}, socketsLeave: () => {} });
+  servers.push(io);
+  return io;
+}
+
+// One server process: its own gameManager and router, a shared store
+function createInstance(instanceId, servers, store) {
+  const instance = { io: createIo(servers), handled: [], connections: 0 };
+  jest.isolateModules(() => {
+    const { RoomRouter } = require("./cluster");
+    instance.gameManager = require("./gameManager").gameManager;
+    instance.router = new RoomRouter();
+  });
+  const { router, gameManager } = instance;
+  gameManager.setOwnershipHandler((roomId, owned) =>
+    router.setOwned(roomId, owned)
+  );
+  router.setConnectionHandler((socket) => {
+    instance.connections++;
+    socket.on("roll_dice", (payload) => {
+      instance.handled.push({
+        socketId: socket.id,
+        user: socket.user,
+        payload,
+      });
+      socket.emit("dice_rolled", { value: 4 });
+    });
+    socket.on("disconnect", () => instance.handled.push({ gone: socket.id }));
+  });
+  router.attach(instance.io, { store, instanceId });
+  return instance;
+}
+
+// A client connected to one instance
+function connect(instance, id) {
+  const socket = new EventEmitter();
+  socket.id = id;
+  socket.user = { id: `user-${id}` };
+  socket.data = {};
+  socket.use = (middleware) => {
+    socket.middleware = middleware;
+  };
+  instance.io.emit("connection", socket);
+  // "local" if the action runs on this instance, "forwarded" if not
+  socket.send = (event, payload) =>
+    new Promise((resolve) => {
+      socket
+        .middleware([event, payload], () => resolve("local"))
+        .then(() => resolve("forwarded"));
+    });
+  return socket;
+}
+
+describe("Room sharding", () => {
+  let now;
+  let store;
+  let servers;
+  let a;
+  let b;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    now = 1000;
+    store = new MemoryStateStore({ now: () => now });
+    servers = [];
+    a = createInstance("a", servers, store);
+    b = createInstance("b", servers, store);
+    await a.router.start({ instanceTtlMs: 100 });
+    await b.router.start({ instanceTtlMs: 100 });
+    a.gameManager.createRoom("room1", { gameStatus: "playing" });
+    await flush();
+  });
+
+  afterEach(async () => {
+    await a.router.stop();
+    await b.router.stop();
+  });
+
+  test("only a dead instance's rooms move to another owner", () => {
+    const roomIds = Array.from({ length: 60 }, (_, i) => `room${i}`);
+    const before = roomIds.map((id) => pickOwner(id, ["a", "b", "c"]));
+    const after = roomIds.map((id) => pickOwner(id, ["a", "b"]));
+
+    expect(new Set(before)).toEqual(new Set(["a", "b", "c"]));
+    roomIds.forEach((_, i) => {
+      if (before[i] !== "c") expect(after[i]).toBe(before[i]);
+    });
+    expect(pickOwner("room1", [])).toBeNull();
+  });
+
+  test("actions for a room run on the instance that holds it", async () => {
+    const socket = connect(b, "s1");
+
+    expect(await socket.send("roll_dice", { roomId: "room1" })).toBe(
+      "forwarded"
+    );
+    await flush();
+    expect(await socket.send("roll_dice", { roomId: "room1" })).toBe(
+      "forwarded"
+    );
+    await flush();
+
+    expect(a.handled).toEqual([
+      { socketId: "s1", user: { id: "user-s1" }, payload: { roomId: "room1" } },
+      { socketId: "s1", user: { id: "user-s1" }, payload: { roomId: "room1" } },
+    ]);
+    expect(a.connections).toBe(1);
+    expect(b.handled).toEqual([]);
+    // Replies go through the adapter to the real socket
+    expect(a.io.sent).toContainEqual(["s1", "dice_rolled", { value: 4 }]);
+
+    socket.emit("disconnect");
+    await flush();
+    expect(a.handled).toContainEqual({ gone: "s1" });
+  });
+
+  test("other actions are handled where they arrive", async () => {
+    expect(await connect(a, "s2").send("roll_dice", { roomId: "room1" })).toBe(
+      "local"
+    );
+
+    const socket = connect(b, "s3");
+    expect(await socket.send("roll_dice", { roomId: "missing" })).toBe("local");
+    expect(await socket.send("get_wallet_balance")).toBe("local");
+  });
+
+  test("a live instance keeps its rooms", async () => {
+    expect(await b.router.claim("room1")).toBe(false);
+    expect(await b.router.getLiveRoomIds()).toEqual(["room1"]);
+    expect(await b.router.getOwner("room1")).toBe("a");
+  });
+
+  test("recovery leaves records other instances may still be opening", async () => {
+    const startedAt = a.router.startedAt;
+    expect(await a.router.getRecoveryCutoff()).toEqual(
+      new Date(startedAt - 100)
+    );
+
+    now += 200; // b stops sending heartbeats
+    await a.router.tick();
+    expect(await a.router.getRecoveryCutoff()).toEqual(new Date(startedAt));
+  });
+
+  test("one instance at a time holds a job", async () => {
+    expect(await b.router.holdsJob("tournaments")).toBe(true);
+    expect(await a.router.holdsJob("tournaments")).toBe(false);
+    expect(await b.router.holdsJob("tournaments")).toBe(true);
+
+    now += 200; // b stops sending heartbeats
+    await a.router.tick();
+    expect(await a.router.holdsJob("tournaments")).toBe(true);
+  });
+
+  test("a dead instance's rooms are taken over", async () => {
+    a.gameManager.createRoom("waiting", { gameStatus: "waiting" });
+    await flush();
+
+    now += 200; // a stops sending heartbeats
+    mockRehydrateRoom.mockImplementationOnce(async (io, roomId) => {
+      b.gameManager.createRoom(roomId, { gameStatus: "playing" });
+      return true;
+    });
+    mockRehydrateRoom.mockResolvedValueOnce(false); // "waiting" can't be restored
+    await b.router.tick();
+    await flush();
+
+    expect(mockRehydrateRoom).toHaveBeenCalledWith(b.io, "room1");
+    expect(b.gameManager.getRoom("room1")).toBeDefined();
+    expect(await store.getRoomOwners()).toEqual({ room1: "b" });
+
+    // When a comes back it gives up its stale copy
+    await a.router.tick();
+    expect(a.gameManager.getRoom("room1")).toBeUndefined();
+    expect(await store.getRoomOwner("room1")).toBe("b");
+  });
+});
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+
+// Largest multiple of 6 that fits in a byte; higher bytes are rejected so
+// every face stays equally likely
+const BYTE_LIMIT = 252;
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+/**
+ * Generate a fresh secret server seed
+ * @returns {string} 32 random bytes as hex
+ */
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Hash a server seed for publishing before any roll is made
+ * @param {string} serverSeed - Secret server seed
+ * @returns {string} SHA-256 hex digest
+ */
+function hashServerSeed(serverSeed) {
+  return crypto.createHash("sha256").update(serverSeed).digest("hex");
+}
+
+/**
+ * Derive a die value from the seeds and roll number. Anyone holding the
+ * revealed server seed can repeat this to check a roll.
+ * @param {string} serverSeed - Secret server seed
+ * @param {string} clientSeed - Seed contributed by the players
+ * @param {number} nonce - Roll number within the game, starting at 1
+ * @returns {number} Die value 1-6
+ */
+function computeRoll(serverSeed, clientSeed, nonce) {
+  for (let round = 0; ; round++) {
+    const message =
+      round === 0
+        ? `${clientSeed}:${nonce}`
+        : `${clientSeed}:${nonce}:${round}`;
+    const digest = crypto
+      .createHmac("sha256", serverSeed)
+      .update(message)
+      .digest();
+    for (const byte of digest) {
+      if (byte < BYTE_LIMIT) return (byte % 6) + 1;
+    }
+  }
+}
+
+/**
+ * Combine the seeds contributed by players into one client seed, prefixed
+ * with the room ID. Seats without a seed add nothing: bot IDs and the like
+ * are made by the server after the commitment, so it could pick them to
+ * steer the rolls.
+ * @param {string} roomId - Room ID, fixed before the commitment
+ * @param {Array} players - Players in seat order
+ * @returns {string} Combined client seed
+ */
+function buildClientSeed(roomId, players) {
+  return [roomId, ...players.map((p) => p.clientSeed || "")].join(":");
+}
+
+/**
+ * Create the fairness state for a new room. The seed hash is published
+ * straight away; the seed itself only leaves the server at game over.
+ * @returns {Object} Fairness state
+ */
+function createFairnessState() {
+  const serverSeed = generateServerSeed();
+  return {
+    serverSeed,
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeed: null,
+    nonce: 0,
+    rolls: [],
+  };
+}
+
+/**
+ * Lock the client seed once every seat is filled
+ * @param {Object} room - Room state
+ * @returns {string} Client seed used for the rest of the game
+ */
+function lockClientSeed(room) {
+  room.fairness.clientSeed = buildClientSeed(room.roomId, room.players);
+  return room.fairness.clientSeed;
+}
+
+/**
+ * Roll the die for a player and record the roll
+ * @param {Object} room - Room state
+ * @param {string} playerId - Player rolling
+ * @returns {number} Die value 1-6
+ */
+function rollDie(room, playerId) {
+  const fairness = room.fairness;
+  if (!fairness.clientSeed) {
+    lockClientSeed(room);
+  }
+  fairness.nonce += 1;
+  const value = computeRoll(
+    fairness.serverSeed,
+    fairness.clientSeed,
+    fairness.nonce
+  );
+  fairness.rolls.push({
+    nonce: fairness.nonce,
+    playerId,
+    value,
+    rolledAt: new Date(),
+  });
+  return value;
+}
+
+/**
+ * Public commitment sent to players while the game is running
+ * @param {Object} room - Room state
+ * @returns {Object} Seed hash and client seed
+ */
+function getCommitment(room) {
+  return {
+    serverSeedHash: room.fairness.serverSeedHash,
+    clientSeed: room.fairness.clientSeed,
+  };
+}
+
+/**
+ * Clean up a seed sent by a client
+ * @param {*} clientSeed - Raw value from the socket payload
+ * @returns {string|undefined} Trimmed seed or undefined if unusable
+ */
+function sanitizeClientSeed(clientSeed) {
+  if (typeof clientSeed !== "string") return undefined;
+  const trimmed = clientSeed.trim().slice(0, MAX_CLIENT_SEED_LENGTH);
+  return trimmed || undefined;
+}
+
+/**
+ * Recompute every recorded roll from the revealed seed. Nonces must run
+ * 1, 2, 3... so a roll can't be dropped from the record unnoticed.
+ * @param {Object} record - { serverSeed, serverSeedHash, clientSeed, rolls }
+ * @returns {Object} Verification result per roll and overall
+ */
+function verifyRolls({ serverSeed, serverSeedHash, clientSeed, rolls = [] }) {
+  const hashMatches = hashServerSeed(serverSeed) === serverSeedHash;
+  const checkedRolls = rolls.map((roll, index) => {
+    const expected = computeRoll(serverSeed, clientSeed, roll.nonce);
+    return {
+      nonce: roll.nonce,
+      playerId: roll.playerId,
+      value: roll.value,
+      expected,
+      valid: expected === roll.value && roll.nonce === index + 1,
+    };
+  });
+  return {
+    hashMatches,
+    rolls: checkedRolls,
+    valid: hashMatches && checkedRolls.every((roll) => roll.valid),
+  };
+}
+
+module.exports = {
+  generateServerSeed,
+  hashServerSeed,
+  computeRoll,
+  buildClientSeed,
+  createFairnessState,
+  lockClientSeed,
+  rollDie,
+  getCommitment,
+  sanitizeClientSeed,
+  verifyRolls,
+};
@@ -0,0 +1,117 @@
+const {
+  hashServerSeed,
+  computeRoll,
+  buildClientSeed,
+  createFairnessState,
+  rollDie,
+  getCommitment,
+  sanitizeClientSeed,
+  verifyRolls,
+} = require("./fairness");
+
+describe("Provably-fair dice", () => {
+  const createRoom = () => ({
+    roomId: "room1",
+    players: [
+      { id: "p1", clientSeed: "lucky" },
+      { id: "bot_1", isBot: true },
+    ],
+    fairness: createFairnessState(),
+  });
+
+  test("should commit to the hash of the server seed", () => {
+    const room = createRoom();
+
+    expect(room.fairness.serverSeed).toMatch(/^[0-9a-f]{64}$/);
+    expect(getCommitment(room)).toEqual({
+      serverSeedHash: hashServerSeed(room.fairness.serverSeed),
+      clientSeed: null,
+    });
+  });
+
+  test("should derive the same roll from the same inputs", () => {
+    const value = computeRoll("server", "client", 1);
+
+    expect(value).toBeGreaterThanOrEqual(1);
+    expect(value).toBeLessThanOrEqual(6);
+    expect(computeRoll("server", "client", 1)).toBe(value);
+  });
+
+  test("should give every face a fair share of rolls", () => {
+    const counts = [0, 0, 0, 0, 0, 0];
+    for (let nonce = 1; nonce <= 6000; nonce++) {
+      counts[computeRoll("server", "client", nonce) - 1]++;
+    }
+
+    counts.forEach((count) => {
+      expect(count).toBeGreaterThan(850);
+      expect(count).toBeLessThan(1150);
+    });
+  });
+
+  test("should combine the room ID with the seeds players supplied", () => {
+    expect(buildClientSeed("room1", createRoom().players)).toBe("room1:lucky:");
+  });
+
+  test("should roll the same whatever ID the server gives a bot", () => {
+    const rollsWithBot = (botId) => {
+      const room = createRoom();
+      room.fairness = { ...room.fairness, serverSeed: "server" };
+      room.players[1].id = botId;
+      return [1, 2, 3, 4, 5].map(() => rollDie(room, botId));
+    };
+
+    expect(rollsWithBot("bot_1_abc")).toEqual(rollsWithBot("bot_2_xyz"));
+  });
+
+  test("should clean up client seeds", () => {
+    expect(sanitizeClientSeed("  abc  ")).toBe("abc");
+    expect(sanitizeClientSeed("x".repeat(100))).toHaveLength(64);
+    expect(sanitizeClientSeed("   ")).toBeUndefined();
+    expect(sanitizeClientSeed({ seed: 1 })).toBeUndefined();
+  });
+
+  test("should record every roll with an increasing nonce", () => {
+    const room = createRoom();
+    rollDie(room, "p1");
+    rollDie(room, "bot_1");
+
+    expect(room.fairness.clientSeed).toBe("room1:lucky:");
+    expect(room.fairness.rolls.map((r) => [r.nonce, r.playerId])).toEqual([
+      [1, "p1"],
+      [2, "bot_1"],
+    ]);
+  });
+
+  test("should verify a genuine roll record", () => {
+    const room = createRoom();
+    for (let i = 0; i < 10; i++) rollDie(room, "p1");
+
+    const result = verifyRolls(room.fairness);
+
+    expect(result.hashMatches).toBe(true);
+    expect(result.valid).toBe(true);
+    expect(result.rolls).toHaveLength(10);
+  });
+
+  test("should flag tampered or missing rolls", () => {
+    const room = createRoom();
+    for (let i = 0; i < 3; i++) rollDie(room, "p1");
+
+    const tampered = room.fairness.rolls.map((roll) => ({ ...roll }));
+    tampered[1].value = (tampered[1].value % 6) + 1;
+    expect(verifyRolls({ ...room.fairness, rolls: tampered }).valid).toBe(
+      false
+    );
+
+    const missing = room.fairness.rolls.filter((roll) => roll.nonce !== 2);
+    expect(verifyRolls({ ...room.fairness, rolls: missing }).valid).toBe(
+      false
+    );
+
+    expect(
+      verifyRolls({ ...room.fairness, serverSeedHash: hashServerSeed("x") })
+        .hashMatches
+    ).toBe(false);
+  });
+});
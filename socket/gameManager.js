@@ -1,5 +1,27 @@
-const { hasPlayerWon, getNextPosition, isSafePosition } = require("./utils");
+const crypto = require("crypto");
+const {
+  hasPlayerWon,
+  getNextPosition,
+  isSafePosition,
+  getMaxPlayers,
+  getSeatColors,
+} = require("./utils");
 const { paths } = require("../constants");
+const { createFairnessState } = require("./fairness");
+const rules = require("./rules");
+const { getTurnClockSettings } = require("./turnClock");
+
+// Why a queued room action was dropped instead of run
+const RoomActionError = {
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  STALE_ACTION: "STALE_ACTION",
+};
+
+function roomActionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 class RoomState {
   constructor(roomId) {
@@ -25,7 +47,26 @@ class RoomState {
     this.disconnectedAutoMoveTimers = new Map();
     this.autoMoveCount = new Map();
     this.turnTimeout = null; // Timer for turn timeout
+    this.turnClock = null; // { turnMs, timeBankMs, maxStrikes }, fixed at the first turn
+    this.turnDeadline = null; // When the current turn runs out (ms since epoch)
+    this.timeBankRun = null; // { playerId, startedAt } while a time bank is running
+    this.timeBanks = {}; // playerId -> ms of time bank left
+    this.strikes = {}; // playerId -> turns missed and auto-played
+    this.finishedPlayers = []; // Player IDs in the order they finished
+    this.eliminatedPlayers = []; // Player IDs knocked out (timeout, leave, auto-move limit)
+    this.forfeits = {}; // playerId -> why they were knocked out (resign, turn_timeout, ...)
+    this.pendingResigns = new Map(); // playerId -> when their resign confirmation expires
+    this.fairness = createFairnessState(); // Committed dice seed and roll record
+    this.escrowId = null; // Escrow holding the stakes once the game starts
+    this.eventSeq = 0; // Number of the last replay event recorded
+    this.consecutiveSixes = 0; // Sixes in a row by the current player
+    this.spectators = new Map(); // socketId -> { userId, name }, watch-only
+    this.seats = new Map(); // playerId -> { socketId, token }, connection holding each human seat
+    this.inviteCode = null; // Private rooms only; joining needs the code
+    this.rematch = null; // Open rematch offer once the game is over
     this.joinLock = false; // Simple in-memory lock for join operations
+    this.stateVersion = 0; // Bumped whenever the board, roll, turn or lineup changes
+    this.mailbox = Promise.resolve(); // Last queued action, see GameManager.enqueue
   }
 
   cleanup() {
@@ -70,7 +111,10 @@ class RoomState {
 class GameManager {
   constructor() {
     this.rooms = new Map(); // roomId -> RoomState
-    this.waitingRoomId = null;
+    this.persistHandler = null; // Saves a room's live state, see setPersistHandler
+    this.eventHandler = null; // Stores replay events, see setEventHandler
+    this.turnExpiryHandler = null; // Runs when a turn clock runs out
+    this.ownershipHandler = null; // Claims rooms for this instance, see setOwnershipHandler
 
     // Constants
     this.GAME_STATUS = {
@@ -90,6 +134,7 @@ class GameManager {
     const roomState = new RoomState(roomId);
     Object.assign(roomState, roomData);
     this.rooms.set(roomId, roomState);
+    if (this.ownershipHandler) this.ownershipHandler(roomId, true);
     return roomState;
   }
 
@@ -97,23 +142,152 @@ class GameManager {
     return this.rooms.get(roomId);
   }
 
+  /**
+   * Find the private room an invite code belongs to
+   * @param {string} inviteCode - Normalized invite code
+   * @returns {Object|undefined} Room state
+   */
+  findRoomByInviteCode(inviteCode) {
+    if (!inviteCode) return undefined;
+    for (const room of this.rooms.values()) {
+      if (room.inviteCode === inviteCode) return room;
+    }
+    return undefined;
+  }
+
   deleteRoom(roomId) {
     const room = this.rooms.get(roomId);
     if (room) {
       room.cleanup();
       this.rooms.delete(roomId);
+      if (this.ownershipHandler) this.ownershipHandler(roomId, false);
     }
-    if (this.waitingRoomId === roomId) {
-      this.waitingRoomId = null;
+  }
+
+  /**
+   * Queue an action on the room's mailbox. Actions run one at a time in the
+   * order they were queued, each once the one before has settled, so
+   * players, bots and timers never change a room at the same time.
+   * @param {string} roomId - Room ID
+   * @param {Function} action - (room) => result, may be async
+   * @param {Object} options - { version } the action was decided at; it is
+   *   dropped if the room has moved on by the time it runs
+   * @returns {Promise} Action result; rejects with ROOM_NOT_FOUND or
+   *   STALE_ACTION when the action is dropped
+   */
+  enqueue(roomId, action, { version } = {}) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return Promise.reject(
+        roomActionError(RoomActionError.ROOM_NOT_FOUND, "Room not found!")
+      );
     }
+
+    const result = room.mailbox.then(() => {
+      if (this.rooms.get(roomId) !== room) {
+        throw roomActionError(
+          RoomActionError.ROOM_NOT_FOUND,
+          "Room not found!"
+        );
+      }
+      if (version !== undefined && version !== room.stateVersion) {
+        throw roomActionError(
+          RoomActionError.STALE_ACTION,
+          `Room ${roomId} moved on from version ${version} to ${room.stateVersion}`
+        );
+      }
+      return action(room);
+    });
+    // A failed action must not hold up the ones behind it
+    room.mailbox = result.catch(() => {});
+    return result;
   }
 
-  setWaitingRoom(roomId) {
-    this.waitingRoomId = roomId;
+  /**
+   * @param {string} roomId - Room ID
+   * @returns {number|null} Room's state version, null if it doesn't exist
+   */
+  getStateVersion(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.stateVersion : null;
   }
 
-  getWaitingRoom() {
-    return this.waitingRoomId;
+  /**
+   * Mark a change made outside commitRulesState and advanceTurn, e.g. the
+   * game ending, so actions decided before it are dropped
+   * @param {string} roomId - Room ID
+   */
+  bumpStateVersion(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) room.stateVersion += 1;
+  }
+
+  /**
+   * Attach the function that saves a room's live state. Until one is
+   * attached persistRoom does nothing, so the manager works purely in memory.
+   * @param {Function} handler - (roomId) => Promise
+   */
+  setPersistHandler(handler) {
+    this.persistHandler = handler;
+  }
+
+  /**
+   * Save the room's live state after a transition (roll, move, turn change,
+   * disconnect). Writes happen in the background.
+   * @param {string} roomId - Room ID
+   */
+  persistRoom(roomId) {
+    if (this.persistHandler && this.rooms.has(roomId)) {
+      this.persistHandler(roomId);
+    }
+  }
+
+  /**
+   * Attach the function that stores replay events. Until one is attached
+   * events are numbered but not kept.
+   * @param {Function} handler - (roomId, event) => Promise
+   */
+  setEventHandler(handler) {
+    this.eventHandler = handler;
+  }
+
+  /**
+   * Attach the function that deals with a turn running out. Until one is
+   * attached turn deadlines are tracked but no timers are set.
+   * @param {Function} handler - (roomId)
+   */
+  setTurnExpiryHandler(handler) {
+    this.turnExpiryHandler = handler;
+  }
+
+  /**
+   * Attach the function that tells other instances this one holds a room.
+   * It is called with true when a room is created here and false when it is
+   * deleted. Until one is attached rooms belong to this process alone.
+   * @param {Function} handler - (roomId, owned)
+   */
+  setOwnershipHandler(handler) {
+    this.ownershipHandler = handler;
+  }
+
+  /**
+   * Add an event to the room's replay log. Events are numbered per room so
+   * the log can be put back in order and gaps spotted.
+   * @param {string} roomId - Room ID
+   * @param {string} type - Event type (roll, move, kill, turn, ...)
+   * @param {Object} data - Event details
+   * @returns {Object|null} Recorded event or null if the room doesn't exist
+   */
+  recordEvent(roomId, type, data = {}) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    room.eventSeq += 1;
+    const event = { seq: room.eventSeq, type, at: Date.now(), ...data };
+    if (this.eventHandler) {
+      this.eventHandler(roomId, event);
+    }
+    return event;
   }
 
   // Game state methods
@@ -134,21 +308,161 @@ class GameManager {
     const room = this.rooms.get(roomId);
     if (room) {
       room.disconnectedPlayers.set(playerId, playerData);
+      this.persistRoom(roomId);
     }
   }
 
   removeDisconnectedPlayer(roomId, playerId) {
     const room = this.rooms.get(roomId);
-    if (room) {
-      room.disconnectedPlayers.delete(playerId);
+    if (room && room.disconnectedPlayers.delete(playerId)) {
+      this.persistRoom(roomId);
     }
   }
 
+  /**
+   * Move a player to a new ID, e.g. a seat saved before seats were keyed by
+   * user ID
+   * @param {string} roomId - Room ID
+   * @param {string} oldId - Player ID the seat was held under
+   * @param {string} newId - New player ID
+   * @returns {Object|null} Updated player or null if no such seat
+   */
+  rebindPlayer(roomId, oldId, newId) {
+    const room = this.rooms.get(roomId);
+    const player = room?.players.find((p) => p.id === oldId);
+    if (!player) return null;
+
+    const swap = (id) => (id === oldId ? newId : id);
+    player.id = newId;
+    room.currentTurn = swap(room.currentTurn);
+    room.finishedPlayers = room.finishedPlayers.map(swap);
+    room.eliminatedPlayers = room.eliminatedPlayers.map(swap);
+    if (room.lastRoll) {
+      room.lastRoll.roller = swap(room.lastRoll.roller);
+    }
+    if (room.timeBankRun) {
+      room.timeBankRun.playerId = swap(room.timeBankRun.playerId);
+    }
+    for (const record of [room.timeBanks, room.strikes, room.forfeits]) {
+      if (oldId in record) {
+        record[newId] = record[oldId];
+        delete record[oldId];
+      }
+    }
+    for (const map of [
+      room.disconnectedPlayers,
+      room.disconnectedAutoMoveTimers,
+      room.autoMoveCount,
+      room.seats,
+    ]) {
+      if (map.has(oldId)) {
+        map.set(newId, map.get(oldId));
+        map.delete(oldId);
+      }
+    }
+
+    this.persistRoom(roomId);
+    return player;
+  }
+
   getDisconnectedPlayer(roomId, playerId) {
     const room = this.rooms.get(roomId);
     return room ? room.disconnectedPlayers.get(playerId) : null;
   }
 
+  // Seat methods. A human seat is the player's user ID and outlives their
+  // connections; only one socket holds it at a time, and every time another
+  // socket takes it over the seat gets a new token. Like spectators, the
+  // sockets holding seats are not persisted.
+
+  /**
+   * Give a seat to a socket, taking it from whichever socket held it
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID of the seat
+   * @param {string} socketId - Socket taking the seat
+   * @returns {Object|null} { token, previousSocketId } or null if no such seat
+   */
+  takeSeat(roomId, playerId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.players.some((p) => p.id === playerId)) return null;
+
+    const previous = room.seats.get(playerId);
+    const token = crypto.randomBytes(16).toString("hex");
+    room.seats.set(playerId, { socketId, token });
+    const previousSocketId = previous?.socketId || null;
+    return {
+      token,
+      previousSocketId: previousSocketId !== socketId ? previousSocketId : null,
+    };
+  }
+
+  /**
+   * Let go of a seat when its socket disconnects, or drop it once the player
+   * has left the room. A socket whose seat was taken over holds nothing.
+   * @param {string} roomId - Room ID
+   * @param {string} socketId - Socket ID
+   * @returns {string|null} Player ID of the seat it held
+   */
+  releaseSeat(roomId, socketId) {
+    const playerId = this.getSeatPlayerId(roomId, socketId);
+    if (!playerId) return null;
+
+    const room = this.rooms.get(roomId);
+    if (room.players.some((p) => p.id === playerId)) {
+      room.seats.get(playerId).socketId = null;
+    } else {
+      room.seats.delete(playerId);
+    }
+    return playerId;
+  }
+
+  /**
+   * @param {string} roomId - Room ID
+   * @param {string} socketId - Socket ID
+   * @returns {string|null} Player ID of the seat the socket holds
+   */
+  getSeatPlayerId(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !socketId) return null;
+    for (const [playerId, seat] of room.seats) {
+      if (seat.socketId === socketId) return playerId;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} { socketId, token } of the seat
+   */
+  getSeat(roomId, playerId) {
+    return this.rooms.get(roomId)?.seats.get(playerId) || null;
+  }
+
+  // Spectator methods. Spectators only live as long as their socket, so they
+  // are not persisted.
+  addSpectator(roomId, socketId, spectator) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.spectators.set(socketId, spectator);
+    }
+  }
+
+  removeSpectator(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.spectators.delete(socketId) : false;
+  }
+
+  isSpectator(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.spectators.has(socketId) : false;
+  }
+
+  getSpectatorCount(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.spectators.size : 0;
+  }
+
   // Timer management methods
   setRoomTimeout(roomId, timeoutId) {
     const room = this.rooms.get(roomId);
@@ -182,25 +496,254 @@ class GameManager {
     }
   }
 
+  // Seat management methods
+  /**
+   * Get the number of seats in a room
+   * @param {string} roomId - Room ID
+   * @returns {number} Maximum number of players
+   */
+  getMaxPlayers(roomId) {
+    const room = this.rooms.get(roomId);
+    return getMaxPlayers(room?.gameSettings);
+  }
+
+  /**
+   * Get the first seat colour not yet taken in a room
+   * @param {string} roomId - Room ID
+   * @returns {string|null} Free colour or null if the room is full
+   */
+  getAvailableColor(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    const takenColors = room.players.map((p) => p.color);
+    return (
+      getSeatColors(this.getMaxPlayers(roomId)).find(
+        (color) => !takenColors.includes(color)
+      ) || null
+    );
+  }
+
+  /**
+   * Order players by seat so turns rotate clockwise around the board
+   * @param {string} roomId - Room ID
+   */
+  sortPlayersBySeat(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    const seatOrder = getSeatColors(this.getMaxPlayers(roomId));
+    room.players.sort(
+      (a, b) => seatOrder.indexOf(a.color) - seatOrder.indexOf(b.color)
+    );
+  }
+
+  // Turn rotation and placement methods
+  /**
+   * Check if a player has finished or been eliminated
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the player no longer takes turns
+   */
+  isPlayerOut(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+    return (
+      room.finishedPlayers.includes(playerId) ||
+      room.eliminatedPlayers.includes(playerId)
+    );
+  }
+
+  /**
+   * Get players still taking turns
+   * @param {string} roomId - Room ID
+   * @returns {Array} Active players in seat order
+   */
+  getActivePlayers(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+    return room.players.filter((p) => !this.isPlayerOut(roomId, p.id));
+  }
+
+  /**
+   * Get the next player to move, skipping finished and eliminated players
+   * @param {string} roomId - Room ID
+   * @param {string} fromPlayerId - Player whose turn is ending
+   * @returns {string|null} Next player ID
+   */
+  getNextTurn(roomId, fromPlayerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    return rules.getNextTurn(room.players, fromPlayerId, [
+      ...room.finishedPlayers,
+      ...room.eliminatedPlayers,
+    ]);
+  }
+
+  /**
+   * Build the state the rules engine works on
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Rules state (see socket/rules.js)
+   */
+  getRulesState(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    return {
+      pieces: room.gameState.pieces,
+      players: room.players.map((p) => ({ id: p.id, color: p.color })),
+      currentTurn: room.currentTurn,
+      lastRoll: room.lastRoll,
+      requiredPieces: room.gameSettings.requiredPieces,
+      outPlayers: [...room.finishedPlayers, ...room.eliminatedPlayers],
+      consecutiveSixes: room.consecutiveSixes,
+      houseRules: room.gameSettings.houseRules,
+    };
+  }
+
+  /**
+   * Copy the board and roll from a rules result into the room. Turn changes
+   * and finishes are applied by the caller through advanceTurn and
+   * handlePlayerFinished, which also record and save them.
+   * @param {string} roomId - Room ID
+   * @param {Object} state - State returned by the rules engine
+   */
+  commitRulesState(roomId, state) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    room.gameState.pieces = state.pieces;
+    room.lastRoll = state.lastRoll;
+    room.consecutiveSixes = state.consecutiveSixes;
+    room.stateVersion += 1;
+  }
+
+  /**
+   * Pass the turn to the next active player
+   * @param {string} roomId - Room ID
+   * @param {string} fromPlayerId - Player whose turn is ending
+   * @returns {string|null} New current turn
+   */
+  advanceTurn(roomId, fromPlayerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    room.currentTurn = this.getNextTurn(roomId, fromPlayerId);
+    room.consecutiveSixes = 0;
+    room.stateVersion += 1;
+    this.recordEvent(roomId, "turn", {
+      from: fromPlayerId,
+      to: room.currentTurn,
+    });
+    this.startTurnClock(roomId);
+    this.persistRoom(roomId);
+    return room.currentTurn;
+  }
+
+  /**
+   * Record that a player brought home all required pieces
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @returns {number} Finishing place (1-based)
+   */
+  recordPlayerFinish(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return 0;
+    if (!room.finishedPlayers.includes(playerId)) {
+      room.finishedPlayers.push(playerId);
+      this.persistRoom(roomId);
+    }
+    return room.finishedPlayers.indexOf(playerId) + 1;
+  }
+
+  /**
+   * Knock a player out of the game (they forfeit their stake)
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @param {string} reason - Why, e.g. resign or turn_timeout
+   */
+  eliminatePlayer(roomId, playerId, reason) {
+    const room = this.rooms.get(roomId);
+    if (!room || this.isPlayerOut(roomId, playerId)) return;
+    room.eliminatedPlayers.push(playerId);
+    if (reason) room.forfeits[playerId] = reason;
+    room.stateVersion += 1;
+    this.persistRoom(roomId);
+  }
+
+  /**
+   * Check if every paid place has been decided. A game with only bots left
+   * in it is also over; nobody remaining can win a prize.
+   * @param {string} roomId - Room ID
+   * @returns {boolean} True if the game should end
+   */
+  isGameDecided(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return true;
+    const payoutPlaces = room.gameSettings?.payoutPlaces || 1;
+    const activePlayers = this.getActivePlayers(roomId);
+    return (
+      room.finishedPlayers.length >= payoutPlaces ||
+      activePlayers.length <= 1 ||
+      activePlayers.every((p) => p.isBot)
+    );
+  }
+
+  /**
+   * Rank every player: finishers first, then remaining players by progress,
+   * then eliminated players (last knocked out ranks highest)
+   * @param {string} roomId - Room ID
+   * @returns {Array} Players ordered from first to last place
+   */
+  getPlacings(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+
+    const pieces = room.gameState?.pieces || {};
+    const progress = (color) =>
+      (pieces[color] || []).reduce((sum, piece) => {
+        if (piece === `${color}WinZone`) return sum + paths[color].length;
+        return sum + paths[color].indexOf(piece) + 1;
+      }, 0);
+
+    const byId = (id) => room.players.find((p) => p.id === id);
+    const finished = room.finishedPlayers.map(byId).filter(Boolean);
+    const remaining = this.getActivePlayers(roomId).sort(
+      (a, b) => progress(b.color) - progress(a.color)
+    );
+    const eliminated = [...room.eliminatedPlayers]
+      .reverse()
+      .map(byId)
+      .filter(Boolean);
+
+    return [...finished, ...remaining, ...eliminated];
+  }
+
   // Bot management methods
   /**
-   * Find and remove the last-joined bot player from a room
+   * Find the last-joined bot player in a room
    * @param {string} roomId - Room ID
-   * @returns {Object|null} Removed bot player or null if no bots found
+   * @returns {Object|null} Bot player or null if no bots found
    */
-  removeLastJoinedBot(roomId) {
+  getLastJoinedBot(roomId) {
     const room = this.rooms.get(roomId);
     if (!room) return null;
 
-    // Find the last-joined bot player
     const botPlayers = room.players.filter((p) => p.isBot);
     if (botPlayers.length === 0) return null;
 
-    // Sort by joinedAt timestamp (newest first) and get the last one
-    const sortedBots = botPlayers.sort(
+    // Sort by joinedAt timestamp (newest first)
+    return botPlayers.sort(
       (a, b) => new Date(b.joinedAt || 0) - new Date(a.joinedAt || 0)
-    );
-    const lastJoinedBot = sortedBots[0];
+    )[0];
+  }
+
+  /**
+   * Find and remove the last-joined bot player from a room
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Removed bot player or null if no bots found
+   */
+  removeLastJoinedBot(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    const lastJoinedBot = this.getLastJoinedBot(roomId);
+    if (!lastJoinedBot) return null;
 
     // Remove the bot from the players array
     const botIndex = room.players.findIndex((p) => p.id === lastJoinedBot.id);
@@ -306,6 +849,92 @@ class GameManager {
     return this.rooms.size;
   }
 
+  // Turn clock methods. Each turn gets the room's turn time; once that runs
+  // out the player draws on their time bank, which lasts the whole game.
+
+  // Charge the running time bank for the time used so far and stop it
+  settleTimeBank(room, now = Date.now()) {
+    const run = room.timeBankRun;
+    if (!run) return;
+    const left = this.getTimeBank(room.roomId, run.playerId);
+    room.timeBanks[run.playerId] = Math.max(0, left - (now - run.startedAt));
+    room.timeBankRun = null;
+  }
+
+  scheduleTurnExpiry(roomId, timeoutMs) {
+    if (!this.turnExpiryHandler) return;
+    this.setTurnTimeout(
+      roomId,
+      () => this.turnExpiryHandler(roomId),
+      timeoutMs
+    );
+  }
+
+  /**
+   * Give the current player a fresh turn clock
+   * @param {string} roomId - Room ID
+   * @returns {number|null} Turn deadline, or null if no game is running
+   */
+  startTurnClock(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.gameStatus !== this.GAME_STATUS.PLAYING) return null;
+
+    room.turnClock = room.turnClock || getTurnClockSettings();
+    const now = Date.now();
+    this.settleTimeBank(room, now);
+    room.turnDeadline = now + room.turnClock.turnMs;
+    this.scheduleTurnExpiry(roomId, room.turnClock.turnMs);
+    return room.turnDeadline;
+  }
+
+  /**
+   * The turn clock ran out: let the current player use their time bank
+   * @param {string} roomId - Room ID
+   * @returns {number|null} New turn deadline, or null if the bank is empty
+   */
+  startTimeBank(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.timeBankRun) return null;
+
+    const playerId = room.currentTurn;
+    const left = this.getTimeBank(roomId, playerId);
+    if (left <= 0) return null;
+
+    const now = Date.now();
+    room.timeBankRun = { playerId, startedAt: now };
+    room.turnDeadline = now + left;
+    this.scheduleTurnExpiry(roomId, left);
+    return room.turnDeadline;
+  }
+
+  /**
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @returns {number} Ms of time bank the player has left
+   */
+  getTimeBank(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return 0;
+    const clock = room.turnClock || getTurnClockSettings();
+    return room.timeBanks[playerId] ?? clock.timeBankMs;
+  }
+
+  /**
+   * Count a missed turn against a player
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @returns {number} Strikes the player now has
+   */
+  addStrike(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return 0;
+    this.settleTimeBank(room);
+    room.turnDeadline = null;
+    room.strikes[playerId] = (room.strikes[playerId] || 0) + 1;
+    this.persistRoom(roomId);
+    return room.strikes[playerId];
+  }
+
   // Turn timeout methods
   setTurnTimeout(roomId, timeoutCallback, timeoutMs = 30000) {
     const room = this.getRoom(roomId);
@@ -344,6 +973,14 @@ class GameManager {
     }
 
     roomsToDelete.forEach((roomId) => {
+      const room = this.rooms.get(roomId);
+      // A game abandoned mid-play never reaches game over, so hand the stakes back
+      if (room.gameStatus === this.GAME_STATUS.PLAYING && room.escrowId) {
+        const { refundEscrow } = require("../services/escrow");
+        refundEscrow(room.escrowId, "abandoned").catch((error) => {
+          console.error(`[GameManager] Error refunding room ${roomId}:`, error);
+        });
+      }
       this.deleteRoom(roomId);
     });
 
@@ -357,6 +994,7 @@ const gameManager = new GameManager();
 // Export utility functions and the manager
 module.exports = {
   gameManager,
+  RoomActionError,
   hasPlayerWon,
   getNextPosition,
   isSafePosition,
@@ -0,0 +1,335 @@
+const { gameManager, RoomActionError } = require("./gameManager");
+
+describe("GameManager turn rotation and placings", () => {
+  const roomId = "room4p";
+
+  const createFourPlayerRoom = (payoutPlaces = 1) =>
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "p1", name: "Host", color: "blue" },
+        { id: "p3", name: "Third", color: "green", isBot: true },
+        { id: "p2", name: "Second", color: "red" },
+        { id: "p4", name: "Fourth", color: "yellow", isBot: true },
+      ],
+      gameStatus: "playing",
+      gameSettings: {
+        stake: 10,
+        requiredPieces: 4,
+        maxPlayers: 4,
+        payoutPlaces,
+      },
+    });
+
+  afterEach(() => {
+    gameManager.deleteRoom(roomId);
+  });
+
+  test("should seat players clockwise", () => {
+    createFourPlayerRoom();
+    gameManager.sortPlayersBySeat(roomId);
+
+    expect(gameManager.getRoom(roomId).players.map((p) => p.color)).toEqual([
+      "blue",
+      "red",
+      "green",
+      "yellow",
+    ]);
+  });
+
+  test("should hand out the first free seat colour", () => {
+    gameManager.createRoom(roomId, {
+      players: [{ id: "p1", color: "blue" }],
+      gameSettings: { maxPlayers: 3 },
+    });
+
+    expect(gameManager.getAvailableColor(roomId)).toBe("red");
+    gameManager.getRoom(roomId).players.push({ id: "p2", color: "red" });
+    expect(gameManager.getAvailableColor(roomId)).toBe("green");
+    gameManager.getRoom(roomId).players.push({ id: "p3", color: "green" });
+    expect(gameManager.getAvailableColor(roomId)).toBeNull();
+  });
+
+  test("should skip finished and eliminated players when advancing", () => {
+    createFourPlayerRoom(2);
+    gameManager.sortPlayersBySeat(roomId);
+
+    gameManager.recordPlayerFinish(roomId, "p2");
+    gameManager.eliminatePlayer(roomId, "p3");
+
+    expect(gameManager.advanceTurn(roomId, "p1")).toBe("p4");
+    expect(gameManager.advanceTurn(roomId, "p4")).toBe("p1");
+  });
+
+  test("should only end once every paid place is decided", () => {
+    createFourPlayerRoom(2);
+
+    expect(gameManager.recordPlayerFinish(roomId, "p2")).toBe(1);
+    expect(gameManager.isGameDecided(roomId)).toBe(false);
+    expect(gameManager.recordPlayerFinish(roomId, "p1")).toBe(2);
+    expect(gameManager.isGameDecided(roomId)).toBe(true);
+  });
+
+  test("should end when only bots are left", () => {
+    createFourPlayerRoom();
+
+    gameManager.eliminatePlayer(roomId, "p1");
+    expect(gameManager.isGameDecided(roomId)).toBe(false);
+    gameManager.eliminatePlayer(roomId, "p2");
+    expect(gameManager.isGameDecided(roomId)).toBe(true);
+  });
+
+  test("should move a seat to a new socket ID", () => {
+    createFourPlayerRoom();
+    const room = gameManager.getRoom(roomId);
+    room.currentTurn = "p2";
+    gameManager.eliminatePlayer(roomId, "p2");
+    gameManager.addDisconnectedPlayer(roomId, "p2", { color: "red" });
+
+    gameManager.rebindPlayer(roomId, "p2", "socket9");
+
+    expect(room.players.find((p) => p.color === "red").id).toBe("socket9");
+    expect(room.currentTurn).toBe("socket9");
+    expect(room.eliminatedPlayers).toEqual(["socket9"]);
+    expect(gameManager.getDisconnectedPlayer(roomId, "socket9")).toEqual({
+      color: "red",
+    });
+  });
+
+  test("should rank finishers, then progress, then eliminations", () => {
+    createFourPlayerRoom();
+    gameManager.updateGameState(roomId, {
+      pieces: {
+        blue: ["bh1", "bh2", "bh3", "bh4"],
+        red: ["rh1", "rh2", "rh3", "rh4"],
+        green: ["p37", "gh2", "gh3", "gh4"],
+        yellow: ["p24", "yh2", "yh3", "yh4"],
+      },
+    });
+
+    gameManager.eliminatePlayer(roomId, "p1");
+    gameManager.recordPlayerFinish(roomId, "p2");
+
+    expect(gameManager.getPlacings(roomId).map((p) => p.id)).toEqual([
+      "p2",
+      "p3",
+      "p4",
+      "p1",
+    ]);
+  });
+});
+
+describe("GameManager turn clock", () => {
+  const roomId = "clock";
+  const turnClock = { turnMs: 30000, timeBankMs: 60000, maxStrikes: 3 };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(1000000);
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "p1", color: "blue" },
+        { id: "p2", color: "green" },
+      ],
+      currentTurn: "p1",
+      gameStatus: "playing",
+      turnClock,
+    });
+  });
+
+  afterEach(() => {
+    gameManager.deleteRoom(roomId);
+    gameManager.setTurnExpiryHandler(null);
+    jest.useRealTimers();
+  });
+
+  test("should give every turn a fresh deadline", () => {
+    const expired = jest.fn();
+    gameManager.setTurnExpiryHandler(expired);
+
+    expect(gameManager.startTurnClock(roomId)).toBe(1030000);
+    jest.advanceTimersByTime(10000);
+    gameManager.advanceTurn(roomId, "p1");
+    expect(gameManager.getRoom(roomId).turnDeadline).toBe(1040000);
+
+    jest.advanceTimersByTime(29999);
+    expect(expired).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(expired).toHaveBeenCalledWith(roomId);
+  });
+
+  test("should only charge the time bank for time used", () => {
+    const room = gameManager.getRoom(roomId);
+    gameManager.startTurnClock(roomId);
+    jest.advanceTimersByTime(30000);
+
+    expect(gameManager.startTimeBank(roomId)).toBe(1090000);
+    expect(gameManager.startTimeBank(roomId)).toBeNull();
+    jest.advanceTimersByTime(15000);
+    gameManager.advanceTurn(roomId, "p1");
+
+    expect(gameManager.getTimeBank(roomId, "p1")).toBe(45000);
+    expect(gameManager.getTimeBank(roomId, "p2")).toBe(60000);
+    expect(room.timeBankRun).toBeNull();
+  });
+
+  test("should count strikes once the time bank is empty", () => {
+    const room = gameManager.getRoom(roomId);
+    room.timeBanks.p1 = 0;
+    gameManager.startTurnClock(roomId);
+
+    expect(gameManager.startTimeBank(roomId)).toBeNull();
+    expect(gameManager.addStrike(roomId, "p1")).toBe(1);
+    expect(gameManager.addStrike(roomId, "p1")).toBe(2);
+    expect(room.turnDeadline).toBeNull();
+
+    // Strikes follow the seat when the player reconnects
+    gameManager.rebindPlayer(roomId, "p1", "p1b");
+    expect(room.strikes).toEqual({ p1b: 2 });
+    expect(room.timeBanks).toEqual({ p1b: 0 });
+  });
+});
+
+describe("GameManager room mailbox", () => {
+  const roomId = "roomQueue";
+
+  beforeEach(() => {
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "p1", color: "blue" },
+        { id: "p2", color: "green", isBot: true },
+      ],
+      currentTurn: "p1",
+      gameStatus: "playing",
+      gameSettings: { requiredPieces: 4 },
+    });
+  });
+
+  afterEach(() => {
+    gameManager.deleteRoom(roomId);
+  });
+
+  test("should run actions one at a time in the order they were queued", async () => {
+    const log = [];
+    const slow = gameManager.enqueue(roomId, async () => {
+      log.push("roll started");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      log.push("roll done");
+    });
+    const failing = gameManager.enqueue(roomId, () => {
+      log.push("move");
+      throw new Error("Invalid move!");
+    });
+    const last = gameManager.enqueue(roomId, () => log.push("timeout"));
+
+    await slow;
+    await expect(failing).rejects.toThrow("Invalid move!");
+    await last;
+    expect(log).toEqual(["roll started", "roll done", "move", "timeout"]);
+  });
+
+  test("should bump the state version on rolls, moves and turn changes", () => {
+    const room = gameManager.getRoom(roomId);
+    const start = gameManager.getStateVersion(roomId);
+
+    gameManager.commitRulesState(roomId, {
+      pieces: room.gameState.pieces,
+      lastRoll: { value: 3, roller: "p1", moved: false },
+      consecutiveSixes: 0,
+    });
+    gameManager.advanceTurn(roomId, "p1");
+
+    expect(gameManager.getStateVersion(roomId)).toBe(start + 2);
+    expect(gameManager.getStateVersion("missing")).toBeNull();
+  });
+
+  test("should drop an action scheduled before the turn changed", async () => {
+    const version = gameManager.getStateVersion(roomId);
+    const botMove = jest.fn();
+
+    await gameManager.enqueue(roomId, () =>
+      gameManager.advanceTurn(roomId, "p1")
+    );
+    await expect(
+      gameManager.enqueue(roomId, botMove, { version })
+    ).rejects.toMatchObject({ code: RoomActionError.STALE_ACTION });
+    expect(botMove).not.toHaveBeenCalled();
+
+    const current = gameManager.getStateVersion(roomId);
+    await gameManager.enqueue(roomId, botMove, { version: current });
+    expect(botMove).toHaveBeenCalledTimes(1);
+  });
+
+  test("should drop actions for a room that was deleted", async () => {
+    const action = jest.fn();
+    const queued = gameManager.enqueue(roomId, action);
+    gameManager.deleteRoom(roomId);
+
+    await expect(queued).rejects.toMatchObject({
+      code: RoomActionError.ROOM_NOT_FOUND,
+    });
+    await expect(gameManager.enqueue(roomId, action)).rejects.toMatchObject({
+      code: RoomActionError.ROOM_NOT_FOUND,
+    });
+    expect(action).not.toHaveBeenCalled();
+  });
+});
+
+describe("GameManager seats", () => {
+  const roomId = "roomSeats";
+
+  beforeEach(() => {
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "user1", userId: "user1", color: "blue" },
+        { id: "bot1", color: "green", isBot: true },
+      ],
+      currentTurn: "user1",
+      gameStatus: "playing",
+      gameSettings: { requiredPieces: 4 },
+    });
+  });
+
+  afterEach(() => {
+    gameManager.deleteRoom(roomId);
+  });
+
+  test("should hand a user's seat to their newest socket", () => {
+    const first = gameManager.takeSeat(roomId, "user1", "phone");
+    expect(first).toEqual({
+      token: expect.any(String),
+      previousSocketId: null,
+    });
+    expect(gameManager.getSeatPlayerId(roomId, "phone")).toBe("user1");
+
+    const second = gameManager.takeSeat(roomId, "user1", "laptop");
+    expect(second.previousSocketId).toBe("phone");
+    expect(second.token).not.toBe(first.token);
+    expect(gameManager.getSeatPlayerId(roomId, "laptop")).toBe("user1");
+    expect(gameManager.getSeatPlayerId(roomId, "phone")).toBeNull();
+
+    expect(gameManager.takeSeat(roomId, "stranger", "tablet")).toBeNull();
+  });
+
+  test("should only release a seat from the socket holding it", () => {
+    gameManager.takeSeat(roomId, "user1", "phone");
+    gameManager.takeSeat(roomId, "user1", "laptop");
+
+    expect(gameManager.releaseSeat(roomId, "phone")).toBeNull();
+    expect(gameManager.releaseSeat(roomId, "laptop")).toBe("user1");
+    expect(gameManager.getSeat(roomId, "user1").socketId).toBeNull();
+
+    // Back after a disconnect, the old socket is gone
+    expect(gameManager.takeSeat(roomId, "user1", "phone")).toMatchObject({
+      previousSocketId: null,
+    });
+  });
+
+  test("should drop the seat once the player has left", () => {
+    gameManager.takeSeat(roomId, "user1", "phone");
+    const room = gameManager.getRoom(roomId);
+    room.players = room.players.filter((p) => p.id !== "user1");
+
+    expect(gameManager.releaseSeat(roomId, "phone")).toBe("user1");
+    expect(gameManager.getSeat(roomId, "user1")).toBeNull();
+  });
+});
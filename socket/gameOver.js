@@ -0,0 +1,379 @@
+const { gameManager } = require("./gameManager");
+const GameRoom = require("../model/GameRoom");
+const GameHistory = require("../model/GameHistory");
+const GameFairness = require("../model/GameFairness");
+const User = require("../model/User");
+const { settleEscrow, refundEscrow } = require("../services/escrow");
+const { toRoom } = require("./spectators");
+
+const ROOM_CLEANUP_DELAY_MS = 30000; // Give players time to see results
+
+// Profile counters for games lost by quitting, so a resignation can be told
+// apart from a dropped connection
+const FORFEIT_STATS = {
+  resign: "forfeits.resigned",
+  opponent_left: "forfeits.left",
+  turn_timeout: "forfeits.timedOut",
+  auto_move_limit_reached: "forfeits.disconnected",
+};
+
+// Summary of a player for match results
+function describePlayer(room, player, place) {
+  const pieces = room.gameState?.pieces?.[player.color] || [];
+  return {
+    id: player.id,
+    name: player.name,
+    userId: player.userId,
+    color: player.color,
+    place,
+    piecesInWinZone: pieces.filter((p) => p === `${player.color}WinZone`)
+      .length,
+    totalPieces: pieces.length,
+    pieces,
+    isBot: player.isBot || false,
+    forfeit: room.forfeits[player.id] || null,
+  };
+}
+
+async function countForfeit(room, playerId, reason) {
+  const player = room?.players.find((p) => p.id === playerId);
+  if (!FORFEIT_STATS[reason] || !player?.userId || player.isBot) return;
+  try {
+    await User.updateOne(
+      { _id: player.userId },
+      { $inc: { [FORFEIT_STATS[reason]]: 1 } }
+    );
+  } catch (error) {
+    console.error(
+      `[GameOver] Error counting ${reason} for user ${player.userId}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Finish a game: rank players, save history, pay the paid places and emit game_over.
+ * Safe to call more than once; only the first call for a room has any effect.
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} options - { reason } forwarded to the client
+ * @returns {Promise<Object|null>} Match results or null if nothing to finish
+ */
+async function finishGame(io, roomId, { reason } = {}) {
+  const room = gameManager.getRoom(roomId);
+  if (!room || room.gameStatus === gameManager.GAME_STATUS.FINISHED) {
+    return null;
+  }
+
+  room.gameStatus = gameManager.GAME_STATUS.FINISHED;
+  gameManager.bumpStateVersion(roomId);
+  gameManager.clearTurnTimeout(roomId);
+  room.turnDeadline = null;
+
+  const placings = gameManager
+    .getPlacings(roomId)
+    .map((player, index) => describePlayer(room, player, index + 1));
+  const winner = placings[0];
+  const loser = placings[placings.length - 1];
+  const stake = room.gameSettings.stake;
+  const payoutPlaces = room.gameSettings.payoutPlaces || 1;
+
+  console.log(
+    `[GameOver] Room ${roomId} finished (${reason || "win"}). Placings:`,
+    placings.map((p) => `${p.place}. ${p.name}`)
+  );
+
+  // Save one history record per game; every participant finds it via players.userId
+  try {
+    const recordOwner = placings.find((p) => !p.isBot && p.userId);
+    if (recordOwner) {
+      await GameHistory.create({
+        user: recordOwner.userId,
+        roomId,
+        status: gameManager.GAME_STATUS.FINISHED,
+        players: room.players,
+        placings,
+        winnerId: winner?.isBot ? winner.id : winner?.userId,
+        stake,
+        requiredPieces: room.gameSettings.requiredPieces,
+        reason,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    }
+
+    await GameRoom.updateOne(
+      { roomId },
+      {
+        $set: {
+          gameStatus: gameManager.GAME_STATUS.FINISHED,
+          players: room.players,
+          updatedAt: new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    console.error(
+      `[GameOver] Error saving game history for room ${roomId}:`,
+      error
+    );
+  }
+
+  // Pay every paid place held by a human out of the escrow; bot prizes stay
+  // with the house. A failed settlement is resumed on the next startup.
+  if (room.escrowId) {
+    try {
+      await settleEscrow(room.escrowId, {
+        placings,
+        playerCount: room.players.length,
+        payoutPlaces,
+        rakePercent: room.gameSettings.rakePercent,
+      });
+    } catch (error) {
+      console.error(
+        `[GameOver] Error settling escrow for room ${roomId}:`,
+        error
+      );
+    }
+  }
+
+  // Reveal the dice seed so every roll can be checked against the commitment
+  const fairness = {
+    serverSeed: room.fairness.serverSeed,
+    serverSeedHash: room.fairness.serverSeedHash,
+    clientSeed: room.fairness.clientSeed,
+    rollCount: room.fairness.rolls.length,
+  };
+  try {
+    await GameFairness.updateOne(
+      { roomId },
+      {
+        $set: {
+          serverSeedHash: fairness.serverSeedHash,
+          serverSeed: fairness.serverSeed,
+          clientSeed: fairness.clientSeed,
+          rolls: room.fairness.rolls,
+          revealedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(
+      `[GameOver] Error saving dice record for room ${roomId}:`,
+      error
+    );
+  }
+
+  // Close the replay with the revealed seed so its rolls can be re-checked
+  gameManager.recordEvent(roomId, "game_over", {
+    reason,
+    placings: placings.map((p) => ({ id: p.id, place: p.place })),
+    fairness: {
+      serverSeed: fairness.serverSeed,
+      clientSeed: fairness.clientSeed,
+    },
+  });
+
+  const matchResults = {
+    winner,
+    loser,
+    placings,
+    payoutPlaces,
+    reason,
+    gameDuration: Date.now() - room.createdAt,
+    requiredPieces: room.gameSettings.requiredPieces,
+    stake,
+    fairness,
+  };
+  toRoom(io, roomId).emit("game_over", matchResults);
+
+  // Notify bot controller about game end
+  const { botController } = require("./bots/controller");
+  botController.handleGameEnd(roomId);
+
+  // Tournament games send their winner on through the bracket
+  if (room.gameSettings.tournament) {
+    try {
+      const { handleMatchOver } = require("./tournaments");
+      await handleMatchOver(io, room.gameSettings.tournament, matchResults);
+    } catch (error) {
+      console.error(
+        `[GameOver] Error advancing tournament for room ${roomId}:`,
+        error
+      );
+    }
+  }
+
+  scheduleRoomCleanup(roomId);
+
+  return matchResults;
+}
+
+// Drop a finished room from memory once players have seen the result
+function scheduleRoomCleanup(roomId) {
+  gameManager.setRoomDeletionTimeout(
+    roomId,
+    setTimeout(() => {
+      try {
+        gameManager.deleteRoom(roomId);
+        console.log(`[GameOver] Room ${roomId} cleaned up`);
+      } catch (error) {
+        console.error(`[GameOver] Error cleaning up room ${roomId}:`, error);
+      }
+    }, ROOM_CLEANUP_DELAY_MS)
+  );
+}
+
+/**
+ * End a game nobody can win, e.g. when every player has disconnected:
+ * nobody is ranked or paid and every stake is refunded.
+ * Safe to call more than once; only the first call for a room has any effect.
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} options - { reason } forwarded to the client
+ * @returns {Promise<boolean>} Whether the game was ended
+ */
+async function abandonGame(io, roomId, { reason } = {}) {
+  const room = gameManager.getRoom(roomId);
+  if (!room || room.gameStatus === gameManager.GAME_STATUS.FINISHED) {
+    return false;
+  }
+
+  room.gameStatus = gameManager.GAME_STATUS.FINISHED;
+  gameManager.bumpStateVersion(roomId);
+  gameManager.clearTurnTimeout(roomId);
+  room.turnDeadline = null;
+  room.disconnectedAutoMoveTimers.forEach((timer) => clearTimeout(timer));
+  room.disconnectedAutoMoveTimers.clear();
+
+  console.log(`[GameOver] Room ${roomId} abandoned (${reason})`);
+
+  // No placings, so startup recovery refunds the escrow if this one fails
+  try {
+    const recordOwner = room.players.find((p) => !p.isBot && p.userId);
+    if (recordOwner) {
+      await GameHistory.create({
+        user: recordOwner.userId,
+        roomId,
+        status: gameManager.GAME_STATUS.FINISHED,
+        players: room.players,
+        stake: room.gameSettings.stake,
+        requiredPieces: room.gameSettings.requiredPieces,
+        reason,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    }
+
+    await GameRoom.updateOne(
+      { roomId },
+      {
+        $set: {
+          gameStatus: gameManager.GAME_STATUS.FINISHED,
+          updatedAt: new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    console.error(
+      `[GameOver] Error saving abandoned game for room ${roomId}:`,
+      error
+    );
+  }
+
+  if (room.escrowId) {
+    try {
+      await refundEscrow(room.escrowId, "abandoned");
+    } catch (error) {
+      console.error(
+        `[GameOver] Error refunding escrow for room ${roomId}:`,
+        error
+      );
+    }
+  }
+
+  gameManager.recordEvent(roomId, "game_over", { reason, placings: [] });
+  toRoom(io, roomId).emit("game_over", {
+    reason,
+    losers: room.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      color: p.color,
+    })),
+  });
+
+  const { botController } = require("./bots/controller");
+  botController.handleGameEnd(roomId);
+
+  scheduleRoomCleanup(roomId);
+  return true;
+}
+
+/**
+ * Record a player bringing home all required pieces. In 3-4 player rooms the
+ * game carries on until every paid place is decided.
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player who finished
+ * @param {Object} options - { reason } forwarded to game_over
+ * @returns {Promise<boolean>} True if the game is over
+ */
+async function handlePlayerFinished(io, roomId, playerId, { reason } = {}) {
+  const place = gameManager.recordPlayerFinish(roomId, playerId);
+  gameManager.recordEvent(roomId, "player_finished", { playerId, place });
+  if (gameManager.isGameDecided(roomId)) {
+    await finishGame(io, roomId, { reason });
+    return true;
+  }
+
+  const room = gameManager.getRoom(roomId);
+  const player = room.players.find((p) => p.id === playerId);
+  toRoom(io, roomId).emit("player_finished", {
+    playerId,
+    playerName: player?.name,
+    color: player?.color,
+    place,
+  });
+  return false;
+}
+
+/**
+ * Knock a player out (resigning, timeout, leaving, auto-move limit) and count
+ * the forfeit on their profile. Ends the game once a single player is left or
+ * every paid place is decided.
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player being eliminated
+ * @param {Object} options - { reason } forwarded to the client
+ * @returns {Promise<boolean>} True if the game is over
+ */
+async function handlePlayerEliminated(io, roomId, playerId, { reason } = {}) {
+  const alreadyOut = gameManager.isPlayerOut(roomId, playerId);
+  gameManager.eliminatePlayer(roomId, playerId, reason);
+  gameManager.recordEvent(roomId, "player_eliminated", { playerId, reason });
+  if (!alreadyOut) {
+    await countForfeit(gameManager.getRoom(roomId), playerId, reason);
+  }
+  if (gameManager.isGameDecided(roomId)) {
+    await finishGame(io, roomId, { reason });
+    return true;
+  }
+
+  const room = gameManager.getRoom(roomId);
+  const player = room.players.find((p) => p.id === playerId);
+  toRoom(io, roomId).emit("player_eliminated", {
+    playerId,
+    playerName: player?.name,
+    color: player?.color,
+    reason,
+  });
+  return false;
+}
+
+module.exports = {
+  finishGame,
+  abandonGame,
+  handlePlayerFinished,
+  handlePlayerEliminated,
+};
@@ -1,17 +1,69 @@
+const mongoose = require("mongoose");
 const { gameManager } = require("./gameManager");
 const {
-  getMovableTokens,
-  getNextPosition,
-  isSafePosition,
-  hasPlayerWon,
+  getMaxPlayers,
+  getSeatColors,
+  createInitialPieces,
 } = require("./utils");
 const { paths } = require("../constants");
 const GameRoom = require("../model/GameRoom");
-const GameHistory = require("../model/GameHistory");
-const GameState = require("../model/GameState");
+const Tournament = require("../model/Tournament");
+const {
+  handlePlayerFinished,
+  handlePlayerEliminated,
+  abandonGame,
+} = require("./gameOver");
+const {
+  createFairnessState,
+  rollDie,
+  getCommitment,
+  lockClientSeed,
+  sanitizeClientSeed,
+} = require("./fairness");
+const { collectStakes } = require("../services/escrow");
+const {
+  persistRoom,
+  createRoomRecords,
+  deleteRoomRecords,
+} = require("./persistence");
+const rules = require("./rules");
+const {
+  getSpectatorRoom,
+  toRoom,
+  getSpectatorSnapshot,
+} = require("./spectators");
+const { normalizeInviteCode, createInviteCode } = require("./invites");
+const { matchmaker } = require("./matchmaking");
+const { roomRouter } = require("./cluster");
+const { getTournamentRoom, getBracketView } = require("./tournaments");
+const { chatLimiter, assertNotMuted, postChat, postEmote } = require("./chat");
+const {
+  requestRematch,
+  acceptRematch,
+  declineRematch,
+  getRematchLineup,
+} = require("./rematch");
+const { requestResign, confirmResign, cancelResign } = require("./resign");
+const { getUserRoom, joinUserRoom } = require("./userChannels");
+const {
+  appendEvent,
+  recordGameStart,
+  recordRulesEvents,
+} = require("./replay");
 const { botController } = require("./bots/controller");
 const { BotJoiner } = require("./bots/joinBot");
-const { BOT_CONFIG, initializeCache } = require("./bots/config");
+const {
+  BOT_CONFIG,
+  initializeCache,
+  getRoomBotDifficulty,
+} = require("./bots/config");
+const { loadTurnClockSettings } = require("./turnClock");
+const {
+  getActiveTables,
+  describeTable,
+  resolveTable,
+  checkTableOpen,
+} = require("../services/stakeTables");
 
 // Debug bot controller import
 console.log(`[Handlers] Bot controller imported:`, botController);
@@ -22,15 +74,22 @@ console.log(
 );
 
 //last
+// How long a disconnected player has to come back before auto-moves start
+const DISCONNECT_GRACE_MS = 30000;
+
 // socket
-// Helper to get available games
+// Helper to get available games, grouped by the lobby table they belong to
 const getAvailableGames = async (userId) => {
   try {
+    const tables = (await getActiveTables()).map(describeTable);
     const allWaitingGames = await GameRoom.find({
       gameStatus: gameManager.GAME_STATUS.WAITING,
+      "gameSettings.private": { $ne: true }, // Only reachable by invite code
     })
       .select("roomId players gameSettings createdAt hostId")
       .lean();
+    // Rooms held by any instance, not just this one
+    const liveRoomIds = new Set(await roomRouter.getLiveRoomIds());
     const availableGames = allWaitingGames.filter((game) => {
       try {
         const players = Array.isArray(game.players)
@@ -38,7 +97,7 @@ const getAvailableGames = async (userId) => {
           : JSON.parse(JSON.stringify(game.players));
         return (
           Array.isArray(players) &&
-          gameManager.getRoom(game.roomId) !== undefined &&
+          liveRoomIds.has(game.roomId) &&
           game.hostId !== userId
         );
       } catch (error) {
@@ -49,7 +108,7 @@ const getAvailableGames = async (userId) => {
         return false;
       }
     });
-    return availableGames
+    const games = availableGames
       .map((game) => {
         try {
           const players = Array.isArray(game.players)
@@ -57,10 +116,14 @@ const getAvailableGames = async (userId) => {
             : JSON.parse(JSON.stringify(game.players));
           return {
             roomId: game.roomId,
+            tableId: game.gameSettings.tableId || null,
             hostName: players[0]?.name,
             playerCount: players.length,
+            maxPlayers: getMaxPlayers(game.gameSettings),
+            payoutPlaces: game.gameSettings.payoutPlaces || 1,
             stake: game.gameSettings.stake,
             requiredPieces: game.gameSettings.requiredPieces,
+            houseRules: rules.getHouseRules(game.gameSettings.houseRules),
           };
         } catch (error) {
           console.error(
@@ -71,64 +134,144 @@ const getAvailableGames = async (userId) => {
         }
       })
       .filter(Boolean); // Remove any null entries
+    // Rooms at a closed table can't be joined, so they aren't listed
+    return tables.map((table) => ({
+      ...table,
+      games: games.filter((game) => game.tableId === table.id),
+    }));
   } catch (error) {
     console.error("Error fetching available games:", error);
     return [];
   }
 };
 
-function maybeTriggerAutoMove(io, roomId) {
-  try {
-    const room = gameManager.getRoom(roomId);
-    if (!room) return;
-    const currentPlayerId = room.currentTurn;
-    const disconnectedPlayer = gameManager.getDisconnectedPlayer(
-      roomId,
-      currentPlayerId
-    );
-    if (disconnectedPlayer) {
-      const playerColor = disconnectedPlayer.color;
-      performSingleAutoMove({
-        io,
+// Run an action for a timer on the room's mailbox. It carries the room's
+// state version from when the timer fired, so it is dropped if an action
+// queued ahead of it has already moved the game on.
+function queueTimedAction(roomId, tag, action) {
+  gameManager
+    .enqueue(roomId, action, { version: gameManager.getStateVersion(roomId) })
+    .catch((error) => {
+      if (error.code) {
+        console.log(`[${tag}] Dropped for room ${roomId}: ${error.message}`);
+        return;
+      }
+      console.error(`[${tag}] Error in room ${roomId}:`, error);
+    });
+}
+
+// Run a player's action on the room's mailbox, behind any bot turn, timer
+// or earlier click that is still in progress
+function queueSocketAction(socket, data, action) {
+  return gameManager
+    .enqueue(data?.roomId, () => action(data))
+    .catch((error) => {
+      if (error.code) {
+        socket.emit("error_message", error.message);
+        return;
+      }
+      console.error(`Error in queued action for room ${data?.roomId}:`, error);
+    });
+}
+
+// Hand a user's seat to one of their sockets. The socket that held it, on
+// another tab or device, is told and moved out of the room, unless the new
+// socket brings the seat token, i.e. it is the same client reconnecting.
+function seatSocket(io, roomId, playerId, socketId, seatToken) {
+  const resumed =
+    Boolean(seatToken) &&
+    gameManager.getSeat(roomId, playerId)?.token === seatToken;
+  const seat = gameManager.takeSeat(roomId, playerId, socketId);
+  if (!seat) return null;
+
+  if (seat.previousSocketId) {
+    if (!resumed) {
+      io.to(seat.previousSocketId).emit("seat_taken_over", {
         roomId,
-        playerId: currentPlayerId,
-        playerColor,
+        playerId,
       });
     }
-  } catch (error) {
-    console.error(`Error in maybeTriggerAutoMove for room ${roomId}:`, error);
-    if (roomId) {
-      io.to(roomId).emit(
-        "error_message",
-        "An error occurred during auto-move check"
+    io.in(seat.previousSocketId).socketsLeave(roomId);
+  }
+  io.in(socketId).socketsJoin(roomId);
+  io.to(socketId).emit("seat_assigned", {
+    roomId,
+    playerId,
+    seatToken: seat.token,
+  });
+  return seat;
+}
+
+// Auto-play the current turn if it belongs to a disconnected player
+function maybeTriggerAutoMove(io, roomId) {
+  queueTimedAction(roomId, "AUTO-MOVE", async () => {
+    try {
+      const room = gameManager.getRoom(roomId);
+      if (!room) return;
+      const currentPlayerId = room.currentTurn;
+      const disconnectedPlayer = gameManager.getDisconnectedPlayer(
+        roomId,
+        currentPlayerId
       );
+      if (disconnectedPlayer) {
+        const playerColor = disconnectedPlayer.color;
+        await performSingleAutoMove({
+          io,
+          roomId,
+          playerId: currentPlayerId,
+          playerColor,
+        });
+      }
+    } catch (error) {
+      console.error(`Error in maybeTriggerAutoMove for room ${roomId}:`, error);
+      if (roomId) {
+        toRoom(io, roomId).emit(
+          "error_message",
+          "An error occurred during auto-move check"
+        );
+      }
     }
-  }
+  });
 }
 
-// Start turn timeout for current player
-function startTurnTimeout(io, roomId) {
+// Play on after a player resigned or left a running game. A bot turn or
+// auto-move scheduled before they dropped out is stale now, so the current
+// turn is picked up again even when it wasn't theirs.
+function continueAfterDropOut(io, roomId, playerId) {
   const room = gameManager.getRoom(roomId);
-  if (!room || room.gameStatus !== gameManager.GAME_STATUS.PLAYING) return;
+  if (room.currentTurn === playerId) {
+    gameManager.advanceTurn(roomId, playerId);
+    room.lastRoll = null;
+    startTurnTimeout(io, roomId);
+  }
+  toRoom(io, roomId).emit("room_update", {
+    players: room.players,
+    currentTurn: room.currentTurn,
+    gameStatus: room.gameStatus,
+    turnDeadline: room.turnDeadline,
+  });
 
-  // Clear any existing timeout
-  gameManager.clearTurnTimeout(roomId);
+  if (BOT_CONFIG.BOTS_ENABLED) {
+    botController.handleTurnChange(roomId, room.currentTurn);
+  }
+  maybeTriggerAutoMove(io, roomId);
+}
 
-  // Start new timeout
-  gameManager.setTurnTimeout(
-    roomId,
-    () => {
-      handleTurnTimeout(io, roomId);
-    },
-    35000
-  ); // 32 seconds (2 seconds buffer for frontend sync)
+// Give the current player a fresh turn clock; handleTurnTimeout runs when
+// it runs out
+function startTurnTimeout(io, roomId) {
+  const deadline = gameManager.startTurnClock(roomId);
+  if (!deadline) return;
 
+  const room = gameManager.getRoom(roomId);
   console.log(
-    `[TURN_TIMEOUT] Started 32s timeout for player ${room.currentTurn} in room ${roomId}`
+    `[TURN_TIMEOUT] Started ${room.turnClock.turnMs / 1000}s turn for player ${room.currentTurn} in room ${roomId}`
   );
 }
 
-// Handle turn timeout - make inactive player lose
+// Turn clock ran out. The player's time bank takes over while it lasts;
+// after that the turn is auto-played and counts as a strike, and the
+// player loses once they reach the room's strike limit.
 async function handleTurnTimeout(io, roomId) {
   try {
     const room = gameManager.getRoom(roomId);
@@ -139,162 +282,71 @@ async function handleTurnTimeout(io, roomId) {
 
     if (!currentPlayer) return;
 
+    const bankDeadline = gameManager.startTimeBank(roomId);
+    if (bankDeadline) {
+      toRoom(io, roomId).emit("time_bank_started", {
+        playerId: currentPlayerId,
+        turnDeadline: bankDeadline,
+        timeBank: gameManager.getTimeBank(roomId, currentPlayerId),
+      });
+      return;
+    }
+
+    const strikes = gameManager.addStrike(roomId, currentPlayerId);
+    const { maxStrikes } = room.turnClock;
     console.log(
-      `[TURN_TIMEOUT] Player ${currentPlayer.name} (${currentPlayerId}) timed out in room ${roomId}`
+      `[TURN_TIMEOUT] Player ${currentPlayer.name} (${currentPlayerId}) timed out in room ${roomId}, strike ${strikes} of ${maxStrikes}`
     );
 
-    // Find the other player (winner)
-    const otherPlayer = room.players.find((p) => p.id !== currentPlayerId);
-    if (!otherPlayer) return;
+    gameManager.recordEvent(roomId, "timeout", {
+      playerId: currentPlayerId,
+      strikes,
+    });
+    toRoom(io, roomId).emit("turn_strike", {
+      playerId: currentPlayerId,
+      strikes,
+      maxStrikes,
+    });
 
-    // End the game with timeout as reason
-    room.gameStatus = gameManager.GAME_STATUS.FINISHED;
+    if (strikes < maxStrikes) {
+      await performSingleAutoMove({
+        io,
+        roomId,
+        playerId: currentPlayerId,
+        playerColor: currentPlayer.color,
+        reason: "timeout",
+      });
+      return;
+    }
 
-    const matchResults = {
-      winner: {
-        id: otherPlayer.id,
-        name: otherPlayer.name,
-        userId: otherPlayer.userId,
-        color: otherPlayer.color,
-      },
-      loser: {
-        id: currentPlayer.id,
-        name: currentPlayer.name,
-        userId: currentPlayer.userId,
-        color: currentPlayer.color,
-      },
+    // Out of strikes; the game ends once the places are decided
+    const gameOver = await handlePlayerEliminated(io, roomId, currentPlayerId, {
       reason: "turn_timeout",
-      gameDuration: Date.now() - room.createdAt,
-      requiredPieces: room.gameSettings.requiredPieces || 2,
-      stake: room.gameSettings.stake || 50,
-    };
-
-    // Save game history to database for both players
-    try {
-      const GameHistory = require("../model/GameHistory");
-      const GameRoom = require("../model/GameRoom");
-
-      console.log(
-        `[TURN_TIMEOUT] Creating GameHistory records for room ${roomId}`
-      );
-
-      // Create GameHistory record for the winner
-      if (otherPlayer?.userId) {
-        const winnerHistoryRecord = await GameHistory.create({
-          user: otherPlayer.userId,
-          roomId,
-          status: gameManager.GAME_STATUS.FINISHED,
-          players: room.players,
-          winnerId: otherPlayer.userId,
-          stake: room.gameSettings.stake,
-          requiredPieces: room.gameSettings.requiredPieces,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        });
-
-        console.log(
-          `[TURN_TIMEOUT] Winner game history saved:`,
-          winnerHistoryRecord._id
-        );
-      }
-
-      // Create GameHistory record for the loser (the one who timed out)
-      if (currentPlayer?.userId) {
-        const loserHistoryRecord = await GameHistory.create({
-          user: currentPlayer.userId,
-          roomId,
-          status: gameManager.GAME_STATUS.FINISHED,
-          players: room.players,
-          winnerId: otherPlayer?.userId,
-          stake: room.gameSettings.stake,
-          requiredPieces: room.gameSettings.requiredPieces,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        });
-
-        console.log(
-          `[TURN_TIMEOUT] Loser game history saved:`,
-          loserHistoryRecord._id
-        );
-      }
-
-      // Update GameRoom status in database
-      await GameRoom.updateOne(
-        { roomId },
-        {
-          $set: {
-            gameStatus: gameManager.GAME_STATUS.FINISHED,
-            players: room.players,
-            updatedAt: new Date(),
-          },
-        }
-      );
-
-      console.log(
-        `[TURN_TIMEOUT] GameRoom status updated to finished for room ${roomId}`
-      );
-    } catch (error) {
-      console.error(
-        `[TURN_TIMEOUT] Error saving game history for timeout win in room ${roomId}:`,
-        error
-      );
+    });
+    if (gameOver) {
+      console.log(`[TURN_TIMEOUT] Game ended due to timeout in room ${roomId}`);
+      return;
     }
 
-    // Emit game over event
-    io.to(roomId).emit("game_over", matchResults);
-
-    // Update winner's wallet with game winnings (only if winner is not a bot)
-    if (!otherPlayer.isBot && otherPlayer.userId) {
-      try {
-        const { addGameWinnings } = require("../controllers/wallet.controller");
-        const isBotGame = room.players.some((p) => p.isBot);
-
-        await addGameWinnings(
-          otherPlayer.userId,
-          room.gameSettings.stake,
-          roomId,
-          isBotGame
-        );
-        console.log(
-          `[TURN_TIMEOUT] Added winnings to winner ${otherPlayer.name} in room ${roomId}`
-        );
-      } catch (error) {
-        console.error(
-          `[TURN_TIMEOUT] Error updating winner's wallet in room ${roomId}:`,
-          error
-        );
-      }
-    } else {
-      console.log(
-        `[TURN_TIMEOUT] Skipping wallet update - winner is a bot or has no userId: ${otherPlayer.name}`
-      );
+    // Remaining players carry on
+    room.currentTurn = gameManager.advanceTurn(roomId, currentPlayerId);
+    toRoom(io, roomId).emit("room_update", {
+      players: room.players,
+      currentTurn: room.currentTurn,
+      gameStatus: room.gameStatus,
+      turnDeadline: room.turnDeadline,
+    });
+    if (BOT_CONFIG.BOTS_ENABLED) {
+      botController.handleTurnChange(roomId, room.currentTurn);
     }
-
-    // Notify bot controller about game end
-    botController.handleGameEnd(roomId);
-
-    // Schedule room cleanup after 30 seconds (give players time to see results)
-    setTimeout(() => {
-      try {
-        gameManager.deleteRoom(roomId);
-        console.log(`[TURN_TIMEOUT] Room ${roomId} cleaned up after timeout`);
-      } catch (error) {
-        console.error(
-          `[TURN_TIMEOUT] Error cleaning up room ${roomId}:`,
-          error
-        );
-      }
-    }, 30000); // 30 seconds delay
-
-    console.log(
-      `[TURN_TIMEOUT] Game ended due to timeout in room ${roomId}. Winner: ${otherPlayer.name}`
-    );
+    maybeTriggerAutoMove(io, roomId);
   } catch (error) {
     console.error(`Error in handleTurnTimeout for room ${roomId}:`, error);
   }
 }
 
-// Helper: animate token movement step-by-step (reuse from move_piece)
+// Helper: animate token movement step-by-step (reuse from move_piece).
+// The board is already updated by the rules engine; this only tells clients.
 async function emitPathStepByStep(
   roomId,
   color,
@@ -302,12 +354,11 @@ async function emitPathStepByStep(
   path,
   io,
   nextPosition,
-  killedPieceInfo,
-  gameState
+  kills = []
 ) {
   try {
     for (let i = 0; i < path?.length; i++) {
-      io.to(roomId).emit("piece_move_step", {
+      toRoom(io, roomId).emit("piece_move_step", {
         color,
         index: pieceIndex,
         position: path[i],
@@ -316,91 +367,45 @@ async function emitPathStepByStep(
       });
       await new Promise((resolve) => setTimeout(resolve, 300));
     }
-    io.to(roomId).emit("piece_move_step", {
+    toRoom(io, roomId).emit("piece_move_step", {
       color,
       index: pieceIndex,
       position: nextPosition,
       stepIndex: path?.length,
       totalSteps: path?.length,
     });
-    if (killedPieceInfo) {
-      const {
-        color: killedColor,
-        index: killedIndex,
-        position: currentPosition,
-      } = killedPieceInfo;
-      gameState.pieces[killedColor][killedIndex] = `${killedColor[0]}h${
-        killedIndex + 1
-      }`;
-      io.to(roomId).emit("piece_killed", {
-        color: killedColor,
-        pieceIndex: killedIndex,
-        currentPosition: currentPosition,
+    for (const kill of kills) {
+      toRoom(io, roomId).emit("piece_killed", {
+        color: kill.color,
+        pieceIndex: kill.pieceIndex,
+        currentPosition: kill.position,
       });
     }
   } catch (error) {
     console.error(`Error in emitPathStepByStep for room ${roomId}:`, error);
-    io.to(roomId).emit(
+    toRoom(io, roomId).emit(
       "error_message",
       "An error occurred during piece animation"
     );
   }
 }
-//prisma
-// Helper: get a dice roll value that avoids stacking tokens on the same position (unless safe or winzone)
-function getSafeRollValue(pieces, color) {
-  try {
-    const possibleValues = [1, 2, 3, 4, 5, 6];
-    const safeValues = [];
-    for (const value of possibleValues) {
-      const tokens = pieces[color] || [];
-      let isSafe = true;
-      for (let i = 0; i < tokens.length; i++) {
-        const piece = tokens[i];
-        // Skip if already in winzone
-        if (piece === `${color}WinZone`) continue;
-        // Calculate next position
-        const nextPosition = getNextPosition(piece, value, color);
-        if (!nextPosition) continue;
-        // Check if any other token would land on the same position
-        for (let j = 0; j < tokens.length; j++) {
-          if (i === j) continue;
-          if (tokens[j] === nextPosition) {
-            // Only allow if safe or winzone
-            if (
-              !isSafePosition(nextPosition) &&
-              nextPosition !== `${color}WinZone`
-            ) {
-              isSafe = false;
-              break;
-            }
-          }
-        }
-        if (!isSafe) break;
-      }
-      if (isSafe) safeValues.push(value);
-    }
-    // If there are safe values, pick one randomly; otherwise, pick any value
-    if (safeValues.length > 0) {
-      return safeValues[Math.floor(Math.random() * safeValues.length)];
-    } else {
-      return possibleValues[Math.floor(Math.random() * possibleValues.length)];
-    }
-  } catch (error) {
-    console.error(`Error in getSafeRollValue for color ${color}:`, error);
-    // Fallback to random roll if error occurs
-    return Math.floor(Math.random() * 6) + 1;
-  }
-}
-
-// Helper: perform a single auto-move for a disconnected player (when it's their turn)
-async function performSingleAutoMove({ io, roomId, playerId, playerColor }) {
+// Helper: perform a single auto-move for a disconnected player (when it's
+// their turn), or for a player whose turn ran out (reason "timeout"). Only
+// disconnected auto-moves count towards the auto-move limit.
+async function performSingleAutoMove({
+  io,
+  roomId,
+  playerId,
+  playerColor,
+  reason = "disconnected",
+}) {
   const room = gameManager.getRoom(roomId);
   const gameState = gameManager.getGameState(roomId);
+  const disconnected = reason === "disconnected";
 
   // Check if this is the first auto-move to emit start event
   const currentMoveCount = gameManager.getAutoMoveCount(roomId, playerId) || 0;
-  if (currentMoveCount === 0) {
+  if (disconnected && currentMoveCount === 0) {
     const disconnectedPlayer = gameManager.getDisconnectedPlayer(
       roomId,
       playerId
@@ -410,57 +415,63 @@ async function performSingleAutoMove({ io, roomId, playerId, playerColor }) {
       room.players.find((p) => p.id === playerId)?.name ||
       "Unknown";
 
-    io.to(roomId).emit("auto_move_started", {
+    toRoom(io, roomId).emit("auto_move_started", {
       playerId,
       playerName,
       playerColor,
     });
   }
 
-  // Increment auto-move count at dice rolling phase (as requested)
-  const moveNumber = gameManager.incrementAutoMoveCount(roomId, playerId);
-  console.log(moveNumber, "[AUTO-MOVE COUNT]");
-
-  console.log(
-    `[AUTO-MOVE] Performing auto-move #${moveNumber} for player ${playerId} (${playerColor}) in room ${roomId}`
-  );
+  if (disconnected) {
+    // Increment auto-move count at dice rolling phase (as requested)
+    const moveNumber = gameManager.incrementAutoMoveCount(roomId, playerId);
+    console.log(moveNumber, "[AUTO-MOVE COUNT]");
 
-  // Emit auto-move progress
-  io.to(roomId).emit("auto_move_progress", {
-    playerId,
-    currentMove: moveNumber,
-    totalMoves: 5,
-  });
+    console.log(
+      `[AUTO-MOVE] Performing auto-move #${moveNumber} for player ${playerId} (${playerColor}) in room ${roomId}`
+    );
 
-  // Emit rolling status and wait 3 seconds
-  io.to(roomId).emit("rolling_dice", { playerId });
-  await new Promise((res) => setTimeout(res, 3000));
-  // Check if this is the player's first roll (all pieces are in home)
-  const isFirstRoll = !gameState.pieces[playerColor]?.some(
-    (piece) => piece && !piece.startsWith(`${playerColor[0]}h`)
-  );
+    // Emit auto-move progress
+    toRoom(io, roomId).emit("auto_move_progress", {
+      playerId,
+      currentMove: moveNumber,
+      totalMoves: 5,
+    });
+  }
 
+  // A player who timed out after rolling only still has to move
   let value;
-  if (isFirstRoll) {
-    // First roll: always roll 6 to ensure player can move
-    value = 6;
-    console.log(
-      `[AUTO-MOVE] First roll for player ${playerId}, forcing value 6`
-    );
+  let movable;
+  if (room.lastRoll?.roller === playerId && !room.lastRoll.moved) {
+    const rulesState = gameManager.getRulesState(roomId);
+    value = room.lastRoll.value;
+    movable = rules
+      .getLegalMoves(
+        rulesState.pieces,
+        playerColor,
+        value,
+        rulesState.houseRules
+      )
+      .map((m) => m.pieceIndex);
   } else {
-    // Subsequent rolls: use safe roll logic
-    value = getSafeRollValue(gameState.pieces, playerColor);
+    // Emit rolling status and wait 3 seconds
+    toRoom(io, roomId).emit("rolling_dice", { playerId });
+    await new Promise((res) => setTimeout(res, 3000));
+    value = rollDie(room, playerId);
+    const rolled = rules.applyRoll(gameManager.getRulesState(roomId), {
+      playerId,
+      value,
+    });
+    gameManager.commitRulesState(roomId, rolled.state);
+    recordRulesEvents(roomId, rolled.events, { auto: true });
+    gameManager.persistRoom(roomId);
+    movable = rolled.events[0].movable;
   }
-  let gotExtraTurn = false;
-  let killedPieceInfo = null;
-  // Update lastRoll for auto-move
-  room.lastRoll = { value, roller: playerId, moved: false };
-  const movableTokens = getMovableTokens(gameState.pieces, playerColor, value);
-  if (movableTokens.length === 0) {
+  if (movable.length === 0) {
     console.log(
       `[AUTO-MOVE] No move possible for player ${playerId} (roll: ${value})`
     );
-    io.to(roomId).emit("auto_play", {
+    toRoom(io, roomId).emit("auto_play", {
       playerId,
       playerColor,
       value,
@@ -468,328 +479,175 @@ async function performSingleAutoMove({ io, roomId, playerId, playerColor }) {
     });
     // Always advance the turn if no move is possible
     if (room.gameStatus !== gameManager.GAME_STATUS.FINISHED) {
-      const nextIndex =
-        (room.players.findIndex((p) => p.id === playerId) + 1) %
-        room.players.length;
-      room.currentTurn = room.players[nextIndex].id;
-      io.to(roomId).emit("room_update", {
+      room.currentTurn = gameManager.advanceTurn(roomId, playerId);
+      toRoom(io, roomId).emit("room_update", {
         players: room.players,
         currentTurn: room.currentTurn,
         gameStatus: room.gameStatus,
+        turnDeadline: room.turnDeadline,
       });
+      botController.handleTurnChange(roomId, room.currentTurn);
       setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
     }
     return;
   }
-  const pieceIndex =
-    movableTokens[Math.floor(Math.random() * movableTokens.length)];
+  const pieceIndex = movable[Math.floor(Math.random() * movable.length)];
   const piece = gameState.pieces[playerColor][pieceIndex];
-  const rollValue = value;
-  const nextPosition = getNextPosition(piece, rollValue, playerColor);
-  if (!nextPosition) {
-    console.log(
-      `[AUTO-MOVE] Invalid move for player ${playerId} (roll: ${value})`
-    );
-    io.to(roomId).emit("auto_play", {
+  const result = rules.applyMove(gameManager.getRulesState(roomId), {
+    playerId,
+    pieceIndex,
+  });
+  gameManager.commitRulesState(roomId, result.state);
+  recordRulesEvents(roomId, result.events, { auto: true });
+  gameManager.persistRoom(roomId);
+  const nextPosition = result.events[0].to;
+  const kills = result.events.filter((e) => e.type === "kill");
+  const gotExtraTurn = result.events.some((e) => e.type === "extra_turn");
+
+  function generateNewPath(currentPosition, rollValue, color) {
+    const path = paths[color];
+    if (!path) return null;
+    const currentIndex = path.indexOf(currentPosition);
+    if (currentIndex === -1) return null;
+    let newIndex = currentIndex + rollValue;
+    if (newIndex >= path.length) newIndex = path.length - 1;
+    const newPath = path.slice(currentIndex, newIndex + 1);
+    return newPath;
+  }
+  const path = generateNewPath(piece, value, playerColor);
+  if (nextPosition === `${playerColor}WinZone`) {
+    toRoom(io, roomId).emit("piece_finished", {
+      color: playerColor,
+      pieceIndex,
+    });
+  }
+  await emitPathStepByStep(
+    roomId,
+    playerColor,
+    pieceIndex,
+    path,
+    io,
+    nextPosition,
+    kills
+  );
+  toRoom(io, roomId).emit("auto_play", {
+    playerId,
+    playerColor,
+    value,
+    moved: true,
+    pieceIndex,
+    nextPosition,
+  });
+  toRoom(io, roomId).emit("piece_moved", {
+    pieces: gameState.pieces,
+    color: playerColor,
+    index: pieceIndex,
+  });
+  console.log(
+    `[AUTO-MOVE] Player ${playerId} auto-moved piece ${pieceIndex} to ${nextPosition} (roll: ${value})`
+  );
+  if (result.events.some((e) => e.type === "player_finished")) {
+    const winner = room.players.find((p) => p.id === playerId);
+
+    // Emit auto-move completion event for win
+    toRoom(io, roomId).emit("auto_move_complete", {
       playerId,
-      playerColor,
-      value,
-      moved: false,
+      reason: "game_won",
+      winner: {
+        id: winner.id,
+        name: winner.name,
+        color: winner.color,
+      },
     });
-  } else {
-    function generateNewPath(currentPosition, rollValue, color) {
-      const path = paths[color];
-      if (!path) return null;
-      const currentIndex = path.indexOf(currentPosition);
-      if (currentIndex === -1) return null;
-      let newIndex = currentIndex + rollValue;
-      if (newIndex >= path.length) newIndex = path.length - 1;
-      const newPath = path.slice(currentIndex, newIndex + 1);
-      return newPath;
-    }
-    const path = generateNewPath(piece, rollValue, playerColor);
-    const killedPiece = Object.entries(gameState.pieces).find(
-      ([pieceColor, pieces]) => {
-        if (pieceColor === playerColor) return false;
-        return pieces.some(
-          (p) => p === nextPosition && !isSafePosition(nextPosition)
-        );
-      }
+
+    const gameOver = await handlePlayerFinished(io, roomId, playerId, {
+      reason: "auto_move_win",
+    });
+    console.log(
+      `[AUTO-MOVE] Player ${playerId} finished by auto-move in room ${roomId}`
     );
-    if (killedPiece) {
-      const [killedColor, killedPieces] = killedPiece;
-      const killedIndex = killedPieces.indexOf(nextPosition);
-      killedPieceInfo = {
-        color: killedColor,
-        index: killedIndex,
-        position: nextPosition,
-      };
-      gotExtraTurn = true;
-    }
-    gameState.pieces[playerColor][pieceIndex] = nextPosition;
-    if (nextPosition === `${playerColor}WinZone`) {
-      io.to(roomId).emit("piece_finished", {
-        color: playerColor,
-        pieceIndex,
+    if (!gameOver) {
+      // Other players keep playing for the remaining places
+      gameManager.removeDisconnectedPlayer(roomId, playerId);
+      room.currentTurn = gameManager.advanceTurn(roomId, playerId);
+      toRoom(io, roomId).emit("room_update", {
+        players: room.players,
+        currentTurn: room.currentTurn,
+        gameStatus: room.gameStatus,
+        turnDeadline: room.turnDeadline,
       });
+      botController.handleTurnChange(roomId, room.currentTurn);
+      setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
     }
-    await emitPathStepByStep(
-      roomId,
-      playerColor,
-      pieceIndex,
-      path,
-      io,
-      nextPosition,
-      killedPieceInfo,
-      gameState
+    return;
+  }
+  // If reached 5 auto-moves, mark as loser
+  if (disconnected && gameManager.getAutoMoveCount(roomId, playerId) >= 5) {
+    const player = room.players.find((p) => p.id === playerId);
+    console.log(
+      `[5-AUTO-MOVES] Player ${player?.name} reached the auto-move limit in room ${roomId}`
     );
-    io.to(roomId).emit("auto_play", {
+
+    // Emit auto-move completion event
+    const leader = gameManager
+      .getPlacings(roomId)
+      .find((p) => p.id !== playerId);
+    toRoom(io, roomId).emit("auto_move_complete", {
       playerId,
-      playerColor,
-      value,
-      moved: true,
-      pieceIndex,
-      nextPosition,
+      reason: "limit_reached",
+      winner: leader && {
+        id: leader.id,
+        name: leader.name,
+        color: leader.color,
+      },
     });
-    io.to(roomId).emit("piece_moved", {
-      pieces: gameState.pieces,
-      color: playerColor,
-      index: pieceIndex,
+
+    const gameOver = await handlePlayerEliminated(io, roomId, playerId, {
+      reason: "auto_move_limit_reached",
     });
+
+    gameManager.removeDisconnectedPlayer(roomId, playerId);
     console.log(
-      `[AUTO-MOVE] Player ${playerId} auto-moved piece ${pieceIndex} to ${nextPosition} (roll: ${value})`
+      `[AUTO-MOVE] Player ${playerId} marked as loser after 5 auto-moves in room ${roomId}`
     );
-    if (
-      hasPlayerWon(
-        gameState.pieces,
-        playerColor,
-        room.gameSettings.requiredPieces
-      )
-    ) {
-      room.gameStatus = gameManager.GAME_STATUS.FINISHED;
-
-      // Find the human player (winner) and bot player (loser)
-      const winner = room.players.find((p) => p.id === playerId);
-      const loser = room.players.find((p) => p.id !== playerId);
-
-      // Save game history to database
-      try {
-        console.log(
-          `[AUTO-MOVE] Creating GameHistory record for room ${roomId}`
-        );
-        console.log(`[AUTO-MOVE] Winner:`, winner);
-        console.log(`[AUTO-MOVE] Room players:`, room.players);
-
-        const gameHistoryRecord = await GameHistory.create({
-          user: winner?.userId,
-          roomId,
-          status: gameManager.GAME_STATUS.FINISHED,
-          players: room.players,
-          winnerId: winner?.userId,
-          stake: room.gameSettings.stake,
-          requiredPieces: room.gameSettings.requiredPieces,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        });
-
-        console.log(
-          `[AUTO-MOVE] Game history saved successfully:`,
-          gameHistoryRecord._id
-        );
-      } catch (error) {
-        console.error(
-          `[AUTO-MOVE] Error saving game history for auto-move win in room ${roomId}:`,
-          error
-        );
-      }
-
-      // Update winner's wallet with game winnings
-      try {
-        const { addGameWinnings } = require("../controllers/wallet.controller");
-        const isBotGame = room.players.some((p) => p.isBot);
-
-        await addGameWinnings(
-          winner.userId,
-          room.gameSettings.stake,
-          roomId,
-          isBotGame
-        );
-        console.log(
-          `[AUTO-MOVE] Added winnings to winner ${winner.name} in room ${roomId}`
-        );
-      } catch (error) {
-        console.error(
-          `[AUTO-MOVE] Error updating winner's wallet in room ${roomId}:`,
-          error
-        );
-      }
-
-      // Emit auto-move completion event for win
-      io.to(roomId).emit("auto_move_complete", {
-        playerId,
-        reason: "game_won",
-        winner: {
-          id: winner.id,
-          name: winner.name,
-          color: winner.color,
-        },
+    if (!gameOver) {
+      // Advance turn to next player and check if they are disconnected
+      room.currentTurn = gameManager.advanceTurn(roomId, playerId);
+      toRoom(io, roomId).emit("room_update", {
+        players: room.players,
+        currentTurn: room.currentTurn,
+        gameStatus: room.gameStatus,
+        turnDeadline: room.turnDeadline,
       });
-
-      // Create detailed match results
-      const matchResults = {
-        winner: {
-          id: winner.id,
-          name: winner.name,
-          color: winner.color,
-          pieces: gameState.pieces[winner.color],
-          isBot: winner.isBot || false,
-        },
-        loser: {
-          id: loser.id,
-          name: loser.name,
-          color: loser.color,
-          pieces: gameState.pieces[loser.color],
-          isBot: loser.isBot || false,
-        },
-        gameDuration: Date.now() - room.createdAt,
-        requiredPieces: room.gameSettings.requiredPieces,
-        stake: room.gameSettings.stake,
-        reason: "auto_move_win", // Add reason for frontend handling
-      };
-
-      io.to(roomId).emit("game_over", matchResults);
-
-      // Notify bot controller about game end
-      botController.handleGameEnd(roomId);
-      console.log(
-        `[AUTO-MOVE] Player ${playerId} won by auto-move in room ${roomId}`
-      );
-      return;
-    }
-    if (value === 6) {
-      gotExtraTurn = true;
-    }
-  }
-  // If reached 5 auto-moves, mark as loser
-  const loser = room.players.find((p) => p.id === playerId);
-  const winner = room.players.find((p) => p.id !== playerId);
-  console.log("[winner] :", winner, "[loser] :", loser);
-
-  if (gameManager.getAutoMoveCount(roomId, playerId) >= 5) {
-    room.gameStatus = gameManager.GAME_STATUS.FINISHED;
-    const player = room.players.find((p) => p.id === playerId);
-    console.log(
-      `[5-AUTO-MOVES] Creating GameHistory record for room ${roomId}`
-    );
-    console.log(`[5-AUTO-MOVES] Loser:`, player);
-    console.log(`[5-AUTO-MOVES] Winner:`, winner);
-
-    // Emit auto-move completion event
-    io.to(roomId).emit("auto_move_complete", {
-      playerId,
-      reason: "limit_reached",
-      winner: {
-        id: winner.id,
-        name: winner.name,
-        color: winner.color,
-      },
-    });
-
-    const gameHistoryRecord = await GameHistory.create({
-      user: player?.userId,
-      roomId,
-      status: gameManager.GAME_STATUS.FINISHED,
-      players: room.players,
-      winnerId: winner?.userId,
-      stake: room.gameSettings.stake,
-      requiredPieces: room.gameSettings.requiredPieces,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    });
-
-    console.log(
-      `[5-AUTO-MOVES] Game history saved successfully:`,
-      gameHistoryRecord._id
-    );
-    const matchResults = {
-      winner: {
-        id: winner.id,
-        name: winner.name,
-        color: winner.color,
-        pieces: gameState.pieces[winner.color],
-        isBot: winner.isBot || false,
-      },
-      loser: {
-        id: loser.id,
-        name: loser.name,
-        color: loser.color,
-        pieces: gameState.pieces[loser.color],
-        isBot: loser.isBot || false,
-      },
-      gameDuration: Date.now() - room.createdAt,
-      requiredPieces: room.gameSettings.requiredPieces,
-      stake: room.gameSettings.stake,
-      reason: "auto_move_limit_reached", // Add reason for frontend handling
-    };
-    console.log(matchResults);
-
-    io.to(roomId).emit("game_over", matchResults);
-
-    // Update winner's wallet with game winnings
-    try {
-      const { addGameWinnings } = require("../controllers/wallet.controller");
-      const isBotGame = room.players.some((p) => p.isBot);
-
-      await addGameWinnings(
-        winner.userId,
-        room.gameSettings.stake,
-        roomId,
-        isBotGame
-      );
-      console.log(
-        `[AUTO-MOVE] Added winnings to winner ${winner.name} in room ${roomId}`
-      );
-    } catch (error) {
-      console.error(
-        `[AUTO-MOVE] Error updating winner's wallet in room ${roomId}:`,
-        error
-      );
+      botController.handleTurnChange(roomId, room.currentTurn);
+      setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
     }
-
-    // Notify bot controller about game end
-    botController.handleGameEnd(roomId);
-
-    gameManager.removeDisconnectedPlayer(roomId, playerId);
-    console.log(
-      `[AUTO-MOVE] Player ${playerId} marked as loser after 5 auto-moves in room ${roomId}`
-    );
-    // Advance turn to next player and check if they are disconnected
-    const nextIndex =
-      (room.players.findIndex((p) => p.id === playerId) + 1) %
-      room.players.length;
-    room.currentTurn = room.players[nextIndex].id;
-    io.to(roomId).emit("room_update", {
-      players: room.players,
-      currentTurn: room.currentTurn,
-      gameStatus: room.gameStatus,
-    });
-    setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
     return;
   }
-  // If got extra turn (6 or kill), trigger auto-move again for same player
+  // Extra turn (6, kill or win zone): auto-move again for the same player,
+  // or hand a timed-out player back a fresh clock for it
   if (gotExtraTurn && room.gameStatus !== gameManager.GAME_STATUS.FINISHED) {
-    setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
+    if (disconnected) {
+      setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
+    } else {
+      startTurnTimeout(io, roomId);
+      toRoom(io, roomId).emit("room_update", {
+        players: room.players,
+        currentTurn: room.currentTurn,
+        gameStatus: room.gameStatus,
+        turnDeadline: room.turnDeadline,
+      });
+    }
   } else if (room.gameStatus !== gameManager.GAME_STATUS.FINISHED) {
     // Advance turn to next player and check if they are disconnected
-    const nextIndex =
-      (room.players.findIndex((p) => p.id === playerId) + 1) %
-      room.players.length;
-    room.currentTurn = room.players[nextIndex].id;
-    io.to(roomId).emit("room_update", {
+    room.currentTurn = gameManager.advanceTurn(roomId, playerId);
+    toRoom(io, roomId).emit("room_update", {
       players: room.players,
       currentTurn: room.currentTurn,
       gameStatus: room.gameStatus,
+      turnDeadline: room.turnDeadline,
     });
+    botController.handleTurnChange(roomId, room.currentTurn);
     setTimeout(() => maybeTriggerAutoMove(io, roomId), 500);
   }
 }
@@ -812,20 +670,31 @@ async function handleBotReplacement(roomId, humanPlayer, io, options = {}) {
     }
 
     // Use Redis lock if configured, otherwise use atomic DB update
+    let removedBot;
     if (useRedisLock && redisClient) {
-      return await handleBotReplacementWithRedisLock(
+      removedBot = await handleBotReplacementWithRedisLock(
         roomId,
         humanPlayer,
         io,
         redisClient
       );
     } else {
-      return await handleBotReplacementWithAtomicUpdate(
+      removedBot = await handleBotReplacementWithAtomicUpdate(
         roomId,
         humanPlayer,
         io
       );
     }
+
+    // Bots keeping their seats play at the room's level, which the admin
+    // may have changed since they joined
+    if (removedBot) {
+      const difficulty = getRoomBotDifficulty(room.gameSettings);
+      for (const player of room.players) {
+        if (player.isBot) player.difficulty = difficulty;
+      }
+    }
+    return removedBot;
   } catch (error) {
     console.error(
       `[BotReplacement] Error replacing bot in room ${roomId}:`,
@@ -880,11 +749,12 @@ async function handleBotReplacementWithRedisLock(
         return null;
       }
 
-      // Remove bot from database
+      // Remove the last-joined bot from database (other bots keep their seats)
+      const lastJoinedBot = gameManager.getLastJoinedBot(roomId);
       const updateResult = await GameRoom.updateOne(
         { roomId, gameStatus: gameManager.GAME_STATUS.WAITING },
         {
-          $pull: { players: { isBot: true } },
+          $pull: { players: { id: lastJoinedBot.id } },
         }
       );
 
@@ -901,7 +771,7 @@ async function handleBotReplacementWithRedisLock(
       }
 
       // Emit playerLeft event for the removed bot
-      io.to(roomId).emit("playerLeft", {
+      toRoom(io, roomId).emit("playerLeft", {
         id: removedBot.id,
         name: removedBot.name,
         reason: "replaced_by_human",
@@ -937,6 +807,11 @@ async function handleBotReplacementWithRedisLock(
  */
 async function handleBotReplacementWithAtomicUpdate(roomId, humanPlayer, io) {
   try {
+    const lastJoinedBot = gameManager.getLastJoinedBot(roomId);
+    if (!lastJoinedBot) {
+      return null;
+    }
+
     // Use atomic database update to prevent race conditions
     const updateResult = await GameRoom.findOneAndUpdate(
       {
@@ -958,7 +833,7 @@ async function handleBotReplacementWithAtomicUpdate(roomId, humanPlayer, io) {
       },
       {
         $pull: {
-          players: { isBot: true },
+          players: { id: lastJoinedBot.id },
         },
       },
       {
@@ -994,7 +869,7 @@ async function handleBotReplacementWithAtomicUpdate(roomId, humanPlayer, io) {
     }
 
     // Emit playerLeft event for the removed bot
-    io.to(roomId).emit("playerLeft", {
+    toRoom(io, roomId).emit("playerLeft", {
       id: removedBot.id,
       name: removedBot.name,
       reason: "replaced_by_human",
@@ -1040,11 +915,269 @@ async function releaseRedisLock(redisClient, lockKey, lockValue) {
   }
 }
 
+/**
+ * Pick up a room restored from MongoDB after a restart. Every human lost
+ * their connection with the old process, so each gets the usual grace period
+ * to come back through reconnect_to_room before auto-moves start. Players who
+ * were already disconnected keep whatever grace they had left.
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Array} disconnectedPlayers - Saved { id, disconnectedAt } entries
+ */
+function resumeRoom(io, roomId, disconnectedPlayers = []) {
+  const room = gameManager.getRoom(roomId);
+  if (!room) return;
+
+  for (const player of room.players) {
+    if (player.isBot || gameManager.isPlayerOut(roomId, player.id)) continue;
+
+    const saved = disconnectedPlayers.find((p) => p.id === player.id);
+    const disconnectedAt = saved?.disconnectedAt || Date.now();
+    const graceLeft = Math.max(
+      0,
+      DISCONNECT_GRACE_MS - (Date.now() - disconnectedAt)
+    );
+    const timer = setTimeout(
+      () => maybeTriggerAutoMove(io, roomId),
+      graceLeft
+    );
+    gameManager.setAutoMoveTimer(roomId, player.id, timer);
+    gameManager.addDisconnectedPlayer(roomId, player.id, {
+      timeoutId: timer,
+      disconnectedAt,
+      color: player.color,
+      playerName: player.name,
+    });
+  }
+
+  startTurnTimeout(io, roomId);
+  botController.handleGameStart(roomId);
+  botController.handleTurnChange(roomId, room.currentTurn);
+
+  console.log(`[Resume] Room ${roomId} resumed, ${room.currentTurn} to play`);
+}
+
+// Room settings for a quick match; quick matches are always head to head
+function getQuickMatchSettings(player, { stake, requiredPieces }) {
+  return {
+    stake,
+    requiredPieces,
+    maxPlayers: 2,
+    clientSeed: player.clientSeed,
+  };
+}
+
+/**
+ * Open a room for two matched players. The first hosts and the second is
+ * seated straight away, which starts the game.
+ * @param {Object} io - Socket.io server
+ * @param {Array} entries - The two matched queue entries
+ */
+async function startQuickMatch(io, [host, guest]) {
+  try {
+    const roomId = await host.player.openRoom(
+      getQuickMatchSettings(host.player, host.settings)
+    );
+    if (!roomId) {
+      // The host couldn't open the room; the guest keeps looking
+      matchmaker.enqueue(guest.player, guest.settings);
+      return;
+    }
+
+    for (const { player } of [host, guest]) {
+      io.to(player.socketId).emit("quick_match_found", { roomId, bots: false });
+    }
+    await guest.player.joinRoom({
+      roomId,
+      clientSeed: guest.player.clientSeed,
+    });
+    console.log(
+      `[QuickMatch] Paired ${host.player.name} and ${guest.player.name} in room ${roomId}`
+    );
+  } catch (error) {
+    console.error("[QuickMatch] Error starting match:", error);
+  }
+}
+
+/**
+ * Nobody compatible turned up in time, so the player gets a bot opponent
+ * @param {Object} io - Socket.io server
+ * @param {Object} entry - Queue entry that timed out
+ */
+async function startBotMatch(io, { player, settings }) {
+  try {
+    const roomId = await player.openRoom(
+      getQuickMatchSettings(player, settings)
+    );
+    if (!roomId) return;
+
+    // With bots switched off the room simply waits in the lobby
+    const { botsEnabled } = gameManager.getRoom(roomId);
+    io.to(player.socketId).emit("quick_match_found", {
+      roomId,
+      bots: botsEnabled,
+    });
+    if (botsEnabled) {
+      await new BotJoiner(roomRouter.getLockOptions()).joinMultipleBots(
+        roomId,
+        1,
+        io
+      );
+    }
+  } catch (error) {
+    console.error("[QuickMatch] Error starting bot match:", error);
+  }
+}
+
+/**
+ * Everyone agreed to a rematch: open a new room with the same players,
+ * stake and rules, seated as before but with the next seat opening
+ * @param {Object} io - Socket.io server
+ * @param {string} oldRoomId - Finished room the rematch was agreed in
+ */
+async function startRematch(io, oldRoomId) {
+  const oldRoom = gameManager.getRoom(oldRoomId);
+  const { stake } = oldRoom.gameSettings;
+  // The finished room can be cleaned up while this waits on the database,
+  // so it is looked up again after every await
+  const cancel = (message) => {
+    const current = gameManager.getRoom(oldRoomId);
+    if (current) current.rematch = null;
+    toRoom(io, oldRoomId).emit("rematch_cancelled", { message });
+  };
+
+  const Wallet = require("../model/Wallet");
+  for (const player of oldRoom.players) {
+    if (player.isBot || !player.userId) continue;
+    const wallet = await Wallet.findOne({ user: player.userId });
+    if (!wallet || wallet.balance < stake) {
+      cancel(`${player.name} doesn't have ${stake} ብር for a rematch`);
+      return;
+    }
+  }
+  if (!gameManager.getRoom(oldRoomId)?.rematch) {
+    console.log(`[Rematch] Room ${oldRoomId} closed before the rematch opened`);
+    return;
+  }
+
+  const { players, openingSeat } = getRematchLineup(oldRoom);
+  // Everyone plays on from the connection they finished on
+  const socketIds = players.map(
+    (player) => gameManager.getSeat(oldRoomId, player.id)?.socketId
+  );
+  const roomId = require("uuid").v4().slice(0, 6);
+  const seatColors = players.map((p) => p.color);
+  const roomData = {
+    players,
+    currentTurn: players[openingSeat].id,
+    gameStatus: gameManager.GAME_STATUS.PLAYING,
+    dieStatus: gameManager.DIE_STATUS.STOPPED,
+    lastRoll: null,
+    createdAt: Date.now(),
+    hostId: oldRoom.hostId,
+    gameSettings: {
+      ...oldRoom.gameSettings,
+      openingSeat,
+      rematchOf: oldRoomId,
+    },
+    fairness: createFairnessState(),
+    inviteCode: oldRoom.inviteCode ? createInviteCode() : null,
+  };
+
+  try {
+    await createRoomRecords(roomId, roomData, {
+      host: oldRoom.hostId || undefined,
+      botsEnabled: oldRoom.botsEnabled,
+      pieces: createInitialPieces(seatColors),
+    });
+    const room = gameManager.createRoom(roomId, roomData);
+    room.botsEnabled = oldRoom.botsEnabled;
+    gameManager.updateGameState(roomId, {
+      pieces: createInitialPieces(seatColors),
+    });
+    players.forEach((player, i) => {
+      if (socketIds[i]) seatSocket(io, roomId, player.id, socketIds[i]);
+    });
+
+    lockClientSeed(room);
+    toRoom(io, roomId).emit("fairness_commitment", getCommitment(room));
+
+    try {
+      room.escrowId = await collectStakes(roomId, players, stake);
+    } catch (error) {
+      console.error(`[Rematch] Error collecting stakes:`, error);
+      await deleteRoomRecords(roomId);
+      gameManager.deleteRoom(roomId);
+      cancel("Cannot start the rematch: stakes could not be collected");
+      return;
+    }
+    recordGameStart(roomId);
+    gameManager.persistRoom(roomId);
+    botController.handleGameStart(roomId);
+  } catch (error) {
+    console.error(`[Rematch] Error opening rematch of ${oldRoomId}:`, error);
+    cancel("Failed to start the rematch");
+    return;
+  }
+
+  const room = gameManager.getRoom(roomId);
+  const offer = gameManager.getRoom(oldRoomId)?.rematch;
+  if (offer) offer.roomId = roomId;
+  startTurnTimeout(io, roomId);
+  toRoom(io, oldRoomId).emit("rematch_started", {
+    roomId: oldRoomId,
+    newRoomId: roomId,
+  });
+  io.to(roomId).emit("gameData", {
+    players: room.players,
+    currentTurn: room.currentTurn,
+    gameStatus: room.gameStatus,
+    gameSettings: room.gameSettings,
+    lastRoll: null,
+    fairness: getCommitment(room),
+  });
+  toRoom(io, roomId).emit("room_update", {
+    players: room.players,
+    currentTurn: room.currentTurn,
+    gameStatus: room.gameStatus,
+    gameSettings: room.gameSettings,
+    turnDeadline: room.turnDeadline,
+  });
+
+  if (BOT_CONFIG.BOTS_ENABLED) {
+    botController.handleTurnChange(roomId, room.currentTurn);
+  }
+  console.log(`[Rematch] Room ${oldRoomId} continues as ${roomId}`);
+}
+
 function registerSocketHandlers(io) {
+  // Save every room transition so games survive a restart
+  gameManager.setPersistHandler(persistRoom);
+  gameManager.setEventHandler(appendEvent);
+  gameManager.setTurnExpiryHandler((roomId) =>
+    queueTimedAction(roomId, "TURN_TIMEOUT", () =>
+      handleTurnTimeout(io, roomId)
+    )
+  );
+  // Other instances forward the actions for rooms this one holds
+  gameManager.setOwnershipHandler((roomId, owned) =>
+    roomRouter.setOwned(roomId, owned)
+  );
+
+  // Quick matches open rooms through the matched players' own connections
+  matchmaker.setMatchHandler((entries) => startQuickMatch(io, entries));
+  matchmaker.setTimeoutHandler((entry) => startBotMatch(io, entry));
+  matchmaker.setStatusHandler((entry, status) =>
+    io.to(entry.player.socketId).emit("quick_match_status", status)
+  );
+
   // Initialize bot config cache
   initializeCache().catch((error) => {
     console.error("[Handlers] Error initializing bot config cache:", error);
   });
+  loadTurnClockSettings().catch((error) => {
+    console.error("[Handlers] Error loading turn clock settings:", error);
+  });
 
   // Initialize bot controller with Socket.io instance
   console.log(`[Handlers] About to initialize bot controller with io:`, io);
@@ -1063,16 +1196,26 @@ function registerSocketHandlers(io) {
     executeBotTurn: typeof botController.executeBotTurn,
   });
 
-  io.on("connection", async (socket) => {
-    // Send available games to newly connected client
-    try {
-      const availableGames = await getAvailableGames(socket.user.id);
-      socket.emit("available_games", availableGames);
-    } catch (error) {
-      console.error("Error sending available games to new client:", error);
-      socket.emit("error_message", "Failed to load available games");
+  const handleConnection = async (socket) => {
+    // Send available games to newly connected client; sockets forwarded
+    // from another instance already had theirs there, and joined their
+    // user's room for wallet and notification events
+    if (!socket.remote) {
+      joinUserRoom(socket);
+      try {
+        const availableGames = await getAvailableGames(socket.user.id);
+        socket.emit("available_games", availableGames);
+      } catch (error) {
+        console.error("Error sending available games to new client:", error);
+        socket.emit("error_message", "Failed to load available games");
+      }
     }
 
+    // Player ID of the seat this connection holds in a room. A tab or device
+    // whose seat was taken over holds none, so it can't act for the player.
+    const getSeatId = (roomId) =>
+      gameManager.getSeatPlayerId(roomId, socket.id);
+
     socket.on("get_available_games", async () => {
       try {
         const availableGames = await getAvailableGames(socket.user.id);
@@ -1083,8 +1226,61 @@ function registerSocketHandlers(io) {
       }
     });
 
-    socket.on("create_room", async ({ playerName, requiredPieces, stake }) => {
+    // Open a room with the caller as host. Returns the room ID, or nothing if
+    // the room couldn't be opened (the reason goes to the caller).
+    const createRoom = async ({
+      playerName,
+      requiredPieces,
+      stake,
+      maxPlayers = 2,
+      payoutPlaces = 1,
+      clientSeed,
+      houseRules,
+      private: isPrivate = false,
+      tableId,
+    }) => {
       try {
+        // 2-4 seats; a second paid place only makes sense with 3+ players
+        if (getMaxPlayers({ maxPlayers }) !== maxPlayers) {
+          socket.emit("error_message", "Rooms must have 2, 3 or 4 players");
+          return;
+        }
+        if (![1, 2].includes(payoutPlaces) || payoutPlaces >= maxPlayers) {
+          socket.emit(
+            "error_message",
+            "Only 3 and 4 player rooms can pay a second place"
+          );
+          return;
+        }
+
+        if (typeof isPrivate !== "boolean") {
+          socket.emit("error_message", "Invalid private room setting");
+          return;
+        }
+
+        let roomRules;
+        try {
+          roomRules = rules.validateHouseRules(houseRules);
+        } catch (error) {
+          socket.emit("error_message", error.message);
+          return;
+        }
+
+        // Stakes and piece counts come from the admin's lobby tables
+        let table;
+        try {
+          table = await resolveTable({
+            tableId,
+            stake,
+            requiredPieces,
+            maxPlayers,
+          });
+        } catch (error) {
+          if (error.code !== "TABLE_NOT_ALLOWED") throw error;
+          socket.emit("error_message", error.message);
+          return;
+        }
+
         // Check if player has sufficient balance for the stake
         const Wallet = require("../model/Wallet");
         const wallet = await Wallet.findOne({ user: socket.user.id });
@@ -1099,23 +1295,37 @@ function registerSocketHandlers(io) {
         }
 
         const roomId = require("uuid").v4().slice(0, 6);
-        const gameSettings = { stake, requiredPieces };
+        const gameSettings = {
+          stake,
+          requiredPieces,
+          maxPlayers,
+          payoutPlaces,
+          houseRules: roomRules,
+          private: isPrivate,
+          tableId: table._id.toString(),
+          rakePercent: table.rakePercent, // Later table changes don't apply
+          botDifficulty: table.botDifficulty || null, // Else BOT_DIFFICULTY
+        };
+        const seatColors = getSeatColors(maxPlayers);
         const roomData = {
           players: [
             {
-              id: socket.id,
+              id: socket.user.id,
               userId: socket.user.id,
               name: socket.user.username,
-              color: "blue",
+              color: seatColors[0],
+              clientSeed: sanitizeClientSeed(clientSeed),
             },
           ],
-          currentTurn: socket.id,
+          currentTurn: socket.user.id,
           gameStatus: gameManager.GAME_STATUS.WAITING,
           dieStatus: gameManager.DIE_STATUS.STOPPED,
           lastRoll: null,
           createdAt: Date.now(),
           hostId: socket.user.id,
           gameSettings,
+          fairness: createFairnessState(), // Seed hash is committed before anyone joins
+          inviteCode: isPrivate ? createInviteCode() : null,
         };
         // Check if bots are enabled in database once at game creation
         const {
@@ -1135,48 +1345,25 @@ function registerSocketHandlers(io) {
           // Use default value if database fetch fails
           botsEnabled = BOT_CONFIG.BOTS_ENABLED;
         }
+        botsEnabled = botsEnabled && table.botsAllowed;
 
-        const gameRoomDoc = await GameRoom.create({
-          roomId,
-          players: roomData.players,
-          currentTurn: roomData.currentTurn,
-          gameStatus: roomData.gameStatus,
-          dieStatus: roomData.dieStatus,
-          lastRoll: roomData.lastRoll,
-          hostId: socket.user.id,
+        await createRoomRecords(roomId, roomData, {
           host: socket.user.id || undefined,
-          gameSettings: roomData.gameSettings,
-          botsEnabled: botsEnabled, // Store the decision at game creation time
+          botsEnabled,
+          pieces: createInitialPieces(seatColors),
         });
-        const gameStateDoc = await GameState.create({
-          roomId,
-          pieces: {
-            green: ["gh1", "gh2", "gh3", "gh4"],
-            blue: ["bh1", "bh2", "bh3", "bh4"],
-          },
-          room: gameRoomDoc._id,
-        });
-        gameRoomDoc.gameState = gameStateDoc._id;
-        await gameRoomDoc.save();
         const roomState = gameManager.createRoom(roomId, roomData);
         // Set the botsEnabled field in the room state
         roomState.botsEnabled = botsEnabled;
         gameManager.updateGameState(roomId, {
-          pieces: {
-            // red: ["rh1", "rh2", "rh3", "rh4"],
-            green: ["gh1", "gh2", "gh3", "gh4"],
-            blue: ["bh1", "bh2", "bh3", "bh4"],
-            // yellow: ["yh1", "yh2", "yh3", "yh4"],
-          },
+          pieces: createInitialPieces(seatColors),
         });
         const timeoutId = setTimeout(async () => {
           if (gameManager.getRoom(roomId)?.players.length === 1) {
             try {
-              await GameRoom.deleteOne({ roomId });
+              await deleteRoomRecords(roomId);
               gameManager.deleteRoom(roomId);
-              if (gameManager.getWaitingRoom() === roomId)
-                gameManager.setWaitingRoom(null);
-              io.to(socket.id).emit("room_deleted", {
+              io.to(getUserRoom(socket.user.id)).emit("room_deleted", {
                 reason: "no_players_joined",
                 message:
                   "Your game room was deleted because no one joined within 10 minutes",
@@ -1190,9 +1377,17 @@ function registerSocketHandlers(io) {
         }, 600000); // 10 minutes
 
         gameManager.setRoomTimeout(roomId, timeoutId);
-        gameManager.setWaitingRoom(roomId);
-        socket.join(roomId);
-        socket.emit("room_created", { roomId });
+        seatSocket(io, roomId, socket.user.id, socket.id);
+        const roomCreated = {
+          roomId,
+          serverSeedHash: roomData.fairness.serverSeedHash,
+        };
+        if (isPrivate) {
+          const { getInviteLink } = require("../services/telegramBot");
+          roomCreated.inviteCode = roomData.inviteCode;
+          roomCreated.inviteLink = getInviteLink(roomData.inviteCode);
+        }
+        socket.emit("room_created", roomCreated);
 
         // Emit fresh game data to the creator
         socket.emit("gameData", {
@@ -1201,19 +1396,22 @@ function registerSocketHandlers(io) {
           gameStatus: gameManager.getRoom(roomId).gameStatus,
           gameSettings,
           lastRoll: null,
+          fairness: getCommitment(roomState),
         });
 
-        io.to(roomId).emit("room_update", {
+        toRoom(io, roomId).emit("room_update", {
           players: gameManager.getRoom(roomId).players,
           currentTurn: gameManager.getRoom(roomId).currentTurn,
           gameStatus: gameManager.getRoom(roomId).gameStatus,
           gameSettings,
+          turnDeadline: gameManager.getRoom(roomId).turnDeadline,
         });
         io.emit("available_games", await getAvailableGames(socket.user.id));
 
         // Automatically join bots to fill the room after a configurable delay
-        // Use the stored decision from game creation time
-        if (botsEnabled) {
+        // Use the stored decision from game creation time. Private rooms
+        // wait for the friends who were invited.
+        if (botsEnabled && !isPrivate) {
           setTimeout(async () => {
             try {
               console.log(
@@ -1224,8 +1422,11 @@ function registerSocketHandlers(io) {
                 gameManager.getRoom(roomId)
               );
 
-              const botJoiner = new BotJoiner();
-              const botCount = Math.min(2 - roomData.players.length, 1); // Max 1 bot, fill to 2 players
+              const botJoiner = new BotJoiner(roomRouter.getLockOptions());
+              const botCount = Math.min(
+                maxPlayers - gameManager.getRoom(roomId).players.length,
+                BOT_CONFIG.MAX_BOTS_PER_GAME
+              ); // Fill the remaining seats
               console.log(
                 `[CreateRoom] Planning to join ${botCount} bots to room ${roomId}`
               );
@@ -1309,257 +1510,309 @@ function registerSocketHandlers(io) {
             `[CreateRoom] Bot controller or handleGameStart method not available`
           );
         }
+        return roomId;
       } catch (error) {
         console.error("Error creating game room:", error);
         socket.emit("error_message", "Failed to create game room");
       }
-    });
+    };
+    socket.on("create_room", createRoom);
 
     // (join_room, roll_dice, move_piece, disconnect, reconnect_to_room, cleanup, etc.)
 
-    socket.on("join_room", async ({ roomId }) => {
+    // Seat the caller in a waiting room, starting the game once it is full
+    const joinRoom = async ({ roomId, clientSeed, inviteCode }) => {
       try {
+        // Invitees from a deep link may only have the code
+        const code = normalizeInviteCode(inviteCode);
+        if (!roomId && code) {
+          roomId = gameManager.findRoomByInviteCode(code)?.roomId;
+        }
         if (!roomId || !gameManager.getRoom(roomId)) {
           socket.emit("error_message", "Room not found!");
           return;
         }
-
-        // Acquire join lock to prevent multiple simultaneous joins
-        if (!gameManager.acquireJoinLock(roomId)) {
+        const { inviteCode: roomCode } = gameManager.getRoom(roomId);
+        if (roomCode && roomCode !== code) {
           socket.emit(
             "error_message",
-            "Room is currently busy. Please try again in a moment."
+            "This room is private. You need an invite code to join."
+          );
+          return;
+        }
+        const { tournament } = gameManager.getRoom(roomId).gameSettings;
+        if (
+          tournament &&
+          !tournament.userIds.includes(String(socket.user.id))
+        ) {
+          socket.emit(
+            "error_message",
+            "This is a tournament match. Only its two players can join."
           );
           return;
         }
 
-        try {
-          const room = gameManager.getRoom(roomId);
-          if (room.players.length >= 2) {
-            socket.emit("error_message", "Room is full!");
-            return;
-          }
-          if (room.gameStatus !== gameManager.GAME_STATUS.WAITING) {
-            socket.emit("error_message", "Game has already started!");
-            return;
-          }
-
-          // Check if player has sufficient balance for the stake
-          const Wallet = require("../model/Wallet");
-          const wallet = await Wallet.findOne({ user: socket.user.id });
-          if (!wallet || wallet.balance < room.gameSettings.stake) {
+        // Seat the player on the room's mailbox, so the join can't overlap
+        // another join, a leave or a disconnect
+        await gameManager.enqueue(roomId, async () => {
+          // Acquire join lock to prevent multiple simultaneous joins
+          if (!gameManager.acquireJoinLock(roomId)) {
             socket.emit(
               "error_message",
-              `Insufficient balance. You need ${
-                room.gameSettings.stake
-              } ብር to join this game. Your current balance: ${
-                wallet?.balance || 0
-              } ብር`
+              "Room is currently busy. Please try again in a moment."
             );
             return;
           }
 
-          // Check if room contains bot players and handle replacement
-          let removedBot = null;
-          let humanPlayer = null;
-          if (gameManager.hasBotPlayers(roomId)) {
-            console.log(
-              `[JoinRoom] Room ${roomId} contains bots, attempting replacement`
-            );
-
-            humanPlayer = {
-              id: socket.id,
-              userId: socket.user.id,
-              name: socket.user.username,
-              color: null, // Will be assigned after bot replacement
-              isBot: false,
-              joinedAt: new Date(),
-            };
-
-            // Atomically replace a bot with the human player
-            removedBot = await handleBotReplacement(roomId, humanPlayer, io);
-
-            if (removedBot) {
-              console.log(
-                `[JoinRoom] Successfully replaced bot ${removedBot.name} with human ${humanPlayer.name}`
-              );
-            } else {
-              console.log(
-                `[JoinRoom] Bot replacement failed, proceeding with normal join`
-              );
+          try {
+            const room = gameManager.getRoom(roomId);
+            // A second tab or device of a seated player takes the seat over
+            if (room.players.some((p) => p.id === socket.user.id)) {
+              seatSocket(io, roomId, socket.user.id, socket.id);
+              socket.emit("gameData", {
+                players: room.players,
+                currentTurn: room.currentTurn,
+                gameStatus: room.gameStatus,
+                gameSettings: room.gameSettings,
+                lastRoll: room.lastRoll,
+                fairness: getCommitment(room),
+              });
+              return;
+            }
+            if (room.players.length >= gameManager.getMaxPlayers(roomId)) {
+              socket.emit("error_message", "Room is full!");
+              return;
+            }
+            if (room.gameStatus !== gameManager.GAME_STATUS.WAITING) {
+              socket.emit("error_message", "Game has already started!");
+              return;
+            }
+            try {
+              await checkTableOpen(room.gameSettings);
+            } catch (error) {
+              if (error.code !== "TABLE_NOT_ALLOWED") throw error;
+              socket.emit("error_message", error.message);
+              return;
             }
-          }
-
-          // Clear room timeout if it exists
-          const roomTimeout = gameManager.getRoom(roomId)?.roomTimeout;
-          if (roomTimeout) {
-            clearTimeout(roomTimeout);
-            gameManager.setRoomTimeout(roomId, null);
-          }
 
-          // Create human player object if not already created
-          if (!humanPlayer) {
-            humanPlayer = {
-              id: socket.id,
-              userId: socket.user.id,
-              name: socket.user.username,
-              color: null, // Will be assigned below
-              isBot: false,
-              joinedAt: new Date(),
-            };
-          }
+            // Check if player has sufficient balance for the stake
+            const Wallet = require("../model/Wallet");
+            const wallet = await Wallet.findOne({ user: socket.user.id });
+            if (!wallet || wallet.balance < room.gameSettings.stake) {
+              socket.emit(
+                "error_message",
+                `Insufficient balance. You need ${
+                  room.gameSettings.stake
+                } ብር to join this game. Your current balance: ${
+                  wallet?.balance || 0
+                } ብር`
+              );
+              return;
+            }
 
-          // Add human player to room
-          room.players.push(humanPlayer);
-          socket.join(roomId);
+            // Check if room contains bot players and handle replacement
+            let removedBot = null;
+            let humanPlayer = null;
+            if (gameManager.hasBotPlayers(roomId)) {
+              console.log(
+                `[JoinRoom] Room ${roomId} contains bots, attempting replacement`
+              );
 
-          // Assign colors based on player count (2-player game)
-          if (room.players.length === 1) {
-            room.players[0].color = "blue";
-          } else if (room.players.length === 2) {
-            room.players[1].color = "green";
-          }
+              humanPlayer = {
+                id: socket.user.id,
+                userId: socket.user.id,
+                name: socket.user.username,
+                color: null, // Will be assigned after bot replacement
+                clientSeed: sanitizeClientSeed(clientSeed),
+                isBot: false,
+                joinedAt: new Date(),
+              };
+
+              // Atomically replace a bot with the human player
+              removedBot = await handleBotReplacement(
+                roomId,
+                humanPlayer,
+                io,
+                roomRouter.getLockOptions()
+              );
 
-          // Update game status if room is full
-          if (room.players.length >= 2) {
-            room.gameStatus = gameManager.GAME_STATUS.PLAYING;
+              if (removedBot) {
+                console.log(
+                  `[JoinRoom] Successfully replaced bot ${removedBot.name} with human ${humanPlayer.name}`
+                );
+              } else {
+                console.log(
+                  `[JoinRoom] Bot replacement failed, proceeding with normal join`
+                );
+              }
+            }
 
-            // Set the first player's turn when game starts
-            if (room.players.length > 0) {
-              room.currentTurn = room.players[0].id;
+            // Clear room timeout if it exists
+            const roomTimeout = gameManager.getRoom(roomId)?.roomTimeout;
+            if (roomTimeout) {
+              clearTimeout(roomTimeout);
+              gameManager.setRoomTimeout(roomId, null);
             }
 
-            if (gameManager.getWaitingRoom() === roomId) {
-              gameManager.setWaitingRoom(null);
+            // Create human player object if not already created
+            if (!humanPlayer) {
+              humanPlayer = {
+                id: socket.user.id,
+                userId: socket.user.id,
+                name: socket.user.username,
+                color: null, // Will be assigned below
+                clientSeed: sanitizeClientSeed(clientSeed),
+                isBot: false,
+                joinedAt: new Date(),
+              };
             }
 
-            // Check if human players still have sufficient balance before starting game
-            try {
-              const Wallet = require("../model/Wallet");
-              for (const player of room.players) {
-                if (!player.isBot && player.userId) {
-                  const wallet = await Wallet.findOne({ user: player.userId });
-                  if (!wallet || wallet.balance < room.gameSettings.stake) {
-                    console.error(
-                      `[JoinRoom] Player ${
-                        player.name
-                      } has insufficient balance for game start. Required: ${
-                        room.gameSettings.stake
-                      } ብር, Available: ${wallet?.balance || 0} ብር`
-                    );
-                    // Revert game status and remove the joining player
-                    room.gameStatus = gameManager.GAME_STATUS.WAITING;
-                    room.players = room.players.filter(
-                      (p) => p.id !== socket.id
-                    );
-                    socket.leave(roomId);
-                    socket.emit(
-                      "error_message",
-                      `Cannot start game: ${player.name} has insufficient balance`
-                    );
-                    return;
-                  }
-                }
-              }
+            // Seat the human player in the first free colour
+            humanPlayer.color = gameManager.getAvailableColor(roomId);
+            room.players.push(humanPlayer);
+            seatSocket(io, roomId, humanPlayer.id, socket.id);
+
+            // Update game status if room is full
+            if (room.players.length >= gameManager.getMaxPlayers(roomId)) {
+              room.gameStatus = gameManager.GAME_STATUS.PLAYING;
+
+              // Seat players clockwise and give the first seat the opening turn
+              gameManager.sortPlayersBySeat(roomId);
+              room.currentTurn = room.players[0].id;
+
+              // Every seat is filled, so the client seed can't change any more
+              lockClientSeed(room);
+              toRoom(io, roomId).emit(
+                "fairness_commitment",
+                getCommitment(room)
+              );
 
-              // Deduct stakes from all human players when game starts
-              const {
-                deductGameStake,
-              } = require("../controllers/wallet.controller");
-
-              for (const player of room.players) {
-                if (!player.isBot && player.userId) {
-                  try {
-                    await deductGameStake(
-                      player.userId,
-                      room.gameSettings.stake,
-                      roomId
-                    );
-                    console.log(
-                      `[JoinRoom] Deducted ${room.gameSettings.stake} ብር from player ${player.name} (${player.userId})`
-                    );
-                  } catch (error) {
-                    console.error(
-                      `[JoinRoom] Failed to deduct stake from player ${player.name}:`,
-                      error
-                    );
-                    // If stake deduction fails, we should probably not start the game
-                    // For now, just log the error
+              // Check if human players still have sufficient balance before starting game
+              try {
+                const Wallet = require("../model/Wallet");
+                for (const player of room.players) {
+                  if (!player.isBot && player.userId) {
+                    const wallet = await Wallet.findOne({
+                      user: player.userId,
+                    });
+                    if (!wallet || wallet.balance < room.gameSettings.stake) {
+                      console.error(
+                        `[JoinRoom] Player ${
+                          player.name
+                        } has insufficient balance for game start. Required: ${
+                          room.gameSettings.stake
+                        } ብር, Available: ${wallet?.balance || 0} ብር`
+                      );
+                      // Revert game status and remove the joining player
+                      room.gameStatus = gameManager.GAME_STATUS.WAITING;
+                      room.players = room.players.filter(
+                        (p) => p.id !== humanPlayer.id
+                      );
+                      gameManager.releaseSeat(roomId, socket.id);
+                      socket.leave(roomId);
+                      socket.emit(
+                        "error_message",
+                        `Cannot start game: ${player.name} has insufficient balance`
+                      );
+                      return;
+                    }
                   }
                 }
-              }
-            } catch (error) {
-              console.error(
-                `[JoinRoom] Error setting up stake deduction:`,
-                error
-              );
-              // Revert game status if there was an error
-              if (room.gameStatus === gameManager.GAME_STATUS.PLAYING) {
+
+                // Move every human stake into the game's escrow. If one can't
+                // be collected the others are refunded and the game doesn't start.
+                room.escrowId = await collectStakes(
+                  roomId,
+                  room.players,
+                  room.gameSettings.stake
+                );
+                recordGameStart(roomId);
+                gameManager.persistRoom(roomId);
+              } catch (error) {
+                console.error(`[JoinRoom] Error collecting stakes:`, error);
+                // Revert game status and remove the joining player
                 room.gameStatus = gameManager.GAME_STATUS.WAITING;
+                room.players = room.players.filter(
+                  (p) => p.id !== humanPlayer.id
+                );
+                gameManager.releaseSeat(roomId, socket.id);
+                socket.leave(roomId);
+                socket.emit(
+                  "error_message",
+                  "Cannot start game: stakes could not be collected"
+                );
+                return;
               }
+
+              // Notify bot controller about game start
+              botController.handleGameStart(roomId);
             }
 
-            // Notify bot controller about game start
-            botController.handleGameStart(roomId);
-          }
+            // Update database
+            await GameRoom.updateOne(
+              { roomId },
+              {
+                $set: {
+                  players: room.players,
+                  gameStatus: room.gameStatus,
+                },
+              }
+            );
 
-          // Update database
-          await GameRoom.updateOne(
-            { roomId },
-            {
-              $set: {
-                players: room.players,
-                gameStatus: room.gameStatus,
-              },
+            // Start turn timeout if game is playing
+            if (room.gameStatus === gameManager.GAME_STATUS.PLAYING) {
+              startTurnTimeout(io, roomId);
             }
-          );
-
-          // Emit playerJoined event for the human player
-          io.to(roomId).emit("playerJoined", humanPlayer);
 
-          // Emit fresh game data to the joining player
-          socket.emit("gameData", {
-            players: room.players,
-            currentTurn: room.currentTurn,
-            gameStatus: room.gameStatus,
-            gameSettings: room.gameSettings,
-            lastRoll: room.lastRoll,
-          });
+            // Emit playerJoined event for the human player
+            toRoom(io, roomId).emit("playerJoined", humanPlayer);
 
-          // Emit room update
-          io.to(roomId).emit("room_update", {
-            players: room.players,
-            currentTurn: room.currentTurn,
-            gameStatus: room.gameStatus,
-            gameSettings: room.gameSettings,
-          });
+            // Emit fresh game data to the joining player
+            socket.emit("gameData", {
+              players: room.players,
+              currentTurn: room.currentTurn,
+              gameStatus: room.gameStatus,
+              gameSettings: room.gameSettings,
+              lastRoll: room.lastRoll,
+              fairness: getCommitment(room),
+            });
 
-          // Start turn timeout if game is playing
-          if (room.gameStatus === gameManager.GAME_STATUS.PLAYING) {
-            startTurnTimeout(io, roomId);
-          }
+            // Emit room update
+            toRoom(io, roomId).emit("room_update", {
+              players: room.players,
+              currentTurn: room.currentTurn,
+              gameStatus: room.gameStatus,
+              gameSettings: room.gameSettings,
+              turnDeadline: room.turnDeadline,
+            });
 
-          // Notify bot controller about turn change (only if bots are enabled)
-          if (room.currentTurn && BOT_CONFIG.BOTS_ENABLED) {
-            botController.handleTurnChange(roomId, room.currentTurn);
-          }
+            // Notify bot controller about turn change (only if bots are enabled)
+            if (room.currentTurn && BOT_CONFIG.BOTS_ENABLED) {
+              botController.handleTurnChange(roomId, room.currentTurn);
+            }
 
-          // Update available games
-          io.emit("available_games", await getAvailableGames(socket.user.id));
+            // Update available games
+            io.emit("available_games", await getAvailableGames(socket.user.id));
 
-          console.log(
-            `[JoinRoom] Human player ${humanPlayer.name} successfully joined room ${roomId}`
-          );
-        } finally {
-          // Always release the join lock
-          gameManager.releaseJoinLock(roomId);
-        }
+            console.log(
+              `[JoinRoom] Human player ${humanPlayer.name} successfully joined room ${roomId}`
+            );
+          } finally {
+            // Always release the join lock
+            gameManager.releaseJoinLock(roomId);
+          }
+        });
       } catch (error) {
+        if (error.code) {
+          // The room closed while the join was waiting its turn
+          socket.emit("error_message", error.message);
+          return;
+        }
         console.error(`Error joining room ${roomId}:`, error);
         socket.emit("error_message", "Failed to join room");
         // Also notify the room about the error if possible
         if (roomId) {
-          io.to(roomId).emit(
+          toRoom(io, roomId).emit(
             "error_message",
             "A player failed to join the room"
           );
@@ -1567,6 +1820,65 @@ function registerSocketHandlers(io) {
         // Ensure join lock is released on error
         gameManager.releaseJoinLock(roomId);
       }
+    };
+    socket.on("join_room", joinRoom);
+
+    // Look for an opponent at a stake instead of browsing the lobby
+    socket.on("quick_match", async ({ stake, requiredPieces, clientSeed }) => {
+      try {
+        if (
+          !Number.isFinite(stake) ||
+          stake <= 0 ||
+          ![1, 2, 3, 4].includes(requiredPieces)
+        ) {
+          socket.emit("error_message", "Invalid quick match settings");
+          return;
+        }
+        // Check now rather than when a match is found and the room opened
+        try {
+          await resolveTable({ stake, requiredPieces, maxPlayers: 2 });
+        } catch (error) {
+          if (error.code !== "TABLE_NOT_ALLOWED") throw error;
+          socket.emit("error_message", error.message);
+          return;
+        }
+
+        const Wallet = require("../model/Wallet");
+        const wallet = await Wallet.findOne({ user: socket.user.id });
+        if (!wallet || wallet.balance < stake) {
+          socket.emit(
+            "error_message",
+            `Insufficient balance. You need ${stake} ብር to play this game. Your current balance: ${
+              wallet?.balance || 0
+            } ብር`
+          );
+          return;
+        }
+
+        const entry = matchmaker.enqueue(
+          {
+            socketId: socket.id,
+            userId: socket.user.id,
+            name: socket.user.username,
+            clientSeed: sanitizeClientSeed(clientSeed),
+            openRoom: createRoom,
+            joinRoom,
+          },
+          { stake, requiredPieces }
+        );
+        if (!entry) {
+          socket.emit("error_message", "You are already looking for a match!");
+        }
+      } catch (error) {
+        console.error("[QuickMatch] Error joining queue:", error);
+        socket.emit("error_message", "Failed to start quick match");
+      }
+    });
+
+    socket.on("cancel_quick_match", () => {
+      if (matchmaker.cancel(socket.id)) {
+        socket.emit("quick_match_cancelled");
+      }
     });
 
     // Get fresh game data for a specific game
@@ -1590,6 +1902,8 @@ function registerSocketHandlers(io) {
           gameStatus: room.gameStatus,
           gameSettings: room.gameSettings,
           lastRoll: room.lastRoll,
+          fairness: getCommitment(room),
+          turnDeadline: room.turnDeadline,
         });
 
         console.log(`[GetGameData] Fresh game data sent for game ${gameId}`);
@@ -1619,6 +1933,12 @@ function registerSocketHandlers(io) {
           currentTurn: room.currentTurn,
           gameStatus: room.gameStatus,
           gameSettings: room.gameSettings,
+          fairness: getCommitment(room),
+          spectatorCount: gameManager.getSpectatorCount(roomId),
+          // Seated players can share a private room's code again
+          inviteCode: room.players.some((p) => p.id === socket.user.id)
+            ? room.inviteCode
+            : null,
         });
 
         console.log(`[GetRoomInfo] Room info sent for room ${roomId}`);
@@ -1628,18 +1948,286 @@ function registerSocketHandlers(io) {
       }
     });
 
-    socket.on("roll_dice", ({ roomId }) => {
+    // Watch a game in progress without taking a seat
+    socket.on("spectate_room", ({ roomId, inviteCode }) => {
+      try {
+        const room = gameManager.getRoom(roomId);
+        if (!room) {
+          socket.emit("error_message", "Room not found!");
+          return;
+        }
+        const code = normalizeInviteCode(inviteCode);
+        if (room.inviteCode && room.inviteCode !== code) {
+          socket.emit("error_message", "This room is private!");
+          return;
+        }
+        if (room.gameStatus !== gameManager.GAME_STATUS.PLAYING) {
+          socket.emit(
+            "error_message",
+            "Only games in progress can be watched!"
+          );
+          return;
+        }
+        if (room.players.some((p) => p.userId === socket.user.id)) {
+          socket.emit("error_message", "You are playing in this room!");
+          return;
+        }
+
+        socket.join(getSpectatorRoom(roomId));
+        gameManager.addSpectator(roomId, socket.id, {
+          userId: socket.user.id,
+          name: socket.user.username,
+        });
+        socket.emit("spectate_snapshot", getSpectatorSnapshot(roomId));
+        console.log(
+          `[Spectate] ${socket.user.username} is watching room ${roomId} (${gameManager.getSpectatorCount(roomId)} spectators)`
+        );
+      } catch (error) {
+        console.error(`[Spectate] Error spectating room ${roomId}:`, error);
+        socket.emit("error_message", "Failed to watch this game");
+      }
+    });
+
+    socket.on("stop_spectating", ({ roomId }) => {
+      try {
+        socket.leave(getSpectatorRoom(roomId));
+        gameManager.removeSpectator(roomId, socket.id);
+      } catch (error) {
+        console.error(`[Spectate] Error leaving room ${roomId}:`, error);
+      }
+    });
+
+    // Follow a tournament's bracket as its matches are played
+    socket.on("subscribe_tournament", async ({ tournamentId }) => {
+      try {
+        const tournament = mongoose.isValidObjectId(tournamentId)
+          ? await Tournament.findById(tournamentId)
+          : null;
+        if (!tournament) {
+          socket.emit("error_message", "Tournament not found!");
+          return;
+        }
+        socket.join(getTournamentRoom(tournamentId));
+        socket.emit("tournament_update", getBracketView(tournament));
+      } catch (error) {
+        console.error(
+          `[Tournament] Error subscribing to tournament ${tournamentId}:`,
+          error
+        );
+        socket.emit("error_message", "Failed to load tournament");
+      }
+    });
+
+    socket.on("unsubscribe_tournament", ({ tournamentId }) => {
+      socket.leave(getTournamentRoom(tournamentId));
+    });
+
+    // Chat and emotes come from seated players; spectators only watch.
+    // Returns the player, or nothing if the message can't be sent (the
+    // reason goes to the caller).
+    const getChatSender = async (roomId) => {
+      const playerId = getSeatId(roomId);
+      const player = gameManager
+        .getRoom(roomId)
+        ?.players.find((p) => p.id === playerId);
+      if (!player) {
+        socket.emit("error_message", "Only players in this room can chat");
+        return null;
+      }
+      chatLimiter.consume(socket.id);
+      await assertNotMuted(socket.user.id);
+      return player;
+    };
+
+    socket.on("send_chat", async ({ roomId, text }) => {
+      try {
+        const player = await getChatSender(roomId);
+        if (player) postChat(io, roomId, player, text);
+      } catch (error) {
+        if (error.code) {
+          socket.emit("error_message", error.message);
+          return;
+        }
+        console.error(`[Chat] Error sending chat in room ${roomId}:`, error);
+        socket.emit("error_message", "Failed to send message");
+      }
+    });
+
+    socket.on("send_emote", async ({ roomId, emote }) => {
+      try {
+        const player = await getChatSender(roomId);
+        if (player) postEmote(io, roomId, player, emote);
+      } catch (error) {
+        if (error.code) {
+          socket.emit("error_message", error.message);
+          return;
+        }
+        console.error(`[Chat] Error sending emote in room ${roomId}:`, error);
+        socket.emit("error_message", "Failed to send emote");
+      }
+    });
+
+    // A rematch costs the same stake again
+    const checkRematchBalance = async (roomId) => {
+      const stake = gameManager.getRoom(roomId)?.gameSettings.stake || 0;
+      const Wallet = require("../model/Wallet");
+      const wallet = await Wallet.findOne({ user: socket.user.id });
+      if (wallet && wallet.balance >= stake) return true;
+      socket.emit(
+        "error_message",
+        `Insufficient balance. You need ${stake} ብር for a rematch. Your current balance: ${
+          wallet?.balance || 0
+        } ብር`
+      );
+      return false;
+    };
+
+    // Tell the room who has agreed, and open the new room once everyone has
+    const answerRematch = async (roomId, { offer, ready }) => {
+      const event =
+        offer.requestedBy === getSeatId(roomId)
+          ? "rematch_requested"
+          : "rematch_accepted";
+      toRoom(io, roomId).emit(event, {
+        roomId,
+        requestedBy: offer.requestedBy,
+        accepted: offer.accepted,
+      });
+      if (ready) await startRematch(io, roomId);
+    };
+
+    // Offer the other players of a finished game a rematch. It has to be
+    // agreed before the room is cleaned up; bots answer straight away.
+    // Rematch answers run on the finished room's mailbox, so the new room is
+    // opened without another answer changing the offer meanwhile.
+    const offerRematch = async ({ roomId, clientSeed }) => {
+      try {
+        if (!(await checkRematchBalance(roomId))) return;
+        const result = requestRematch(roomId, getSeatId(roomId), {
+          clientSeed,
+        });
+        if (result.declinedBy) {
+          toRoom(io, roomId).emit("rematch_declined", {
+            roomId,
+            playerId: result.declinedBy.id,
+            name: result.declinedBy.name,
+          });
+          return;
+        }
+        await answerRematch(roomId, result);
+      } catch (error) {
+        if (error.code) {
+          socket.emit("error_message", error.message);
+          return;
+        }
+        console.error(`[Rematch] Error requesting rematch:`, error);
+        socket.emit("error_message", "Failed to request a rematch");
+      }
+    };
+    socket.on("request_rematch", (data) =>
+      queueSocketAction(socket, data, offerRematch)
+    );
+
+    const agreeToRematch = async ({ roomId, clientSeed }) => {
+      try {
+        if (!(await checkRematchBalance(roomId))) return;
+        await answerRematch(
+          roomId,
+          acceptRematch(roomId, getSeatId(roomId), clientSeed)
+        );
+      } catch (error) {
+        if (error.code) {
+          socket.emit("error_message", error.message);
+          return;
+        }
+        console.error(`[Rematch] Error accepting rematch:`, error);
+        socket.emit("error_message", "Failed to accept the rematch");
+      }
+    };
+    socket.on("accept_rematch", (data) =>
+      queueSocketAction(socket, data, agreeToRematch)
+    );
+
+    const refuseRematch = ({ roomId }) => {
+      try {
+        const playerId = getSeatId(roomId);
+        if (declineRematch(roomId, playerId)) {
+          toRoom(io, roomId).emit("rematch_declined", {
+            roomId,
+            playerId,
+            name: socket.user.username,
+          });
+        }
+      } catch (error) {
+        socket.emit("error_message", error.message);
+      }
+    };
+    socket.on("decline_rematch", (data) =>
+      queueSocketAction(socket, data, refuseRematch)
+    );
+
+    // Resigning takes a request and a confirmation; only the confirmed
+    // resign ends the player's game
+    socket.on("resign", ({ roomId }) => {
+      try {
+        const expiresAt = requestResign(roomId, getSeatId(roomId));
+        socket.emit("resign_confirmation", { roomId, expiresAt });
+      } catch (error) {
+        socket.emit("error_message", error.message);
+      }
+    });
+
+    socket.on("cancel_resign", ({ roomId }) => {
+      if (cancelResign(roomId, getSeatId(roomId))) {
+        socket.emit("resign_cancelled", { roomId });
+      }
+    });
+
+    const confirmResignation = async ({ roomId }) => {
+      try {
+        const playerId = getSeatId(roomId);
+        confirmResign(roomId, playerId);
+        console.log(`[RESIGN] Player ${playerId} resigned in room ${roomId}`);
+
+        gameManager.clearAutoMoveTimer(roomId, playerId);
+        const isGameOver = await handlePlayerEliminated(io, roomId, playerId, {
+          reason: "resign",
+        });
+        socket.emit("resigned", { roomId, gameOver: isGameOver });
+
+        // The others play on; the turn passes if it was the resigner's
+        if (!isGameOver) continueAfterDropOut(io, roomId, playerId);
+      } catch (error) {
+        if (error.code) {
+          socket.emit("error_message", error.message);
+          return;
+        }
+        console.error(`[RESIGN] Error resigning in room ${roomId}:`, error);
+        socket.emit("error_message", "Failed to resign");
+      }
+    };
+    socket.on("confirm_resign", (data) =>
+      queueSocketAction(socket, data, confirmResignation)
+    );
+
+    const rollDice = async ({ roomId }) => {
       try {
         const room = gameManager.getRoom(roomId);
         if (!room) {
           socket.emit("error_message", "Room not found!");
           return;
         }
+        if (gameManager.isSpectator(roomId, socket.id)) {
+          socket.emit("error_message", "Spectators can't play in this room!");
+          return;
+        }
         if (room.gameStatus !== gameManager.GAME_STATUS.PLAYING) {
           socket.emit("error_message", "Game hasn't started yet!");
           return;
         }
-        if (socket.id !== room.currentTurn) {
+        // Turns belong to the seat, whichever connection holds it now
+        const playerId = getSeatId(roomId);
+        if (!playerId || playerId !== room.currentTurn) {
           socket.emit("error_message", "Not your turn!");
           return;
         }
@@ -1648,7 +2236,7 @@ function registerSocketHandlers(io) {
         gameManager.clearTurnTimeout(roomId);
         if (
           room.lastRoll &&
-          room.lastRoll.roller === socket.id &&
+          room.lastRoll.roller === playerId &&
           !room.lastRoll.moved
         ) {
           socket.emit(
@@ -1657,215 +2245,168 @@ function registerSocketHandlers(io) {
           );
           return;
         }
-        io.to(roomId).emit("rolling_dice");
-        setTimeout(() => {
-          try {
-            const gameState = gameManager.getGameState(roomId);
-            const playerColor = room.players.find(
-              (p) => p.id === socket.id
-            )?.color;
-
-            // Check if this is the player's first roll (all pieces are in home)
-            const isFirstRoll = !gameState.pieces[playerColor]?.some(
-              (piece) => piece && !piece.startsWith(`${playerColor[0]}h`)
-            );
+        toRoom(io, roomId).emit("rolling_dice");
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        try {
+          const value = rollDie(room, playerId);
+          const result = rules.applyRoll(gameManager.getRulesState(roomId), {
+            playerId,
+            value,
+          });
+          gameManager.commitRulesState(roomId, result.state);
+          recordRulesEvents(roomId, result.events);
+          gameManager.persistRoom(roomId);
 
-            let value;
-            if (isFirstRoll) {
-              // First roll: always roll 6 to ensure player can move
-              value = 6;
-              console.log(
-                `[RollDice] First roll for ${socket.user.username}, forcing value 6`
-              );
-            } else {
-              // Subsequent rolls: use safe roll logic
-              value = getSafeRollValue(gameState.pieces, playerColor);
-            }
-            room.lastRoll = {
-              value,
-              roller: socket.id,
-              moved: false,
-            };
-            io.to(roomId).emit("roll_dice", {
-              value,
-              roller: socket.id,
-              dieStatus: gameManager.DIE_STATUS.ROLLING,
+          // Restart turn timeout since player is actively playing
+          startTurnTimeout(io, roomId);
+          toRoom(io, roomId).emit("roll_dice", {
+            value,
+            roller: playerId,
+            dieStatus: gameManager.DIE_STATUS.ROLLING,
+          });
+
+          // Immediately emit room_update with lastRoll so frontend knows who rolled
+          toRoom(io, roomId).emit("room_update", {
+            players: room.players,
+            currentTurn: room.currentTurn,
+            gameStatus: room.gameStatus,
+            lastRoll: room.lastRoll,
+            turnDeadline: room.turnDeadline,
+          });
+          const { movable } = result.events[0];
+          if (movable.length === 1) {
+            // Only one move, auto-move it
+            setTimeout(() => {
+              try {
+                socket.emit("auto_move", {
+                  color: result.events[0].color,
+                  pieceIndex: movable[0],
+                });
+              } catch (error) {
+                console.error(
+                  `Error sending auto_move to player in room ${roomId}:`,
+                  error
+                );
+              }
+            }, 500);
+          }
+          const forfeit = result.events.find((e) => e.type === "forfeit");
+          if (forfeit) {
+            toRoom(io, roomId).emit("turn_forfeited", {
+              playerId,
+              reason: forfeit.reason,
             });
+          }
+          const turnPassed = result.events.some((e) => e.type === "turn");
+          console.log(
+            `Player ${socket.user.username} rolled ${value}, availableMoves=${movable.length}`
+          );
+          if (turnPassed) {
+            console.log(
+              `No moves possible, advancing turn from ${socket.user.username} to next player`
+            );
+            const oldTurn = room.currentTurn;
+            gameManager.advanceTurn(roomId, playerId);
+            const nextPlayer = room.players.find(
+              (p) => p.id === room.currentTurn
+            );
+
+            console.log(
+              `[RollDice] Turn advanced from ${oldTurn} to ${room.currentTurn} because no moves available`
+            );
+            console.log(`[RollDice] Next player:`, nextPlayer);
+            console.log(`[RollDice] Next player isBot:`, nextPlayer?.isBot);
 
-            // Immediately emit room_update with lastRoll so frontend knows who rolled
-            io.to(roomId).emit("room_update", {
+            // Emit room update immediately to ensure frontend gets the new turn
+            toRoom(io, roomId).emit("room_update", {
               players: room.players,
               currentTurn: room.currentTurn,
               gameStatus: room.gameStatus,
               lastRoll: room.lastRoll,
+              turnDeadline: room.turnDeadline,
             });
-            const hasPiecesOutside = gameState.pieces[playerColor]?.some(
-              (piece) => piece && !piece.startsWith(`${playerColor[0]}h`)
-            );
-            if (!hasPiecesOutside && value !== 6) {
-              const nextIndex =
-                (room.players.findIndex((p) => p.id === socket.id) + 1) %
-                room.players.length;
-              room.currentTurn = room.players[nextIndex].id;
-              io.to(roomId).emit("room_update", {
-                players: room.players,
-                currentTurn: room.currentTurn,
-                gameStatus: room.gameStatus,
-                lastRoll: room.lastRoll,
-              });
 
-              // Start turn timeout for next player
-              startTurnTimeout(io, roomId);
-              return;
-            }
-            const movableTokens = getMovableTokens(
-              gameState.pieces,
-              playerColor,
-              value
-            );
-            if (movableTokens.length === 1) {
-              // Only one move, auto-move it
-              setTimeout(() => {
-                try {
-                  socket.emit("auto_move", {
-                    color: playerColor,
-                    pieceIndex: movableTokens[0],
-                  });
-                } catch (error) {
-                  console.error(
-                    `Error sending auto_move to player in room ${roomId}:`,
-                    error
-                  );
-                }
-              }, 500);
-            }
-            // Use the same logic as getMovableTokens to ensure consistency
-            const availableMoves = getMovableTokens(
-              gameState.pieces,
-              playerColor,
-              value
-            );
-            const canMove = availableMoves.length > 0;
-            console.log(
-              `Player ${socket.user.username} rolled ${value}, availableMoves=${availableMoves.length}, canMove=${canMove}`
-            );
-            if (!canMove) {
+            // Notify bot controller about turn change immediately (only if bots are enabled)
+            if (room.currentTurn && BOT_CONFIG.BOTS_ENABLED) {
               console.log(
-                `No moves possible, advancing turn from ${socket.user.username} to next player`
+                `[RollDice] Notifying bot controller about turn change to ${room.currentTurn} in room ${roomId}`
               );
-              const nextIndex =
-                (room.players.findIndex((p) => p.id === socket.id) + 1) %
-                room.players.length;
-              const oldTurn = room.currentTurn;
-              room.currentTurn = room.players[nextIndex].id;
-
+              console.log(`[RollDice] Bot controller object:`, botController);
               console.log(
-                `[RollDice] Turn advanced from ${oldTurn} to ${room.currentTurn} because no moves available`
+                `[RollDice] Bot controller handleTurnChange method:`,
+                typeof botController.handleTurnChange
               );
-              console.log(`[RollDice] Next player:`, room.players[nextIndex]);
               console.log(
-                `[RollDice] Next player isBot:`,
-                room.players[nextIndex].isBot
+                `[RollDice] Next player details:`,
+                room.players.find((p) => p.id === room.currentTurn)
               );
 
-              // Emit room update immediately to ensure frontend gets the new turn
-              io.to(roomId).emit("room_update", {
-                players: room.players,
-                currentTurn: room.currentTurn,
-                gameStatus: room.gameStatus,
-                lastRoll: room.lastRoll,
-              });
-
-              // Notify bot controller about turn change immediately (only if bots are enabled)
-              if (room.currentTurn && BOT_CONFIG.BOTS_ENABLED) {
+              try {
                 console.log(
-                  `[RollDice] Notifying bot controller about turn change to ${room.currentTurn} in room ${roomId}`
+                  `[RollDice] Calling botController.handleTurnChange(${roomId}, ${room.currentTurn})`
                 );
-                console.log(`[RollDice] Bot controller object:`, botController);
+                botController.handleTurnChange(roomId, room.currentTurn);
                 console.log(
-                  `[RollDice] Bot controller handleTurnChange method:`,
-                  typeof botController.handleTurnChange
+                  `[RollDice] Bot controller handleTurnChange called successfully`
                 );
-                console.log(
-                  `[RollDice] Next player details:`,
-                  room.players.find((p) => p.id === room.currentTurn)
+              } catch (error) {
+                console.error(
+                  `[RollDice] Error calling bot controller handleTurnChange:`,
+                  error
                 );
-
-                try {
-                  console.log(
-                    `[RollDice] Calling botController.handleTurnChange(${roomId}, ${room.currentTurn})`
-                  );
-                  botController.handleTurnChange(roomId, room.currentTurn);
-                  console.log(
-                    `[RollDice] Bot controller handleTurnChange called successfully`
-                  );
-                } catch (error) {
-                  console.error(
-                    `[RollDice] Error calling bot controller handleTurnChange:`,
-                    error
-                  );
-                }
               }
-
-              // Return early since turn has been advanced
-              return;
             }
-            // Remove duplicate emissions since we handle them immediately when no moves are available
-            // io.to(roomId).emit("room_update", {
-            //   players: room.players,
-            //   currentTurn: room.currentTurn,
-            //   gameStatus: room.gameStatus,
-            //   lastRoll: room.lastRoll,
-            // });
-
-            // Notify bot controller about turn change
-            // if (room.currentTurn) {
-            //   botController.handleTurnChange(roomId, room.currentTurn);
-            // }
-
-            maybeTriggerAutoMove(io, roomId);
-
-            // Restart turn timeout since player is actively playing
-            startTurnTimeout(io, roomId);
-          } catch (error) {
-            console.error(
-              `Error in roll_dice timeout for room ${roomId}:`,
-              error
-            );
-            io.to(roomId).emit(
-              "error_message",
-              "An error occurred during dice roll"
-            );
+
+            // Return early since turn has been advanced
+            return;
           }
-        }, 1000);
+
+          maybeTriggerAutoMove(io, roomId);
+        } catch (error) {
+          console.error(
+            `Error in roll_dice timeout for room ${roomId}:`,
+            error
+          );
+          toRoom(io, roomId).emit(
+            "error_message",
+            "An error occurred during dice roll"
+          );
+        }
       } catch (error) {
         console.error(`Error in roll_dice for room ${roomId}:`, error);
         socket.emit("error_message", "Failed to roll dice");
         if (roomId) {
-          io.to(roomId).emit(
+          toRoom(io, roomId).emit(
             "error_message",
             "An error occurred while rolling dice"
           );
         }
       }
-    });
+    };
+    socket.on("roll_dice", (data) => queueSocketAction(socket, data, rollDice));
 
-    socket.on("move_piece", async ({ roomId, color, pieceIndex }) => {
+    const movePiece = async ({ roomId, color, pieceIndex }) => {
       try {
         const room = gameManager.getRoom(roomId);
         if (!room) {
           socket.emit("error_message", "Room not found!");
           return;
         }
+        if (gameManager.isSpectator(roomId, socket.id)) {
+          socket.emit("error_message", "Spectators can't play in this room!");
+          return;
+        }
         if (room.gameStatus !== gameManager.GAME_STATUS.PLAYING) {
           socket.emit("error_message", "Game hasn't started yet!");
           return;
         }
-        if (socket.id !== room.currentTurn) {
+        // Turns belong to the seat, whichever connection holds it now
+        const playerId = getSeatId(roomId);
+        if (!playerId || playerId !== room.currentTurn) {
           socket.emit("error_message", "Not your turn!");
           return;
         }
-        if (!room.lastRoll || room.lastRoll.roller !== socket.id) {
+        if (!room.lastRoll || room.lastRoll.roller !== playerId) {
           socket.emit("error_message", "You must roll the dice first!");
           return;
         }
@@ -1877,7 +2418,7 @@ function registerSocketHandlers(io) {
         // Clear turn timeout since player is actively playing
         gameManager.clearTurnTimeout(roomId);
         const gameState = gameManager.getGameState(roomId);
-        const piece = gameState.pieces[color][pieceIndex];
+        const piece = gameState.pieces[color]?.[pieceIndex];
         if (piece === `${color}WinZone`) {
           socket.emit(
             "error_message",
@@ -1885,70 +2426,34 @@ function registerSocketHandlers(io) {
           );
           return;
         }
-        const rollValue = room.lastRoll.value;
-
-        // Check if there are any movable tokens at all for this roll
-        const movableTokens = getMovableTokens(
-          gameState.pieces,
-          color,
-          rollValue
-        );
-        if (movableTokens.length === 0) {
-          console.log(
-            `[MovePiece] No movable tokens for player ${socket.user.username} with roll ${rollValue}, advancing turn`
-          );
-
-          // Advance turn to next player since no moves are possible
-          const nextIndex =
-            (room.players.findIndex((p) => p.id === socket.id) + 1) %
-            room.players.length;
-          const oldTurn = room.currentTurn;
-          room.currentTurn = room.players[nextIndex].id;
-
-          console.log(
-            `[MovePiece] Turn advanced from ${oldTurn} to ${room.currentTurn} because no movable tokens`
-          );
-
-          // Emit room update with new turn
-          io.to(roomId).emit("room_update", {
-            players: room.players,
-            currentTurn: room.currentTurn,
-            gameStatus: room.gameStatus,
-            lastRoll: room.lastRoll,
-          });
-
-          // Notify bot controller about turn change
-          if (room.currentTurn) {
-            console.log(
-              `[MovePiece] Notifying bot controller about turn change to ${room.currentTurn} in room ${roomId}`
-            );
-            console.log(`[MovePiece] Bot controller object:`, botController);
-            console.log(
-              `[MovePiece] Bot controller handleTurnChange method:`,
-              typeof botController.handleTurnChange
-            );
-
-            try {
-              botController.handleTurnChange(roomId, room.currentTurn);
-              console.log(
-                `[MovePiece] Bot controller handleTurnChange called successfully`
-              );
-            } catch (error) {
-              console.error(
-                `[MovePiece] Error calling bot controller handleTurnChange:`,
-                error
-              );
-            }
-          }
-
+        const player = room.players.find((p) => p.id === playerId);
+        if (player?.color !== color) {
+          socket.emit("error_message", "Invalid move!");
           return;
         }
+        const rollValue = room.lastRoll.value;
 
-        const nextPosition = getNextPosition(piece, rollValue, color);
-        if (!nextPosition) {
-          socket.emit("error_message", "Invalid move!");
+        let result;
+        try {
+          result = rules.applyMove(gameManager.getRulesState(roomId), {
+            playerId,
+            pieceIndex,
+          });
+        } catch (error) {
+          if (!error.code) throw error;
+          socket.emit("error_message", error.message);
           return;
         }
+        gameManager.commitRulesState(roomId, result.state);
+        recordRulesEvents(roomId, result.events);
+        gameManager.persistRoom(roomId);
+
+        const nextPosition = result.events[0].to;
+        const kills = result.events.filter((e) => e.type === "kill");
+        const playerFinished = result.events.some(
+          (e) => e.type === "player_finished"
+        );
+        const extraTurn = result.events.some((e) => e.type === "extra_turn");
         function generateNewPath(currentPosition, rollValue, color) {
           const path = paths[color];
           if (!path) return null;
@@ -1959,178 +2464,70 @@ function registerSocketHandlers(io) {
           const newPath = path.slice(currentIndex, newIndex + 1);
           return newPath;
         }
-        const killedPiece = Object.entries(gameState.pieces).find(
-          ([pieceColor, pieces]) => {
-            if (pieceColor === color) return false;
-            return pieces.some(
-              (p) => p === nextPosition && !isSafePosition(nextPosition)
-            );
-          }
-        );
-        let killedPieceInfo = null;
-        if (killedPiece) {
-          const [killedColor, killedPieces] = killedPiece;
-          const killedIndex = killedPieces.indexOf(nextPosition);
-          killedPieceInfo = {
-            color: killedColor,
-            index: killedIndex,
-            position: nextPosition,
-          };
-        }
-        gameState.pieces[color][pieceIndex] = nextPosition;
-        room.lastRoll.moved = true;
         if (nextPosition === `${color}WinZone`) {
-          io.to(roomId).emit("piece_finished", { color, pieceIndex });
+          toRoom(io, roomId).emit("piece_finished", { color, pieceIndex });
         }
-        if (
-          hasPlayerWon(
-            gameState.pieces,
-            color,
-            room.gameSettings.requiredPieces
-          )
-        ) {
-          room.gameStatus = gameManager.GAME_STATUS.FINISHED;
-          const winner = room.players.find((p) => p.color === color);
-          const loser = room.players.find((p) => p.color !== color);
-          const winnerPiecesInWinZone = gameState.pieces[color].filter(
-            (piece) => piece === `${color}WinZone`
-          ).length;
-          const loserPiecesInWinZone = gameState.pieces[loser.color].filter(
-            (piece) => piece === `${color}WinZone`
-          ).length;
-          console.log(
-            `[MovePiece] Creating GameHistory record for win in room ${roomId}`
-          );
-          console.log(`[MovePiece] Winner:`, winner);
-          console.log(`[MovePiece] Socket user:`, socket.user);
-
-          const gameHistoryRecord = await GameHistory.create({
-            user: socket.user.id,
+        // A player who brings all their pieces home is done and passes the turn
+        if (playerFinished) {
+          const isGameOver = await handlePlayerFinished(
+            io,
             roomId,
-            status: gameManager.GAME_STATUS.FINISHED,
-            players: room.players,
-            winnerId: winner?.userId,
-            stake: room.gameSettings.stake,
-            requiredPieces: room.gameSettings.requiredPieces,
-            createdAt: new Date(),
-            updatedAt: new Date(),
-          });
-
+            playerId,
+            { reason: "win" }
+          );
           console.log(
-            `[MovePiece] Game history saved successfully:`,
-            gameHistoryRecord._id
+            `[MovePiece] ${socket.user.username} finished in room ${roomId}, game over: ${isGameOver}`
           );
-          const matchResults = {
-            winner: {
-              id: winner.id,
-              name: winner.name,
-              color: winner.color,
-              piecesInWinZone: winnerPiecesInWinZone,
-              totalPieces: gameState.pieces[color].length,
-              pieces: gameState.pieces[color],
-              isBot: winner.isBot || false,
-            },
-            loser: {
-              id: loser.id,
-              name: loser.name,
-              color: loser.color,
-              piecesInWinZone: loserPiecesInWinZone,
-              totalPieces: gameState.pieces[loser.color].length,
-              pieces: gameState.pieces[loser.color],
-              isBot: loser.isBot || false,
-            },
-            gameDuration: Date.now() - room.createdAt,
-            requiredPieces: room.gameSettings.requiredPieces,
-            stake: room.gameSettings.stake,
-          };
-
-          // Update winner's wallet with game winnings
-          try {
-            const {
-              addGameWinnings,
-            } = require("../controllers/wallet.controller");
-            const isBotGame = room.players.some((p) => p.isBot);
-
-            await addGameWinnings(
-              winner.userId,
-              room.gameSettings.stake,
-              roomId,
-              isBotGame
-            );
-            console.log(
-              `[MovePiece] Added winnings to winner ${winner.name} in room ${roomId}`
-            );
-
-            // Note: Bot controller is notified via handleGameEnd below
-            // No need for additional human win handling since wallet is already updated
-          } catch (error) {
-            console.error(
-              `[MovePiece] Error updating winner's wallet in room ${roomId}:`,
-              error
-            );
-          }
-
-          io.to(roomId).emit("game_over", matchResults);
-
-          // Notify bot controller about game end
-          botController.handleGameEnd(roomId);
         }
-        if (
-          rollValue !== 6 &&
-          !killedPieceInfo &&
-          nextPosition !== `${color}WinZone`
-        ) {
-          const nextIndex =
-            (room.players.findIndex((p) => p.id === socket.id) + 1) %
-            room.players.length;
+        if (room.gameStatus !== gameManager.GAME_STATUS.PLAYING) {
+          console.log(`[MovePiece] Game over in room ${roomId}`);
+        } else if (!extraTurn) {
           const oldTurn = room.currentTurn;
-          room.currentTurn = room.players[nextIndex].id;
+          gameManager.advanceTurn(roomId, playerId);
           console.log(
             `[MovePiece] Turn advanced from ${oldTurn} to ${room.currentTurn} in room ${roomId}`
           );
           console.log(
-            `[MovePiece] Current player index: ${room.players.findIndex(
-              (p) => p.id === socket.id
-            )}, Next player index: ${nextIndex}`
+            `[MovePiece] Next player:`,
+            room.players.find((p) => p.id === room.currentTurn)
           );
-          console.log(`[MovePiece] Next player:`, room.players[nextIndex]);
         } else {
           console.log(
-            `[MovePiece] Turn not advanced in room ${roomId}. Roll: ${rollValue}, Killed piece: ${!!killedPieceInfo}, Next position: ${nextPosition}`
+            `[MovePiece] Turn not advanced in room ${roomId}. Roll: ${rollValue}, Kills: ${kills.length}, Next position: ${nextPosition}`
           );
 
           // Restart turn timeout since player gets another turn
           startTurnTimeout(io, roomId);
         }
         const path = generateNewPath(piece, rollValue, color);
-        emitPathStepByStep(
+        await emitPathStepByStep(
           roomId,
           color,
           pieceIndex,
           path,
           io,
           nextPosition,
-          killedPieceInfo,
-          gameState
+          kills
         )
           .then(() => {
             try {
-              io.to(roomId).emit("piece_moved", {
+              toRoom(io, roomId).emit("piece_moved", {
                 pieces: gameState.pieces,
                 path: path,
                 color: color,
                 index: pieceIndex,
               });
-              io.to(roomId).emit("room_update", {
+
+              // Start turn timeout for next player
+              startTurnTimeout(io, roomId);
+              toRoom(io, roomId).emit("room_update", {
                 players: room.players,
                 currentTurn: room.currentTurn,
                 gameStatus: room.gameStatus,
                 lastRoll: room.lastRoll,
+                turnDeadline: room.turnDeadline,
               });
 
-              // Start turn timeout for next player
-              startTurnTimeout(io, roomId);
-
               // Notify bot controller about turn change (only if bots are enabled)
               if (room.currentTurn && BOT_CONFIG.BOTS_ENABLED) {
                 console.log(
@@ -2163,7 +2560,7 @@ function registerSocketHandlers(io) {
                 `Error in move_piece callback for room ${roomId}:`,
                 error
               );
-              io.to(roomId).emit(
+              toRoom(io, roomId).emit(
                 "error_message",
                 "An error occurred while updating game state"
               );
@@ -2174,7 +2571,7 @@ function registerSocketHandlers(io) {
               `Error in move_piece emitPathStepByStep for room ${roomId}:`,
               error
             );
-            io.to(roomId).emit(
+            toRoom(io, roomId).emit(
               "error_message",
               "An error occurred during piece movement"
             );
@@ -2183,177 +2580,189 @@ function registerSocketHandlers(io) {
         console.error(`Error in move_piece for room ${roomId}:`, error);
         socket.emit("error_message", "Failed to move piece");
         if (roomId) {
-          io.to(roomId).emit(
+          toRoom(io, roomId).emit(
             "error_message",
             "An error occurred while moving piece"
           );
         }
       }
-    });
+    };
+    socket.on("move_piece", (data) =>
+      queueSocketAction(socket, data, movePiece)
+    );
 
-    socket.on("disconnect", async () => {
+    // Mark the player whose seat this socket held as disconnected. Runs on
+    // the room's mailbox, behind any move or bot turn still in progress.
+    const disconnectFromRoom = async (roomId) => {
       try {
-        for (const roomId of gameManager.getAllRoomIds()) {
-          try {
-            const room = gameManager.getRoom(roomId);
-            if (!room) continue;
+        const room = gameManager.getRoom(roomId);
+        const playerId = gameManager.releaseSeat(roomId, socket.id);
+        const playerIndex = room.players.findIndex((p) => p.id === playerId);
+        if (playerIndex !== -1) {
+          const disconnectedPlayer = room.players[playerIndex];
 
-            const playerIndex = room.players.findIndex(
-              (p) => p.id === socket.id
-            );
-            if (playerIndex !== -1) {
-              const disconnectedPlayer = room.players[playerIndex];
-
-              // Clear existing auto-move timer if any
-              gameManager.clearAutoMoveTimer(roomId, socket.id);
-              if (room.gameStatus === gameManager.GAME_STATUS.PLAYING) {
-                // Start 30s timer to mark as disconnected (not to auto-move all at once)
-                const timer = setTimeout(() => {
-                  try {
-                    console.log(
-                      `[DISCONNECT] 30s timer expired for player ${socket.id} in room ${roomId}. Checking for auto-move.`
-                    );
-                    // Player is now officially disconnected. If it's their turn, trigger the auto-move.
-                    // maybeTriggerAutoMove will handle the check to see if it's the correct player's turn.
-                    maybeTriggerAutoMove(io, roomId);
-                  } catch (error) {
-                    console.error(
-                      `Error in disconnect timer callback for room ${roomId}:`,
-                      error
-                    );
-                  }
-                }, 30000);
-
-                gameManager.setAutoMoveTimer(roomId, socket.id, timer);
-                gameManager.addDisconnectedPlayer(roomId, socket.id, {
-                  timeoutId: timer,
-                  disconnectedAt: Date.now(),
-                  color: disconnectedPlayer.color,
-                  playerName: disconnectedPlayer.name,
-                });
-                gameManager.incrementAutoMoveCount(roomId, socket.id); // Initialize to 1
-                io.to(roomId).emit("player_disconnected", {
-                  playerId: socket.id,
-                  playerName: disconnectedPlayer.name,
-                  timeout: 30,
-                });
+          // Clear existing auto-move timer if any
+          gameManager.clearAutoMoveTimer(roomId, playerId);
+          if (room.gameStatus === gameManager.GAME_STATUS.PLAYING) {
+            // Start 30s timer to mark as disconnected (not to auto-move all at once)
+            const timer = setTimeout(() => {
+              try {
                 console.log(
-                  `[DISCONNECT] Player ${socket.id} disconnected from room ${roomId}, 30s timer started.`
+                  `[DISCONNECT] 30s timer expired for player ${playerId} in room ${roomId}. Checking for auto-move.`
                 );
-                // --- NEW LOGIC: If all players are disconnected, end game and clear timers ---
-                const allDisconnected = room.players.every((p) =>
-                  gameManager.getDisconnectedPlayer(roomId, p.id)
+                // Player is now officially disconnected. If it's their turn, trigger the auto-move.
+                // maybeTriggerAutoMove will handle the check to see if it's the correct player's turn.
+                maybeTriggerAutoMove(io, roomId);
+              } catch (error) {
+                console.error(
+                  `Error in disconnect timer callback for room ${roomId}:`,
+                  error
                 );
-                if (allDisconnected) {
-                  // Cancel all timers for this room
-                  const roomState = gameManager.getRoom(roomId);
-                  if (roomState) {
-                    roomState.disconnectedAutoMoveTimers.forEach((timer) =>
-                      clearTimeout(timer)
-                    );
-                    roomState.disconnectedAutoMoveTimers.clear();
-                  }
-                  // Mark game as finished and both as losers
-                  room.gameStatus = gameManager.GAME_STATUS.FINISHED;
-                  io.to(roomId).emit("game_over", {
-                    reason: "both_disconnected",
-                    losers: room.players.map((p) => ({
-                      id: p.id,
-                      name: p.name,
-                      color: p.color,
-                    })),
-                  });
-                  // Optionally, update DB or GameHistory here as needed
-                }
-              }
-              // gameroom.find()
-              // room.players.splice(playerIndex, 1); // Do not remove player on disconnect, keep for auto-move
-              if (room.players.length === 0) {
-                const deletionTimeoutId = setTimeout(async () => {
-                  try {
-                    await GameRoom.updateOne(
-                      { roomId },
-                      { $set: { gameStatus: gameManager.GAME_STATUS.FINISHED } }
-                    );
-                    gameManager.deleteRoom(roomId);
-                    if (gameManager.getWaitingRoom() === roomId)
-                      gameManager.setWaitingRoom(null);
-                    const availableGames = await getAvailableGames(
-                      socket.user.id
-                    );
-                    io.emit("available_games", availableGames);
-                  } catch (error) {
-                    console.error(
-                      `Error deleting room ${roomId} after all players disconnected:`,
-                      error
-                    );
-                  }
-                }, 30000);
-              } else {
-                // Do not advance the turn here. Let the auto-move logic handle it.
-                io.to(roomId).emit("room_update", {
-                  players: room.players,
-                  currentTurn: room.currentTurn,
-                  gameStatus: room.gameStatus,
-                });
               }
-              const availableGames = await getAvailableGames(socket.user.id);
-              io.emit("available_games", availableGames);
-            }
-          } catch (error) {
-            console.error(
-              `Error handling disconnect for room ${roomId}:`,
-              error
+            }, DISCONNECT_GRACE_MS);
+
+            gameManager.setAutoMoveTimer(roomId, playerId, timer);
+            gameManager.addDisconnectedPlayer(roomId, playerId, {
+              timeoutId: timer,
+              disconnectedAt: Date.now(),
+              color: disconnectedPlayer.color,
+              playerName: disconnectedPlayer.name,
+            });
+            gameManager.incrementAutoMoveCount(roomId, playerId); // Initialize to 1
+            toRoom(io, roomId).emit("player_disconnected", {
+              playerId,
+              playerName: disconnectedPlayer.name,
+              timeout: 30,
+            });
+            console.log(
+              `[DISCONNECT] Player ${playerId} disconnected from room ${roomId}, 30s timer started.`
+            );
+            // Nobody is left to finish the game, so call it off and
+            // give the stakes back
+            const allDisconnected = room.players.every((p) =>
+              gameManager.getDisconnectedPlayer(roomId, p.id)
             );
+            if (allDisconnected) {
+              await abandonGame(io, roomId, { reason: "both_disconnected" });
+            }
+          }
+          // room.players.splice(playerIndex, 1); // Do not remove player on disconnect, keep for auto-move
+          if (room.players.length === 0) {
+            const deletionTimeoutId = setTimeout(async () => {
+              try {
+                await GameRoom.updateOne(
+                  { roomId },
+                  { $set: { gameStatus: gameManager.GAME_STATUS.FINISHED } }
+                );
+                gameManager.deleteRoom(roomId);
+                const availableGames = await getAvailableGames(socket.user.id);
+                io.emit("available_games", availableGames);
+              } catch (error) {
+                console.error(
+                  `Error deleting room ${roomId} after all players disconnected:`,
+                  error
+                );
+              }
+            }, 30000);
+          } else {
+            // Do not advance the turn here. Let the auto-move logic handle it.
+            toRoom(io, roomId).emit("room_update", {
+              players: room.players,
+              currentTurn: room.currentTurn,
+              gameStatus: room.gameStatus,
+              turnDeadline: room.turnDeadline,
+            });
           }
+          const availableGames = await getAvailableGames(socket.user.id);
+          io.emit("available_games", availableGames);
+        }
+      } catch (error) {
+        console.error(`Error handling disconnect for room ${roomId}:`, error);
+      }
+    };
+
+    socket.on("disconnect", async () => {
+      try {
+        matchmaker.cancel(socket.id);
+        chatLimiter.forget(socket.id);
+        const queued = [];
+        for (const roomId of gameManager.getAllRoomIds()) {
+          gameManager.removeSpectator(roomId, socket.id);
+          // A socket whose seat moved to another device holds none, and
+          // leaves the player connected
+          if (!gameManager.getSeatPlayerId(roomId, socket.id)) continue;
+          queued.push(
+            gameManager
+              .enqueue(roomId, () => disconnectFromRoom(roomId))
+              // A room deleted in the meantime has nobody left to tell
+              .catch(() => {})
+          );
         }
+        await Promise.all(queued);
       } catch (error) {
         console.error("Error in disconnect handler:", error);
       }
     });
 
-    socket.on("reconnect_to_room", ({ roomId }) => {
+    socket.on("reconnect_to_room", ({ roomId, seatToken }) => {
       try {
+        const room = gameManager.getRoom(roomId);
+        if (!room) return;
+        const playerId = socket.user.id;
+
+        // Seats saved before they were keyed by user ID still carry the
+        // socket ID they were created on
+        const legacySeat = room.players.find(
+          (p) => p.userId === playerId && p.id !== playerId && !p.isBot
+        );
+        if (legacySeat) {
+          console.log(
+            `[RECONNECT] Moving seat ${legacySeat.id} to user ${playerId} in room ${roomId}`
+          );
+          gameManager.rebindPlayer(roomId, legacySeat.id, playerId);
+        }
+        if (!room.players.some((p) => p.id === playerId)) return;
+
+        // Whether this is the same client coming back (it has the seat
+        // token) or another device, this socket plays on from here
+        seatSocket(io, roomId, playerId, socket.id, seatToken);
+
         const disconnectedPlayer = gameManager.getDisconnectedPlayer(
           roomId,
-          socket.id
+          playerId
         );
         if (disconnectedPlayer) {
           clearTimeout(disconnectedPlayer.timeoutId);
-          gameManager.clearAutoMoveTimer(roomId, socket.id);
-          gameManager.removeDisconnectedPlayer(roomId, socket.id);
+          gameManager.clearAutoMoveTimer(roomId, playerId);
+          gameManager.removeDisconnectedPlayer(roomId, playerId);
           // Reset auto-move count for this player
-          const room = gameManager.getRoom(roomId);
-          if (room) {
-            room.autoMoveCount.delete(socket.id);
-          }
-          // Rejoin the socket to the room
-          socket.join(roomId);
+          room.autoMoveCount.delete(playerId);
+        }
 
-          // Emit fresh game data to the reconnecting player
-          if (room) {
-            socket.emit("gameData", {
-              players: room.players,
-              currentTurn: room.currentTurn,
-              gameStatus: room.gameStatus,
-              gameSettings: room.gameSettings,
-              lastRoll: room.lastRoll,
-            });
-          }
+        // Emit fresh game data to the reconnecting player
+        socket.emit("gameData", {
+          players: room.players,
+          currentTurn: room.currentTurn,
+          gameStatus: room.gameStatus,
+          gameSettings: room.gameSettings,
+          lastRoll: room.lastRoll,
+          turnDeadline: room.turnDeadline,
+        });
 
-          io.to(roomId).emit("player_reconnected", {
-            playerId: socket.id,
+        if (disconnectedPlayer) {
+          toRoom(io, roomId).emit("player_reconnected", {
+            playerId,
             playerName: socket.user.username,
           });
           console.log(
-            `[RECONNECT] Player ${socket.id} reconnected to room ${roomId}, timer cleared.`
+            `[RECONNECT] Player ${playerId} reconnected to room ${roomId}, timer cleared.`
           );
         }
       } catch (error) {
         console.error(`Error in reconnect_to_room for room ${roomId}:`, error);
         socket.emit("error_message", "Failed to reconnect to room");
         if (roomId) {
-          io.to(roomId).emit(
+          toRoom(io, roomId).emit(
             "error_message",
             "An error occurred during reconnection"
           );
@@ -2395,10 +2804,10 @@ function registerSocketHandlers(io) {
     });
 
     // Handle leave room request
-    socket.on("leave_room", async ({ roomId }) => {
+    const leaveRoom = async ({ roomId }) => {
       try {
         console.log(
-          `[LEAVE_ROOM] Player ${socket.id} attempting to leave room ${roomId}`
+          `[LEAVE_ROOM] Player ${socket.user.id} attempting to leave room ${roomId}`
         );
 
         const room = gameManager.getRoom(roomId);
@@ -2406,8 +2815,16 @@ function registerSocketHandlers(io) {
           socket.emit("error_message", "Room not found!");
           return;
         }
+        if (gameManager.isSpectator(roomId, socket.id)) {
+          socket.emit(
+            "error_message",
+            "You are watching this room, not playing in it!"
+          );
+          return;
+        }
 
-        const playerIndex = room.players.findIndex((p) => p.id === socket.id);
+        const playerId = getSeatId(roomId);
+        const playerIndex = room.players.findIndex((p) => p.id === playerId);
         if (playerIndex === -1) {
           socket.emit("error_message", "You are not in this room!");
           return;
@@ -2417,19 +2834,21 @@ function registerSocketHandlers(io) {
         const isHost = room.hostId === socket.user.id;
         const isOnlyPlayer = room.players.length === 1;
 
-        // If host is leaving and they're the only player, delete the room
+        // If host is leaving and they're the only player, delete the room.
+        // Tournament rooms stay open for the match until its deadline.
         if (
           isHost &&
           isOnlyPlayer &&
-          room.gameStatus === gameManager.GAME_STATUS.WAITING
+          room.gameStatus === gameManager.GAME_STATUS.WAITING &&
+          !room.gameSettings.tournament
         ) {
           console.log(
-            `[LEAVE_ROOM] Host ${socket.id} is only player - deleting room ${roomId}`
+            `[LEAVE_ROOM] Host ${playerId} is only player - deleting room ${roomId}`
           );
 
           try {
             // Delete from database
-            await GameRoom.deleteOne({ roomId });
+            await deleteRoomRecords(roomId);
             console.log(`[LEAVE_ROOM] Room ${roomId} deleted from database`);
 
             // Delete from memory
@@ -2460,156 +2879,57 @@ function registerSocketHandlers(io) {
 
         // For non-host or multi-player rooms, handle as regular disconnect
         console.log(
-          `[LEAVE_ROOM] Regular leave for player ${socket.id} in room ${roomId}`
+          `[LEAVE_ROOM] Regular leave for player ${playerId} in room ${roomId}`
         );
 
-        // Remove player from room
-        room.players.splice(playerIndex, 1);
-
         // Leave the socket room
         socket.leave(roomId);
 
         // Clear any timers for this player
-        gameManager.clearAutoMoveTimer(roomId, socket.id);
-        gameManager.removeDisconnectedPlayer(roomId, socket.id);
+        gameManager.clearAutoMoveTimer(roomId, playerId);
+        gameManager.removeDisconnectedPlayer(roomId, playerId);
 
-        // If no players left, clean up the room
-        if (room.players.length === 0) {
-          try {
-            await GameRoom.deleteOne({ roomId });
-            gameManager.deleteRoom(roomId);
-            console.log(`[LEAVE_ROOM] Empty room ${roomId} deleted`);
-          } catch (error) {
-            console.error(
-              `[LEAVE_ROOM] Error deleting empty room ${roomId}:`,
-              error
-            );
-          }
-        } else if (
-          room.gameStatus === gameManager.GAME_STATUS.PLAYING &&
-          room.players.length === 1
-        ) {
-          // Player left during active game - remaining player wins automatically
+        if (room.gameStatus === gameManager.GAME_STATUS.PLAYING) {
+          // Leaving an active game forfeits; the player keeps their seat so
+          // they still appear in the placings
           console.log(
-            `[LEAVE_ROOM] Player left during active game - awarding win to remaining player`
+            `[LEAVE_ROOM] Player ${leavingPlayer.name} forfeited during active game in room ${roomId}`
           );
 
-          const winner = room.players[0];
-          const loser = leavingPlayer;
-          const gameState = gameManager.getGameState(roomId);
-
-          // Mark game as finished
-          room.gameStatus = gameManager.GAME_STATUS.FINISHED;
-
-          try {
-            // Create game history record
-            console.log(
-              `[LEAVE_ROOM] Creating GameHistory record for room ${roomId}`
-            );
-
-            const gameHistoryRecord = await GameHistory.create({
-              user: winner?.userId,
-              roomId,
-              status: gameManager.GAME_STATUS.FINISHED,
-              players: [winner, loser], // Include both players in history
-              winnerId: winner?.userId,
-              stake: room.gameSettings.stake,
-              requiredPieces: room.gameSettings.requiredPieces,
-              createdAt: new Date(),
-              updatedAt: new Date(),
-            });
-
-            console.log(
-              `[LEAVE_ROOM] Game history saved successfully:`,
-              gameHistoryRecord._id
-            );
-          } catch (error) {
-            console.error(
-              `[LEAVE_ROOM] Error saving game history for leave win in room ${roomId}:`,
-              error
-            );
-          }
-
-          // Update winner's wallet with game winnings
-          try {
-            const {
-              addGameWinnings,
-            } = require("../controllers/wallet.controller");
-            const isBotGame = room.players.some((p) => p.isBot);
-
-            await addGameWinnings(
-              winner.userId,
-              room.gameSettings.stake,
-              roomId,
-              isBotGame
-            );
-            console.log(
-              `[LEAVE_ROOM] Added winnings to winner ${winner.name} in room ${roomId}`
-            );
-          } catch (error) {
-            console.error(
-              `[LEAVE_ROOM] Error updating winner's wallet in room ${roomId}:`,
-              error
-            );
-          }
-
-          // Create match results for the winner
-          const matchResults = {
-            winner: {
-              id: winner.id,
-              name: winner.name,
-              color: winner.color,
-              pieces: gameState?.pieces?.[winner.color] || [],
-              isBot: winner.isBot || false,
-            },
-            loser: {
-              id: loser.id,
-              name: loser.name,
-              color: loser.color,
-              pieces: gameState?.pieces?.[loser.color] || [],
-              isBot: loser.isBot || false,
-            },
-            gameDuration: Date.now() - room.createdAt,
-            requiredPieces: room.gameSettings.requiredPieces,
-            stake: room.gameSettings.stake,
-            reason: "opponent_left", // Add reason for frontend handling
-          };
-
-          console.log(`[LEAVE_ROOM] Match results:`, matchResults);
+          const isGameOver =
+            gameManager.isPlayerOut(roomId, playerId) ||
+            (await handlePlayerEliminated(io, roomId, playerId, {
+              reason: "opponent_left",
+            }));
 
-          // Emit game over to remaining player
-          io.to(roomId).emit("game_over", matchResults);
-
-          // Notify bot controller about game end
-          botController.handleGameEnd(roomId);
-
-          console.log(
-            `[LEAVE_ROOM] Player ${winner.name} won due to opponent leaving in room ${roomId}`
-          );
+          // If the game carries on, pass the turn on if it was the leaver's
+          if (!isGameOver) continueAfterDropOut(io, roomId, playerId);
         } else {
-          // Update remaining players (for waiting rooms or multiple players)
-          io.to(roomId).emit("player_left", {
-            playerId: socket.id,
-            playerName: leavingPlayer.name,
-            remainingPlayers: room.players.length,
-          });
-
-          // If game was playing and current player left, advance turn
-          if (
-            room.gameStatus === gameManager.GAME_STATUS.PLAYING &&
-            room.currentTurn === socket.id
-          ) {
-            const nextIndex =
-              playerIndex >= room.players.length ? 0 : playerIndex;
-            room.currentTurn = room.players[nextIndex].id;
+          // Remove player from room
+          room.players.splice(playerIndex, 1);
 
-            io.to(roomId).emit("room_update", {
-              players: room.players,
-              currentTurn: room.currentTurn,
-              gameStatus: room.gameStatus,
+          // If no players left, clean up the room
+          if (room.players.length === 0) {
+            try {
+              await deleteRoomRecords(roomId);
+              gameManager.deleteRoom(roomId);
+              console.log(`[LEAVE_ROOM] Empty room ${roomId} deleted`);
+            } catch (error) {
+              console.error(
+                `[LEAVE_ROOM] Error deleting empty room ${roomId}:`,
+                error
+              );
+            }
+          } else {
+            // Update remaining players in the waiting room
+            toRoom(io, roomId).emit("player_left", {
+              playerId,
+              playerName: leavingPlayer.name,
+              remainingPlayers: room.players.length,
             });
           }
         }
+        gameManager.releaseSeat(roomId, socket.id);
 
         // Emit confirmation to leaving player
         socket.emit("left_room", { roomId });
@@ -2619,13 +2939,16 @@ function registerSocketHandlers(io) {
         io.emit("available_games", availableGames);
 
         console.log(
-          `[LEAVE_ROOM] Player ${socket.id} successfully left room ${roomId}`
+          `[LEAVE_ROOM] Player ${playerId} successfully left room ${roomId}`
         );
       } catch (error) {
         console.error(`[LEAVE_ROOM] Error handling leave room:`, error);
         socket.emit("error_message", "Failed to leave room");
       }
-    });
+    };
+    socket.on("leave_room", (data) =>
+      queueSocketAction(socket, data, leaveRoom)
+    );
 
     socket.on("get_notifications", async () => {
       try {
@@ -2675,7 +2998,9 @@ function registerSocketHandlers(io) {
         socket.emit("error_message", "Failed to update notifications");
       }
     });
-  });
+  };
+  io.on("connection", handleConnection);
+  roomRouter.setConnectionHandler(handleConnection);
 
   // Cleanup inactive rooms every hour
   setInterval(async () => {
@@ -2693,3 +3018,4 @@ function registerSocketHandlers(io) {
 }
 
 module.exports = registerSocketHandlers;
+module.exports.resumeRoom = resumeRoom;
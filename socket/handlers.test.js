@@ -0,0 +1,332 @@
+jest.mock("../model/GameRoom");
+jest.mock("../model/GameState");
+jest.mock("../model/GameFairness");
+jest.mock("../model/GameHistory");
+jest.mock("../model/StakeTable");
+jest.mock("../model/gameSetting");
+jest.mock("../model/User");
+jest.mock("../model/Wallet");
+jest.mock("../services/escrow");
+
+const GameRoom = require("../model/GameRoom");
+const GameState = require("../model/GameState");
+const GameFairness = require("../model/GameFairness");
+const StakeTable = require("../model/StakeTable");
+const { collectStakes, refundEscrow } = require("../services/escrow");
+const { gameManager, RoomActionError } = require("./gameManager");
+const registerSocketHandlers = require("./handlers");
+
+describe("Socket handlers", () => {
+  const roomId = "roomHandlers";
+  let io;
+  let emitted;
+  let connect;
+
+  // Fake server: records every emit by target and event
+  const createIo = () => {
+    const target = (name) => ({
+      to: (other) => target(`${name}+${other}`),
+      emit: (event, payload) => emitted.push({ to: name, event, payload }),
+    });
+    return {
+      on: jest.fn((event, handler) => {
+        if (event === "connection") connect = handler;
+      }),
+      to: (name) => target(name),
+      in: () => ({ socketsJoin: jest.fn(), socketsLeave: jest.fn() }),
+      emit: (event, payload) => emitted.push({ to: "all", event, payload }),
+    };
+  };
+
+  // Connection forwarded from another instance, so nothing is loaded for it
+  const createSocket = (id, userId) => {
+    const handlers = {};
+    const socket = {
+      id,
+      user: { id: userId, username: userId },
+      remote: true,
+      on: (event, handler) => {
+        handlers[event] = handler;
+      },
+      emit: jest.fn(),
+      join: jest.fn(),
+      leave: jest.fn(),
+      fire: (event, data) => handlers[event](data),
+    };
+    connect(socket);
+    return socket;
+  };
+
+  beforeAll(() => {
+    jest.useFakeTimers();
+    emitted = [];
+    io = createIo();
+    registerSocketHandlers(io);
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    emitted = [];
+    // The lobby listing sent after a disconnect
+    const query = {
+      select: () => query,
+      sort: () => query,
+      lean: async () => [],
+    };
+    GameRoom.find.mockReturnValue(query);
+    StakeTable.find.mockReturnValue(query);
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "user1", userId: "user1", name: "Abebe", color: "blue" },
+        { id: "user2", userId: "user2", name: "Sara", color: "green" },
+      ],
+      currentTurn: "user1",
+      gameStatus: "playing",
+      gameSettings: { stake: 10, requiredPieces: 2, maxPlayers: 2 },
+    });
+  });
+
+  afterEach(() => {
+    gameManager.deleteRoom(roomId);
+    jest.clearAllTimers();
+  });
+
+  // Let every queued action that can run, run
+  const settle = async () => {
+    for (let i = 0; i < 20; i++) await Promise.resolve();
+  };
+
+  describe("room mailbox", () => {
+    beforeEach(() => {
+      gameManager.getRoom(roomId).players.push({
+        id: "user3",
+        userId: "user3",
+        name: "Lulit",
+        color: "red",
+      });
+    });
+
+    test("should resign only once a queued move has finished", async () => {
+      const room = gameManager.getRoom(roomId);
+      const resigner = createSocket("tablet", "user2");
+      gameManager.takeSeat(roomId, "user2", "tablet");
+
+      // The current player's move is still running when the resign arrives
+      let finishMove;
+      const move = gameManager.enqueue(roomId, async () => {
+        await new Promise((resolve) => {
+          finishMove = resolve;
+        });
+        gameManager.advanceTurn(roomId, "user1");
+      });
+      resigner.fire("resign", { roomId });
+      const resigned = resigner.fire("confirm_resign", { roomId });
+      await settle();
+
+      expect(gameManager.isPlayerOut(roomId, "user2")).toBe(false);
+      expect(resigner.emit).not.toHaveBeenCalledWith(
+        "resigned",
+        expect.anything()
+      );
+
+      finishMove();
+      await move;
+      expect(room.currentTurn).toBe("user2");
+      await resigned;
+
+      // The move handed the resigner the turn, so the resign passes it on
+      expect(gameManager.isPlayerOut(roomId, "user2")).toBe(true);
+      expect(room.currentTurn).toBe("user3");
+      expect(resigner.emit).toHaveBeenCalledWith("resigned", {
+        roomId,
+        gameOver: false,
+      });
+    });
+
+    test("should drop actions decided before an out-of-turn resign", async () => {
+      const room = gameManager.getRoom(roomId);
+      const resigner = createSocket("tablet", "user3");
+      gameManager.takeSeat(roomId, "user3", "tablet");
+      const version = gameManager.getStateVersion(roomId);
+
+      resigner.fire("resign", { roomId });
+      await resigner.fire("confirm_resign", { roomId });
+
+      expect(room.currentTurn).toBe("user1");
+      const botTurn = jest.fn();
+      await expect(
+        gameManager.enqueue(roomId, botTurn, { version })
+      ).rejects.toMatchObject({ code: RoomActionError.STALE_ACTION });
+      expect(botTurn).not.toHaveBeenCalled();
+      // The current turn is picked up again at the new version
+      expect(emitted).toContainEqual(
+        expect.objectContaining({
+          event: "room_update",
+          payload: expect.objectContaining({ currentTurn: "user1" }),
+        })
+      );
+    });
+  });
+
+  describe("leave_room", () => {
+    test("should delete every record of a waiting room its host leaves", async () => {
+      gameManager.deleteRoom(roomId);
+      gameManager.createRoom(roomId, {
+        players: [
+          { id: "user1", userId: "user1", name: "Abebe", color: "blue" },
+        ],
+        hostId: "user1",
+        gameStatus: gameManager.GAME_STATUS.WAITING,
+        gameSettings: { stake: 10, requiredPieces: 2, maxPlayers: 2 },
+      });
+      const phone = createSocket("phone", "user1");
+      gameManager.takeSeat(roomId, "user1", "phone");
+
+      await phone.fire("leave_room", { roomId });
+
+      // A leftover record would block a later room that draws the same ID
+      expect(GameRoom.deleteOne).toHaveBeenCalledWith({ roomId });
+      expect(GameState.deleteOne).toHaveBeenCalledWith({ roomId });
+      expect(GameFairness.deleteOne).toHaveBeenCalledWith({ roomId });
+      expect(gameManager.getRoom(roomId)).toBeUndefined();
+    });
+  });
+
+  describe("rematch", () => {
+    let phone;
+    let tablet;
+    let Wallet;
+
+    beforeEach(() => {
+      gameManager.getRoom(roomId).gameStatus = gameManager.GAME_STATUS.FINISHED;
+      phone = createSocket("phone", "user1");
+      tablet = createSocket("tablet", "user2");
+      gameManager.takeSeat(roomId, "user1", "phone");
+      gameManager.takeSeat(roomId, "user2", "tablet");
+      // Loaded by the handlers when the rematch is offered
+      Wallet = require("../model/Wallet");
+      Wallet.findOne.mockResolvedValue({ balance: 100 });
+      GameRoom.create.mockResolvedValue({ _id: "doc", save: jest.fn() });
+      GameState.create.mockResolvedValue({ _id: "state" });
+    });
+
+    test("should remove every record of a rematch whose stakes can't be collected", async () => {
+      collectStakes.mockRejectedValue(new Error("Insufficient balance"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      await phone.fire("request_rematch", { roomId });
+      await tablet.fire("accept_rematch", { roomId });
+
+      const newRoomId = GameRoom.create.mock.calls[0][0].roomId;
+      expect(GameRoom.deleteOne).toHaveBeenCalledWith({ roomId: newRoomId });
+      expect(GameState.deleteOne).toHaveBeenCalledWith({ roomId: newRoomId });
+      expect(GameFairness.deleteOne).toHaveBeenCalledWith({
+        roomId: newRoomId,
+      });
+      expect(gameManager.getRoom(newRoomId)).toBeUndefined();
+      expect(gameManager.getRoom(roomId).rematch).toBeNull();
+      expect(emitted.map((e) => e.event)).toContain("rematch_cancelled");
+    });
+
+    test("should not open a rematch once the finished room is cleaned up", async () => {
+      await phone.fire("request_rematch", { roomId });
+      // The cleanup timer fires while everyone's balance is checked again
+      Wallet.findOne
+        .mockResolvedValueOnce({ balance: 100 })
+        .mockImplementation(async () => {
+          gameManager.deleteRoom(roomId);
+          return { balance: 100 };
+        });
+      await tablet.fire("accept_rematch", { roomId });
+
+      expect(Wallet.findOne).toHaveBeenCalledTimes(4);
+      expect(GameRoom.create).not.toHaveBeenCalled();
+      expect(collectStakes).not.toHaveBeenCalled();
+      expect(emitted.map((e) => e.event)).not.toContain("rematch_started");
+    });
+  });
+
+  describe("disconnect", () => {
+    test("should release the seat and start the grace timer", async () => {
+      const socket = createSocket("phone", "user1");
+      gameManager.takeSeat(roomId, "user1", "phone");
+
+      await socket.fire("disconnect");
+
+      expect(gameManager.getSeat(roomId, "user1").socketId).toBeNull();
+      expect(gameManager.getDisconnectedPlayer(roomId, "user1")).toMatchObject({
+        color: "blue",
+        playerName: "Abebe",
+      });
+      expect(gameManager.getRoom(roomId).autoMoveCount.get("user1")).toBe(1);
+      expect(emitted).toContainEqual(
+        expect.objectContaining({
+          event: "player_disconnected",
+          payload: { playerId: "user1", playerName: "Abebe", timeout: 30 },
+        })
+      );
+    });
+
+    test("should leave the player seated when a taken-over socket closes", async () => {
+      const phone = createSocket("phone", "user1");
+      gameManager.takeSeat(roomId, "user1", "phone");
+      gameManager.takeSeat(roomId, "user1", "laptop");
+
+      await phone.fire("disconnect");
+
+      expect(gameManager.getSeat(roomId, "user1").socketId).toBe("laptop");
+      expect(gameManager.getDisconnectedPlayer(roomId, "user1")).toBeFalsy();
+      expect(emitted.map((e) => e.event)).not.toContain("player_disconnected");
+    });
+
+    test("should call the game off and refund it once everyone has left", async () => {
+      const room = gameManager.getRoom(roomId);
+      room.escrowId = "escrow1";
+      const phone = createSocket("phone", "user1");
+      const tablet = createSocket("tablet", "user2");
+      gameManager.takeSeat(roomId, "user1", "phone");
+      gameManager.takeSeat(roomId, "user2", "tablet");
+
+      await phone.fire("disconnect");
+      expect(refundEscrow).not.toHaveBeenCalled();
+      await tablet.fire("disconnect");
+
+      expect(room.gameStatus).toBe(gameManager.GAME_STATUS.FINISHED);
+      expect(refundEscrow).toHaveBeenCalledWith("escrow1", "abandoned");
+      expect(GameRoom.updateOne).toHaveBeenCalledWith(
+        { roomId },
+        {
+          $set: expect.objectContaining({
+            gameStatus: gameManager.GAME_STATUS.FINISHED,
+          }),
+        }
+      );
+      expect(room.disconnectedAutoMoveTimers.size).toBe(0);
+      expect(emitted).toContainEqual(
+        expect.objectContaining({
+          event: "game_over",
+          payload: expect.objectContaining({ reason: "both_disconnected" }),
+        })
+      );
+
+      // The finished room is dropped like any other
+      jest.runOnlyPendingTimers();
+      expect(gameManager.getRoom(roomId)).toBeUndefined();
+    });
+
+    test("should drop a spectator without touching the seats", async () => {
+      const fan = createSocket("fan", "user9");
+      gameManager.takeSeat(roomId, "user1", "phone");
+      gameManager.addSpectator(roomId, "fan", { userId: "user9", name: "Fan" });
+
+      await fan.fire("disconnect");
+
+      expect(gameManager.isSpectator(roomId, "fan")).toBe(false);
+      expect(gameManager.getSeat(roomId, "user1").socketId).toBe("phone");
+      expect(emitted.map((e) => e.event)).not.toContain("player_disconnected");
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { Server } = require("socket.io");
 const authenticateSocket = require("./auth");
 const registerSocketHandlers = require("./handlers");
+const { setupCluster } = require("./cluster");
 
 function setupSocketServer(server) {
   const io = new Server(server, {
@@ -12,6 +13,8 @@ function setupSocketServer(server) {
     pingTimeout: 60000,
     pingInterval: 25000,
   });
+  // Redis adapter and room routing when several instances share the load
+  setupCluster(io);
   io.use(authenticateSocket);
   registerSocketHandlers(io);
   return io;
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const { gameManager } = require("./gameManager");
+
+// No 0/O or 1/I so codes can be read out loud or typed from a screenshot
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+
+/**
+ * Clean up an invite code typed by a player or taken from a deep link
+ * @param {*} inviteCode - Raw value from the socket payload
+ * @returns {string|null} Upper-case code or null if unusable
+ */
+function normalizeInviteCode(inviteCode) {
+  if (typeof inviteCode !== "string") return null;
+  const code = inviteCode.trim().toUpperCase();
+  return /^[A-Z0-9]{4,12}$/.test(code) ? code : null;
+}
+
+/**
+ * New invite code that no live room is using
+ * @returns {string} Invite code
+ */
+function createInviteCode() {
+  let code;
+  do {
+    code = Array.from(
+      { length: INVITE_CODE_LENGTH },
+      () => INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)]
+    ).join("");
+  } while (gameManager.findRoomByInviteCode(code));
+  return code;
+}
+
+module.exports = {
+  normalizeInviteCode,
+  createInviteCode,
+};
@@ -0,0 +1,36 @@
+const { gameManager } = require("./gameManager");
+const { normalizeInviteCode, createInviteCode } = require("./invites");
+
+describe("Invite codes", () => {
+  afterEach(() => {
+    gameManager.deleteRoom("private");
+  });
+
+  test("should accept codes in any case and reject junk", () => {
+    expect(normalizeInviteCode(" ab3d9k ")).toBe("AB3D9K");
+    expect(normalizeInviteCode("")).toBeNull();
+    expect(normalizeInviteCode("abc-123")).toBeNull();
+    expect(normalizeInviteCode(123456)).toBeNull();
+    expect(normalizeInviteCode(undefined)).toBeNull();
+  });
+
+  test("should create readable codes", () => {
+    for (let i = 0; i < 50; i++) {
+      const code = createInviteCode();
+      expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+      expect(normalizeInviteCode(code)).toBe(code);
+    }
+  });
+
+  test("should find the room a code belongs to", () => {
+    const code = createInviteCode();
+    gameManager.createRoom("private", {
+      gameSettings: { private: true },
+      inviteCode: code,
+    });
+
+    expect(gameManager.findRoomByInviteCode(code).roomId).toBe("private");
+    expect(gameManager.findRoomByInviteCode("ZZZZZZ")).toBeUndefined();
+    expect(gameManager.findRoomByInviteCode(null)).toBeUndefined();
+  });
+});
@@ -0,0 +1,166 @@
+const { BOT_CONFIG } = require("./bots/config");
+
+// Recent waits per queue that feed the estimate shown to waiting players
+const WAIT_SAMPLE_SIZE = 20;
+
+/**
+ * Quick-match queue. Players wait per stake and piece count; two compatible
+ * players go to the match handler as soon as the second arrives, and a player
+ * still alone when the bot wait runs out goes to the timeout handler. The
+ * handlers open the rooms, so the queue never touches sockets or the database.
+ *
+ * The queue lives in this process. With several instances (REDIS_URL set),
+ * players are only paired with others connected to the same instance; the
+ * rest get a bot opponent once the wait runs out.
+ */
+class Matchmaker {
+  constructor(options = {}) {
+    this.botWaitMs = options.botWaitMs || BOT_CONFIG.QUICK_MATCH_BOT_WAIT_MS;
+    this.queues = new Map(); // key -> entries in arrival order
+    this.entries = new Map(); // socketId -> entry
+    this.recentWaits = new Map(); // key -> last WAIT_SAMPLE_SIZE waits in ms
+    this.matchHandler = null;
+    this.timeoutHandler = null;
+    this.statusHandler = null;
+  }
+
+  /**
+   * @param {Function} handler - ([first, second], settings) for a pairing
+   */
+  setMatchHandler(handler) {
+    this.matchHandler = handler;
+  }
+
+  /**
+   * @param {Function} handler - (entry) for a player nobody was found for
+   */
+  setTimeoutHandler(handler) {
+    this.timeoutHandler = handler;
+  }
+
+  /**
+   * @param {Function} handler - (entry, status) whenever a queue changes
+   */
+  setStatusHandler(handler) {
+    this.statusHandler = handler;
+  }
+
+  getKey({ stake, requiredPieces }) {
+    return `${stake}:${requiredPieces}`;
+  }
+
+  /**
+   * Queue a player, or pair them straight away with someone already waiting
+   * @param {Object} player - { socketId, userId, ... } passed to the handlers
+   * @param {Object} settings - { stake, requiredPieces }
+   * @returns {Object|null} Queue entry, or null if the player already waits
+   */
+  enqueue(player, settings) {
+    if (this.isQueued(player.socketId, player.userId)) return null;
+
+    const key = this.getKey(settings);
+    const queue = this.queues.get(key) || [];
+    const entry = { player, settings, key, queuedAt: Date.now(), timer: null };
+
+    if (queue.length > 0) {
+      const opponent = this.remove(queue[0].player.socketId);
+      this.recordWait(key, entry.queuedAt - opponent.queuedAt);
+      if (this.matchHandler) this.matchHandler([opponent, entry], settings);
+      return entry;
+    }
+
+    queue.push(entry);
+    this.queues.set(key, queue);
+    this.entries.set(player.socketId, entry);
+    entry.timer = setTimeout(() => this.expire(entry), this.botWaitMs);
+    this.notify(key);
+    return entry;
+  }
+
+  /**
+   * Leave the queue
+   * @param {string} socketId - Socket of the waiting player
+   * @returns {boolean} True if the player was queued
+   */
+  cancel(socketId) {
+    return this.remove(socketId) !== null;
+  }
+
+  isQueued(socketId, userId) {
+    if (this.entries.has(socketId)) return true;
+    for (const entry of this.entries.values()) {
+      if (userId && entry.player.userId === userId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Where a player stands in their queue
+   * @param {string} socketId - Socket of the waiting player
+   * @returns {Object|null} { position, queueSize, estimatedWaitMs }
+   */
+  getStatus(socketId) {
+    const entry = this.entries.get(socketId);
+    if (!entry) return null;
+
+    const queue = this.queues.get(entry.key);
+    const waited = Date.now() - entry.queuedAt;
+    const untilBots = Math.max(0, this.botWaitMs - waited);
+    const waits = this.recentWaits.get(entry.key) || [];
+    const typical = waits.length
+      ? waits.reduce((sum, ms) => sum + ms, 0) / waits.length
+      : this.botWaitMs;
+
+    return {
+      stake: entry.settings.stake,
+      requiredPieces: entry.settings.requiredPieces,
+      position: queue.indexOf(entry) + 1,
+      queueSize: queue.length,
+      estimatedWaitMs: Math.round(
+        Math.min(Math.max(0, typical - waited), untilBots)
+      ),
+      botFallbackMs: untilBots,
+    };
+  }
+
+  remove(socketId) {
+    const entry = this.entries.get(socketId);
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    this.entries.delete(socketId);
+    const queue = this.queues.get(entry.key).filter((e) => e !== entry);
+    if (queue.length > 0) {
+      this.queues.set(entry.key, queue);
+    } else {
+      this.queues.delete(entry.key);
+    }
+    this.notify(entry.key);
+    return entry;
+  }
+
+  expire(entry) {
+    if (this.entries.get(entry.player.socketId) !== entry) return;
+    this.remove(entry.player.socketId);
+    if (this.timeoutHandler) this.timeoutHandler(entry);
+  }
+
+  recordWait(key, ms) {
+    const waits = [...(this.recentWaits.get(key) || []), ms];
+    this.recentWaits.set(key, waits.slice(-WAIT_SAMPLE_SIZE));
+  }
+
+  notify(key) {
+    if (!this.statusHandler) return;
+    for (const entry of this.queues.get(key) || []) {
+      this.statusHandler(entry, this.getStatus(entry.player.socketId));
+    }
+  }
+}
+
+const matchmaker = new Matchmaker();
+
+module.exports = {
+  Matchmaker,
+  matchmaker,
+};
@@ -0,0 +1,103 @@
+const { Matchmaker } = require("./matchmaking");
+
+describe("Quick match queue", () => {
+  const settings = { stake: 10, requiredPieces: 2 };
+  const player = (n) => ({ socketId: `s${n}`, userId: `u${n}` });
+  let matchmaker;
+  let onMatch;
+  let onTimeout;
+  let onStatus;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    matchmaker = new Matchmaker({ botWaitMs: 30000 });
+    onMatch = jest.fn();
+    onTimeout = jest.fn();
+    onStatus = jest.fn();
+    matchmaker.setMatchHandler(onMatch);
+    matchmaker.setTimeoutHandler(onTimeout);
+    matchmaker.setStatusHandler(onStatus);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should pair two players with the same stake and pieces", () => {
+    matchmaker.enqueue(player(1), settings);
+    jest.advanceTimersByTime(4000);
+    matchmaker.enqueue(player(2), settings);
+
+    expect(onMatch).toHaveBeenCalledTimes(1);
+    const [[first, second]] = onMatch.mock.calls[0];
+    expect(first.player.socketId).toBe("s1");
+    expect(second.player.socketId).toBe("s2");
+    expect(matchmaker.isQueued("s1")).toBe(false);
+
+    // No bot fallback for a player who was matched
+    jest.advanceTimersByTime(30000);
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+
+  test("should keep different stakes and piece counts apart", () => {
+    matchmaker.enqueue(player(1), settings);
+    matchmaker.enqueue(player(2), { stake: 20, requiredPieces: 2 });
+    matchmaker.enqueue(player(3), { stake: 10, requiredPieces: 4 });
+
+    expect(onMatch).not.toHaveBeenCalled();
+    expect(matchmaker.getStatus("s2").position).toBe(1);
+  });
+
+  test("should not queue a player twice", () => {
+    expect(matchmaker.enqueue(player(1), settings)).not.toBeNull();
+    expect(matchmaker.enqueue(player(1), settings)).toBeNull();
+    expect(
+      matchmaker.enqueue({ socketId: "other", userId: "u1" }, settings)
+    ).toBeNull();
+    expect(onMatch).not.toHaveBeenCalled();
+  });
+
+  test("should hand a lone player to the bot fallback", () => {
+    matchmaker.enqueue(player(1), settings);
+
+    jest.advanceTimersByTime(29999);
+    expect(onTimeout).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+
+    expect(onTimeout).toHaveBeenCalledWith(
+      expect.objectContaining({ player: player(1), settings })
+    );
+    expect(matchmaker.isQueued("s1")).toBe(false);
+  });
+
+  test("should report position and an estimated wait", () => {
+    matchmaker.enqueue(player(1), settings);
+
+    expect(onStatus).toHaveBeenLastCalledWith(
+      expect.objectContaining({ player: player(1) }),
+      expect.objectContaining({
+        position: 1,
+        queueSize: 1,
+        estimatedWaitMs: 30000,
+      })
+    );
+
+    // The estimate follows how long recent matches took
+    jest.advanceTimersByTime(6000);
+    matchmaker.enqueue(player(2), settings);
+    matchmaker.enqueue(player(3), settings);
+    expect(matchmaker.getStatus("s3").estimatedWaitMs).toBe(6000);
+  });
+
+  test("should cancel and stop the bot fallback", () => {
+    matchmaker.enqueue(player(1), settings);
+
+    expect(matchmaker.cancel("s1")).toBe(true);
+    expect(matchmaker.cancel("s1")).toBe(false);
+    jest.advanceTimersByTime(30000);
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    matchmaker.enqueue(player(2), settings);
+    expect(onMatch).not.toHaveBeenCalled();
+  });
+});
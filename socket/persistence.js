@@ -0,0 +1,256 @@
+const GameRoom = require("../model/GameRoom");
+const GameState = require("../model/GameState");
+const GameFairness = require("../model/GameFairness");
+const { gameManager } = require("./gameManager");
+
+// roomId -> { promise, dirty } for the write currently in flight
+const pendingWrites = new Map();
+
+/**
+ * Snapshot the parts of a room that change during play
+ * @param {Object} room - Room state
+ * @returns {Object} Plain object for the GameState document
+ */
+function serializeRoom(room) {
+  return {
+    pieces: room.gameState.pieces,
+    currentTurn: room.currentTurn,
+    dieStatus: room.dieStatus,
+    lastRoll: room.lastRoll,
+    finishedPlayers: room.finishedPlayers,
+    eliminatedPlayers: room.eliminatedPlayers,
+    escrowId: room.escrowId,
+    eventSeq: room.eventSeq,
+    consecutiveSixes: room.consecutiveSixes,
+    fairness: room.fairness,
+    autoMoveCount: Object.fromEntries(room.autoMoveCount),
+    turnClock: room.turnClock,
+    timeBanks: room.timeBanks,
+    strikes: room.strikes,
+    forfeits: room.forfeits,
+    disconnectedPlayers: [...room.disconnectedPlayers].map(([id, player]) => ({
+      id,
+      color: player.color,
+      playerName: player.playerName,
+      disconnectedAt: player.disconnectedAt,
+    })),
+    savedAt: new Date(),
+  };
+}
+
+/**
+ * Build room data for gameManager.createRoom from the saved documents.
+ * Disconnected players are left out; their timers are restarted by resumeRoom.
+ * @param {Object} gameRoom - GameRoom document
+ * @param {Object} snapshot - GameState document
+ * @returns {Object} Room data
+ */
+function restoreRoom(gameRoom, snapshot) {
+  return {
+    players: gameRoom.players,
+    currentTurn: snapshot.currentTurn || gameRoom.currentTurn,
+    gameStatus: gameRoom.gameStatus,
+    dieStatus: snapshot.dieStatus || gameRoom.dieStatus,
+    lastRoll: snapshot.lastRoll || null,
+    createdAt: new Date(gameRoom.createdAt).getTime(),
+    hostId: gameRoom.hostId,
+    gameSettings: gameRoom.gameSettings,
+    botsEnabled: gameRoom.botsEnabled,
+    inviteCode: gameRoom.inviteCode || null,
+    gameState: { pieces: snapshot.pieces },
+    finishedPlayers: snapshot.finishedPlayers || [],
+    eliminatedPlayers: snapshot.eliminatedPlayers || [],
+    escrowId: snapshot.escrowId || null,
+    eventSeq: snapshot.eventSeq || 0,
+    consecutiveSixes: snapshot.consecutiveSixes || 0,
+    fairness: snapshot.fairness,
+    autoMoveCount: new Map(Object.entries(snapshot.autoMoveCount || {})),
+    turnClock: snapshot.turnClock || null,
+    timeBanks: snapshot.timeBanks || {},
+    strikes: snapshot.strikes || {},
+    forfeits: snapshot.forfeits || {},
+  };
+}
+
+async function writeRoom(roomId) {
+  const room = gameManager.getRoom(roomId);
+  if (!room) return;
+
+  await Promise.all([
+    GameState.updateOne({ roomId }, { $set: serializeRoom(room) }),
+    GameRoom.updateOne(
+      { roomId },
+      {
+        $set: {
+          players: room.players,
+          currentTurn: room.currentTurn,
+          gameStatus: room.gameStatus,
+          dieStatus: room.dieStatus,
+          lastRoll: room.lastRoll,
+        },
+      }
+    ),
+  ]);
+}
+
+/**
+ * Save a room's live state. Calls made while a write is in flight are
+ * folded into one follow-up write of the latest state, so writes for a room
+ * never land out of order.
+ * @param {string} roomId - Room ID
+ * @returns {Promise<void>} Resolves once the latest state is saved
+ */
+function persistRoom(roomId) {
+  const pending = pendingWrites.get(roomId);
+  if (pending) {
+    pending.dirty = true;
+    return pending.promise;
+  }
+
+  const write = { dirty: false };
+  write.promise = (async () => {
+    try {
+      do {
+        write.dirty = false;
+        await writeRoom(roomId);
+      } while (write.dirty);
+    } catch (error) {
+      console.error(`[Persistence] Error saving room ${roomId}:`, error);
+    } finally {
+      pendingWrites.delete(roomId);
+    }
+  })();
+  pendingWrites.set(roomId, write);
+  return write.promise;
+}
+
+/**
+ * Save the documents a new room starts with: the room itself, its board and
+ * the dice seed commitment. The room goes into gameManager separately.
+ * @param {string} roomId - Room ID
+ * @param {Object} roomData - Room data passed to gameManager.createRoom
+ * @param {Object} options - { host, botsEnabled, pieces }
+ * @returns {Promise<Object>} GameRoom document
+ */
+async function createRoomRecords(roomId, roomData, options) {
+  const { host, botsEnabled = false, pieces } = options;
+  const gameRoomDoc = await GameRoom.create({
+    roomId,
+    players: roomData.players,
+    // Rooms opened without a player yet get their first turn on join
+    currentTurn: roomData.currentTurn || roomData.hostId,
+    gameStatus: roomData.gameStatus,
+    dieStatus: roomData.dieStatus,
+    lastRoll: roomData.lastRoll,
+    hostId: roomData.hostId,
+    host,
+    gameSettings: roomData.gameSettings,
+    botsEnabled, // Store the decision at game creation time
+    inviteCode: roomData.inviteCode || undefined,
+  });
+  const gameStateDoc = await GameState.create({
+    roomId,
+    pieces,
+    room: gameRoomDoc._id,
+  });
+  gameRoomDoc.gameState = gameStateDoc._id;
+  await gameRoomDoc.save();
+  await GameFairness.create({
+    roomId,
+    serverSeedHash: roomData.fairness.serverSeedHash,
+  });
+  return gameRoomDoc;
+}
+
+/**
+ * Remove everything createRoomRecords wrote for a room that never started
+ * @param {string} roomId - Room ID
+ */
+async function deleteRoomRecords(roomId) {
+  await Promise.all([
+    GameRoom.deleteOne({ roomId }),
+    GameState.deleteOne({ roomId }),
+    GameFairness.deleteOne({ roomId }),
+  ]);
+}
+
+/**
+ * Rebuild one running game from its saved state and pick its timers and
+ * bots back up
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} gameRoom - GameRoom document, looked up if not given
+ * @returns {Promise<boolean>} Whether the room is now in gameManager
+ */
+async function rehydrateRoom(io, roomId, gameRoom = null) {
+  const { resumeRoom } = require("./handlers");
+  if (gameManager.getRoom(roomId)) return true;
+
+  try {
+    gameRoom =
+      gameRoom ||
+      (await GameRoom.findOne({
+        roomId,
+        gameStatus: gameManager.GAME_STATUS.PLAYING,
+      }).lean());
+    if (!gameRoom) return false;
+
+    const snapshot = await GameState.findOne({ roomId }).lean();
+    if (!snapshot?.savedAt || !snapshot.fairness) {
+      console.warn(`[Persistence] No saved state for room ${roomId}`);
+      return false;
+    }
+
+    gameManager.createRoom(roomId, restoreRoom(gameRoom, snapshot));
+    resumeRoom(io, roomId, snapshot.disconnectedPlayers || []);
+    return true;
+  } catch (error) {
+    gameManager.deleteRoom(roomId);
+    console.error(`[Persistence] Error restoring room ${roomId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Rebuild every game that was running when the server went down. Games
+ * without a saved state can't be resumed and are left for escrow recovery
+ * to refund. With several instances each game is restored by the one that
+ * claims it.
+ * @param {Object} io - Socket.io instance
+ * @param {Object} options - { claimRoom: async (roomId) => false if another
+ * instance holds the room, releaseRoom: async (roomId) for claimed rooms
+ * that couldn't be restored }
+ * @returns {Promise<Array<string>>} IDs of the restored rooms
+ */
+async function rehydrateRooms(
+  io,
+  { claimRoom = async () => true, releaseRoom = async () => {} } = {}
+) {
+  const gameRooms = await GameRoom.find({
+    gameStatus: gameManager.GAME_STATUS.PLAYING,
+  }).lean();
+
+  const restored = [];
+  for (const gameRoom of gameRooms) {
+    const { roomId } = gameRoom;
+    if (gameManager.getRoom(roomId) || !(await claimRoom(roomId))) continue;
+    if (await rehydrateRoom(io, roomId, gameRoom)) {
+      restored.push(roomId);
+    } else {
+      await releaseRoom(roomId);
+    }
+  }
+
+  console.log(`[Persistence] Restored ${restored.length} rooms`);
+  return restored;
+}
+
+module.exports = {
+  serializeRoom,
+  restoreRoom,
+  persistRoom,
+  createRoomRecords,
+  deleteRoomRecords,
+  rehydrateRoom,
+  rehydrateRooms,
+};
@@ -0,0 +1,100 @@
+jest.mock("../model/GameRoom");
+jest.mock("../model/GameState");
+
+const GameRoom = require("../model/GameRoom");
+const GameState = require("../model/GameState");
+const { gameManager } = require("./gameManager");
+const { serializeRoom, restoreRoom, persistRoom } = require("./persistence");
+
+describe("Room persistence", () => {
+  const roomId = "persisted";
+  const restoredId = "restored";
+
+  const createPlayingRoom = () =>
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "p1", userId: "u1", name: "Host", color: "blue" },
+        { id: "bot_1", name: "Bot", color: "green", isBot: true },
+      ],
+      currentTurn: "bot_1",
+      gameStatus: "playing",
+      hostId: "u1",
+      gameSettings: { stake: 10, requiredPieces: 2, maxPlayers: 2 },
+      gameState: {
+        pieces: {
+          blue: ["p3", "bh2", "bh3", "bh4"],
+          green: ["p40", "gh2", "gh3", "gh4"],
+        },
+      },
+      escrowId: "escrow1",
+    });
+
+  afterEach(() => {
+    gameManager.deleteRoom(roomId);
+    gameManager.deleteRoom(restoredId);
+    jest.clearAllMocks();
+  });
+
+  test("should rebuild the same room from a snapshot", () => {
+    const room = createPlayingRoom();
+    room.lastRoll = { value: 4, roller: "bot_1", moved: false };
+    room.eliminatedPlayers.push("p1");
+    room.autoMoveCount.set("p1", 2);
+
+    const snapshot = serializeRoom(room);
+    const gameRoom = {
+      roomId,
+      players: room.players,
+      currentTurn: "p1",
+      gameStatus: "playing",
+      dieStatus: "stopped",
+      hostId: "u1",
+      gameSettings: room.gameSettings,
+      botsEnabled: true,
+      createdAt: new Date(room.createdAt),
+    };
+    const restored = gameManager.createRoom(
+      restoredId,
+      restoreRoom(gameRoom, JSON.parse(JSON.stringify(snapshot)))
+    );
+
+    expect(restored.currentTurn).toBe("bot_1");
+    expect(restored.lastRoll).toEqual(room.lastRoll);
+    expect(restored.gameState.pieces).toEqual(room.gameState.pieces);
+    expect(restored.eliminatedPlayers).toEqual(["p1"]);
+    expect(restored.escrowId).toBe("escrow1");
+    expect(restored.autoMoveCount.get("p1")).toBe(2);
+    expect(restored.fairness.serverSeedHash).toBe(
+      room.fairness.serverSeedHash
+    );
+    expect(restored.fairness.serverSeed).toBe(room.fairness.serverSeed);
+  });
+
+  test("should fold writes made during a save into one more write", async () => {
+    createPlayingRoom();
+    GameState.updateOne.mockResolvedValue({});
+    GameRoom.updateOne.mockResolvedValue({});
+
+    const first = persistRoom(roomId);
+    persistRoom(roomId);
+    persistRoom(roomId);
+    await first;
+
+    expect(GameState.updateOne).toHaveBeenCalledTimes(2);
+    expect(GameRoom.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  test("should save through the manager once a handler is attached", () => {
+    createPlayingRoom();
+    const handler = jest.fn();
+
+    gameManager.advanceTurn(roomId, "bot_1");
+    expect(handler).not.toHaveBeenCalled();
+
+    gameManager.setPersistHandler(handler);
+    gameManager.advanceTurn(roomId, "p1");
+    gameManager.setPersistHandler(null);
+
+    expect(handler).toHaveBeenCalledWith(roomId);
+  });
+});
@@ -0,0 +1,152 @@
+const { gameManager } = require("./gameManager");
+const { sanitizeClientSeed } = require("./fairness");
+const { BOT_CONFIG } = require("./bots/config");
+
+// Rematch handshake for a finished room, kept on room.rematch until the
+// room is cleaned up:
+// {
+//   requestedBy: player ID who asked,
+//   accepted: player IDs who agreed, the requester included,
+//   clientSeeds: { [playerId]: seed for the next game's dice },
+//   starting: true once everyone agreed and the new room is being opened,
+// }
+
+const RematchError = {
+  UNAVAILABLE: "REMATCH_UNAVAILABLE",
+  NOT_A_PLAYER: "NOT_A_PLAYER",
+  NO_OFFER: "NO_REMATCH_OFFER",
+};
+
+function rematchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getFinishedRoom(roomId, playerId) {
+  const room = gameManager.getRoom(roomId);
+  if (
+    !room ||
+    room.gameStatus !== gameManager.GAME_STATUS.FINISHED ||
+    room.gameSettings.tournament
+  ) {
+    throw rematchError(
+      RematchError.UNAVAILABLE,
+      "A rematch isn't available for this room"
+    );
+  }
+  if (!room.players.some((p) => p.id === playerId)) {
+    throw rematchError(
+      RematchError.NOT_A_PLAYER,
+      "Only players of this game can ask for a rematch"
+    );
+  }
+  return room;
+}
+
+// Claims the offer for starting once every seat has agreed, so the new
+// room is only opened once
+function claimIfReady(room) {
+  const offer = room.rematch;
+  const ready =
+    !offer.starting && room.players.every((p) => offer.accepted.includes(p.id));
+  if (ready) offer.starting = true;
+  return { offer, ready, declinedBy: null };
+}
+
+/**
+ * Accept an open rematch offer
+ * @param {string} roomId - Finished room
+ * @param {string} playerId - Player accepting
+ * @param {string} clientSeed - Optional seed for the next game's dice
+ * @returns {Object} { offer, ready, declinedBy } where ready means every
+ * player agreed and the new room should be opened
+ * @throws {Error} REMATCH_UNAVAILABLE, NOT_A_PLAYER or NO_REMATCH_OFFER
+ */
+function acceptRematch(roomId, playerId, clientSeed) {
+  const room = getFinishedRoom(roomId, playerId);
+  if (!room.rematch) {
+    throw rematchError(RematchError.NO_OFFER, "Nobody asked for a rematch");
+  }
+
+  const offer = room.rematch;
+  if (offer.starting) return { offer, ready: false, declinedBy: null };
+  if (!offer.accepted.includes(playerId)) offer.accepted.push(playerId);
+  offer.clientSeeds[playerId] = sanitizeClientSeed(clientSeed);
+  return claimIfReady(room);
+}
+
+/**
+ * Ask for a rematch, or accept if another player already asked. Bots
+ * answer on the spot: each accepts with REMATCH_ACCEPT_PROBABILITY.
+ * @param {string} roomId - Finished room
+ * @param {string} playerId - Player asking
+ * @param {Object} options - { clientSeed, random, acceptProbability }
+ * @returns {Object} { offer, ready, declinedBy } where declinedBy is the
+ * bot that turned it down
+ * @throws {Error} REMATCH_UNAVAILABLE or NOT_A_PLAYER
+ */
+function requestRematch(roomId, playerId, options = {}) {
+  const {
+    clientSeed,
+    random = Math.random,
+    acceptProbability = BOT_CONFIG.REMATCH_ACCEPT_PROBABILITY,
+  } = options;
+  const room = getFinishedRoom(roomId, playerId);
+  if (room.rematch) return acceptRematch(roomId, playerId, clientSeed);
+
+  const offer = {
+    requestedBy: playerId,
+    accepted: [playerId],
+    clientSeeds: { [playerId]: sanitizeClientSeed(clientSeed) },
+    starting: false,
+  };
+  for (const bot of room.players.filter((p) => p.isBot)) {
+    if (!(random() < acceptProbability)) {
+      return { offer: null, ready: false, declinedBy: bot };
+    }
+    offer.accepted.push(bot.id);
+  }
+
+  room.rematch = offer;
+  return claimIfReady(room);
+}
+
+/**
+ * Turn down a rematch. The offer is dropped; anyone can ask again.
+ * @param {string} roomId - Finished room
+ * @param {string} playerId - Player declining
+ * @returns {boolean} True if there was an offer to decline
+ */
+function declineRematch(roomId, playerId) {
+  const room = getFinishedRoom(roomId, playerId);
+  if (!room.rematch || room.rematch.starting) return false;
+  room.rematch = null;
+  return true;
+}
+
+/**
+ * Seats for the rematch: the same players in the same colours, with the
+ * opening turn passed to the next seat
+ * @param {Object} room - Finished room with an agreed offer
+ * @returns {Object} { players, openingSeat } players in seat order
+ */
+function getRematchLineup(room) {
+  const seeds = room.rematch?.clientSeeds || {};
+  const players = room.players.map((player) => ({
+    ...player,
+    clientSeed: player.isBot ? player.clientSeed : seeds[player.id],
+    joinedAt: new Date(),
+  }));
+  const openingSeat =
+    ((room.gameSettings.openingSeat || 0) + 1) % players.length;
+  return { players, openingSeat };
+}
+
+module.exports = {
+  RematchError,
+  requestRematch,
+  acceptRematch,
+  declineRematch,
+  getRematchLineup,
+};
@@ -0,0 +1,113 @@
+const { gameManager } = require("./gameManager");
+const {
+  requestRematch,
+  acceptRematch,
+  declineRematch,
+  getRematchLineup,
+} = require("./rematch");
+
+const finishedRoom = (players, gameSettings = {}) =>
+  gameManager.createRoom("finished", {
+    players,
+    gameStatus: gameManager.GAME_STATUS.FINISHED,
+    gameSettings: { stake: 50, ...gameSettings },
+  });
+
+const alice = { id: "s1", userId: "u1", name: "Alice", color: "green" };
+const bob = { id: "s2", userId: "u2", name: "Bob", color: "blue" };
+const bot = { id: "bot_1", name: "Bot", color: "blue", isBot: true };
+
+describe("Rematch", () => {
+  afterEach(() => {
+    gameManager.deleteRoom("finished");
+  });
+
+  test("should start once every player accepts", () => {
+    finishedRoom([alice, bob]);
+
+    const asked = requestRematch("finished", "s1", { clientSeed: "a" });
+    expect(asked.ready).toBe(false);
+    expect(asked.offer.accepted).toEqual(["s1"]);
+
+    const agreed = acceptRematch("finished", "s2", "b");
+    expect(agreed.ready).toBe(true);
+    expect(agreed.offer.clientSeeds).toEqual({ s1: "a", s2: "b" });
+
+    // A late second accept doesn't open another room
+    expect(acceptRematch("finished", "s2").ready).toBe(false);
+    expect(declineRematch("finished", "s1")).toBe(false);
+  });
+
+  test("should treat a second request as an accept", () => {
+    finishedRoom([alice, bob]);
+    requestRematch("finished", "s1");
+    expect(requestRematch("finished", "s2").ready).toBe(true);
+  });
+
+  test("should let bots answer by probability", () => {
+    finishedRoom([alice, bot]);
+    const declined = requestRematch("finished", "s1", {
+      random: () => 0.8,
+      acceptProbability: 0.7,
+    });
+    expect(declined.declinedBy.id).toBe("bot_1");
+    expect(gameManager.getRoom("finished").rematch).toBeNull();
+
+    const accepted = requestRematch("finished", "s1", {
+      random: () => 0.2,
+      acceptProbability: 0.7,
+    });
+    expect(accepted.ready).toBe(true);
+    expect(accepted.offer.accepted).toEqual(["s1", "bot_1"]);
+  });
+
+  test("should only be offered by players of a finished game", () => {
+    finishedRoom([alice, bob]);
+    expect(() => requestRematch("finished", "s9")).toThrow(
+      expect.objectContaining({ code: "NOT_A_PLAYER" })
+    );
+    expect(() => acceptRematch("finished", "s2")).toThrow(
+      expect.objectContaining({ code: "NO_REMATCH_OFFER" })
+    );
+
+    gameManager.getRoom("finished").gameStatus =
+      gameManager.GAME_STATUS.PLAYING;
+    expect(() => requestRematch("finished", "s1")).toThrow(
+      expect.objectContaining({ code: "REMATCH_UNAVAILABLE" })
+    );
+    expect(() => requestRematch("missing", "s1")).toThrow(
+      expect.objectContaining({ code: "REMATCH_UNAVAILABLE" })
+    );
+  });
+
+  test("should not rematch tournament games", () => {
+    finishedRoom([alice, bob], { tournament: { tournamentId: "t1" } });
+    expect(() => requestRematch("finished", "s1")).toThrow(
+      expect.objectContaining({ code: "REMATCH_UNAVAILABLE" })
+    );
+  });
+
+  test("should drop a declined offer", () => {
+    finishedRoom([alice, bob]);
+    requestRematch("finished", "s1");
+    expect(declineRematch("finished", "s2")).toBe(true);
+    expect(gameManager.getRoom("finished").rematch).toBeNull();
+    expect(declineRematch("finished", "s2")).toBe(false);
+  });
+
+  test("should keep seats and pass the opening turn on", () => {
+    const room = finishedRoom([alice, bob]);
+    requestRematch("finished", "s1", { clientSeed: "a" });
+    acceptRematch("finished", "s2");
+
+    const first = getRematchLineup(room);
+    expect(first.openingSeat).toBe(1);
+    expect(first.players.map((p) => [p.id, p.color, p.clientSeed])).toEqual([
+      ["s1", "green", "a"],
+      ["s2", "blue", undefined],
+    ]);
+
+    room.gameSettings.openingSeat = 1;
+    expect(getRematchLineup(room).openingSeat).toBe(0);
+  });
+});
@@ -0,0 +1,262 @@
+const GameReplay = require("../model/GameReplay");
+const { gameManager } = require("./gameManager");
+const rules = require("./rules");
+const { computeRoll } = require("./fairness");
+
+/**
+ * Store a replay event. Writes can land in any order; readers sort by seq.
+ * @param {string} roomId - Room ID
+ * @param {Object} event - Event from gameManager.recordEvent
+ * @returns {Promise<void>}
+ */
+async function appendEvent(roomId, event) {
+  try {
+    const update = { $push: { events: event } };
+    if (event.type === "game_over") {
+      update.$set = { finishedAt: new Date(event.at) };
+    }
+    await GameReplay.updateOne({ roomId }, update, { upsert: true });
+  } catch (error) {
+    console.error(
+      `[Replay] Error saving ${event.type} event for ${roomId}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Record the opening position once every seat is filled, so a replay can be
+ * stepped through from the start
+ * @param {string} roomId - Room ID
+ * @returns {Object|null} Recorded event
+ */
+function recordGameStart(roomId) {
+  const room = gameManager.getRoom(roomId);
+  if (!room) return null;
+
+  return gameManager.recordEvent(roomId, "game_start", {
+    players: room.players.map((p) => ({
+      id: p.id,
+      userId: p.userId,
+      name: p.name,
+      color: p.color,
+      isBot: p.isBot || false,
+    })),
+    pieces: JSON.parse(JSON.stringify(room.gameState.pieces)),
+    settings: room.gameSettings,
+    firstTurn: room.currentTurn,
+    serverSeedHash: room.fairness.serverSeedHash,
+    clientSeed: room.fairness.clientSeed,
+  });
+}
+
+/**
+ * Record the events of a rules engine result. Turn changes and finishes are
+ * left out; advanceTurn and gameOver record those as they apply them.
+ * @param {string} roomId - Room ID
+ * @param {Array} events - Events from rules.applyRoll or rules.applyMove
+ * @param {Object} extra - Fields added to every event, e.g. { bot: true }
+ */
+function recordRulesEvents(roomId, events, extra = {}) {
+  const room = gameManager.getRoom(roomId);
+  if (!room) return;
+
+  for (const { type, ...data } of events) {
+    if (type === "turn" || type === "player_finished") continue;
+    if (type === "roll") {
+      // The nonce lets the roll be re-derived once the seed is revealed
+      data.nonce = room.fairness.nonce;
+    }
+    gameManager.recordEvent(roomId, type, { ...data, ...extra });
+  }
+}
+
+/**
+ * Load a game's replay in event order
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>} Replay or null if nothing was recorded
+ */
+async function getReplay(roomId) {
+  const record = await GameReplay.findOne({ roomId }).lean();
+  if (!record) return null;
+
+  const events = [...record.events].sort((a, b) => a.seq - b.seq);
+  const start = events.find((e) => e.type === "game_start");
+  return {
+    roomId,
+    players: start?.players || [],
+    settings: start?.settings,
+    initialPieces: start?.pieces,
+    finished: Boolean(record.finishedAt),
+    finishedAt: record.finishedAt,
+    events,
+  };
+}
+
+/**
+ * Player view of a replay. Bot decisions keep the chosen move but not the
+ * scores of the moves the bot weighed up, and chat keeps only the filtered
+ * text.
+ * @param {Object} replay - Replay from getReplay
+ * @returns {Object} Replay safe to send to a player
+ */
+function toPlayerReplay(replay) {
+  return {
+    ...replay,
+    events: replay.events.map((event) => {
+      if (event.type === "chat") {
+        const { original, ...message } = event;
+        return message;
+      }
+      if (event.type !== "bot_decision") return event;
+      const { options, ...decision } = event;
+      return { ...decision, optionCount: options?.length || 0 };
+    }),
+  };
+}
+
+/**
+ * Re-run a replay through the move rules and report every place where the
+ * recorded game differs from what the rules allow
+ * @param {Array} events - Replay events
+ * @returns {Object} { valid, eventsChecked, divergences, finalPieces }
+ */
+function validateReplay(events) {
+  const ordered = [...events].sort((a, b) => a.seq - b.seq);
+  const divergences = [];
+  const report = (event, message, details = {}) =>
+    divergences.push({
+      seq: event.seq,
+      type: event.type,
+      message,
+      ...details,
+    });
+
+  const startIndex = ordered.findIndex((e) => e.type === "game_start");
+  if (startIndex === -1) {
+    return {
+      valid: false,
+      eventsChecked: 0,
+      divergences: [{ seq: null, type: "game_start", message: "No start" }],
+      finalPieces: null,
+    };
+  }
+
+  const start = ordered[startIndex];
+  const pieces = JSON.parse(JSON.stringify(start.pieces));
+  const houseRules = start.settings?.houseRules;
+  // Dice can be re-derived once game over reveals the seed
+  const seed = ordered.find((e) => e.type === "game_over")?.fairness;
+  let lastRoll = null;
+  let lastMove = null;
+  let previousSeq = start.seq;
+
+  for (const event of ordered.slice(startIndex + 1)) {
+    if (event.seq !== previousSeq + 1) {
+      report(event, "Events are missing before this one", {
+        expected: previousSeq + 1,
+        actual: event.seq,
+      });
+    }
+    previousSeq = event.seq;
+
+    switch (event.type) {
+      case "roll": {
+        if (seed?.serverSeed && event.nonce) {
+          const expected = computeRoll(
+            seed.serverSeed,
+            seed.clientSeed,
+            event.nonce
+          );
+          if (expected !== event.value) {
+            report(event, "Roll does not match the revealed seed", {
+              expected,
+              actual: event.value,
+            });
+          }
+        }
+        lastRoll = { ...event, used: false };
+        break;
+      }
+
+      case "move": {
+        const { color, pieceIndex, from, to, value } = event;
+        if (!lastRoll || lastRoll.playerId !== event.playerId) {
+          report(event, "Move without a roll by the same player");
+        } else if (lastRoll.used) {
+          report(event, "Roll was already used for a move");
+        } else if (lastRoll.value !== value) {
+          report(event, "Move uses a different value than was rolled", {
+            expected: lastRoll.value,
+            actual: value,
+          });
+        }
+        if (lastRoll) lastRoll.used = true;
+
+        const current = pieces[color]?.[pieceIndex];
+        if (current !== from) {
+          report(event, "Piece was not where the move started", {
+            expected: current,
+            actual: from,
+          });
+        }
+        const legal = rules
+          .getLegalMoves(pieces, color, value, houseRules)
+          .find((m) => m.pieceIndex === pieceIndex);
+        if (!legal) {
+          report(event, "Piece could not move with this roll");
+        }
+        const expectedTo = legal?.to;
+        if (legal && expectedTo !== to) {
+          report(event, "Piece landed on the wrong square", {
+            expected: expectedTo,
+            actual: to,
+          });
+        }
+
+        if (pieces[color]) pieces[color][pieceIndex] = to;
+        lastMove = event;
+        break;
+      }
+
+      case "kill": {
+        const { color, pieceIndex, position } = event;
+        if (pieces[color]?.[pieceIndex] !== position) {
+          report(event, "Killed piece was not on the square", {
+            expected: position,
+            actual: pieces[color]?.[pieceIndex],
+          });
+        }
+        if (rules.isSafeSquare(position, houseRules)) {
+          report(event, "Piece was killed on a safe square");
+        }
+        if (!lastMove || lastMove.to !== position) {
+          report(event, "No move landed on the killed piece's square");
+        }
+        if (pieces[color]) {
+          pieces[color][pieceIndex] = rules.getHomePosition(color, pieceIndex);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return {
+    valid: divergences.length === 0,
+    eventsChecked: ordered.length - startIndex,
+    divergences,
+    finalPieces: pieces,
+  };
+}
+
+module.exports = {
+  appendEvent,
+  recordGameStart,
+  recordRulesEvents,
+  getReplay,
+  toPlayerReplay,
+  validateReplay,
+};
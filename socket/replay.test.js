@@ -0,0 +1,154 @@
+const { validateReplay, toPlayerReplay } = require("./replay");
+const { getNextPosition } = require("./utils");
+
+describe("Replay validation", () => {
+  const redStart = getNextPosition("rh1", 6, "red");
+  const target = getNextPosition(redStart, 3, "red");
+
+  // Red brings a piece out, then lands on a blue piece three squares on
+  const buildLog = () => [
+    {
+      seq: 1,
+      type: "game_start",
+      pieces: {
+        red: ["rh1", "rh2", "rh3", "rh4"],
+        blue: [target, "bh2", "bh3", "bh4"],
+      },
+    },
+    { seq: 2, type: "roll", playerId: "p1", color: "red", value: 6 },
+    {
+      seq: 3,
+      type: "move",
+      playerId: "p1",
+      color: "red",
+      pieceIndex: 0,
+      from: "rh1",
+      to: redStart,
+      value: 6,
+    },
+    { seq: 4, type: "roll", playerId: "p1", color: "red", value: 3 },
+    {
+      seq: 5,
+      type: "move",
+      playerId: "p1",
+      color: "red",
+      pieceIndex: 0,
+      from: redStart,
+      to: target,
+      value: 3,
+    },
+    {
+      seq: 6,
+      type: "kill",
+      playerId: "p1",
+      by: "red",
+      color: "blue",
+      pieceIndex: 0,
+      position: target,
+    },
+    { seq: 7, type: "turn", from: "p1", to: "p2" },
+  ];
+
+  test("should accept a log that follows the rules", () => {
+    const result = validateReplay(buildLog());
+
+    expect(result.valid).toBe(true);
+    expect(result.eventsChecked).toBe(7);
+    expect(result.finalPieces.red[0]).toBe(target);
+    expect(result.finalPieces.blue[0]).toBe("bh1");
+  });
+
+  test("should put shuffled events back in order", () => {
+    const result = validateReplay(buildLog().reverse());
+
+    expect(result.valid).toBe(true);
+  });
+
+  test("should report a move that lands on the wrong square", () => {
+    const events = buildLog();
+    events[4].to = getNextPosition(redStart, 4, "red");
+
+    const result = validateReplay(events);
+
+    expect(result.valid).toBe(false);
+    expect(result.divergences).toContainEqual(
+      expect.objectContaining({
+        seq: 5,
+        message: "Piece landed on the wrong square",
+        expected: target,
+      })
+    );
+  });
+
+  test("should report a move made with a value that wasn't rolled", () => {
+    const events = buildLog();
+    events[3].value = 2;
+
+    const result = validateReplay(events);
+
+    expect(result.divergences).toContainEqual(
+      expect.objectContaining({
+        seq: 5,
+        message: "Move uses a different value than was rolled",
+      })
+    );
+  });
+
+  test("should report a kill on a safe square", () => {
+    const events = buildLog().slice(0, 3);
+    events[0].pieces.blue[0] = redStart;
+    events.push({
+      seq: 4,
+      type: "kill",
+      playerId: "p1",
+      by: "red",
+      color: "blue",
+      pieceIndex: 0,
+      position: redStart,
+    });
+
+    const result = validateReplay(events);
+
+    expect(result.divergences).toEqual([
+      expect.objectContaining({
+        seq: 4,
+        message: "Piece was killed on a safe square",
+      }),
+    ]);
+  });
+
+  test("should report missing events", () => {
+    const events = buildLog().filter((e) => e.seq !== 4);
+
+    const result = validateReplay(events);
+
+    expect(result.divergences).toContainEqual(
+      expect.objectContaining({
+        seq: 5,
+        message: "Events are missing before this one",
+        expected: 4,
+      })
+    );
+  });
+
+  test("should hide the options a bot weighed up from players", () => {
+    const replay = toPlayerReplay({
+      roomId: "room",
+      events: [
+        {
+          seq: 1,
+          type: "bot_decision",
+          chosen: 2,
+          options: [{ pieceIndex: 0 }, { pieceIndex: 2 }],
+        },
+      ],
+    });
+
+    expect(replay.events[0]).toEqual({
+      seq: 1,
+      type: "bot_decision",
+      chosen: 2,
+      optionCount: 2,
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { gameManager } = require("./gameManager");
+
+// Resigning takes two steps so a stray tap can't throw a game away: the
+// player asks, then confirms within RESIGN_CONFIRM_MS. Open requests are
+// kept on room.pendingResigns (playerId -> expiry time).
+const RESIGN_CONFIRM_MS = 10000;
+
+const ResignError = {
+  NOT_PLAYING: "GAME_NOT_IN_PROGRESS",
+  NOT_A_PLAYER: "NOT_A_PLAYER",
+  NOT_REQUESTED: "RESIGN_NOT_REQUESTED",
+};
+
+function resignError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getPlayingRoom(roomId, playerId) {
+  const room = gameManager.getRoom(roomId);
+  if (!room || room.gameStatus !== gameManager.GAME_STATUS.PLAYING) {
+    throw resignError(
+      ResignError.NOT_PLAYING,
+      "You can only resign a game in progress"
+    );
+  }
+  if (
+    !room.players.some((p) => p.id === playerId) ||
+    gameManager.isPlayerOut(roomId, playerId)
+  ) {
+    throw resignError(
+      ResignError.NOT_A_PLAYER,
+      "Only players still in the game can resign"
+    );
+  }
+  return room;
+}
+
+/**
+ * Start a resignation; it only counts once confirmed
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player resigning
+ * @param {number} now - Current time in ms
+ * @returns {number} Time the confirmation window closes
+ * @throws {Error} GAME_NOT_IN_PROGRESS or NOT_A_PLAYER
+ */
+function requestResign(roomId, playerId, now = Date.now()) {
+  const room = getPlayingRoom(roomId, playerId);
+  const expiresAt = now + RESIGN_CONFIRM_MS;
+  room.pendingResigns.set(playerId, expiresAt);
+  return expiresAt;
+}
+
+/**
+ * Confirm a resignation asked for within the last RESIGN_CONFIRM_MS. The
+ * caller eliminates the player.
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player resigning
+ * @param {number} now - Current time in ms
+ * @throws {Error} GAME_NOT_IN_PROGRESS, NOT_A_PLAYER or RESIGN_NOT_REQUESTED
+ */
+function confirmResign(roomId, playerId, now = Date.now()) {
+  const room = getPlayingRoom(roomId, playerId);
+  const expiresAt = room.pendingResigns.get(playerId);
+  room.pendingResigns.delete(playerId);
+  if (!expiresAt || now > expiresAt) {
+    throw resignError(
+      ResignError.NOT_REQUESTED,
+      "Ask to resign again; confirmations only last a few seconds"
+    );
+  }
+}
+
+/**
+ * Drop an open resignation
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player who changed their mind
+ * @returns {boolean} True if there was one to drop
+ */
+function cancelResign(roomId, playerId) {
+  const room = gameManager.getRoom(roomId);
+  return room ? room.pendingResigns.delete(playerId) : false;
+}
+
+module.exports = {
+  RESIGN_CONFIRM_MS,
+  ResignError,
+  requestResign,
+  confirmResign,
+  cancelResign,
+};
@@ -0,0 +1,70 @@
+const { gameManager } = require("./gameManager");
+const {
+  RESIGN_CONFIRM_MS,
+  requestResign,
+  confirmResign,
+  cancelResign,
+} = require("./resign");
+
+const alice = { id: "s1", userId: "u1", name: "Alice", color: "green" };
+const bob = { id: "s2", userId: "u2", name: "Bob", color: "blue" };
+
+describe("Resign", () => {
+  beforeEach(() => {
+    gameManager.createRoom("resign", {
+      players: [alice, bob],
+      gameStatus: gameManager.GAME_STATUS.PLAYING,
+      currentTurn: "s1",
+    });
+  });
+
+  afterEach(() => {
+    gameManager.deleteRoom("resign");
+  });
+
+  test("should only count once confirmed in time", () => {
+    expect(() => confirmResign("resign", "s1", 0)).toThrow(
+      expect.objectContaining({ code: "RESIGN_NOT_REQUESTED" })
+    );
+
+    expect(requestResign("resign", "s1", 1000)).toBe(1000 + RESIGN_CONFIRM_MS);
+    expect(() => confirmResign("resign", "s1", 2000)).not.toThrow();
+
+    // Each confirmation is used up, and a late one doesn't count
+    expect(() => confirmResign("resign", "s1", 2000)).toThrow(
+      expect.objectContaining({ code: "RESIGN_NOT_REQUESTED" })
+    );
+    requestResign("resign", "s2", 0);
+    expect(() => confirmResign("resign", "s2", RESIGN_CONFIRM_MS + 1)).toThrow(
+      expect.objectContaining({ code: "RESIGN_NOT_REQUESTED" })
+    );
+  });
+
+  test("should let a player change their mind", () => {
+    requestResign("resign", "s1", 0);
+    expect(cancelResign("resign", "s1")).toBe(true);
+    expect(cancelResign("resign", "s1")).toBe(false);
+    expect(() => confirmResign("resign", "s1", 100)).toThrow(
+      expect.objectContaining({ code: "RESIGN_NOT_REQUESTED" })
+    );
+  });
+
+  test("should only let players still in a running game resign", () => {
+    expect(() => requestResign("resign", "watcher")).toThrow(
+      expect.objectContaining({ code: "NOT_A_PLAYER" })
+    );
+
+    gameManager.eliminatePlayer("resign", "s2", "turn_timeout");
+    expect(() => requestResign("resign", "s2")).toThrow(
+      expect.objectContaining({ code: "NOT_A_PLAYER" })
+    );
+    expect(gameManager.getRoom("resign").forfeits).toEqual({
+      s2: "turn_timeout",
+    });
+
+    gameManager.getRoom("resign").gameStatus = gameManager.GAME_STATUS.FINISHED;
+    expect(() => requestResign("resign", "s1")).toThrow(
+      expect.objectContaining({ code: "GAME_NOT_IN_PROGRESS" })
+    );
+  });
+});
@@ -0,0 +1,397 @@
+const {
+  getNextPosition,
+  isSafePosition,
+  hasPlayerWon,
+} = require("./utils");
+const { paths } = require("../constants");
+
+// Pure Ludo rules shared by human, auto-move and bot turns. Nothing in here
+// touches sockets, timers or the database: every function takes a state and
+// returns a new one plus the events describing what happened.
+//
+// State: {
+//   pieces: { [color]: [position, ...] },
+//   players: [{ id, color }] in seat order,
+//   currentTurn: player ID,
+//   lastRoll: { value, roller, moved } | null,
+//   requiredPieces: pieces a player must bring home to finish,
+//   outPlayers: IDs of finished or eliminated players (skipped for turns),
+//   consecutiveSixes: sixes rolled in a row by the current player,
+//   houseRules: the room's rule variants (see DEFAULT_HOUSE_RULES),
+// }
+
+// Rule variants a room can pick. The defaults are the classic rules every
+// room used before variants existed.
+const DEFAULT_HOUSE_RULES = {
+  captureBonus: true, // Extra roll after killing a piece
+  homeBonus: true, // Extra roll when a piece reaches the win zone
+  tripleSixForfeit: false, // A third six in a row ends the turn
+  exitRolls: [6], // Rolls that bring a piece out of home
+  safeSquares: true, // Start and star squares protect pieces
+  blockades: false, // Two pieces of one colour on a square can't be passed
+};
+const EXIT_ROLL_OPTIONS = [[6], [1, 6]];
+
+const RulesError = {
+  UNKNOWN_PLAYER: "UNKNOWN_PLAYER",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  MUST_MOVE: "MUST_MOVE",
+  MUST_ROLL: "MUST_ROLL",
+  ILLEGAL_MOVE: "ILLEGAL_MOVE",
+  INVALID_HOUSE_RULES: "INVALID_HOUSE_RULES",
+};
+
+function rulesError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Home square a piece returns to when it is killed
+ * @param {string} color - Piece colour
+ * @param {number} pieceIndex - Index of the piece
+ * @returns {string} Home square, e.g. "bh2"
+ */
+function getHomePosition(color, pieceIndex) {
+  return `${color[0]}h${pieceIndex + 1}`;
+}
+
+/**
+ * Check a rule set sent by a client and fill in the defaults
+ * @param {Object} input - Partial house rules, or nothing for the defaults
+ * @returns {Object} Complete house rules
+ * @throws {Error} INVALID_HOUSE_RULES for unknown options or bad values
+ */
+function validateHouseRules(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_HOUSE_RULES };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw rulesError(RulesError.INVALID_HOUSE_RULES, "Invalid house rules");
+  }
+
+  const houseRules = { ...DEFAULT_HOUSE_RULES };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_HOUSE_RULES)) {
+      throw rulesError(
+        RulesError.INVALID_HOUSE_RULES,
+        `Unknown house rule: ${key}`
+      );
+    }
+    if (key === "exitRolls") {
+      const rolls = Array.isArray(value)
+        ? [...new Set(value)].sort((a, b) => a - b)
+        : [];
+      if (!EXIT_ROLL_OPTIONS.some((o) => o.join() === rolls.join())) {
+        throw rulesError(
+          RulesError.INVALID_HOUSE_RULES,
+          "Pieces can leave home on a 6, or on a 1 or 6"
+        );
+      }
+      houseRules.exitRolls = rolls;
+    } else if (typeof value !== "boolean") {
+      throw rulesError(
+        RulesError.INVALID_HOUSE_RULES,
+        `House rule ${key} must be true or false`
+      );
+    } else {
+      houseRules[key] = value;
+    }
+  }
+  return houseRules;
+}
+
+/**
+ * House rules of a room, with the classic rules for anything not set.
+ * Rooms created before variants existed have none.
+ * @param {Object} houseRules - Stored house rules
+ * @returns {Object} Complete house rules
+ */
+function getHouseRules(houseRules) {
+  return { ...DEFAULT_HOUSE_RULES, ...houseRules };
+}
+
+/**
+ * Whether a square protects the pieces on it
+ * @param {string} position - Square
+ * @param {Object} houseRules - Room house rules
+ * @returns {boolean} True if pieces can't be killed there
+ */
+function isSafeSquare(position, houseRules) {
+  return getHouseRules(houseRules).safeSquares && isSafePosition(position);
+}
+
+// Where a piece ends up, ignoring other pieces
+function getDestination(from, value, color, houseRules) {
+  const path = paths[color];
+  if (!path || !from) return null;
+  if (from.startsWith(`${color[0]}h`)) {
+    return houseRules.exitRolls.includes(value) ? path[0] : null;
+  }
+  if (!path.includes(from)) return null;
+  return getNextPosition(from, value, color);
+}
+
+// Squares a move crosses, landing square included
+function getCrossedSquares(from, to, color) {
+  const path = paths[color];
+  const start = path.indexOf(from);
+  const end = to === `${color}WinZone` ? path.length : path.indexOf(to) + 1;
+  return path.slice(start + 1, end);
+}
+
+function hasBlockade(pieces, color, square) {
+  return Object.entries(pieces).some(
+    ([pieceColor, positions]) =>
+      pieceColor !== color &&
+      positions.filter((position) => position === square).length >= 2
+  );
+}
+
+/**
+ * Every move a colour can make with a roll
+ * @param {Object} pieces - Pieces by colour
+ * @param {string} color - Colour to move
+ * @param {number} value - Die value
+ * @param {Object} houseRules - Room house rules (classic rules if omitted)
+ * @returns {Array} [{ pieceIndex, from, to }]
+ */
+function getLegalMoves(pieces, color, value, houseRules) {
+  const rules = getHouseRules(houseRules);
+  return (pieces[color] || [])
+    .map((from, pieceIndex) => ({
+      pieceIndex,
+      from,
+      to: getDestination(from, value, color, rules),
+    }))
+    .filter(
+      (move) =>
+        move.to &&
+        !(
+          rules.blockades &&
+          getCrossedSquares(move.from, move.to, color).some((square) =>
+            hasBlockade(pieces, color, square)
+          )
+        )
+    );
+}
+
+/**
+ * Next player to move, skipping players who are out
+ * @param {Array} players - Players in seat order
+ * @param {string} fromPlayerId - Player whose turn is ending
+ * @param {Array<string>} outPlayers - Finished or eliminated player IDs
+ * @returns {string|null} Next player ID
+ */
+function getNextTurn(players, fromPlayerId, outPlayers = []) {
+  if (players.length === 0) return null;
+
+  const fromIndex = players.findIndex((p) => p.id === fromPlayerId);
+  for (let step = 1; step <= players.length; step++) {
+    const candidate = players[(fromIndex + step) % players.length];
+    if (!outPlayers.includes(candidate.id)) {
+      return candidate.id;
+    }
+  }
+  return fromPlayerId;
+}
+
+/**
+ * Move one piece and send home every opposing piece on a non-safe landing
+ * square. Doesn't check whose turn it is.
+ * @param {Object} pieces - Pieces by colour
+ * @param {string} color - Colour moving
+ * @param {number} pieceIndex - Piece to move
+ * @param {number} value - Die value
+ * @param {Object} houseRules - Room house rules (classic rules if omitted)
+ * @returns {Object|null} { pieces, from, to, kills } or null if illegal
+ */
+function movePiece(pieces, color, pieceIndex, value, houseRules) {
+  const move = getLegalMoves(pieces, color, value, houseRules).find(
+    (m) => m.pieceIndex === pieceIndex
+  );
+  if (!move) return null;
+
+  const next = {};
+  const kills = [];
+  for (const [pieceColor, positions] of Object.entries(pieces)) {
+    next[pieceColor] = positions.map((position, index) => {
+      if (pieceColor === color) {
+        return index === pieceIndex ? move.to : position;
+      }
+      if (position === move.to && !isSafeSquare(move.to, houseRules)) {
+        kills.push({ color: pieceColor, index, position });
+        return getHomePosition(pieceColor, index);
+      }
+      return position;
+    });
+  }
+  return { pieces: next, from: move.from, to: move.to, kills };
+}
+
+function getPlayer(state, playerId) {
+  const player = state.players.find((p) => p.id === playerId);
+  if (!player) {
+    throw rulesError(RulesError.UNKNOWN_PLAYER, "Player is not in this game");
+  }
+  return player;
+}
+
+function passTurn(state, fromPlayerId, outPlayers, reason) {
+  const to = getNextTurn(state.players, fromPlayerId, outPlayers);
+  return {
+    state: { ...state, currentTurn: to, outPlayers, consecutiveSixes: 0 },
+    event: { type: "turn", from: fromPlayerId, to, reason },
+  };
+}
+
+/**
+ * Apply a die roll. The turn passes straight on if the roll can't move
+ * any piece, or on a third six in a row when the room forfeits those.
+ * @param {Object} state - Rules state
+ * @param {Object} action - { playerId, value }
+ * @returns {Object} { state, events }
+ */
+function applyRoll(state, { playerId, value }) {
+  const player = getPlayer(state, playerId);
+  if (state.currentTurn !== playerId) {
+    throw rulesError(RulesError.NOT_YOUR_TURN, "Not your turn!");
+  }
+  if (state.lastRoll?.roller === playerId && !state.lastRoll.moved) {
+    throw rulesError(
+      RulesError.MUST_MOVE,
+      "You must move a piece before rolling again!"
+    );
+  }
+
+  const houseRules = getHouseRules(state.houseRules);
+  const consecutiveSixes = value === 6 ? (state.consecutiveSixes || 0) + 1 : 0;
+  const forfeited = houseRules.tripleSixForfeit && consecutiveSixes >= 3;
+  const moves = forfeited
+    ? []
+    : getLegalMoves(state.pieces, player.color, value, houseRules);
+  const rolled = {
+    ...state,
+    lastRoll: { value, roller: playerId, moved: false },
+    consecutiveSixes,
+  };
+  const events = [
+    {
+      type: "roll",
+      playerId,
+      color: player.color,
+      value,
+      movable: moves.map((m) => m.pieceIndex),
+    },
+  ];
+  if (moves.length > 0) {
+    return { state: rolled, events };
+  }
+
+  if (forfeited) {
+    events.push({ type: "forfeit", playerId, reason: "triple_six" });
+  }
+  const passed = passTurn(
+    rolled,
+    playerId,
+    state.outPlayers || [],
+    forfeited ? "triple_six" : "no_moves"
+  );
+  return { state: passed.state, events: [...events, passed.event] };
+}
+
+/**
+ * Move a piece with the current roll. Rolling a 6 earns another roll, as do
+ * a kill and bringing a piece home when the house rules allow, unless the
+ * player has finished.
+ * @param {Object} state - Rules state
+ * @param {Object} action - { playerId, pieceIndex }
+ * @returns {Object} { state, events }
+ */
+function applyMove(state, { playerId, pieceIndex }) {
+  const player = getPlayer(state, playerId);
+  const { color } = player;
+  if (state.currentTurn !== playerId) {
+    throw rulesError(RulesError.NOT_YOUR_TURN, "Not your turn!");
+  }
+  if (!state.lastRoll || state.lastRoll.roller !== playerId) {
+    throw rulesError(RulesError.MUST_ROLL, "You must roll the dice first!");
+  }
+  if (state.lastRoll.moved) {
+    throw rulesError(RulesError.MUST_ROLL, "You must roll the dice again!");
+  }
+
+  const value = state.lastRoll.value;
+  const houseRules = getHouseRules(state.houseRules);
+  const result = movePiece(state.pieces, color, pieceIndex, value, houseRules);
+  if (!result) {
+    throw rulesError(RulesError.ILLEGAL_MOVE, "Invalid move!");
+  }
+
+  const events = [
+    {
+      type: "move",
+      playerId,
+      color,
+      pieceIndex,
+      from: result.from,
+      to: result.to,
+      value,
+    },
+    ...result.kills.map((kill) => ({
+      type: "kill",
+      playerId,
+      by: color,
+      color: kill.color,
+      pieceIndex: kill.index,
+      position: kill.position,
+    })),
+  ];
+  const next = {
+    ...state,
+    pieces: result.pieces,
+    lastRoll: { ...state.lastRoll, moved: true },
+  };
+
+  let outPlayers = state.outPlayers || [];
+  const finished = hasPlayerWon(result.pieces, color, state.requiredPieces);
+  if (finished) {
+    outPlayers = [...outPlayers, playerId];
+    events.push({ type: "player_finished", playerId, color });
+  }
+
+  const reasons = [];
+  if (value === 6) reasons.push("six");
+  if (houseRules.captureBonus && result.kills.length > 0) {
+    reasons.push("kill");
+  }
+  if (houseRules.homeBonus && result.to === `${color}WinZone`) {
+    reasons.push("win_zone");
+  }
+
+  if (!finished && reasons.length > 0) {
+    events.push({ type: "extra_turn", playerId, reasons });
+    return { state: { ...next, outPlayers }, events };
+  }
+
+  const passed = passTurn(
+    next,
+    playerId,
+    outPlayers,
+    finished ? "finished" : "move"
+  );
+  return { state: passed.state, events: [...events, passed.event] };
+}
+
+module.exports = {
+  DEFAULT_HOUSE_RULES,
+  RulesError,
+  validateHouseRules,
+  getHouseRules,
+  isSafeSquare,
+  getHomePosition,
+  getLegalMoves,
+  getNextTurn,
+  movePiece,
+  applyRoll,
+  applyMove,
+};
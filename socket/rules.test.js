@@ -0,0 +1,433 @@
+const {
+  DEFAULT_HOUSE_RULES,
+  RulesError,
+  validateHouseRules,
+  getHomePosition,
+  getLegalMoves,
+  getNextTurn,
+  movePiece,
+  applyRoll,
+  applyMove,
+} = require("./rules");
+const {
+  getNextPosition,
+  isSafePosition,
+  getSeatColors,
+  createInitialPieces,
+} = require("./utils");
+const { paths } = require("../constants");
+
+const COLORS = ["red", "green", "blue", "yellow"];
+const SEEDS = 25;
+const MAX_ACTIONS = 600;
+
+// Small seeded PRNG (mulberry32) so every generated game can be replayed
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Steps a square is along a colour's route: -1 at home, path.length once home
+function routeIndex(color, position) {
+  if (position.startsWith(`${color[0]}h`)) return -1;
+  if (position === `${color}WinZone`) return paths[color].length;
+  return paths[color].indexOf(position);
+}
+
+function createState(playerCount, requiredPieces, houseRules) {
+  const colors = getSeatColors(playerCount);
+  const players = colors.map((color, i) => ({ id: `p${i + 1}`, color }));
+  return {
+    pieces: createInitialPieces(colors),
+    players,
+    currentTurn: players[0].id,
+    lastRoll: null,
+    requiredPieces,
+    outPlayers: [],
+    houseRules,
+  };
+}
+
+function expectCode(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// Play a whole game from a seed, checking the board after every action
+function playGame(seed, playerCount, requiredPieces, check = () => {}) {
+  const random = createRandom(seed);
+  let state = createState(playerCount, requiredPieces);
+  const log = [];
+
+  for (let i = 0; i < MAX_ACTIONS; i++) {
+    const active = state.players.filter(
+      (p) => !state.outPlayers.includes(p.id)
+    );
+    if (active.length <= 1) break;
+
+    const playerId = state.currentTurn;
+    const value = 1 + Math.floor(random() * 6);
+    const before = deepFreeze(state);
+    const rolled = applyRoll(before, { playerId, value });
+    log.push(...rolled.events);
+    check(before, rolled);
+    state = rolled.state;
+
+    const { movable } = rolled.events[0];
+    if (movable.length === 0) continue;
+
+    const pieceIndex = movable[Math.floor(random() * movable.length)];
+    const beforeMove = deepFreeze(state);
+    const moved = applyMove(beforeMove, { playerId, pieceIndex });
+    log.push(...moved.events);
+    check(beforeMove, moved);
+    state = moved.state;
+  }
+  return { state, log };
+}
+
+describe("Rules engine", () => {
+  beforeEach(() => {
+    // getNextPosition logs every lookup
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  describe("every colour and square", () => {
+    test.each(COLORS)("%s pieces move exactly the rolled distance", (color) => {
+      const homes = [1, 2, 3, 4].map((n) => `${color[0]}h${n}`);
+      for (const square of [...homes, ...paths[color]]) {
+        for (let value = 1; value <= 6; value++) {
+          const pieces = { [color]: [square] };
+          const from = routeIndex(color, square);
+          const moves = getLegalMoves(pieces, color, value);
+          const result = movePiece(pieces, color, 0, value);
+
+          let expected = null;
+          if (from === -1) {
+            expected = value === 6 ? 0 : null;
+          } else if (from + value <= paths[color].length) {
+            expected = from + value;
+          }
+
+          if (expected === null) {
+            expect(moves).toEqual([]);
+            expect(result).toBeNull();
+            continue;
+          }
+          expect(moves).toEqual([
+            { pieceIndex: 0, from: square, to: result.to },
+          ]);
+          expect(routeIndex(color, result.to)).toBe(expected);
+          expect(result.to).toBe(getNextPosition(square, value, color));
+          expect(result.kills).toEqual([]);
+        }
+      }
+    });
+
+    test.each(COLORS)(
+      "%s kills every opposing piece on a square unless it is safe",
+      (color) => {
+        const opponents = COLORS.filter((c) => c !== color);
+        for (const square of paths[color].slice(1)) {
+          const from = paths[color][paths[color].indexOf(square) - 1];
+          const pieces = { [color]: [from, `${color[0]}h2`] };
+          for (const opponent of opponents) {
+            pieces[opponent] = [square, `${opponent[0]}h2`];
+          }
+
+          const result = movePiece(deepFreeze(pieces), color, 0, 1);
+
+          expect(result.to).toBe(square);
+          if (isSafePosition(square)) {
+            expect(result.kills).toEqual([]);
+            opponents.forEach((o) =>
+              expect(result.pieces[o][0]).toBe(square)
+            );
+          } else {
+            expect(result.kills).toHaveLength(opponents.length);
+            opponents.forEach((o) =>
+              expect(result.pieces[o]).toEqual([
+                getHomePosition(o, 0),
+                `${o[0]}h2`,
+              ])
+            );
+          }
+        }
+      }
+    );
+
+    test.each(COLORS)("%s finished pieces never move", (color) => {
+      const pieces = { [color]: [`${color}WinZone`] };
+      for (let value = 1; value <= 6; value++) {
+        expect(getLegalMoves(pieces, color, value)).toEqual([]);
+      }
+    });
+  });
+
+  describe("generated games", () => {
+    const cases = [];
+    for (let seed = 1; seed <= SEEDS; seed++) {
+      cases.push([seed, 2 + (seed % 3), 1 + (seed % 2)]);
+    }
+
+    test.each(cases)(
+      "seed %i (%i players, %i pieces) keeps the board consistent",
+      (seed, playerCount, requiredPieces) => {
+        const { state } = playGame(
+          seed,
+          playerCount,
+          requiredPieces,
+          (before, { state: after, events }) => {
+            // Four pieces per colour, each at home, on its route or finished
+            for (const { color } of after.players) {
+              expect(after.pieces[color]).toHaveLength(4);
+              after.pieces[color].forEach((position) =>
+                expect(routeIndex(color, position)).toBeGreaterThanOrEqual(-1)
+              );
+            }
+
+            // Landing on an unsafe square kills, so colours never share one
+            const owners = new Map();
+            for (const { color } of after.players) {
+              for (const position of after.pieces[color]) {
+                if (!position.startsWith("p") || isSafePosition(position)) {
+                  continue;
+                }
+                expect([undefined, color]).toContain(owners.get(position));
+                owners.set(position, color);
+              }
+            }
+
+            // The turn stays only for a 6, a kill or a piece reaching home
+            const move = events.find((e) => e.type === "move");
+            const passed = events.some((e) => e.type === "turn");
+            if (move) {
+              const earned =
+                move.value === 6 ||
+                events.some((e) => e.type === "kill") ||
+                move.to === `${move.color}WinZone`;
+              const finished = events.some(
+                (e) => e.type === "player_finished"
+              );
+              expect(passed).toBe(!earned || finished);
+            }
+            if (passed) {
+              expect(after.currentTurn).not.toBe(before.currentTurn);
+            } else {
+              expect(after.currentTurn).toBe(before.currentTurn);
+            }
+            expect(after.outPlayers).not.toContain(after.currentTurn);
+          }
+        );
+
+        expect(state.outPlayers.length).toBeGreaterThan(0);
+      }
+    );
+
+    test("the same seed always plays the same game", () => {
+      const first = playGame(7, 4, 2);
+      const second = playGame(7, 4, 2);
+
+      expect(second.log).toEqual(first.log);
+      expect(second.state).toEqual(first.state);
+    });
+  });
+
+  describe("turn order and errors", () => {
+    const players = [
+      { id: "a", color: "blue" },
+      { id: "b", color: "red" },
+      { id: "c", color: "green" },
+    ];
+
+    test("should skip players who are out", () => {
+      expect(getNextTurn(players, "a")).toBe("b");
+      expect(getNextTurn(players, "a", ["b"])).toBe("c");
+      expect(getNextTurn(players, "c", ["a"])).toBe("b");
+      expect(getNextTurn(players, "a", ["b", "c"])).toBe("a");
+    });
+
+    test("should reject actions out of turn or order", () => {
+      const state = createState(2, 4);
+
+      expectCode(
+        () => applyRoll(state, { playerId: "p2", value: 6 }),
+        RulesError.NOT_YOUR_TURN
+      );
+      expectCode(
+        () => applyMove(state, { playerId: "p1", pieceIndex: 0 }),
+        RulesError.MUST_ROLL
+      );
+
+      const rolled = applyRoll(state, { playerId: "p1", value: 6 }).state;
+      expectCode(
+        () => applyRoll(rolled, { playerId: "p1", value: 6 }),
+        RulesError.MUST_MOVE
+      );
+      expectCode(
+        () => applyMove(rolled, { playerId: "p1", pieceIndex: 7 }),
+        RulesError.ILLEGAL_MOVE
+      );
+    });
+
+    test("should pass the turn when a roll can't move anything", () => {
+      const { state, events } = applyRoll(createState(2, 4), {
+        playerId: "p1",
+        value: 3,
+      });
+
+      expect(events.map((e) => e.type)).toEqual(["roll", "turn"]);
+      expect(state.currentTurn).toBe("p2");
+    });
+  });
+
+  describe("house rules", () => {
+    const redStart = paths.red[0];
+    const stepsAhead = (n) => paths.red[n];
+
+    test("should fill in defaults and reject unknown or bad options", () => {
+      expect(validateHouseRules()).toEqual(DEFAULT_HOUSE_RULES);
+      const rules = validateHouseRules({ exitRolls: [6, 1] });
+      expect(rules.exitRolls).toEqual([1, 6]);
+
+      for (const input of [
+        { doubleDice: true },
+        { captureBonus: "yes" },
+        { exitRolls: [2, 6] },
+        { exitRolls: 6 },
+        [],
+      ]) {
+        expectCode(
+          () => validateHouseRules(input),
+          RulesError.INVALID_HOUSE_RULES
+        );
+      }
+    });
+
+    test("should let pieces out on a 1 when the room allows it", () => {
+      const pieces = { red: ["rh1"] };
+      const houseRules = { exitRolls: [1, 6] };
+
+      expect(getLegalMoves(pieces, "red", 1)).toEqual([]);
+      expect(getLegalMoves(pieces, "red", 1, houseRules)).toEqual([
+        { pieceIndex: 0, from: "rh1", to: redStart },
+      ]);
+      expect(getLegalMoves(pieces, "red", 3, houseRules)).toEqual([]);
+    });
+
+    test("should only give a roll for a kill or reaching home when on", () => {
+      const target = stepsAhead(3);
+      const lastSquare = paths.red[paths.red.length - 1];
+      const play = (houseRules, pieces, value) => {
+        const state = {
+          ...createState(2, 4, houseRules),
+          players: [
+            { id: "p1", color: "red" },
+            { id: "p2", color: "blue" },
+          ],
+          pieces,
+        };
+        const rolled = applyRoll(state, { playerId: "p1", value }).state;
+        return applyMove(rolled, { playerId: "p1", pieceIndex: 0 });
+      };
+      const kill = {
+        red: [redStart, "rh2", "rh3", "rh4"],
+        blue: [target, "bh2", "bh3", "bh4"],
+      };
+      const home = {
+        red: [lastSquare, "rh2", "rh3", "rh4"],
+        blue: ["bh1", "bh2", "bh3", "bh4"],
+      };
+
+      expect(play(undefined, kill, 3).state.currentTurn).toBe("p1");
+      expect(play({ captureBonus: false }, kill, 3).state.currentTurn).toBe(
+        "p2"
+      );
+      expect(play(undefined, home, 1).state.currentTurn).toBe("p1");
+      expect(play({ homeBonus: false }, home, 1).state.currentTurn).toBe(
+        "p2"
+      );
+    });
+
+    test("should forfeit the turn on a third six in a row", () => {
+      let state = createState(2, 4, { tripleSixForfeit: true });
+      state.pieces.blue[0] = paths.blue[0];
+
+      for (let i = 0; i < 2; i++) {
+        state = applyRoll(state, { playerId: "p1", value: 6 }).state;
+        state = applyMove(state, { playerId: "p1", pieceIndex: 0 }).state;
+      }
+      expect(state.consecutiveSixes).toBe(2);
+
+      const { state: after, events } = applyRoll(state, {
+        playerId: "p1",
+        value: 6,
+      });
+
+      expect(events.map((e) => e.type)).toEqual(["roll", "forfeit", "turn"]);
+      expect(events[0].movable).toEqual([]);
+      expect(after.currentTurn).toBe("p2");
+      expect(after.consecutiveSixes).toBe(0);
+    });
+
+    test("should keep rolling after three sixes by default", () => {
+      let state = createState(2, 4);
+      state.pieces.blue[0] = paths.blue[0];
+
+      for (let i = 0; i < 3; i++) {
+        state = applyRoll(state, { playerId: "p1", value: 6 }).state;
+        state = applyMove(state, { playerId: "p1", pieceIndex: 0 }).state;
+      }
+
+      expect(state.currentTurn).toBe("p1");
+    });
+
+    test("should stop pieces crossing or landing on a blockade", () => {
+      const pieces = {
+        red: [redStart, "rh2", "rh3", "rh4"],
+        blue: [stepsAhead(2), stepsAhead(2), "bh3", "bh4"],
+      };
+      const houseRules = { blockades: true };
+
+      expect(getLegalMoves(pieces, "red", 1, houseRules)).toHaveLength(1);
+      expect(getLegalMoves(pieces, "red", 2, houseRules)).toEqual([]);
+      expect(getLegalMoves(pieces, "red", 5, houseRules)).toEqual([]);
+      expect(getLegalMoves(pieces, "red", 5)).toHaveLength(1);
+
+      // A lone piece is no blockade
+      pieces.blue[1] = "bh2";
+      expect(getLegalMoves(pieces, "red", 5, houseRules)).toHaveLength(1);
+    });
+
+    test("should kill on star and start squares when they aren't safe", () => {
+      const safe = paths.red.find(
+        (square, i) => i > 0 && i < 50 && isSafePosition(square)
+      );
+      const from = paths.red[paths.red.indexOf(safe) - 1];
+      const pieces = { red: [from], blue: [safe] };
+
+      expect(movePiece(pieces, "red", 0, 1).kills).toEqual([]);
+      expect(
+        movePiece(pieces, "red", 0, 1, { safeSquares: false }).kills
+      ).toEqual([{ color: "blue", index: 0, position: safe }]);
+    });
+  });
+});
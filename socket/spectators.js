@@ -0,0 +1,86 @@
+const { gameManager } = require("./gameManager");
+const { getCommitment } = require("./fairness");
+const { getHouseRules } = require("./rules");
+
+/**
+ * socket.io room spectators of a game join. It is kept apart from the
+ * players' room so nothing that targets the seated players reaches them.
+ * @param {string} roomId - Room ID
+ * @returns {string} Spectator room name
+ */
+function getSpectatorRoom(roomId) {
+  return `${roomId}:spectators`;
+}
+
+/**
+ * Broadcast to a room's players and its spectators
+ * @param {Object} io - Socket.io server
+ * @param {string} roomId - Room ID
+ * @returns {Object} Broadcast operator to call emit on
+ */
+function toRoom(io, roomId) {
+  return io.to(roomId).to(getSpectatorRoom(roomId));
+}
+
+/**
+ * Everything a spectator needs to draw the board when they start watching
+ * @param {string} roomId - Room ID
+ * @returns {Object|null} Snapshot or null if the room doesn't exist
+ */
+function getSpectatorSnapshot(roomId) {
+  const room = gameManager.getRoom(roomId);
+  if (!room) return null;
+
+  return {
+    roomId,
+    players: room.players,
+    currentTurn: room.currentTurn,
+    gameStatus: room.gameStatus,
+    dieStatus: room.dieStatus,
+    lastRoll: room.lastRoll,
+    turnDeadline: room.turnDeadline,
+    pieces: room.gameState.pieces,
+    gameSettings: room.gameSettings,
+    finishedPlayers: room.finishedPlayers,
+    eliminatedPlayers: room.eliminatedPlayers,
+    fairness: getCommitment(room),
+    spectatorCount: room.spectators.size,
+  };
+}
+
+/**
+ * Public games in progress that anyone can watch
+ * @returns {Array} Summary of each playing room
+ */
+function getLiveRooms() {
+  return gameManager
+    .getAllRoomIds()
+    .map((roomId) => gameManager.getRoom(roomId))
+    .filter(
+      (room) =>
+        room &&
+        room.gameStatus === gameManager.GAME_STATUS.PLAYING &&
+        !room.gameSettings.private
+    )
+    .map((room) => ({
+      roomId: room.roomId,
+      players: room.players.map((p) => ({
+        name: p.name,
+        color: p.color,
+        isBot: p.isBot || false,
+      })),
+      maxPlayers: gameManager.getMaxPlayers(room.roomId),
+      stake: room.gameSettings.stake,
+      requiredPieces: room.gameSettings.requiredPieces,
+      houseRules: getHouseRules(room.gameSettings.houseRules),
+      spectatorCount: room.spectators.size,
+      createdAt: room.createdAt,
+    }));
+}
+
+module.exports = {
+  getSpectatorRoom,
+  toRoom,
+  getSpectatorSnapshot,
+  getLiveRooms,
+};
@@ -0,0 +1,71 @@
+const { gameManager } = require("./gameManager");
+const {
+  getSpectatorRoom,
+  toRoom,
+  getSpectatorSnapshot,
+  getLiveRooms,
+} = require("./spectators");
+
+describe("Spectators", () => {
+  const createRoom = (roomId, gameStatus) =>
+    gameManager.createRoom(roomId, {
+      players: [
+        { id: "p1", name: "Host", color: "blue" },
+        { id: "p2", name: "Guest", color: "green", isBot: true },
+      ],
+      gameStatus,
+      gameSettings: { stake: 10, requiredPieces: 2, maxPlayers: 2 },
+    });
+
+  afterEach(() => {
+    gameManager.deleteRoom("live");
+    gameManager.deleteRoom("waiting");
+  });
+
+  test("should broadcast to the players and the spectator room", () => {
+    const emit = jest.fn();
+    const operator = { to: jest.fn(() => ({ emit })) };
+    const io = { to: jest.fn(() => operator) };
+
+    toRoom(io, "live").emit("room_update", {});
+
+    expect(io.to).toHaveBeenCalledWith("live");
+    expect(operator.to).toHaveBeenCalledWith(getSpectatorRoom("live"));
+    expect(emit).toHaveBeenCalledWith("room_update", {});
+  });
+
+  test("should track spectators apart from seated players", () => {
+    createRoom("live", "playing");
+    gameManager.addSpectator("live", "s1", { userId: "u9", name: "Fan" });
+
+    expect(gameManager.isSpectator("live", "s1")).toBe(true);
+    expect(gameManager.isSpectator("live", "p1")).toBe(false);
+    expect(getSpectatorSnapshot("live")).toMatchObject({
+      roomId: "live",
+      currentTurn: null,
+      pieces: gameManager.getRoom("live").gameState.pieces,
+      spectatorCount: 1,
+    });
+
+    expect(gameManager.removeSpectator("live", "s1")).toBe(true);
+    expect(gameManager.getSpectatorCount("live")).toBe(0);
+  });
+
+  test("should only list games in progress", () => {
+    createRoom("live", "playing");
+    createRoom("waiting", "waiting");
+    gameManager.addSpectator("live", "s1", { userId: "u9", name: "Fan" });
+
+    expect(getLiveRooms()).toEqual([
+      expect.objectContaining({
+        roomId: "live",
+        players: [
+          { name: "Host", color: "blue", isBot: false },
+          { name: "Guest", color: "green", isBot: true },
+        ],
+        stake: 10,
+        spectatorCount: 1,
+      }),
+    ]);
+  });
+});
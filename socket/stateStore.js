@@ -0,0 +1,179 @@
+/**
+ * State shared by every server process: which instances are alive and which
+ * instance owns each room. Room state itself stays in the owner's
+ * gameManager (and MongoDB); the store only decides where it lives.
+ *
+ * Both stores have the same async interface:
+ *   registerInstance(instanceId, ttlMs) - heartbeat, alive for ttlMs
+ *   removeInstance(instanceId)
+ *   getInstances() - IDs of the live instances
+ *   claimRoom(roomId, instanceId) - owner once the claim is settled; a claim
+ *     only succeeds when the room has no owner or its owner has died
+ *   releaseRoom(roomId, instanceId) - only the owner can release
+ *   getRoomOwner(roomId) - instance that last claimed the room, alive or
+ *     not; null once the room is released
+ *   getRoomOwners() - { roomId: instanceId } for every claimed room
+ *   claimJob(job, instanceId) - like claimRoom, for work only one instance
+ *     may do, e.g. the tournament tick; the job stays with its instance
+ *     until that instance dies
+ */
+
+/**
+ * Store for a single process, or for tests. Expiry uses the injected clock.
+ */
+class MemoryStateStore {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.instances = new Map(); // instanceId -> expires at (ms)
+    this.owners = new Map(); // roomId -> instanceId
+    this.jobs = new Map(); // job -> instanceId
+  }
+
+  isLive(instanceId) {
+    return (this.instances.get(instanceId) || 0) > this.now();
+  }
+
+  async registerInstance(instanceId, ttlMs) {
+    this.instances.set(instanceId, this.now() + ttlMs);
+  }
+
+  async removeInstance(instanceId) {
+    this.instances.delete(instanceId);
+  }
+
+  async getInstances() {
+    return [...this.instances.keys()].filter((id) => this.isLive(id));
+  }
+
+  claim(owners, key, instanceId) {
+    const owner = owners.get(key);
+    if (owner && owner !== instanceId && this.isLive(owner)) return owner;
+    owners.set(key, instanceId);
+    return instanceId;
+  }
+
+  async claimRoom(roomId, instanceId) {
+    return this.claim(this.owners, roomId, instanceId);
+  }
+
+  async releaseRoom(roomId, instanceId) {
+    if (this.owners.get(roomId) === instanceId) this.owners.delete(roomId);
+  }
+
+  async getRoomOwner(roomId) {
+    return this.owners.get(roomId) || null;
+  }
+
+  async getRoomOwners() {
+    return Object.fromEntries(this.owners);
+  }
+
+  async claimJob(job, instanceId) {
+    return this.claim(this.jobs, job, instanceId);
+  }
+}
+
+// Claim a room or job unless a live instance other than the caller owns it
+const CLAIM_SCRIPT = `
+local owner = redis.call("hget", KEYS[1], ARGV[1])
+if owner and owner ~= ARGV[2] and redis.call("exists", ARGV[3] .. owner) == 1 then
+  return owner
+end
+redis.call("hset", KEYS[1], ARGV[1], ARGV[2])
+return ARGV[2]
+`;
+
+const RELEASE_SCRIPT = `
+if redis.call("hget", KEYS[1], ARGV[1]) == ARGV[2] then
+  return redis.call("hdel", KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+/**
+ * Store shared through Redis. Takes an ioredis client, the same kind the
+ * bot join and replacement locks use. Every instance has a heartbeat key
+ * that expires when it stops renewing it; room owners live in one hash.
+ */
+class RedisStateStore {
+  /**
+   * @param {Object} client - ioredis client
+   * @param {Object} options - { prefix } for every key, "ludo:" by default
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.prefix = options.prefix || "ludo:";
+  }
+
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  async registerInstance(instanceId, ttlMs) {
+    await this.client.set(this.key(`instance:${instanceId}`), "1", "PX", ttlMs);
+    await this.client.sadd(this.key("instances"), instanceId);
+  }
+
+  async removeInstance(instanceId) {
+    await this.client.del(this.key(`instance:${instanceId}`));
+    await this.client.srem(this.key("instances"), instanceId);
+  }
+
+  async getInstances() {
+    const ids = await this.client.smembers(this.key("instances"));
+    const live = [];
+    for (const id of ids) {
+      if (await this.client.exists(this.key(`instance:${id}`))) {
+        live.push(id);
+      } else {
+        await this.client.srem(this.key("instances"), id);
+      }
+    }
+    return live;
+  }
+
+  async claimRoom(roomId, instanceId) {
+    return this.client.eval(
+      CLAIM_SCRIPT,
+      1,
+      this.key("room_owners"),
+      roomId,
+      instanceId,
+      this.key("instance:")
+    );
+  }
+
+  async releaseRoom(roomId, instanceId) {
+    await this.client.eval(
+      RELEASE_SCRIPT,
+      1,
+      this.key("room_owners"),
+      roomId,
+      instanceId
+    );
+  }
+
+  async getRoomOwner(roomId) {
+    return this.client.hget(this.key("room_owners"), roomId);
+  }
+
+  async getRoomOwners() {
+    return this.client.hgetall(this.key("room_owners"));
+  }
+
+  async claimJob(job, instanceId) {
+    return this.client.eval(
+      CLAIM_SCRIPT,
+      1,
+      this.key("jobs"),
+      job,
+      instanceId,
+      this.key("instance:")
+    );
+  }
+}
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+};
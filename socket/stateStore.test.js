@@ -0,0 +1,66 @@
+const { MemoryStateStore } = require("./stateStore");
+
+describe("Memory state store", () => {
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = 1000;
+    store = new MemoryStateStore({ now: () => now });
+  });
+
+  test("instances drop out once their heartbeat lapses", async () => {
+    await store.registerInstance("a", 100);
+    await store.registerInstance("b", 500);
+    expect(await store.getInstances()).toEqual(["a", "b"]);
+
+    now += 200;
+    expect(await store.getInstances()).toEqual(["b"]);
+
+    await store.removeInstance("b");
+    expect(await store.getInstances()).toEqual([]);
+  });
+
+  test("a live owner keeps its room until it lets go", async () => {
+    await store.registerInstance("a", 100);
+    await store.registerInstance("b", 100);
+
+    expect(await store.claimRoom("room1", "a")).toBe("a");
+    expect(await store.claimRoom("room1", "b")).toBe("a");
+    expect(await store.claimRoom("room1", "a")).toBe("a");
+
+    await store.releaseRoom("room1", "b");
+    expect(await store.getRoomOwner("room1")).toBe("a");
+    await store.releaseRoom("room1", "a");
+    expect(await store.getRoomOwner("room1")).toBeNull();
+    expect(await store.claimRoom("room1", "b")).toBe("b");
+  });
+
+  test("a dead owner's rooms can be claimed", async () => {
+    await store.registerInstance("a", 100);
+    await store.claimRoom("room1", "a");
+    await store.claimRoom("room2", "a");
+
+    now += 200;
+    await store.registerInstance("b", 100);
+
+    // Still recorded, so others can tell the room needs a new owner
+    expect(await store.getRoomOwner("room1")).toBe("a");
+    expect(await store.claimRoom("room1", "b")).toBe("b");
+    expect(await store.getRoomOwners()).toEqual({ room1: "b", room2: "a" });
+  });
+
+  test("a job stays with one live instance", async () => {
+    await store.registerInstance("a", 100);
+    await store.registerInstance("b", 500);
+
+    expect(await store.claimJob("tournaments", "a")).toBe("a");
+    expect(await store.claimJob("tournaments", "b")).toBe("a");
+    // Jobs and rooms are claimed apart
+    expect(await store.getRoomOwners()).toEqual({});
+
+    now += 200;
+    expect(await store.claimJob("tournaments", "b")).toBe("b");
+    expect(await store.claimJob("tournaments", "a")).toBe("b");
+  });
+});
@@ -0,0 +1,487 @@
+const { gameManager } = require("./gameManager");
+const { roomRouter } = require("./cluster");
+const { getSeatColors, createInitialPieces } = require("./utils");
+const { createFairnessState } = require("./fairness");
+const { createInviteCode } = require("./invites");
+const { createRoomRecords, deleteRoomRecords } = require("./persistence");
+const { getHouseRules } = require("./rules");
+const { NotificationType, emitNotification } = require("./userChannels");
+const {
+  createBracket,
+  recordMatchResult,
+  getPlacings,
+  getRoundCount,
+} = require("./bracket");
+const Notification = require("../model/Notification");
+const Tournament = require("../model/Tournament");
+const {
+  cancelTournament,
+  settleTournament,
+  recoverTournaments,
+} = require("../services/tournament");
+
+const { TournamentStatus, MatchStatus } = Tournament;
+
+// How often start times and no-shows are checked
+const TOURNAMENT_TICK_MS = 30000;
+const MATCH_NO_SHOW_MS = 5 * 60 * 1000; // Time to sit down before forfeiting
+// Cluster job name: one instance at a time works the tournaments
+const TOURNAMENT_JOB = "tournaments";
+
+// tournamentId -> promise of the last change, so bracket updates from
+// different games never overwrite each other
+const tournamentLocks = new Map();
+
+// Whether this instance held the tournament job at its last tick
+let holdingTournaments = false;
+
+/**
+ * socket.io room that follows a tournament's bracket
+ * @param {string} tournamentId - Tournament ID
+ * @returns {string} Room name
+ */
+function getTournamentRoom(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+/**
+ * Run work against the latest copy of a tournament, one change at a time
+ * @param {string} tournamentId - Tournament ID
+ * @param {Function} work - async (tournament) => result; tournament may be null
+ * @returns {Promise<*>} Whatever work returns
+ */
+function withTournament(tournamentId, work) {
+  const key = String(tournamentId);
+  const run = (tournamentLocks.get(key) || Promise.resolve()).then(async () =>
+    work(await Tournament.findById(key))
+  );
+  const settled = run.catch(() => {});
+  tournamentLocks.set(key, settled);
+  settled.then(() => {
+    if (tournamentLocks.get(key) === settled) tournamentLocks.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Public view of a tournament and its bracket
+ * @param {Object} tournament - Tournament document
+ * @returns {Object} Bracket view
+ */
+function getBracketView(tournament) {
+  const matches = tournament.matches.map((m) => ({
+    round: m.round,
+    index: m.index,
+    players: m.players,
+    status: m.status,
+    winner: m.winner,
+    reason: m.reason,
+    roomId: m.roomId,
+    inviteCode: m.inviteCode, // Lets anyone watch the match
+    deadline: m.deadline,
+  }));
+  const rounds = Array.from({ length: getRoundCount(matches) }, (_, round) =>
+    matches.filter((m) => m.round === round)
+  );
+
+  return {
+    tournamentId: tournament._id,
+    name: tournament.name,
+    description: tournament.description,
+    status: tournament.status,
+    startsAt: tournament.startsAt,
+    entryFee: tournament.entryFee,
+    maxEntrants: tournament.maxEntrants,
+    entrants: tournament.entrants.map((e) => ({ user: e.user, name: e.name })),
+    requiredPieces: tournament.requiredPieces,
+    houseRules: getHouseRules(tournament.houseRules),
+    rakePercent: tournament.rakePercent,
+    prizeTable: tournament.prizeTable,
+    pool:
+      tournament.pool ?? tournament.entrants.reduce((sum, e) => sum + e.fee, 0),
+    rounds,
+    placings: tournament.placings,
+  };
+}
+
+/**
+ * Send the current bracket to everyone following the tournament
+ * @param {Object} io - Socket.io instance
+ * @param {Object} tournament - Tournament document
+ */
+function broadcastBracket(io, tournament) {
+  io.to(getTournamentRoom(tournament._id)).emit(
+    "tournament_update",
+    getBracketView(tournament)
+  );
+}
+
+/**
+ * Open a private 2-player room for a match. Only the two players can take
+ * a seat; the invite code lets others watch.
+ * @param {Object} io - Socket.io instance
+ * @param {Object} tournament - Tournament document
+ * @param {Object} match - Match with both players known, updated in place
+ */
+async function openMatch(io, tournament, match) {
+  const roomId = require("uuid").v4().slice(0, 6);
+  const [host] = match.players;
+  const seatColors = getSeatColors(2);
+  const gameSettings = {
+    stake: 0, // The entry fee already paid for every game
+    requiredPieces: tournament.requiredPieces,
+    maxPlayers: 2,
+    payoutPlaces: 1,
+    houseRules: getHouseRules(tournament.houseRules),
+    private: true,
+    tournament: {
+      tournamentId: String(tournament._id),
+      name: tournament.name,
+      round: match.round,
+      index: match.index,
+      userIds: match.players.map((p) => String(p.user)),
+    },
+  };
+  const roomData = {
+    players: [],
+    currentTurn: null, // Set once both players are seated
+    gameStatus: gameManager.GAME_STATUS.WAITING,
+    dieStatus: gameManager.DIE_STATUS.STOPPED,
+    lastRoll: null,
+    createdAt: Date.now(),
+    hostId: String(host.user),
+    gameSettings,
+    fairness: createFairnessState(),
+    inviteCode: createInviteCode(),
+  };
+
+  await createRoomRecords(roomId, roomData, {
+    host: host.user,
+    pieces: createInitialPieces(seatColors),
+  });
+  const roomState = gameManager.createRoom(roomId, roomData);
+  roomState.botsEnabled = false;
+  gameManager.updateGameState(roomId, {
+    pieces: createInitialPieces(seatColors),
+  });
+
+  match.roomId = roomId;
+  match.inviteCode = roomData.inviteCode;
+  match.status = MatchStatus.OPEN;
+  match.deadline = new Date(Date.now() + MATCH_NO_SHOW_MS);
+
+  const matchReady = {
+    tournamentId: String(tournament._id),
+    name: tournament.name,
+    round: match.round,
+    index: match.index,
+    roomId,
+    inviteCode: roomData.inviteCode,
+    players: match.players,
+    deadline: match.deadline,
+  };
+  io.to(getTournamentRoom(tournament._id)).emit(
+    "tournament_match_ready",
+    matchReady
+  );
+  for (const player of match.players) {
+    const message = `Your round ${match.round + 1} match in ${
+      tournament.name
+    } is ready. Join within ${MATCH_NO_SHOW_MS / 60000} minutes`;
+    const notification = await Notification.create({
+      user: player.user,
+      message,
+      type: "INFO",
+    });
+    emitNotification(io, player.user, NotificationType.TOURNAMENT_MATCH_READY, {
+      message,
+      notificationId: notification._id,
+      ...matchReady,
+    });
+  }
+
+  console.log(
+    `[Tournament] Opened room ${roomId} for round ${match.round + 1} match ${
+      match.index + 1
+    } of ${tournament.name}`
+  );
+}
+
+/**
+ * Close a match room nobody played in
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ */
+async function closeMatchRoom(io, roomId) {
+  if (!roomId) return;
+  await deleteRoomRecords(roomId);
+  if (gameManager.getRoom(roomId)) {
+    gameManager.deleteRoom(roomId);
+    io.to(roomId).emit("room_deleted", {
+      roomId,
+      reason: "tournament_no_show",
+      message: "The match was decided because a player didn't show up",
+    });
+  }
+}
+
+/**
+ * Put a match result into the bracket, open the next match if both its
+ * players are known and pay out once the final is decided
+ * @param {Object} io - Socket.io instance
+ * @param {Object} tournament - Tournament document, saved here
+ * @param {Object} match - Decided match
+ * @param {string} winner - User ID of the winner
+ * @param {string} reason - How the match was decided
+ */
+async function advance(io, tournament, match, winner, reason) {
+  const result = recordMatchResult(
+    tournament.toObject().matches,
+    match.round,
+    match.index,
+    winner,
+    reason
+  );
+  tournament.matches = result.matches;
+  const ready =
+    result.ready &&
+    tournament.matches.find(
+      (m) => m.round === result.ready.round && m.index === result.ready.index
+    );
+  if (ready) await openMatch(io, tournament, ready);
+  await tournament.save();
+
+  console.log(
+    `[Tournament] ${winner} won round ${match.round + 1} match ${
+      match.index + 1
+    } of ${tournament.name} (${reason})`
+  );
+
+  if (result.finished) {
+    const settled = await settleTournament(
+      tournament._id,
+      getPlacings(result.matches)
+    );
+    broadcastBracket(io, settled || tournament);
+    return;
+  }
+  broadcastBracket(io, tournament);
+}
+
+/**
+ * Draw the bracket and open the first round. Tournaments with fewer than
+ * two entrants are cancelled and refunded.
+ * @param {Object} io - Socket.io instance
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object|null>} Tournament, or null if it couldn't start
+ */
+function startTournament(io, tournamentId) {
+  return withTournament(tournamentId, async (tournament) => {
+    if (tournament?.status !== TournamentStatus.REGISTERING) return null;
+
+    if (tournament.entrants.length < 2) {
+      const cancelled = await cancelTournament(
+        tournament._id,
+        "not_enough_entrants"
+      );
+      if (cancelled) broadcastBracket(io, cancelled);
+      return null;
+    }
+
+    // Claim it first so late registrations and withdrawals are refused
+    const claimed = await Tournament.findOneAndUpdate(
+      { _id: tournament._id, status: TournamentStatus.REGISTERING },
+      {
+        $set: {
+          status: TournamentStatus.RUNNING,
+          startedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const { matches, ready } = createBracket(
+      claimed.entrants.map((e) => ({ user: e.user, name: e.name }))
+    );
+    claimed.matches = matches;
+    for (const { round, index } of ready) {
+      const match = claimed.matches.find(
+        (m) => m.round === round && m.index === index
+      );
+      await openMatch(io, claimed, match);
+    }
+    await claimed.save();
+
+    console.log(
+      `[Tournament] Started ${claimed.name} with ${claimed.entrants.length} entrants`
+    );
+    broadcastBracket(io, claimed);
+    return claimed;
+  });
+}
+
+/**
+ * Carry a finished game into its tournament. Called by finishGame for
+ * tournament rooms.
+ * @param {Object} io - Socket.io instance
+ * @param {Object} matchInfo - gameSettings.tournament of the room
+ * @param {Object} matchResults - Results sent with game_over
+ */
+function handleMatchOver(io, matchInfo, matchResults) {
+  const { tournamentId, round, index } = matchInfo;
+  return withTournament(tournamentId, async (tournament) => {
+    if (tournament?.status !== TournamentStatus.RUNNING) return;
+    const match = tournament.matches.find(
+      (m) => m.round === round && m.index === index
+    );
+    if (!match || match.status === MatchStatus.FINISHED) return;
+
+    // Both seats belong to the match players, so first place is one of them
+    const winner =
+      matchResults.winner?.userId && String(matchResults.winner.userId);
+    await advance(
+      io,
+      tournament,
+      match,
+      winner || String(match.players[0].user),
+      matchResults.reason || "win"
+    );
+  });
+}
+
+/**
+ * Decide matches whose players didn't all sit down in time, and reopen
+ * matches whose room was lost in a restart
+ * @param {Object} io - Socket.io instance
+ * @param {Object} tournament - Running tournament
+ */
+async function checkMatches(io, tournament) {
+  const liveRoomIds = new Set(await roomRouter.getLiveRoomIds());
+  const open = tournament.matches
+    .filter((m) => m.status === MatchStatus.OPEN)
+    .map(({ round, index }) => ({ round, index }));
+
+  for (const { round, index } of open) {
+    // advance() replaces the matches, so look the match up each time
+    const match = tournament.matches.find(
+      (m) => m.round === round && m.index === index
+    );
+    if (match.status !== MatchStatus.OPEN) continue;
+
+    const room = gameManager.getRoom(match.roomId);
+    // A game another instance took over reports back through
+    // handleMatchOver when it ends
+    if (!room && liveRoomIds.has(match.roomId)) continue;
+    if (!room) {
+      // Waiting rooms aren't restored after a restart; give the players a
+      // new room and a fresh deadline
+      await closeMatchRoom(io, match.roomId);
+      await openMatch(io, tournament, match);
+      await tournament.save();
+      broadcastBracket(io, tournament);
+      continue;
+    }
+    if (
+      room.gameStatus !== gameManager.GAME_STATUS.WAITING ||
+      match.deadline > new Date()
+    ) {
+      continue;
+    }
+
+    // The player who turned up goes through; if neither did, the first
+    // drawn does so the bracket can carry on
+    const seated = room.players.map((p) => String(p.userId));
+    const present = match.players.find((p) => seated.includes(String(p.user)));
+    await closeMatchRoom(io, match.roomId);
+    await advance(
+      io,
+      tournament,
+      match,
+      String((present || match.players[0]).user),
+      "no_show"
+    );
+  }
+}
+
+/**
+ * Start tournaments whose time has come and keep running ones moving
+ * @param {Object} io - Socket.io instance
+ */
+async function runTournamentTick(io) {
+  // Every instance runs the timer, but only the one holding the job acts,
+  // so two instances never change the same tournament
+  if (!(await roomRouter.holdsJob(TOURNAMENT_JOB))) {
+    holdingTournaments = false;
+    return;
+  }
+  if (!holdingTournaments) {
+    // Pick up payouts interrupted here before a restart, or on the instance
+    // that held the job before
+    const resumed = await recoverTournaments();
+    if (resumed > 0) {
+      console.log(`[Tournament] Resumed ${resumed} interrupted tournaments`);
+    }
+    holdingTournaments = true;
+  }
+
+  const due = await Tournament.find({
+    status: TournamentStatus.REGISTERING,
+    startsAt: { $lte: new Date() },
+  }).select("_id");
+  for (const { _id } of due) {
+    try {
+      await startTournament(io, _id);
+    } catch (error) {
+      console.error(`[Tournament] Error starting tournament ${_id}:`, error);
+    }
+  }
+
+  const running = await Tournament.find({
+    status: TournamentStatus.RUNNING,
+  }).select("_id");
+  for (const { _id } of running) {
+    try {
+      await withTournament(_id, (tournament) =>
+        tournament?.status === TournamentStatus.RUNNING
+          ? checkMatches(io, tournament)
+          : null
+      );
+    } catch (error) {
+      console.error(`[Tournament] Error checking tournament ${_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Check tournaments on a timer; the first tick on the instance holding the
+ * tournament job also resumes interrupted payouts. Run once the database is
+ * connected and rooms have been restored.
+ * @param {Object} io - Socket.io instance
+ * @returns {Promise<Object>} Interval handle
+ */
+async function startTournamentScheduler(io) {
+  try {
+    await runTournamentTick(io);
+  } catch (error) {
+    console.error("[Tournament] Error recovering tournaments:", error);
+  }
+
+  const interval = setInterval(() => {
+    runTournamentTick(io).catch((error) =>
+      console.error("[Tournament] Error in tournament tick:", error)
+    );
+  }, TOURNAMENT_TICK_MS);
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  getTournamentRoom,
+  getBracketView,
+  broadcastBracket,
+  startTournament,
+  handleMatchOver,
+  startTournamentScheduler,
+};
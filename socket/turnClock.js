@@ -0,0 +1,85 @@
+// Turn clock settings. Admins change them through GameSetting; they are
+// cached here so starting a turn never waits on the database. A room takes
+// a copy when its first turn starts and keeps it for the whole game.
+
+const TURN_CLOCK_SETTINGS = {
+  TURN_TIME_SECONDS: {
+    field: "turnMs",
+    defaultValue: 30,
+    min: 5,
+    max: 120,
+    description: "Seconds a player has for each turn",
+  },
+  TIME_BANK_SECONDS: {
+    field: "timeBankMs",
+    defaultValue: 60,
+    min: 0,
+    max: 600,
+    description: "Extra seconds each player can draw on once a turn runs out",
+  },
+  MAX_TURN_STRIKES: {
+    field: "maxStrikes",
+    defaultValue: 3,
+    min: 1,
+    max: 10,
+    description: "Missed turns, each auto-played, before a player loses",
+  },
+};
+
+const toClockValue = (key, value) =>
+  TURN_CLOCK_SETTINGS[key].field === "maxStrikes" ? value : value * 1000;
+
+let cachedSettings = Object.fromEntries(
+  Object.entries(TURN_CLOCK_SETTINGS).map(([key, setting]) => [
+    setting.field,
+    toClockValue(key, setting.defaultValue),
+  ])
+);
+
+/**
+ * Check a turn clock setting sent by an admin
+ * @param {string} key - GameSetting key
+ * @param {*} value - New value
+ * @returns {string|null} What is wrong with it, or null if it is fine
+ */
+function validateTurnClockSetting(key, value) {
+  const { min, max } = TURN_CLOCK_SETTINGS[key];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return `${key} must be a whole number from ${min} to ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Current settings for new games
+ * @returns {Object} { turnMs, timeBankMs, maxStrikes }
+ */
+function getTurnClockSettings() {
+  return { ...cachedSettings };
+}
+
+/**
+ * Reload the settings from GameSetting. Bad or missing values fall back
+ * to the defaults.
+ * @returns {Promise<Object>} { turnMs, timeBankMs, maxStrikes }
+ */
+async function loadTurnClockSettings() {
+  const GameSetting = require("../model/gameSetting");
+  const loaded = {};
+  for (const [key, setting] of Object.entries(TURN_CLOCK_SETTINGS)) {
+    const value = await GameSetting.getSetting(key, setting.defaultValue);
+    loaded[setting.field] = toClockValue(
+      key,
+      validateTurnClockSetting(key, value) ? setting.defaultValue : value
+    );
+  }
+  cachedSettings = loaded;
+  return getTurnClockSettings();
+}
+
+module.exports = {
+  TURN_CLOCK_SETTINGS,
+  validateTurnClockSetting,
+  getTurnClockSettings,
+  loadTurnClockSettings,
+};
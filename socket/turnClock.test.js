@@ -0,0 +1,44 @@
+jest.mock("../model/gameSetting");
+
+const {
+  validateTurnClockSetting,
+  getTurnClockSettings,
+} = require("./turnClock");
+
+describe("Turn clock settings", () => {
+  test("should default to 30s turns, a 60s bank and 3 strikes", () => {
+    expect(getTurnClockSettings()).toEqual({
+      turnMs: 30000,
+      timeBankMs: 60000,
+      maxStrikes: 3,
+    });
+  });
+
+  test("should only accept whole numbers in range", () => {
+    expect(validateTurnClockSetting("TURN_TIME_SECONDS", 45)).toBeNull();
+    expect(validateTurnClockSetting("TIME_BANK_SECONDS", 0)).toBeNull();
+    expect(validateTurnClockSetting("TURN_TIME_SECONDS", 2)).toMatch(/5 to/);
+    expect(validateTurnClockSetting("MAX_TURN_STRIKES", 1.5)).not.toBeNull();
+    expect(validateTurnClockSetting("MAX_TURN_STRIKES", "3")).not.toBeNull();
+  });
+
+  test("should load admin settings and ignore bad ones", async () => {
+    // Modules are reset per test, so take the mock the loader will see
+    const GameSetting = require("../model/gameSetting");
+    const {
+      loadTurnClockSettings,
+      getTurnClockSettings,
+    } = require("./turnClock");
+    const stored = { TURN_TIME_SECONDS: 20, TIME_BANK_SECONDS: -5 };
+    GameSetting.getSetting.mockImplementation(async (key, fallback) =>
+      key in stored ? stored[key] : fallback
+    );
+
+    await expect(loadTurnClockSettings()).resolves.toEqual({
+      turnMs: 20000,
+      timeBankMs: 60000,
+      maxStrikes: 3,
+    });
+    expect(getTurnClockSettings().turnMs).toBe(20000);
+  });
+});
@@ -0,0 +1,120 @@
+// Private events for one user: wallet changes and notifications. Every
+// authenticated socket joins its user's room on connect, so these only
+// reach that user's own devices.
+
+const USER_CHANNEL_CONFIG = {
+  // Also send the old per-user event names (wallet_update_<id>,
+  // notification_<id>) to the user's room, for clients not yet listening to
+  // wallet_update and notification. Set to false once they have updated.
+  LEGACY_EVENTS: process.env.USER_LEGACY_EVENTS !== "false",
+};
+
+const UserEvent = {
+  WALLET_UPDATE: "wallet_update",
+  NOTIFICATION: "notification",
+};
+
+const WalletUpdateType = {
+  DEPOSIT: "DEPOSIT",
+  WITHDRAW_PENDING: "WITHDRAW_PENDING",
+  WITHDRAW_APPROVED: "WITHDRAW_APPROVED",
+  WITHDRAW_REJECTED: "WITHDRAW_REJECTED",
+};
+
+const NotificationType = {
+  DEPOSIT_SUCCESS: "DEPOSIT_SUCCESS",
+  WITHDRAW_PENDING: "WITHDRAW_PENDING",
+  WITHDRAW_APPROVED: "WITHDRAW_APPROVED",
+  WITHDRAW_REJECTED: "WITHDRAW_REJECTED",
+  TOURNAMENT_MATCH_READY: "TOURNAMENT_MATCH_READY",
+};
+
+/**
+ * socket.io room every socket of a user joins
+ * @param {string} userId - User ID
+ * @returns {string} User room name
+ */
+function getUserRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Join an authenticated socket to its user's room
+ * @param {Object} socket - Socket with socket.user set by the auth middleware
+ */
+function joinUserRoom(socket) {
+  if (socket.user?.id) socket.join(getUserRoom(socket.user.id));
+}
+
+/**
+ * Send a private event to every socket of one user. The payload is always
+ * { type, userId, sentAt, data }.
+ * @param {Object} io - Socket.io server
+ * @param {string} userId - User ID
+ * @param {string} event - One of UserEvent
+ * @param {string} type - WalletUpdateType or NotificationType
+ * @param {Object} data - Details for the type
+ * @returns {Object} Payload sent
+ */
+function emitToUser(io, userId, event, type, data = {}) {
+  const room = io.to(getUserRoom(userId));
+  const payload = {
+    type,
+    userId: String(userId),
+    sentAt: new Date().toISOString(),
+    data,
+  };
+  room.emit(event, payload);
+  if (USER_CHANNEL_CONFIG.LEGACY_EVENTS) {
+    room.emit(`${event}_${userId}`, { type, ...data });
+  }
+  return payload;
+}
+
+/**
+ * @param {Object} io - Socket.io server
+ * @param {string} userId - User ID
+ * @param {string} type - One of WalletUpdateType
+ * @param {Object} details - { balance, amount, transactionId }
+ * @returns {Object} Payload sent
+ */
+function emitWalletUpdate(
+  io,
+  userId,
+  type,
+  { balance, amount, transactionId }
+) {
+  return emitToUser(io, userId, UserEvent.WALLET_UPDATE, type, {
+    balance,
+    amount,
+    transactionId: String(transactionId),
+  });
+}
+
+/**
+ * @param {Object} io - Socket.io server
+ * @param {string} userId - User ID
+ * @param {string} type - One of NotificationType
+ * @param {Object} details - { message, notificationId } and anything the
+ * type adds
+ * @returns {Object} Payload sent
+ */
+function emitNotification(io, userId, type, details) {
+  const { notificationId, ...rest } = details;
+  return emitToUser(io, userId, UserEvent.NOTIFICATION, type, {
+    ...rest,
+    notificationId: notificationId ? String(notificationId) : null,
+  });
+}
+
+module.exports = {
+  USER_CHANNEL_CONFIG,
+  UserEvent,
+  WalletUpdateType,
+  NotificationType,
+  getUserRoom,
+  joinUserRoom,
+  emitToUser,
+  emitWalletUpdate,
+  emitNotification,
+};
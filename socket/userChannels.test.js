@@ -0,0 +1,99 @@
+const {
+  UserEvent,
+  WalletUpdateType,
+  NotificationType,
+  getUserRoom,
+  joinUserRoom,
+  emitWalletUpdate,
+  emitNotification,
+} = require("./userChannels");
+
+describe("User channels", () => {
+  const createIo = () => {
+    const emit = jest.fn();
+    return { io: { to: jest.fn(() => ({ emit })) }, emit };
+  };
+
+  test("should join an authenticated socket to its user's room", () => {
+    const socket = { user: { id: "u1" }, join: jest.fn() };
+    joinUserRoom(socket);
+    expect(socket.join).toHaveBeenCalledWith("user:u1");
+
+    const anonymous = { join: jest.fn() };
+    joinUserRoom(anonymous);
+    expect(anonymous.join).not.toHaveBeenCalled();
+  });
+
+  test("should send wallet updates only to the user's room", () => {
+    const { io, emit } = createIo();
+    const payload = emitWalletUpdate(io, "u1", WalletUpdateType.DEPOSIT, {
+      balance: 150,
+      amount: 50,
+      transactionId: { toString: () => "t1" },
+    });
+
+    expect(io.to).toHaveBeenCalledWith(getUserRoom("u1"));
+    expect(io.to).toHaveBeenCalledTimes(1);
+    expect(payload).toEqual({
+      type: "DEPOSIT",
+      userId: "u1",
+      sentAt: expect.any(String),
+      data: { balance: 150, amount: 50, transactionId: "t1" },
+    });
+    expect(emit).toHaveBeenCalledWith(UserEvent.WALLET_UPDATE, payload);
+    // Old clients still get the old event and shape, on their own sockets
+    expect(emit).toHaveBeenCalledWith("wallet_update_u1", {
+      type: "DEPOSIT",
+      balance: 150,
+      amount: 50,
+      transactionId: "t1",
+    });
+  });
+
+  test("should give notifications the same payload shape", () => {
+    const { io, emit } = createIo();
+    const payload = emitNotification(
+      io,
+      "u2",
+      NotificationType.TOURNAMENT_MATCH_READY,
+      { message: "Your match is ready", roomId: "r1" }
+    );
+
+    expect(payload).toMatchObject({
+      type: "TOURNAMENT_MATCH_READY",
+      userId: "u2",
+      data: {
+        message: "Your match is ready",
+        roomId: "r1",
+        notificationId: null,
+      },
+    });
+    expect(emit).toHaveBeenCalledWith(UserEvent.NOTIFICATION, payload);
+    expect(emit).toHaveBeenCalledWith("notification_u2", {
+      type: "TOURNAMENT_MATCH_READY",
+      ...payload.data,
+    });
+  });
+
+  test("should stop sending the old event names once switched off", () => {
+    process.env.USER_LEGACY_EVENTS = "false";
+    try {
+      jest.isolateModules(() => {
+        const channels = require("./userChannels");
+        const { io, emit } = createIo();
+        channels.emitNotification(io, "u3", NotificationType.DEPOSIT_SUCCESS, {
+          message: "Deposited",
+          notificationId: "n1",
+        });
+
+        expect(emit).toHaveBeenCalledTimes(1);
+        expect(emit).toHaveBeenCalledWith(
+          UserEvent.NOTIFICATION,
+          expect.objectContaining({ type: "DEPOSIT_SUCCESS" })
+        );
+      });
+    } finally {
+      delete process.env.USER_LEGACY_EVENTS;
+    }
+  });
+});
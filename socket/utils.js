@@ -1,4 +1,6 @@
-const { paths } = require("../constants");
+const { paths, seatColors } = require("../constants");
+
+const DEFAULT_MAX_PLAYERS = 2;
 
 function hasPlayerWon(pieces, color, requiredPieces) {
   const piecesInWinZone = pieces[color].filter(
@@ -30,35 +32,17 @@ function getNextPosition(piece, rollValue, color) {
   const lastSixPositions = paths[color].slice(-6);
   const isInLastSix = lastSixPositions.includes(piece);
 
-  console.log(
-    `getNextPosition: piece=${piece}, color=${color}, rollValue=${rollValue}`
-  );
-  console.log(`lastSixPositions:`, lastSixPositions);
-  console.log(`isInLastSix: ${isInLastSix}`);
-  console.log(
-    `Piece position in lastSixPositions:`,
-    lastSixPositions.indexOf(piece)
-  );
-  console.log(`Full path for ${color}:`, paths[color]);
-
   if (isInLastSix) {
     const remainingPositions =
       lastSixPositions.length - lastSixPositions.indexOf(piece);
-    console.log(
-      `Piece ${piece} in final stretch: rollValue=${rollValue}, remaining=${remainingPositions}`
-    );
 
     // Explicitly handle Roll 6, Remaining 6 case
     if (rollValue === 6 && remainingPositions === 6) {
-      console.log(`EXPLICIT: Roll 6, Remaining 6 - Moving to WinZone!`);
       return `${color}WinZone`;
     }
 
     // Handle exact matches to win zone
     if (rollValue === remainingPositions) {
-      console.log(
-        `Roll ${rollValue} === remaining ${remainingPositions}, moving to WinZone`
-      );
       return `${color}WinZone`;
     }
 
@@ -67,18 +51,12 @@ function getNextPosition(piece, rollValue, color) {
       const finalStretchIndex = lastSixPositions.indexOf(piece);
       const newFinalStretchIndex = finalStretchIndex + rollValue;
       if (newFinalStretchIndex < lastSixPositions.length) {
-        console.log(
-          `Moving within final stretch to position ${lastSixPositions[newFinalStretchIndex]}`
-        );
         return lastSixPositions[newFinalStretchIndex];
       }
     }
 
     // If roll value is greater than remaining positions, cannot move
     if (rollValue > remainingPositions) {
-      console.log(
-        `Roll ${rollValue} > remaining ${remainingPositions}, cannot move`
-      );
       return null;
     }
 
@@ -90,20 +68,12 @@ function getNextPosition(piece, rollValue, color) {
   }
 
   // Only calculate normal path positions if NOT in final stretch
-  console.log(`Piece NOT in final stretch, using normal path logic`);
   const currentPositionIndex = paths[color].findIndex((pos) => pos === piece);
   const nextPositionIndex = currentPositionIndex + rollValue;
-  console.log(
-    `currentPositionIndex: ${currentPositionIndex}, nextPositionIndex: ${nextPositionIndex}, path.length: ${paths[color].length}`
-  );
   if (nextPositionIndex >= paths[color].length) {
-    console.log(
-      `nextPositionIndex ${nextPositionIndex} >= path.length ${paths[color].length}, returning null`
-    );
     return null;
   }
   const nextPosition = paths[color][nextPositionIndex];
-  console.log(`Moving to normal path position: ${nextPosition}`);
   return nextPosition.toString();
 }
 
@@ -198,7 +168,31 @@ function getNextPositionWithFallback(piece, rollValue, color) {
   return null;
 }
 
+// Number of seats in a room, falling back to a classic 2-player game
+function getMaxPlayers(gameSettings) {
+  const maxPlayers = gameSettings?.maxPlayers;
+  return seatColors[maxPlayers] ? maxPlayers : DEFAULT_MAX_PLAYERS;
+}
+
+// Seat colours for a room size, in turn order
+function getSeatColors(maxPlayers) {
+  return [...(seatColors[maxPlayers] || seatColors[DEFAULT_MAX_PLAYERS])];
+}
+
+// Starting pieces (all at home) for the given colours
+function createInitialPieces(colors) {
+  const pieces = {};
+  colors.forEach((color) => {
+    pieces[color] = [1, 2, 3, 4].map((n) => `${color[0]}h${n}`);
+  });
+  return pieces;
+}
+
 module.exports = {
+  DEFAULT_MAX_PLAYERS,
+  getMaxPlayers,
+  getSeatColors,
+  createInitialPieces,
   hasPlayerWon,
   getNextPosition,
   getNextPositionWithFallback,